@@ -10,6 +10,8 @@ import { CartProvider } from "./modules/cart/context/CartContext";
 import { WishlistProvider } from "./modules/wishlist/context/WishlistContext";
 import { SearchProvider } from "./modules/search/context/SearchContext";
 import { ProductsProvider } from "./modules/products/contexts/ProductsContext";
+import { CompareProvider } from "./modules/products/contexts/CompareContext";
+import { RecentlyViewedProvider } from "./modules/products/contexts/RecentlyViewedContext";
 
 // ============================================================================
 // TOAST NOTIFICATIONS
@@ -27,7 +29,7 @@ import "react-toastify/dist/ReactToastify.css";
  *   BrowserRouter → AuthProvider → App
  *
  * App.jsx (este archivo):
- *   ThemeProvider → CartProvider → WishlistProvider → ProductsProvider → SearchProvider → AppRouter
+ *   ThemeProvider → CartProvider → WishlistProvider → ProductsProvider → CompareProvider → RecentlyViewedProvider → SearchProvider → AppRouter
  *
  * PRINCIPIOS:
  * - Providers con side effects (fetch) primero
@@ -103,57 +105,76 @@ function App() {
             <ProductsProvider>
               {/* 
                 ══════════════════════════════════════════════════════════════════════
-                CAPA 5: SEARCH PROVIDER
+                CAPA 5: COMPARE PROVIDER
                 ══════════════════════════════════════════════════════════════════════
                 ✅ PRIORIDAD BAJA: Solo estado local
-                - No fetch inicial
-                - Solo maneja queries y resultados temporales
+                - Bandeja del comparador (localStorage + otras pestañas)
               */}
-              <SearchProvider>
+              <CompareProvider>
                 {/* 
                   ══════════════════════════════════════════════════════════════════════
-                  ROUTER PRINCIPAL
+                  CAPA 6: RECENTLY VIEWED PROVIDER
                   ══════════════════════════════════════════════════════════════════════
-                  Todas las rutas de la aplicación (públicas + admin)
+                  ✅ PRIORIDAD BAJA: Solo estado local
+                  - Historial "Vistos recientemente" por usuario (localStorage)
+                */}
+                <RecentlyViewedProvider>
+                  {/* 
+                    ══════════════════════════════════════════════════════════════════════
+                    CAPA 7: SEARCH PROVIDER
+                    ══════════════════════════════════════════════════════════════════════
+                    ✅ PRIORIDAD BAJA: Solo estado local
+                    - No fetch inicial
+                    - Solo maneja queries y resultados temporales
+                  */}
+                  <SearchProvider>
+                    {/* 
+                      ══════════════════════════════════════════════════════════════════════
+                      ROUTER PRINCIPAL
+                      ══════════════════════════════════════════════════════════════════════
+                      Todas las rutas de la aplicación (públicas + admin)
                   
-                  RUTAS PÚBLICAS:
-                  - / → Home
-                  - /productos → Lista productos
-                  - /productos/:slug → Detalle producto
-                  - /auth/login → Login
-                  - /auth/register → Register
+                      RUTAS PÚBLICAS:
+                      - / → Home
+                      - /productos → Lista productos
+                      - /productos/:slug → Detalle producto
+                      - /comparar → Comparador de productos
+                      - /auth/login → Login
+                      - /auth/register → Register
                   
-                  RUTAS ADMIN (protegidas con AdminRoute):
-                  - /admin → Dashboard
-                  - /admin/users → Gestión usuarios
-                  - /admin/products → Gestión productos
-                  - /admin/orders → Gestión órdenes
-                  - /admin/categories → Gestión categorías
-                  - /admin/analytics → Analytics con gráficos
-                */}
-                <AppRouter />
+                      RUTAS ADMIN (protegidas con AdminRoute):
+                      - /admin → Dashboard
+                      - /admin/users → Gestión usuarios
+                      - /admin/products → Gestión productos
+                      - /admin/orders → Gestión órdenes
+                      - /admin/categories → Gestión categorías
+                      - /admin/analytics → Analytics con gráficos
+                    */}
+                    <AppRouter />
 
-                {/* 
-                  ══════════════════════════════════════════════════════════════════════
-                  TOAST NOTIFICATIONS
-                  ══════════════════════════════════════════════════════════════════════
-                  Sistema de notificaciones global
-                */}
-                <ToastContainer
-                  position="bottom-right"
-                  autoClose={3000}
-                  hideProgressBar={false}
-                  newestOnTop
-                  closeOnClick
-                  rtl={false}
-                  pauseOnFocusLoss
-                  draggable
-                  pauseOnHover
-                  theme="colored"
-                  className="z-[9999]"
-                  limit={3}
-                />
-              </SearchProvider>
+                    {/* 
+                      ══════════════════════════════════════════════════════════════════════
+                      TOAST NOTIFICATIONS
+                      ══════════════════════════════════════════════════════════════════════
+                      Sistema de notificaciones global
+                    */}
+                    <ToastContainer
+                      position="bottom-right"
+                      autoClose={3000}
+                      hideProgressBar={false}
+                      newestOnTop
+                      closeOnClick
+                      rtl={false}
+                      pauseOnFocusLoss
+                      draggable
+                      pauseOnHover
+                      theme="colored"
+                      className="z-[9999]"
+                      limit={3}
+                    />
+                  </SearchProvider>
+                </RecentlyViewedProvider>
+              </CompareProvider>
             </ProductsProvider>
           </WishlistProvider>
         </CartProvider>
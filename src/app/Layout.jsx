@@ -2,6 +2,7 @@
 import { Outlet } from 'react-router-dom';
 import Header from '../shared/components/layout/header';
 import Footer from '../shared/components/layout/footer';
+import CompareTray from '../modules/products/components/CompareTray';
 
 /**
  * @component Layout
@@ -11,6 +12,7 @@ import Footer from '../shared/components/layout/footer';
  * - Header (navegación superior)
  * - Outlet (donde se renderizan las páginas)
  * - Footer (pie de página)
+ * - CompareTray (bandeja del comparador, fija abajo)
  * 
  * IMPORTANTE:
  * - Este componente se usa en AppRouter como Route element
@@ -50,6 +52,11 @@ export default function Layout() {
       {/* FOOTER - Pie de Página                                          */}
       {/* ================================================================ */}
       <Footer />
+
+      {/* ================================================================ */}
+      {/* COMPARADOR - Bandeja fija (solo si hay productos)               */}
+      {/* ================================================================ */}
+      <CompareTray />
     </div>
   );
 }
\ No newline at end of file
@@ -5,12 +5,14 @@ import { HeroSection } from "../shared/components/feedback/components/hero-secti
 import { FeaturedProducts } from "../modules/products/components/FeaturedProducts"
 import { TestimonialsSection } from "../shared/components/feedback/components/testimonials-section"
 import CategoryCard from "../modules/categories/components/CategoryCard"
+import { RecentlyViewed } from "../modules/products/components/RecentlyViewed"
 
 export default function HomePage() {
   return (
 <>
       <HeroSection />
        <FeaturedProducts /> 
+       <RecentlyViewed className="container mx-auto my-8" />
        < CategoryCard/> 
       <TestimonialsSection />
 </>
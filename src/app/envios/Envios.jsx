@@ -1,4 +1,11 @@
 import { Truck, Clock, MapPin, Shield, Package, CheckCircle } from "lucide-react"
+import ShippingCalculator from "../../modules/cart/components/ShippingCalculator"
+import { SHIPPING_METHODS, CART_THRESHOLDS } from "../../modules/cart/types/cart.types"
+import { SHIPPING_ZONES, SHIPPING_RATES } from "../../modules/cart/types/shipping.types"
+import { formatPrice } from "../../shared/lib/money"
+
+const localRates = SHIPPING_RATES[SHIPPING_ZONES.LOCAL]
+const nationalRates = SHIPPING_RATES[SHIPPING_ZONES.NATIONAL]
 
 export default function ShippingPage() {
   return (
@@ -26,7 +33,7 @@ export default function ShippingPage() {
           <div className="bg-primary/10 border border-primary/20 rounded-2xl p-8 text-center mb-16">
             <h2 className="text-3xl font-bold mb-4">¡Envío Gratis!</h2>
             <p className="text-lg mb-4">
-              En todos los pedidos superiores a $150.000 en Barranquilla y Soledad
+              En todos los pedidos superiores a {formatPrice(CART_THRESHOLDS.MIN_FREE_SHIPPING)} en Barranquilla y su área metropolitana
             </p>
             <div className="flex flex-wrap justify-center gap-4">
               <div className="flex items-center gap-2">
@@ -51,9 +58,9 @@ export default function ShippingPage() {
                 <Clock className="h-8 w-8 text-primary" />
               </div>
               <h3 className="font-semibold mb-2">Entrega Express</h3>
-              <p className="text-muted-foreground mb-4">3-5 horas</p>
-              <div className="text-lg font-bold text-primary">$15.000</div>
-              <p className="text-sm text-muted-foreground mt-2">Barranquilla y Soledad</p>
+              <p className="text-muted-foreground mb-4">{localRates[SHIPPING_METHODS.EXPRESS].delivery}</p>
+              <div className="text-lg font-bold text-primary">{formatPrice(localRates[SHIPPING_METHODS.EXPRESS].base)}</div>
+              <p className="text-sm text-muted-foreground mt-2">Barranquilla y área metropolitana</p>
             </div>
 
             <div className="bg-card border border-border rounded-2xl p-6 text-center">
@@ -61,9 +68,9 @@ export default function ShippingPage() {
                 <Truck className="h-8 w-8 text-primary" />
               </div>
               <h3 className="font-semibold mb-2">Entrega Estándar</h3>
-              <p className="text-muted-foreground mb-4">24-48 horas</p>
-              <div className="text-lg font-bold text-primary">$8.000</div>
-              <p className="text-sm text-muted-foreground mt-2">Barranquilla y Soledad</p>
+              <p className="text-muted-foreground mb-4">{localRates[SHIPPING_METHODS.STANDARD].delivery}</p>
+              <div className="text-lg font-bold text-primary">{formatPrice(localRates[SHIPPING_METHODS.STANDARD].base)}</div>
+              <p className="text-sm text-muted-foreground mt-2">Barranquilla y área metropolitana</p>
             </div>
 
             <div className="bg-card border border-border rounded-2xl p-6 text-center">
@@ -71,12 +78,17 @@ export default function ShippingPage() {
                 <MapPin className="h-8 w-8 text-primary" />
               </div>
               <h3 className="font-semibold mb-2">Nacional</h3>
-              <p className="text-muted-foreground mb-4">3-7 días hábiles</p>
-              <div className="text-lg font-bold text-primary">Desde $12.000</div>
+              <p className="text-muted-foreground mb-4">{nationalRates[SHIPPING_METHODS.STANDARD].delivery}</p>
+              <div className="text-lg font-bold text-primary">Desde {formatPrice(nationalRates[SHIPPING_METHODS.STANDARD].base)}</div>
               <p className="text-sm text-muted-foreground mt-2">Todo Colombia</p>
             </div>
           </div>
 
+          {/* Calculadora de envío */}
+          <div className="mb-16">
+            <ShippingCalculator />
+          </div>
+
           {/* Coverage Areas */}
           <div className="bg-card border border-border rounded-2xl p-8 mb-16">
             <h2 className="text-3xl font-bold mb-8 text-center">Zonas de Cobertura</h2>
@@ -1,62 +1,56 @@
-
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { Link } from "react-router-dom";
 import { ProductCard } from "../../modules/products/components/ProductCard";
 import { Badge } from "../../shared/components/ui/badge";
 import { Button } from "../../shared/components/ui/button";
 import { productsAPI } from "../../modules/products/api/products.api";
+import { usePromotions } from "../../modules/promotions/hooks/usePromotions";
+import { PromotionBanner } from "../../modules/promotions/components/PromotionBanner";
+import { applyPromotionToProduct } from "../../modules/promotions/utils/promotionHelpers";
+import { calculateDiscountPercentage } from "../../modules/products/utils/priceHelpers";
 import { useScrollToTop } from "../../core/hooks/useScroll";
 import { PageLayout } from "../../shared/components/feedback/components/page-layout";
 
+// Productos que se muestran como adelanto de una promoción próxima
+const UPCOMING_PREVIEW_LIMIT = 4;
+
 export default function OffersPage() {
   const [offerProducts, setOfferProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [timeLeft, setTimeLeft] = useState({
-    hours: 23,
-    minutes: 59,
-    seconds: 59
-  });
+  const [productsLoading, setProductsLoading] = useState(true);
+  const { active, upcoming, loading: promotionsLoading } = usePromotions();
 
   useScrollToTop();
 
   useEffect(() => {
     const fetchOfferProducts = async () => {
       try {
-        const response = await productsAPI.getFeaturedProducts;
+        const response = await productsAPI.getFeaturedProducts(20);
         if (response.success) {
-          setOfferProducts(response.data);
+          setOfferProducts(response.data || []);
         }
       } catch (error) {
         console.error("Error fetching offer products:", error);
       } finally {
-        setLoading(false);
+        setProductsLoading(false);
       }
     };
 
     fetchOfferProducts();
   }, []);
 
-  useEffect(() => {
-    const timer = setInterval(() => {
-      setTimeLeft(prev => {
-        if (prev.seconds > 0) {
-          return { ...prev, seconds: prev.seconds - 1 };
-        } else if (prev.minutes > 0) {
-          return { ...prev, minutes: prev.minutes - 1, seconds: 59 };
-        } else if (prev.hours > 0) {
-          return { hours: prev.hours - 1, minutes: 59, seconds: 59 };
-        } else {
-          return { hours: 23, minutes: 59, seconds: 59 };
-        }
-      });
-    }, 1000);
+  // Los productos de una promoción en curso ya se muestran en su sección
+  const discountProducts = useMemo(() => {
+    const inPromotion = new Set(
+      active.flatMap(promotion => (promotion.products || []).map(product => product._id))
+    );
 
-    return () => clearInterval(timer);
-  }, []);
+    return offerProducts.filter(
+      product => product.comparePrice && product.comparePrice > product.price && !inPromotion.has(product._id)
+    );
+  }, [offerProducts, active]);
 
-  const discountProducts = offerProducts.filter(
-    product => product.comparePrice && product.comparePrice > product.price
-  );
+  const loading = productsLoading || promotionsLoading;
+  const hasOffers = active.length > 0 || discountProducts.length > 0;
 
   if (loading) {
     return (
@@ -97,28 +91,21 @@ export default function OffersPage() {
           </p>
         </div>
 
-        {/* Countdown Timer */}
-        <div className="bg-gradient-to-r from-red-500 to-orange-500 rounded-2xl p-6 mb-12 text-white text-center relative overflow-hidden">
-          <div className="absolute inset-0 bg-black/10"></div>
-          <div className="relative z-10">
-            <h2 className="text-2xl font-bold mb-2">¡Ofertas por Tiempo Limitado!</h2>
-            <p className="text-lg opacity-90 mb-4">Termina en:</p>
-            <div className="flex justify-center space-x-4 text-2xl font-mono font-bold">
-              <div className="bg-white/20 rounded-lg px-4 py-2 backdrop-blur-sm">
-                {String(timeLeft.hours).padStart(2, '0')}
-                <span className="text-sm font-normal ml-1">h</span>
-              </div>
-              <div className="bg-white/20 rounded-lg px-4 py-2 backdrop-blur-sm">
-                {String(timeLeft.minutes).padStart(2, '0')}
-                <span className="text-sm font-normal ml-1">m</span>
-              </div>
-              <div className="bg-white/20 rounded-lg px-4 py-2 backdrop-blur-sm">
-                {String(timeLeft.seconds).padStart(2, '0')}
-                <span className="text-sm font-normal ml-1">s</span>
+        {/* Promociones en curso */}
+        {active.map(promotion => {
+          const products = (promotion.products || []).map(product =>
+            applyPromotionToProduct(product, promotion)
+          );
+
+          return (
+            <section key={promotion._id} className="mb-12">
+              <div className="mb-8">
+                <PromotionBanner promotion={promotion} />
               </div>
-            </div>
-          </div>
-        </div>
+              {products.length > 0 && <OfferProductGrid products={products} />}
+            </section>
+          );
+        })}
 
         {/* Special Offer Banner */}
         <div className="bg-gradient-to-r from-primary to-purple-600 rounded-2xl p-8 mb-12 text-center text-white relative overflow-hidden">
@@ -145,63 +132,26 @@ export default function OffersPage() {
         </div>
 
         {/* Products Section */}
-        {discountProducts.length > 0 ? (
+        {discountProducts.length > 0 && (
           <>
             <div className="flex items-center justify-between mb-8">
               <h3 className="text-2xl font-bold">
                 Productos en Oferta ({discountProducts.length})
               </h3>
-              <div className="flex items-center space-x-2 text-sm text-muted-foreground">
-                <span>Ordenar por:</span>
-                <select className="bg-transparent border-0 focus:outline-none">
-                  <option>Mayor descuento</option>
-                  <option>Precio más bajo</option>
-                  <option>Precio más alto</option>
-                </select>
-              </div>
             </div>
 
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-              {discountProducts.map((product, index) => {
-                const discountPercentage = Math.round(
-                  (1 - product.price / product.comparePrice) * 100
-                );
-
-                return (
-                  <div key={product._id} className="relative group">
-                    {/* Discount Badge Mejorado */}
-                    <div className="absolute top-3 left-3 z-20">
-                      <Badge className="bg-red-500 text-white border-0 font-bold text-sm py-1 px-3 shadow-lg">
-                        -{discountPercentage}%
-                      </Badge>
-                    </div>
-
-                    {/* Hot Badge para productos muy rebajados */}
-                    {discountPercentage > 50 && (
-                      <div className="absolute top-3 right-3 z-20">
-                        <Badge className="bg-orange-500 text-white border-0 font-bold text-xs py-1 px-2">
-                          🔥 HOT
-                        </Badge>
-                      </div>
-                    )}
-
-                    <ProductCard
-                      product={product}
-                      className="animate-slide-in-up border-2 border-transparent group-hover:border-primary/30 transition-all duration-300"
-                      style={{ animationDelay: `${index * 0.1}s` }}
-                    />
-                  </div>
-                );
-              })}
-            </div>
+            <OfferProductGrid products={discountProducts} />
           </>
-        ) : (
+        )}
+
+        {!hasOffers && (
           <div className="text-center py-16">
             <div className="text-8xl mb-6">😔</div>
             <h3 className="text-2xl font-semibold mb-4">No hay ofertas activas</h3>
             <p className="text-muted-foreground mb-6 max-w-md mx-auto">
-              Actualmente no tenemos productos en oferta. 
-              ¡Vuelve pronto para no perderte nuestras promociones especiales!
+              {upcoming.length > 0
+                ? "Mira abajo las próximas ofertas y vuelve cuando empiecen."
+                : "Actualmente no tenemos productos en oferta. ¡Vuelve pronto para no perderte nuestras promociones especiales!"}
             </p>
             <Link to="/productos">
               <Button className="btn-primary px-6 py-3">
@@ -211,6 +161,29 @@ export default function OffersPage() {
           </div>
         )}
 
+        {/* Próximas promociones */}
+        {upcoming.length > 0 && (
+          <div className="mt-16">
+            <h3 className="text-2xl font-bold mb-8">Próximas Ofertas</h3>
+            <div className="space-y-12">
+              {upcoming.map(promotion => (
+                <section key={promotion._id}>
+                  <div className="mb-6">
+                    <PromotionBanner promotion={promotion} upcoming />
+                  </div>
+                  {promotion.products?.length > 0 && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                      {promotion.products.slice(0, UPCOMING_PREVIEW_LIMIT).map(product => (
+                        <ProductCard key={product._id} product={product} />
+                      ))}
+                    </div>
+                  )}
+                </section>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Call to Action Mejorado */}
         <div className="text-center mt-16 p-8 bg-gradient-to-br from-muted/50 to-muted/30 rounded-2xl border border-border/50 backdrop-blur-sm">
           <h3 className="text-2xl font-bold mb-4">¿No encuentras lo que buscas?</h3>
@@ -238,4 +211,44 @@ export default function OffersPage() {
       </div>
     </PageLayout>
   );
-}
\ No newline at end of file
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function OfferProductGrid({ products }) {
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+      {products.map((product, index) => {
+        const discountPercentage = calculateDiscountPercentage(product.comparePrice, product.price);
+
+        return (
+          <div key={product._id} className="relative group">
+            {/* Discount Badge Mejorado */}
+            <div className="absolute top-3 left-3 z-20">
+              <Badge className="bg-red-500 text-white border-0 font-bold text-sm py-1 px-3 shadow-lg">
+                -{discountPercentage}%
+              </Badge>
+            </div>
+
+            {/* Hot Badge para productos muy rebajados */}
+            {discountPercentage > 50 && (
+              <div className="absolute top-3 right-3 z-20">
+                <Badge className="bg-orange-500 text-white border-0 font-bold text-xs py-1 px-2">
+                  🔥 HOT
+                </Badge>
+              </div>
+            )}
+
+            <ProductCard
+              product={product}
+              className="animate-slide-in-up border-2 border-transparent group-hover:border-primary/30 transition-all duration-300"
+              style={{ animationDelay: `${index * 0.1}s` }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 // src/core/api/axiosInstance.js
 
 import axios from 'axios';
+import { publish, TAB_SYNC_EVENTS } from '../sync/tabSync';
 
 /**
  * ✅ CORRECCIÓN: Interceptor mejorado con mejor manejo de errores
@@ -128,6 +129,7 @@ axiosInstance.interceptors.response.use(
             token: newToken
           };
           saveStoredAuth(updatedAuthData);
+          publish(TAB_SYNC_EVENTS.AUTH_TOKEN_REFRESHED);
           
           console.log('[axiosInstance] Token refrescado exitosamente');
           
@@ -138,6 +140,7 @@ axiosInstance.interceptors.response.use(
       } catch (refreshError) {
         console.error('[axiosInstance] Token refresh failed:', refreshError);
         clearStoredAuth();
+        publish(TAB_SYNC_EVENTS.AUTH_LOGOUT);
         
         // Redirigir a login
         if (typeof window !== 'undefined') {
@@ -8,6 +8,11 @@
  * VITE_API_URL=https://backend-vibeskilla.onrender.com/api
  * VITE_APP_NAME=KillaVibes
  * VITE_APP_VERSION=1.0.0
+ * VITE_PAYMENT_PROVIDER=sandbox
+ * VITE_LOCALE=es-CO
+ * VITE_DISPLAY_CURRENCY=COP
+ * VITE_DISPLAY_CURRENCY_RATE=1
+ * VITE_PRICES_INCLUDE_TAX=true
  */
 
 const env = {
@@ -29,6 +34,36 @@ const env = {
    */
   APP_VERSION: import.meta.env.VITE_APP_VERSION || '1.0.0',
 
+  /**
+   * Pasarela de pago activa (ver modules/payments/providers)
+   * @type {string}
+   */
+  PAYMENT_PROVIDER: import.meta.env.VITE_PAYMENT_PROVIDER || 'sandbox',
+
+  /**
+   * Locale para formatear montos y números (ver shared/lib/money)
+   * @type {string}
+   */
+  LOCALE: import.meta.env.VITE_LOCALE || 'es-CO',
+
+  /**
+   * Moneda en la que se muestran los precios (los montos del backend son COP)
+   * @type {string}
+   */
+  DISPLAY_CURRENCY: import.meta.env.VITE_DISPLAY_CURRENCY || 'COP',
+
+  /**
+   * Pesos colombianos por unidad de DISPLAY_CURRENCY (1 si se muestra en COP)
+   * @type {number}
+   */
+  DISPLAY_CURRENCY_RATE: Number(import.meta.env.VITE_DISPLAY_CURRENCY_RATE) || 1,
+
+  /**
+   * Los precios del catálogo ya incluyen IVA (ver shared/lib/tax)
+   * @type {boolean}
+   */
+  PRICES_INCLUDE_TAX: import.meta.env.VITE_PRICES_INCLUDE_TAX !== 'false',
+
   /**
    * Modo de desarrollo
    * @type {boolean}
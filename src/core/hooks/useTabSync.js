@@ -0,0 +1,37 @@
+// src/core/hooks/useTabSync.js
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../sync/tabSync';
+
+/**
+ * @hook useTabSync
+ * @description Escucha eventos de otras pestañas (core/sync/tabSync)
+ *
+ * El handler puede cambiar en cada render: se guarda en un ref para no
+ * volver a suscribirse
+ *
+ * @param {string[]} types - Eventos a escuchar (TAB_SYNC_EVENTS)
+ * @param {Function} handler - Recibe (payload, type)
+ *
+ * @example
+ * useTabSync([TAB_SYNC_EVENTS.CART_UPDATED], ({ cart }) => setCart(cart));
+ */
+export const useTabSync = (types, handler) => {
+  const handlerRef = useRef(handler);
+  const typesKey = types.join('|');
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const watched = typesKey.split('|');
+
+    return subscribe((message) => {
+      if (watched.includes(message.type)) {
+        handlerRef.current(message.payload, message.type);
+      }
+    });
+  }, [typesKey]);
+};
+
+export default useTabSync;
@@ -1,5 +1,8 @@
 import { createContext, useState, useEffect, useCallback, useContext } from 'react';
 import { authAPI } from '../../modules/auth/api/auth.api';
+import { mergeGuestCart } from '../../modules/cart/utils/guestCart';
+import { publish, TAB_SYNC_EVENTS } from '../sync/tabSync';
+import { useTabSync } from '../hooks/useTabSync';
 
 // ✅ Crear el contexto de autenticación
 export const AuthContext = createContext(null);
@@ -15,6 +18,7 @@ const AUTH_STORAGE_KEY = 'killavibes_auth';
  * - Login/Register con tokens JWT (Access 24h + Refresh 7d)
  * - Refresh automático de tokens
  * - Persistencia en localStorage
+ * - Sincronización entre pestañas (login, logout, refresh de token)
  * - Protección contra fuerza bruta (5 intentos)
  * - Roles: customer, moderator, admin
  * - Manejo completo de errores del backend
@@ -58,22 +62,44 @@ export function AuthProvider({ children }) {
     return null;
   }, []);
 
+  // ✅ Función para aplicar los datos de autenticación al estado (sin persistir)
+  const applyAuthState = useCallback((authData) => {
+    const valid = Boolean(authData && authData.user && authData.token);
+
+    setUser(valid ? authData.user : null);
+    setToken(valid ? authData.token : null);
+    setRefreshToken(valid ? authData.refreshToken || null : null);
+    setIsAuthenticated(valid);
+
+    return valid;
+  }, []);
+
   // ✅ Función para actualizar el estado de autenticación
   const updateAuthState = useCallback((authData) => {
-    if (authData && authData.user && authData.token) {
-      setUser(authData.user);
-      setToken(authData.token);
-      setRefreshToken(authData.refreshToken || null);
-      setIsAuthenticated(true);
+    if (applyAuthState(authData)) {
       saveToStorage(authData);
     } else {
-      setUser(null);
-      setToken(null);
-      setRefreshToken(null);
-      setIsAuthenticated(false);
       clearStorage();
     }
-  }, [saveToStorage, clearStorage]);
+  }, [applyAuthState, saveToStorage, clearStorage]);
+
+  // ✅ Iniciar sesión fusionando el carrito anónimo (login / register)
+  const startSession = useCallback(async (authData) => {
+    // El token debe estar en localStorage antes de fusionar (lo lee axiosInstance)
+    saveToStorage(authData);
+
+    let guestCartMerge = { merged: 0, failed: [] };
+    try {
+      guestCartMerge = await mergeGuestCart();
+    } catch (error) {
+      console.error('Guest cart merge error:', error);
+    }
+
+    // CartProvider recarga el carrito del servidor al cambiar isAuthenticated
+    updateAuthState(authData);
+    publish(TAB_SYNC_EVENTS.AUTH_LOGIN);
+    return guestCartMerge;
+  }, [saveToStorage, updateAuthState]);
 
   // ===================================================================
   // ✅ 1. REGISTER - POST /api/auth/register
@@ -91,12 +117,13 @@ export function AuthProvider({ children }) {
           refreshToken: response.data.refreshToken
         };
         
-        updateAuthState(authData);
+        const guestCartMerge = await startSession(authData);
         
         return { 
           success: true, 
           message: response.message || 'Usuario registrado exitosamente',
-          user: response.data.user 
+          user: response.data.user,
+          guestCartMerge
         };
       }
       
@@ -128,7 +155,7 @@ export function AuthProvider({ children }) {
         errors 
       };
     }
-  }, [updateAuthState]);
+  }, [startSession]);
 
   // ===================================================================
   // ✅ 2. LOGIN - POST /api/auth/login
@@ -145,12 +172,13 @@ export function AuthProvider({ children }) {
           refreshToken: response.data.refreshToken
         };
         
-        updateAuthState(authData);
+        const guestCartMerge = await startSession(authData);
         
         return { 
           success: true, 
           message: response.message || 'Login exitoso',
-          user: response.data.user 
+          user: response.data.user,
+          guestCartMerge
         };
       }
       
@@ -198,7 +226,7 @@ export function AuthProvider({ children }) {
         errors: error.response?.data?.errors || []
       };
     }
-  }, [updateAuthState]);
+  }, [startSession]);
 
   // ===================================================================
   // ✅ 3. LOGOUT - POST /api/auth/logout
@@ -213,6 +241,7 @@ export function AuthProvider({ children }) {
     } finally {
       // ✅ Limpiar estado SIEMPRE, incluso si falla la llamada
       updateAuthState(null);
+      publish(TAB_SYNC_EVENTS.AUTH_LOGOUT);
     }
   }, [token, updateAuthState]);
 
@@ -236,6 +265,7 @@ export function AuthProvider({ children }) {
         };
         
         updateAuthState(updatedAuthData);
+        publish(TAB_SYNC_EVENTS.AUTH_USER_UPDATED);
         
         return { 
           success: true, 
@@ -283,6 +313,7 @@ export function AuthProvider({ children }) {
         };
         
         updateAuthState(updatedAuthData);
+        publish(TAB_SYNC_EVENTS.AUTH_USER_UPDATED);
         
         return { 
           success: true, 
@@ -301,8 +332,8 @@ export function AuthProvider({ children }) {
       
       return { 
         success: false, 
-        message: error.response?.data?.message || 'Error al actualizar perfil',
-        errors: error.response?.data?.errors || []
+        message: error.message || error.response?.data?.message || 'Error al actualizar perfil',
+        errors: error.errors || error.response?.data?.errors || []
       };
     }
   }, [token, refreshToken, updateAuthState]);
@@ -328,6 +359,7 @@ export function AuthProvider({ children }) {
         };
         
         updateAuthState(updatedAuthData);
+        publish(TAB_SYNC_EVENTS.AUTH_TOKEN_REFRESHED);
         return response.data.token;
       }
       
@@ -343,6 +375,39 @@ export function AuthProvider({ children }) {
     }
   }, [refreshToken, user, updateAuthState, logout]);
 
+  // ===================================================================
+  // ✅ 7. CHANGE PASSWORD - PUT /api/auth/change-password
+  // ===================================================================
+  const changePassword = useCallback(async ({ currentPassword, newPassword }) => {
+    if (!token) {
+      return { success: false, message: 'No autenticado' };
+    }
+
+    try {
+      const response = await authAPI.changePassword({ currentPassword, newPassword });
+
+      // ✅ Respuesta exitosa: { success: true, message }
+      if (response.success) {
+        return {
+          success: true,
+          message: response.message || 'Contraseña actualizada exitosamente'
+        };
+      }
+
+      return {
+        success: false,
+        message: response.message || 'Error al cambiar la contraseña'
+      };
+    } catch (error) {
+      console.error('Change password error:', error);
+
+      return {
+        success: false,
+        message: error.message || 'Error al cambiar la contraseña'
+      };
+    }
+  }, [token]);
+
   // ===================================================================
   // ✅ INICIALIZACIÓN: Cargar datos de localStorage al montar
   // ===================================================================
@@ -374,6 +439,22 @@ export function AuthProvider({ children }) {
   initAuth();
 }, []);
 
+  // ===================================================================
+  // ✅ SINCRONIZACIÓN ENTRE PESTAÑAS
+  // ===================================================================
+  // localStorage ya fue actualizado por la pestaña que publica:
+  // aquí solo se refleja en el estado (sin volver a guardar ni publicar)
+  useTabSync(
+    [
+      TAB_SYNC_EVENTS.AUTH_LOGIN,
+      TAB_SYNC_EVENTS.AUTH_TOKEN_REFRESHED,
+      TAB_SYNC_EVENTS.AUTH_USER_UPDATED
+    ],
+    () => applyAuthState(loadFromStorage())
+  );
+
+  useTabSync([TAB_SYNC_EVENTS.AUTH_LOGOUT], () => applyAuthState(null));
+
   // ✅ Valor del contexto exportado
   const value = {
     // Estado
@@ -389,6 +470,7 @@ export function AuthProvider({ children }) {
     logout,                  // Función: logout()
     refreshUserProfile,      // Función: recargar perfil desde backend
     updateProfile,           // Función: updateProfile(profileData)
+    changePassword,          // Función: changePassword({ currentPassword, newPassword })
     refreshAccessToken,      // Función: refresh token automático (usado por axiosInstance)
   };
 
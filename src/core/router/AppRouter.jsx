@@ -14,6 +14,7 @@ import { AdminRoute } from '../guards/AdminRoute';
 // ============================================================================
 import Layout from '../../app/Layout'; // Layout público (Header + Footer)
 import AdminLayout from '../../modules/admin/layout/AdminLayout'; // Layout admin (Sidebar)
+import AccountLayout from '../../modules/account/layout/AccountLayout'; // Layout mi cuenta (Sidebar)
 
 // ============================================================================
 // HOOKS
@@ -65,6 +66,7 @@ const OffersPage = lazy(() => import('../../app/ofertas/Ofertas'));
 // Productos
 const ProductsListPage = lazy(() => import('../../modules/products/pages/ProductosLista'));
 const ProductDetailPage = lazy(() => import('../../modules/products/pages/detalle/ProductoDetalle'));
+const ProductsComparePage = lazy(() => import('../../modules/products/pages/comparar/ProductosComparar'));
 
 // Categorías
 const CategoriesPage = lazy(() => import('../../modules/categories/pages/CategoriesPage'));
@@ -86,6 +88,26 @@ const ContactPage  = lazy(() => import('../../modules/contact/pages/Contacto'));
 const LoginPage = lazy(() => import('../../modules/auth/pages/Login'));
 const RegisterPage = lazy(() => import('../../modules/auth/pages/Register'));
 
+// ────────────────────────────────────────────────────────────────────────────
+// MÓDULOS CART Y CHECKOUT
+// ────────────────────────────────────────────────────────────────────────────
+
+const CartPage = lazy(() => import('../../modules/cart/pages/CartPage'));
+const CartRestorePage = lazy(() => import('../../modules/cart/pages/CartRestorePage'));
+const SharedCartPage = lazy(() => import('../../modules/cart/pages/SharedCartPage'));
+const CheckoutPage = lazy(() => import('../../modules/checkout/pages/CheckoutPage'));
+
+// ────────────────────────────────────────────────────────────────────────────
+// MI CUENTA (src/modules/account/pages/ + src/modules/orders/pages/)
+// ────────────────────────────────────────────────────────────────────────────
+
+const ProfilePage = lazy(() => import('../../modules/account/pages/ProfilePage'));
+const SecurityPage = lazy(() => import('../../modules/account/pages/SecurityPage'));
+const AddressesPage = lazy(() => import('../../modules/addresses/pages/AddressesPage'));
+const AlertsPage = lazy(() => import('../../modules/alerts/pages/AlertsPage'));
+const OrdersPage = lazy(() => import('../../modules/orders/pages/OrdersPage'));
+const OrderDetailPage = lazy(() => import('../../modules/orders/pages/OrderDetailPage'));
+
 // ============================================================================
 // LAZY LOADED PAGES - ADMIN
 // ============================================================================
@@ -95,9 +117,15 @@ const UsersList = lazy(() => import('../../modules/admin/pages/Users/UsersList')
 const UserDetails = lazy(() => import('../../modules/admin/pages/Users/UserDetails'));
 const ProductsList = lazy(() => import('../../modules/admin/pages/Products/ProductsList'));
 const ProductForm = lazy(() => import('../../modules/admin/pages/Products/ProductForm'));
+const ProductsBulkImport = lazy(() => import('../../modules/products/pages/carga/ProductosCarga'));
 const CategoriesList = lazy(() => import('../../modules/admin/pages/Categories/CategoriesList'));
 const OrdersList = lazy(() => import('../../modules/admin/pages/Orders/OrdersList'));
 const OrderDetails = lazy(() => import('../../modules/admin/pages/Orders/OrderDetails'));
+const CouponsList = lazy(() => import('../../modules/admin/pages/Coupons/CouponsList'));
+const CouponRedemptions = lazy(() => import('../../modules/admin/pages/Coupons/CouponRedemptions'));
+const PromotionsScheduler = lazy(() => import('../../modules/admin/pages/Promotions/PromotionsScheduler'));
+const AbandonedCarts = lazy(() => import('../../modules/admin/pages/Carts/AbandonedCarts'));
+const PendingDemand = lazy(() => import('../../modules/admin/pages/Products/PendingDemand'));
 const AdminContactPage =  lazy(() => import('../../modules/admin/pages/Contact/ContactPage') );
 const AnalyticsDashboard = lazy(() => import('../../modules/admin/pages/Analytics/AnalyticsDashboard'));
 // const Reviews = lazy(() => import ('../../modules/admin/pages/reviews/'))
@@ -137,10 +165,58 @@ export default function AppRouter() {
             
           </Route>
           
+          {/* Comparador (bandeja guardada en el navegador) */}
+          <Route path="comparar" element={<ProductsComparePage />} />
+
           {/* Categorías */}
           <Route path="categorias/:categorySlug" element={<CategoryDetailPage />} />
           <Route path="categorias" element={<CategoriesPage />} />
 
+          {/* Carrito */}
+          <Route path="carrito" element={<CartPage />} />
+
+          {/* Carrito compartido por enlace (con o sin sesión) */}
+          <Route path="carrito/compartido/:code" element={<SharedCartPage />} />
+
+          {/* Enlace del recordatorio de carrito abandonado (requiere autenticación) */}
+          <Route
+            path="carrito/recuperar/:token"
+            element={
+              <PrivateRoute>
+                <CartRestorePage />
+              </PrivateRoute>
+            }
+          />
+
+          {/* Checkout (requiere autenticación) */}
+          <Route
+            path="checkout"
+            element={
+              <PrivateRoute>
+                <CheckoutPage />
+              </PrivateRoute>
+            }
+          />
+
+          {/* Mi cuenta (requiere autenticación) */}
+          <Route
+            path="mi-cuenta"
+            element={
+              <PrivateRoute>
+                <AccountLayout />
+              </PrivateRoute>
+            }
+          >
+            <Route index element={<ProfilePage />} />
+            <Route path="seguridad" element={<SecurityPage />} />
+            <Route path="direcciones" element={<AddressesPage />} />
+            <Route path="avisos" element={<AlertsPage />} />
+            <Route path="pedidos">
+              <Route index element={<OrdersPage />} />
+              <Route path=":id" element={<OrderDetailPage />} />
+            </Route>
+          </Route>
+
         </Route>
         
         {/* ================================================================== */}
@@ -182,6 +258,8 @@ export default function AppRouter() {
             <Route index element={<ProductsList />} />
             <Route path="new" element={<ProductForm />} />
             <Route path="edit/:id" element={<ProductForm />} />
+            <Route path="import" element={<ProductsBulkImport />} />
+            <Route path="demand" element={<PendingDemand />} />
           </Route>
           
           {/* ────────────────────────────────────────────────────────────── */}
@@ -197,6 +275,24 @@ export default function AppRouter() {
             <Route path=":id" element={<OrderDetails />} />
           </Route>
 
+          {/* ────────────────────────────────────────────────────────────── */}
+          {/* COUPONS MANAGEMENT                                              */}
+          {/* ────────────────────────────────────────────────────────────── */}
+          <Route path="coupons">
+            <Route index element={<CouponsList />} />
+            <Route path=":id/redemptions" element={<CouponRedemptions />} />
+          </Route>
+
+          {/* ────────────────────────────────────────────────────────────── */}
+          {/* PROMOTIONS SCHEDULER                                            */}
+          {/* ────────────────────────────────────────────────────────────── */}
+          <Route path="promotions" element={<PromotionsScheduler />} />
+
+          {/* ────────────────────────────────────────────────────────────── */}
+          {/* ABANDONED CARTS                                                 */}
+          {/* ────────────────────────────────────────────────────────────── */}
+          <Route path="carts/abandoned" element={<AbandonedCarts />} />
+
           {/* ────────────────────────────────────────────────────────────── */}
           {/* CONTACT                                                        */}
           {/* ────────────────────────────────────────────────────────────── */}
@@ -244,6 +340,7 @@ export default function AppRouter() {
  * GET  /                                    → HomePage
  * GET  /productos                           → ProductsListPage
  * GET  /productos/:slug                     → ProductDetailPage
+ * GET  /comparar                            → ProductsComparePage
  * GET  /productos/categoria/:categorySlug   → CategoriesPage
  * GET  /categorias                          → CategoriesPage
  * GET  /contacto                            → ContactPage
@@ -252,6 +349,19 @@ export default function AppRouter() {
  * GET  /devoluciones                        → ReturnsPage
  * GET  /envios                              → ShippingPage
  * GET  /ofertas                             → OffersPage
+ * GET  /carrito                             → CartPage
+ * GET  /carrito/compartido/:code            → SharedCartPage
+ * 
+ * RUTAS PRIVADAS (con Layout, requieren autenticación):
+ * ─────────────────────────────────────────────────────────────────────────
+ * GET  /checkout                            → CheckoutPage
+ * GET  /carrito/recuperar/:token            → CartRestorePage
+ * GET  /mi-cuenta                           → ProfilePage (AccountLayout)
+ * GET  /mi-cuenta/seguridad                 → SecurityPage
+ * GET  /mi-cuenta/direcciones               → AddressesPage
+ * GET  /mi-cuenta/avisos                    → AlertsPage
+ * GET  /mi-cuenta/pedidos                   → OrdersPage
+ * GET  /mi-cuenta/pedidos/:id               → OrderDetailPage
  * 
  * RUTAS AUTH (sin Layout):
  * ─────────────────────────────────────────────────────────────────────────
@@ -266,9 +376,15 @@ export default function AppRouter() {
  * GET  /admin/products                      → ProductsList
  * GET  /admin/products/new                  → ProductForm (crear)
  * GET  /admin/products/edit/:id             → ProductForm (editar)
+ * GET  /admin/products/import               → ProductsBulkImport (CSV / XLSX)
+ * GET  /admin/products/demand               → PendingDemand (avisos pendientes)
  * GET  /admin/categories                    → CategoriesList
  * GET  /admin/orders                        → OrdersList
  * GET  /admin/orders/:id                    → OrderDetails
+ * GET  /admin/coupons                       → CouponsList
+ * GET  /admin/coupons/:id/redemptions       → CouponRedemptions
+ * GET  /admin/promotions                    → PromotionsScheduler
+ * GET  /admin/carts/abandoned               → AbandonedCarts
  * GET  /admin/analytics                     → AnalyticsDashboard
  * GET  /admin/settings                      → Settings (placeholder)
  * 
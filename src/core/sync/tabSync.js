@@ -0,0 +1,113 @@
+// src/core/sync/tabSync.js
+
+/**
+ * @module tabSync
+ * @description Sincronización de estado entre pestañas del mismo navegador
+ *
+ * - Usa BroadcastChannel cuando existe
+ * - Fallback: evento `storage` escribiendo un mensaje efímero en localStorage
+ * - Los mensajes propios se ignoran por tabId (cada pestaña tiene uno)
+ *
+ * USO:
+ * publish(TAB_SYNC_EVENTS.CART_UPDATED, { cart });
+ * const unsubscribe = subscribe((event) => { ... });
+ */
+
+const CHANNEL_NAME = 'killavibes_sync';
+const STORAGE_KEY = 'killavibes_sync_message';
+
+/**
+ * Eventos sincronizados entre pestañas
+ */
+export const TAB_SYNC_EVENTS = {
+  CART_UPDATED: 'cart:updated',
+  WISHLIST_UPDATED: 'wishlist:updated',
+  COMPARE_UPDATED: 'compare:updated',
+  RECENTLY_VIEWED_UPDATED: 'recently_viewed:updated',
+  AUTH_LOGIN: 'auth:login',
+  AUTH_LOGOUT: 'auth:logout',
+  AUTH_TOKEN_REFRESHED: 'auth:token_refreshed',
+  AUTH_USER_UPDATED: 'auth:user_updated'
+};
+
+// ============================================================================
+// ESTADO DEL MÓDULO
+// ============================================================================
+
+const tabId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+const listeners = new Set();
+
+const hasWindow = typeof window !== 'undefined';
+const channel = hasWindow && typeof window.BroadcastChannel === 'function'
+  ? new window.BroadcastChannel(CHANNEL_NAME)
+  : null;
+
+/**
+ * Entrega el mensaje a los listeners registrados en esta pestaña
+ */
+const dispatch = (message) => {
+  if (!message?.type || message.tabId === tabId) return;
+
+  listeners.forEach(listener => {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error('[tabSync] Error en listener:', error);
+    }
+  });
+};
+
+if (channel) {
+  channel.onmessage = (event) => dispatch(event.data);
+} else if (hasWindow) {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    try {
+      dispatch(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('[tabSync] Mensaje inválido:', error);
+    }
+  });
+}
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Publica un evento para las demás pestañas
+ * @param {string} type - TAB_SYNC_EVENTS
+ * @param {Object} payload - Datos serializables
+ */
+export const publish = (type, payload = {}) => {
+  const message = { type, payload, tabId, timestamp: Date.now() };
+
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else if (hasWindow) {
+      // El evento storage solo se dispara en las otras pestañas
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('[tabSync] Error publicando evento:', error);
+  }
+};
+
+/**
+ * Escucha los eventos de las demás pestañas
+ * @param {Function} listener - Recibe { type, payload, tabId, timestamp }
+ * @returns {Function} unsubscribe
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  TAB_SYNC_EVENTS,
+  publish,
+  subscribe
+};
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { useFormik } from 'formik';
+import { toast } from 'react-toastify';
+import { Eye, EyeOff, KeyRound, CheckCircle, XCircle } from 'lucide-react';
+import { useAuthActions } from '../../auth/hooks/useAuthActions';
+import {
+  changePasswordSchema,
+  validatePasswordStrength,
+  getPasswordStrengthColor,
+  getPasswordStrengthLabel
+} from '../../auth/schemas/auth.schema';
+import { PASSWORD_RULES } from '../../auth/types/auth.types';
+
+/**
+ * Reglas visibles para el usuario según PASSWORD_RULES
+ * Las reglas REQUIRE_* desactivadas se muestran como recomendaciones
+ */
+const RULE_CHECKS = [
+  {
+    label: `Al menos ${PASSWORD_RULES.MIN_LENGTH} caracteres`,
+    required: true,
+    test: (value) => value.length >= PASSWORD_RULES.MIN_LENGTH
+  },
+  {
+    label: 'Una letra mayúscula',
+    required: PASSWORD_RULES.REQUIRE_UPPERCASE,
+    test: (value) => /[A-Z]/.test(value)
+  },
+  {
+    label: 'Una letra minúscula',
+    required: PASSWORD_RULES.REQUIRE_LOWERCASE,
+    test: (value) => /[a-z]/.test(value)
+  },
+  {
+    label: 'Un número',
+    required: PASSWORD_RULES.REQUIRE_NUMBER,
+    test: (value) => /\d/.test(value)
+  },
+  {
+    label: 'Un símbolo (@, !, #, etc.)',
+    required: PASSWORD_RULES.REQUIRE_SPECIAL,
+    test: (value) => /[^a-zA-Z\d]/.test(value)
+  }
+];
+
+/**
+ * @component ChangePasswordForm
+ * @description Formulario de cambio de contraseña
+ *
+ * - Validación: auth.schema -> changePasswordSchema (PASSWORD_RULES)
+ * - Indicador de fortaleza en tiempo real
+ */
+const ChangePasswordForm = () => {
+  const [showPasswords, setShowPasswords] = useState(false);
+
+  const { handleChangePassword, loading } = useAuthActions({
+    onSuccess: (result) => toast.success(result.message),
+    onError: (errorMsg) => toast.error(errorMsg)
+  });
+
+  const formik = useFormik({
+    initialValues: {
+      currentPassword: '',
+      newPassword: '',
+      confirmPassword: ''
+    },
+    validationSchema: changePasswordSchema,
+    onSubmit: async (values, { resetForm }) => {
+      const result = await handleChangePassword({
+        currentPassword: values.currentPassword,
+        newPassword: values.newPassword
+      });
+
+      if (result.success) {
+        resetForm();
+      }
+    }
+  });
+
+  const strength = validatePasswordStrength(formik.values.newPassword);
+  const inputType = showPasswords ? 'text' : 'password';
+
+  return (
+    <form onSubmit={formik.handleSubmit} className="space-y-4">
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => setShowPasswords(!showPasswords)}
+          className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+        >
+          {showPasswords ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+          {showPasswords ? 'Ocultar' : 'Mostrar'} contraseñas
+        </button>
+      </div>
+
+      <PasswordField formik={formik} name="currentPassword" label="Contraseña actual" type={inputType} autoComplete="current-password" disabled={loading} />
+      <PasswordField formik={formik} name="newPassword" label="Nueva contraseña" type={inputType} autoComplete="new-password" disabled={loading} />
+
+      {/* Fortaleza y reglas */}
+      {formik.values.newPassword && (
+        <div className="p-4 bg-gray-50 dark:bg-slate-700/50 rounded-lg space-y-3">
+          <div>
+            <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+              <span>Seguridad</span>
+              <span>{getPasswordStrengthLabel(strength.score)}</span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-slate-600 rounded-full h-1.5">
+              <div
+                className={`h-1.5 rounded-full transition-all duration-500 ${getPasswordStrengthColor(strength.score)}`}
+                style={{ width: `${strength.score}%` }}
+              ></div>
+            </div>
+          </div>
+
+          <ul className="space-y-1">
+            {RULE_CHECKS.map((rule) => {
+              const passed = rule.test(formik.values.newPassword);
+
+              return (
+                <li
+                  key={rule.label}
+                  className={`flex items-center gap-2 text-xs ${
+                    passed ? 'text-green-600' : rule.required ? 'text-red-600' : 'text-gray-500'
+                  }`}
+                >
+                  {passed ? <CheckCircle className="h-3.5 w-3.5" /> : <XCircle className="h-3.5 w-3.5" />}
+                  {rule.label}
+                  {!rule.required && <span className="text-gray-400">(recomendado)</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      <PasswordField formik={formik} name="confirmPassword" label="Confirmar nueva contraseña" type={inputType} autoComplete="new-password" disabled={loading} />
+
+      <div className="flex justify-end pt-2">
+        <button
+          type="submit"
+          disabled={loading}
+          className="flex items-center gap-2 px-6 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          <KeyRound className="h-4 w-4" />
+          {loading ? 'Actualizando...' : 'Cambiar contraseña'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function PasswordField({ formik, name, label, ...inputProps }) {
+  const hasError = formik.touched[name] && formik.errors[name];
+
+  return (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        {label}
+      </label>
+      <input
+        id={name}
+        {...formik.getFieldProps(name)}
+        {...inputProps}
+        placeholder="••••••••"
+        className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-slate-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 ${
+          hasError
+            ? 'border-red-500 focus:ring-red-500'
+            : 'border-gray-300 dark:border-gray-600 focus:ring-blue-500'
+        }`}
+      />
+      {hasError && (
+        <p className="mt-1 text-xs text-red-600">{formik.errors[name]}</p>
+      )}
+    </div>
+  );
+}
+
+export default ChangePasswordForm;
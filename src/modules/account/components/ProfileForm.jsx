@@ -0,0 +1,123 @@
+import React from 'react';
+import { useFormik } from 'formik';
+import { toast } from 'react-toastify';
+import { Save } from 'lucide-react';
+import { useAuthActions } from '../../auth/hooks/useAuthActions';
+import { updateProfileSchema } from '../../auth/schemas/auth.schema';
+import { getProfileFormValues, buildProfileUpdate } from '../utils/accountHelpers';
+
+/**
+ * @component ProfileForm
+ * @description Edición de datos personales (nombre, apellido, teléfono)
+ *
+ * - Validación: auth.schema -> updateProfileSchema
+ * - Solo envía los campos modificados a AuthProvider.updateProfile
+ *
+ * PROPS:
+ * @param {Object} user - Usuario autenticado
+ */
+const ProfileForm = ({ user }) => {
+  const { handleUpdateProfile, loading } = useAuthActions({
+    onSuccess: (result) => toast.success(result.message || 'Perfil actualizado'),
+    onError: (errorMsg) => toast.error(errorMsg)
+  });
+
+  const formik = useFormik({
+    initialValues: getProfileFormValues(user),
+    enableReinitialize: true,
+    validationSchema: updateProfileSchema,
+    onSubmit: async (values) => {
+      const update = buildProfileUpdate(values, user);
+
+      if (Object.keys(update).length === 0) {
+        toast.info('No hay cambios para guardar');
+        return;
+      }
+
+      await handleUpdateProfile(update);
+    }
+  });
+
+  return (
+    <form onSubmit={formik.handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FormField formik={formik} name="firstName" label="Nombre" placeholder="Juan" autoComplete="given-name" disabled={loading} />
+        <FormField formik={formik} name="lastName" label="Apellido" placeholder="Pérez" autoComplete="family-name" disabled={loading} />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Correo electrónico
+        </label>
+        <input
+          type="email"
+          value={user?.email || ''}
+          disabled
+          className="w-full px-3 py-2 border border-gray-200 dark:border-gray-700 rounded-lg bg-gray-50 dark:bg-slate-700 text-gray-500 cursor-not-allowed"
+        />
+        <p className="mt-1 text-xs text-gray-500">El correo no se puede modificar.</p>
+      </div>
+
+      <FormField
+        formik={formik}
+        name="phone"
+        type="tel"
+        label={<>Teléfono <span className="text-gray-400">(opcional)</span></>}
+        placeholder="+57 300 123 4567"
+        autoComplete="tel"
+        disabled={loading}
+      />
+
+      <div className="flex justify-end gap-3 pt-2">
+        <button
+          type="button"
+          onClick={() => formik.resetForm()}
+          disabled={loading || !formik.dirty}
+          className="px-4 py-2 border border-gray-300 text-gray-700 dark:text-gray-200 rounded-lg font-medium hover:bg-gray-50 dark:hover:bg-slate-700 disabled:opacity-50 transition-colors"
+        >
+          Descartar
+        </button>
+        <button
+          type="submit"
+          disabled={loading || !formik.dirty}
+          className="flex items-center gap-2 px-6 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          {loading ? 'Guardando...' : 'Guardar cambios'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function FormField({ formik, name, label, type = 'text', ...inputProps }) {
+  const hasError = formik.touched[name] && formik.errors[name];
+
+  return (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        {label}
+      </label>
+      <input
+        id={name}
+        type={type}
+        {...formik.getFieldProps(name)}
+        {...inputProps}
+        className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-slate-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 ${
+          hasError
+            ? 'border-red-500 focus:ring-red-500'
+            : 'border-gray-300 dark:border-gray-600 focus:ring-blue-500'
+        }`}
+      />
+      {hasError && (
+        <p className="mt-1 text-xs text-red-600">{formik.errors[name]}</p>
+      )}
+    </div>
+  );
+}
+
+export default ProfileForm;
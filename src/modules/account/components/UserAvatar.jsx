@@ -0,0 +1,31 @@
+import React from 'react';
+import { Avatar, AvatarImage, AvatarFallback } from '../../../shared/components/ui/avatar';
+import { cn } from '../../../shared/lib/utils';
+import { getUserInitials, getUserDisplayName } from '../utils/accountHelpers';
+
+/**
+ * @component UserAvatar
+ * @description Avatar del usuario (profile.avatar) con iniciales como fallback
+ *
+ * PROPS:
+ * @param {Object} user - Usuario autenticado
+ * @param {string} className - Clases adicionales (tamaño)
+ */
+const UserAvatar = ({ user, className = '' }) => {
+  return (
+    <Avatar className={cn('h-10 w-10', className)}>
+      {user?.profile?.avatar && (
+        <AvatarImage
+          src={user.profile.avatar}
+          alt={getUserDisplayName(user)}
+          className="object-cover"
+        />
+      )}
+      <AvatarFallback className="bg-gradient-to-br from-blue-600 to-purple-600 text-white font-bold">
+        {getUserInitials(user)}
+      </AvatarFallback>
+    </Avatar>
+  );
+};
+
+export default UserAvatar;
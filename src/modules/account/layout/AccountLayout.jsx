@@ -0,0 +1,119 @@
+// src/modules/account/layout/AccountLayout.jsx
+
+import { Link, useLocation, Outlet } from 'react-router-dom';
+import { LogOut } from 'lucide-react';
+import { useAuth } from '../../../core/hooks/useAuth';
+import { useAuthActions } from '../../auth/hooks/useAuthActions';
+import UserAvatar from '../components/UserAvatar';
+import { getUserDisplayName } from '../utils/accountHelpers';
+
+/**
+ * @component AccountLayout
+ * @description Layout de la sección /mi-cuenta con navegación lateral
+ *
+ * Se renderiza dentro del Layout público y detrás de PrivateRoute
+ */
+export default function AccountLayout() {
+  const { user } = useAuth();
+  const { handleLogout, loading } = useAuthActions();
+  const location = useLocation();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+      <div className="container mx-auto px-4 py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+
+          {/* ================================================================ */}
+          {/* SIDEBAR */}
+          {/* ================================================================ */}
+
+          <aside className="lg:col-span-1">
+            <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 lg:sticky lg:top-24">
+              <div className="flex items-center gap-3 pb-6 mb-4 border-b border-gray-200 dark:border-gray-700">
+                <UserAvatar user={user} className="h-12 w-12" />
+                <div className="min-w-0">
+                  <p className="font-bold text-gray-900 dark:text-white truncate">
+                    {getUserDisplayName(user)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {user?.email}
+                  </p>
+                </div>
+              </div>
+
+              <nav className="space-y-1">
+                <NavItem
+                  to="/mi-cuenta"
+                  icon="👤"
+                  label="Mi perfil"
+                  active={location.pathname === '/mi-cuenta'}
+                />
+                <NavItem
+                  to="/mi-cuenta/pedidos"
+                  icon="📦"
+                  label="Mis pedidos"
+                  active={location.pathname.startsWith('/mi-cuenta/pedidos')}
+                />
+                <NavItem
+                  to="/mi-cuenta/direcciones"
+                  icon="📍"
+                  label="Direcciones"
+                  active={location.pathname.startsWith('/mi-cuenta/direcciones')}
+                />
+                <NavItem
+                  to="/mi-cuenta/avisos"
+                  icon="🔔"
+                  label="Avisos"
+                  active={location.pathname.startsWith('/mi-cuenta/avisos')}
+                />
+                <NavItem
+                  to="/mi-cuenta/seguridad"
+                  icon="🔒"
+                  label="Seguridad"
+                  active={location.pathname.startsWith('/mi-cuenta/seguridad')}
+                />
+              </nav>
+
+              <button
+                onClick={() => handleLogout()}
+                disabled={loading}
+                className="mt-4 w-full flex items-center gap-3 px-4 py-3 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition disabled:opacity-50"
+              >
+                <LogOut className="h-5 w-5" />
+                <span>Cerrar sesión</span>
+              </button>
+            </div>
+          </aside>
+
+          {/* ================================================================ */}
+          {/* CONTENIDO */}
+          {/* ================================================================ */}
+
+          <main className="lg:col-span-3">
+            <Outlet />
+          </main>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// NAV ITEM COMPONENT
+// ==============================================================================
+
+function NavItem({ to, icon, label, active }) {
+  return (
+    <Link
+      to={to}
+      className={`flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+        active
+          ? 'bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-400 font-medium'
+          : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+      }`}
+    >
+      <span className="text-xl">{icon}</span>
+      <span>{label}</span>
+    </Link>
+  );
+}
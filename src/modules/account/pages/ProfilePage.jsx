@@ -0,0 +1,56 @@
+// src/modules/account/pages/ProfilePage.jsx
+import { useEffect } from 'react';
+import { useAuth } from '../../../core/hooks/useAuth';
+import { getRoleLabel } from '../../auth/types/auth.types';
+import UserAvatar from '../components/UserAvatar';
+import ProfileForm from '../components/ProfileForm';
+import { getUserDisplayName } from '../utils/accountHelpers';
+
+/**
+ * @component ProfilePage
+ * @description Perfil del cliente (/mi-cuenta)
+ *
+ * Refresca el perfil desde el backend al entrar (AuthProvider.refreshUserProfile)
+ */
+export default function ProfilePage() {
+  const { user, refreshUserProfile } = useAuth();
+
+  // refreshUserProfile solo cambia con el token
+  useEffect(() => {
+    refreshUserProfile();
+  }, [refreshUserProfile]);
+
+  return (
+    <div className="space-y-6">
+
+      {/* Cabecera */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 flex items-center gap-6 flex-wrap">
+        <UserAvatar user={user} className="h-20 w-20 text-2xl" />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            {getUserDisplayName(user)}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">{user?.email}</p>
+          <div className="flex items-center gap-2 mt-2 text-xs">
+            <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-full font-semibold">
+              {getRoleLabel(user?.role)}
+            </span>
+            {user?.createdAt && (
+              <span className="text-gray-500">
+                Miembro desde {new Date(user.createdAt).toLocaleDateString('es-CO', { year: 'numeric', month: 'long' })}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Datos personales */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white mb-4">
+          Datos personales
+        </h2>
+        <ProfileForm user={user} />
+      </div>
+    </div>
+  );
+}
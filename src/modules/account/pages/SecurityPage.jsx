@@ -0,0 +1,20 @@
+// src/modules/account/pages/SecurityPage.jsx
+import ChangePasswordForm from '../components/ChangePasswordForm';
+
+/**
+ * @component SecurityPage
+ * @description Seguridad de la cuenta (/mi-cuenta/seguridad)
+ */
+export default function SecurityPage() {
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <h1 className="text-lg font-bold text-gray-900 dark:text-white mb-1">
+        Cambiar contraseña
+      </h1>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Por seguridad, necesitas tu contraseña actual para definir una nueva.
+      </p>
+      <ChangePasswordForm />
+    </div>
+  );
+}
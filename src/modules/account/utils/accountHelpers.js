@@ -0,0 +1,75 @@
+// src/modules/account/utils/accountHelpers.js
+
+// ============================================================================
+// DATOS DEL USUARIO
+// ============================================================================
+
+/**
+ * Nombre para mostrar (fullName virtual, profile o email)
+ * @param {Object} user - Usuario
+ * @returns {string} Nombre
+ */
+export const getUserDisplayName = (user) => {
+  if (!user) return '';
+
+  const { firstName = '', lastName = '' } = user.profile || {};
+  const name = user.fullName || `${firstName} ${lastName}`.trim();
+
+  return name || user.email || '';
+};
+
+/**
+ * Iniciales del usuario para el avatar
+ * @param {Object} user - Usuario
+ * @returns {string} Iniciales (máx. 2)
+ */
+export const getUserInitials = (user) => {
+  const { firstName = '', lastName = '' } = user?.profile || {};
+  const initials = `${firstName.charAt(0)}${lastName.charAt(0)}`.toUpperCase();
+
+  return initials || user?.email?.charAt(0).toUpperCase() || '?';
+};
+
+// ============================================================================
+// PERFIL
+// ============================================================================
+
+/**
+ * Valores iniciales del formulario de perfil
+ * @param {Object} user - Usuario
+ * @returns {Object} { firstName, lastName, phone }
+ */
+export const getProfileFormValues = (user) => ({
+  firstName: user?.profile?.firstName || '',
+  lastName: user?.profile?.lastName || '',
+  phone: user?.profile?.phone || ''
+});
+
+/**
+ * Construye el payload de updateProfile solo con los campos modificados
+ * Un teléfono vacío se envía como null para removerlo
+ *
+ * @param {Object} values - Valores del formulario
+ * @param {Object} user - Usuario actual
+ * @returns {Object} Campos modificados
+ */
+export const buildProfileUpdate = (values, user) => {
+  const current = getProfileFormValues(user);
+  const update = {};
+
+  Object.keys(current).forEach((field) => {
+    const value = (values[field] || '').trim();
+    if (value !== current[field]) {
+      update[field] = field === 'phone' && !value ? null : value;
+    }
+  });
+
+  return update;
+};
+
+export default {
+  getUserDisplayName,
+  getUserInitials,
+  getProfileFormValues,
+  buildProfileUpdate
+};
@@ -0,0 +1,105 @@
+// src/modules/addresses/api/addresses.api.js
+
+import axiosInstance from '../../../core/api/axiosInstance';
+
+/**
+ * @module addressesAPI
+ * @description API calls para la libreta de direcciones del cliente
+ *
+ * BASE_URL: /api/users/addresses
+ * AUTH: Todas las rutas requieren authMiddleware (JWT)
+ *
+ * IMPORTANTE: Todas las funciones retornan el formato exacto del backend:
+ * - { success, message?, data?, errors? }
+ * - data siempre es la lista completa de direcciones actualizada
+ */
+
+export const addressesAPI = {
+  /**
+   * @function getAddresses
+   * @description Obtener las direcciones guardadas del usuario
+   *
+   * @route GET /api/users/addresses
+   * @access Private
+   *
+   * @returns {Promise<Object>} { success, data: Address[] }
+   */
+  getAddresses: async () => {
+    return await axiosInstance.get('/users/addresses');
+  },
+
+  /**
+   * @function createAddress
+   * @description Guardar una nueva dirección
+   *
+   * @route POST /api/users/addresses
+   * @access Private
+   *
+   * @param {Object} addressData - { label, firstName, ..., country, isDefault }
+   *
+   * @returns {Promise<Object>} { success, message, data: Address[] }
+   * @throws {Object} { success: false, message, statusCode: 400 | 409 }
+   *
+   * @example
+   * const response = await addressesAPI.createAddress({
+   *   label: 'Casa',
+   *   firstName: 'Juan',
+   *   ...
+   *   isDefault: true
+   * });
+   */
+  createAddress: async (addressData) => {
+    return await axiosInstance.post('/users/addresses', addressData);
+  },
+
+  /**
+   * @function updateAddress
+   * @description Actualizar una dirección guardada
+   *
+   * @route PUT /api/users/addresses/:id
+   * @access Private
+   *
+   * @param {string} addressId - ID de la dirección
+   * @param {Object} addressData - Campos de la dirección
+   *
+   * @returns {Promise<Object>} { success, message, data: Address[] }
+   * @throws {Object} { success: false, message, statusCode: 400 | 404 }
+   */
+  updateAddress: async (addressId, addressData) => {
+    return await axiosInstance.put(`/users/addresses/${addressId}`, addressData);
+  },
+
+  /**
+   * @function deleteAddress
+   * @description Eliminar una dirección guardada
+   *
+   * @route DELETE /api/users/addresses/:id
+   * @access Private
+   *
+   * @param {string} addressId - ID de la dirección
+   *
+   * @returns {Promise<Object>} { success, message, data: Address[] }
+   * @throws {Object} { success: false, message, statusCode: 404 }
+   */
+  deleteAddress: async (addressId) => {
+    return await axiosInstance.delete(`/users/addresses/${addressId}`);
+  },
+
+  /**
+   * @function setDefaultAddress
+   * @description Marcar una dirección como predeterminada
+   *
+   * @route PATCH /api/users/addresses/:id/default
+   * @access Private
+   *
+   * @param {string} addressId - ID de la dirección
+   *
+   * @returns {Promise<Object>} { success, message, data: Address[] }
+   * @throws {Object} { success: false, message, statusCode: 404 }
+   */
+  setDefaultAddress: async (addressId) => {
+    return await axiosInstance.patch(`/users/addresses/${addressId}/default`);
+  },
+};
+
+export default addressesAPI;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { MapPin, Pencil, Trash2, Star } from 'lucide-react';
+
+/**
+ * @component AddressCard
+ * @description Tarjeta de una dirección guardada con sus acciones
+ *
+ * PROPS:
+ * @param {Object} address - Dirección guardada
+ * @param {Function} onEdit - Callback al editar
+ * @param {Function} onDelete - Callback al eliminar
+ * @param {Function} onSetDefault - Callback al marcar como predeterminada
+ * @param {boolean} loading - Estado de carga
+ */
+const AddressCard = ({ address, onEdit, onDelete, onSetDefault, loading = false }) => {
+  return (
+    <div className={`p-5 rounded-xl border-2 transition-colors ${
+      address.isDefault
+        ? 'border-blue-600 bg-blue-50/50 dark:bg-blue-900/10'
+        : 'border-gray-200 dark:border-gray-700'
+    }`}>
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <MapPin className="h-4 w-4 text-blue-600" />
+          <p className="font-bold text-gray-900 dark:text-white">{address.label}</p>
+        </div>
+        {address.isDefault && (
+          <span className="px-2 py-0.5 bg-blue-600 text-white text-xs font-semibold rounded">
+            Predeterminada
+          </span>
+        )}
+      </div>
+
+      <div className="text-sm text-gray-600 dark:text-gray-400 space-y-0.5">
+        <p className="font-medium text-gray-900 dark:text-white">
+          {address.firstName} {address.lastName}
+        </p>
+        <p>{address.street}</p>
+        <p>{address.city}, {address.state} {address.zipCode}</p>
+        <p>{address.country}</p>
+        <p className="pt-1">{address.phone}</p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-4 pt-3 border-t border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => onEdit(address)}
+          disabled={loading}
+          className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+        >
+          <Pencil className="h-3.5 w-3.5" />
+          Editar
+        </button>
+        {!address.isDefault && (
+          <button
+            onClick={() => onSetDefault(address._id)}
+            disabled={loading}
+            className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 dark:text-gray-300 font-medium disabled:opacity-50"
+          >
+            <Star className="h-3.5 w-3.5" />
+            Predeterminar
+          </button>
+        )}
+        <button
+          onClick={() => onDelete(address)}
+          disabled={loading}
+          className="flex items-center gap-1 text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50 ml-auto"
+        >
+          <Trash2 className="h-3.5 w-3.5" />
+          Eliminar
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AddressCard;
@@ -0,0 +1,140 @@
+import React from 'react';
+import { useFormik } from 'formik';
+import { Save } from 'lucide-react';
+import { savedAddressSchema } from '../schemas/address.schema';
+import { ADDRESS_LABEL_SUGGESTIONS } from '../types/address.types';
+import { getAddressFormValues } from '../utils/addressHelpers';
+
+/**
+ * @component AddressForm
+ * @description Crear / editar una dirección de la libreta
+ *
+ * - Validación: address.schema -> savedAddressSchema
+ * - El submit lo maneja el padre (useAddressBook)
+ *
+ * PROPS:
+ * @param {Object} address - Dirección a editar (null para crear)
+ * @param {Function} onSubmit - Callback con los valores; retorna truthy si se guardó
+ * @param {Function} onCancel - Callback al cancelar
+ * @param {boolean} loading - Estado de carga
+ */
+const AddressForm = ({ address = null, onSubmit, onCancel, loading = false }) => {
+  const formik = useFormik({
+    initialValues: getAddressFormValues(address),
+    enableReinitialize: true,
+    validationSchema: savedAddressSchema,
+    onSubmit: async (values) => {
+      await onSubmit(values);
+    }
+  });
+
+  return (
+    <form onSubmit={formik.handleSubmit} className="space-y-4">
+      {/* Nombre de la dirección */}
+      <div>
+        <FormField formik={formik} name="label" label="Nombre de la dirección *" placeholder="Casa" disabled={loading} />
+        <div className="flex flex-wrap gap-2 mt-2">
+          {ADDRESS_LABEL_SUGGESTIONS.map((suggestion) => (
+            <button
+              key={suggestion}
+              type="button"
+              onClick={() => formik.setFieldValue('label', suggestion)}
+              disabled={loading}
+              className={`px-3 py-1 text-xs rounded-full border transition-colors ${
+                formik.values.label === suggestion
+                  ? 'border-blue-600 bg-blue-50 text-blue-700'
+                  : 'border-gray-300 text-gray-600 hover:border-gray-400'
+              }`}
+            >
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FormField formik={formik} name="firstName" label="Nombre *" placeholder="Juan" autoComplete="given-name" disabled={loading} />
+        <FormField formik={formik} name="lastName" label="Apellido *" placeholder="Pérez" autoComplete="family-name" disabled={loading} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FormField formik={formik} name="email" type="email" label="Email *" placeholder="juan@ejemplo.com" autoComplete="email" disabled={loading} />
+        <FormField formik={formik} name="phone" type="tel" label="Teléfono *" placeholder="+57 300 1234567" autoComplete="tel" disabled={loading} />
+      </div>
+
+      <FormField formik={formik} name="street" label="Dirección *" placeholder="Calle 123 #45-67" autoComplete="street-address" disabled={loading} />
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <FormField formik={formik} name="city" label="Ciudad *" placeholder="Barranquilla" autoComplete="address-level2" disabled={loading} />
+        <FormField formik={formik} name="state" label="Departamento *" placeholder="Atlántico" autoComplete="address-level1" disabled={loading} />
+        <FormField formik={formik} name="zipCode" label="Código Postal *" placeholder="080001" autoComplete="postal-code" disabled={loading} />
+      </div>
+
+      <FormField formik={formik} name="country" label="País *" placeholder="Colombia" autoComplete="country-name" disabled={loading} />
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={formik.values.isDefault}
+          onChange={(e) => formik.setFieldValue('isDefault', e.target.checked)}
+          disabled={loading}
+          className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+        Usar como dirección predeterminada
+      </label>
+
+      <div className="flex justify-end gap-3 pt-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={loading}
+            className="px-4 py-2 border border-gray-300 text-gray-700 dark:text-gray-200 rounded-lg font-medium hover:bg-gray-50 dark:hover:bg-slate-700 disabled:opacity-50 transition-colors"
+          >
+            Cancelar
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={loading}
+          className="flex items-center gap-2 px-6 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          {loading ? 'Guardando...' : 'Guardar dirección'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function FormField({ formik, name, label, type = 'text', ...inputProps }) {
+  const hasError = formik.touched[name] && formik.errors[name];
+
+  return (
+    <div>
+      <label htmlFor={`address-${name}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        {label}
+      </label>
+      <input
+        id={`address-${name}`}
+        type={type}
+        {...formik.getFieldProps(name)}
+        {...inputProps}
+        className={`w-full px-3 py-2 border rounded-lg bg-white dark:bg-slate-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 ${
+          hasError
+            ? 'border-red-500 focus:ring-red-500'
+            : 'border-gray-300 dark:border-gray-600 focus:ring-blue-500'
+        }`}
+      />
+      {hasError && (
+        <p className="mt-1 text-xs text-red-600">{formik.errors[name]}</p>
+      )}
+    </div>
+  );
+}
+
+export default AddressForm;
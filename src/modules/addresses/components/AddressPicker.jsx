@@ -0,0 +1,53 @@
+import React from 'react';
+import { formatAddressLine } from '../utils/addressHelpers';
+
+/**
+ * @component AddressPicker
+ * @description Selector de direcciones guardadas (usado en ShippingForm)
+ *
+ * PROPS:
+ * @param {Array} addresses - Direcciones guardadas
+ * @param {string} selectedId - ID de la dirección seleccionada
+ * @param {Function} onSelect - Callback con la dirección elegida
+ * @param {boolean} loading - Estado de carga
+ */
+const AddressPicker = ({ addresses = [], selectedId = null, onSelect, loading = false }) => {
+  if (!addresses.length) return null;
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium text-gray-700">Mis direcciones</p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {addresses.map((address) => {
+          const isSelected = selectedId === address._id;
+
+          return (
+            <button
+              key={address._id}
+              type="button"
+              onClick={() => onSelect(address)}
+              disabled={loading}
+              className={`text-left p-3 border-2 rounded-lg transition-all ${
+                isSelected
+                  ? 'border-blue-600 bg-blue-50'
+                  : 'border-gray-200 hover:border-gray-300'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-gray-900">{address.label}</span>
+                {address.isDefault && (
+                  <span className="text-xs text-blue-600 font-semibold">Predeterminada</span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 truncate mt-0.5">
+                {formatAddressLine(address)}
+              </p>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AddressPicker;
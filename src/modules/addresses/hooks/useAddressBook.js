@@ -0,0 +1,198 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../../core/hooks/useAuth';
+import { formatValidationErrors } from '../../cart/schemas/cart.schema';
+import { addressesAPI } from '../api/addresses.api';
+import { validateSavedAddress } from '../schemas/address.schema';
+import {
+  ADDRESS_LIMITS,
+  ADDRESS_ERROR_MESSAGES,
+  ADDRESS_SUCCESS_MESSAGES
+} from '../types/address.types';
+import { getDefaultAddress } from '../utils/addressHelpers';
+
+/**
+ * @hook useAddressBook
+ * @description Libreta de direcciones del usuario autenticado
+ *
+ * CARACTERÍSTICAS:
+ * - Carga las direcciones al montar (solo autenticado)
+ * - Validación con address.schema (basado en cart.schema)
+ * - El backend devuelve la lista completa tras cada cambio
+ * - Las acciones retornan null si fallan (no lanzan)
+ *
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} Estado y acciones de la libreta
+ *
+ * @example
+ * const { addresses, defaultAddress, createAddress } = useAddressBook(toast.success, toast.error);
+ */
+export const useAddressBook = (onSuccess, onError) => {
+  const { isAuthenticated } = useAuth();
+
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(isAuthenticated);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // ============================================================================
+  // FETCH
+  // ============================================================================
+
+  const fetchAddresses = useCallback(async () => {
+    if (!isAuthenticated) {
+      setAddresses([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await addressesAPI.getAddresses();
+      setAddresses(response.success ? response.data || [] : []);
+    } catch (err) {
+      console.error('[useAddressBook] Error fetching addresses:', err);
+      setError(err.message || ADDRESS_ERROR_MESSAGES.FETCH_FAILED);
+      setAddresses([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, [fetchAddresses]);
+
+  // ============================================================================
+  // HELPER: EJECUTAR ACCIÓN
+  // ============================================================================
+
+  /**
+   * Ejecuta una mutación y reemplaza la lista con la respuesta del backend
+   */
+  const executeAction = useCallback(async (apiCall, successMessage, fallbackError) => {
+    if (!isAuthenticated) {
+      setError(ADDRESS_ERROR_MESSAGES.NOT_AUTHENTICATED);
+      if (onError) onError(ADDRESS_ERROR_MESSAGES.NOT_AUTHENTICATED);
+      return null;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await apiCall();
+
+      if (!response?.success) {
+        throw new Error(response?.message || fallbackError);
+      }
+
+      setAddresses(response.data || []);
+      if (onSuccess) onSuccess(response.message || successMessage);
+      return response.data || [];
+    } catch (err) {
+      const errorMessage = err.name === 'ValidationError'
+        ? Object.values(formatValidationErrors(err))[0]
+        : err.message || fallbackError;
+
+      setError(errorMessage);
+      if (onError) onError(errorMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [isAuthenticated, onSuccess, onError]);
+
+  // ============================================================================
+  // ACCIONES
+  // ============================================================================
+
+  /**
+   * Guardar nueva dirección
+   * La primera dirección siempre queda como predeterminada
+   */
+  const createAddress = useCallback((addressData) => {
+    if (addresses.length >= ADDRESS_LIMITS.MAX_ADDRESSES) {
+      setError(ADDRESS_ERROR_MESSAGES.LIMIT_REACHED);
+      if (onError) onError(ADDRESS_ERROR_MESSAGES.LIMIT_REACHED);
+      return Promise.resolve(null);
+    }
+
+    return executeAction(
+      async () => {
+        const validated = await validateSavedAddress({
+          ...addressData,
+          isDefault: addresses.length === 0 || !!addressData.isDefault
+        });
+        return addressesAPI.createAddress(validated);
+      },
+      ADDRESS_SUCCESS_MESSAGES.CREATED,
+      ADDRESS_ERROR_MESSAGES.SAVE_FAILED
+    );
+  }, [addresses.length, executeAction, onError]);
+
+  /**
+   * Actualizar dirección existente
+   */
+  const updateAddress = useCallback((addressId, addressData) => {
+    return executeAction(
+      async () => {
+        const validated = await validateSavedAddress(addressData);
+        return addressesAPI.updateAddress(addressId, validated);
+      },
+      ADDRESS_SUCCESS_MESSAGES.UPDATED,
+      ADDRESS_ERROR_MESSAGES.SAVE_FAILED
+    );
+  }, [executeAction]);
+
+  /**
+   * Eliminar dirección
+   */
+  const deleteAddress = useCallback((addressId) => {
+    return executeAction(
+      () => addressesAPI.deleteAddress(addressId),
+      ADDRESS_SUCCESS_MESSAGES.DELETED,
+      ADDRESS_ERROR_MESSAGES.DELETE_FAILED
+    );
+  }, [executeAction]);
+
+  /**
+   * Marcar dirección como predeterminada
+   */
+  const setDefaultAddress = useCallback((addressId) => {
+    return executeAction(
+      () => addressesAPI.setDefaultAddress(addressId),
+      ADDRESS_SUCCESS_MESSAGES.DEFAULT_SET,
+      ADDRESS_ERROR_MESSAGES.SAVE_FAILED
+    );
+  }, [executeAction]);
+
+  // ============================================================================
+  // RETURN
+  // ============================================================================
+
+  return {
+    // Estado
+    addresses,
+    defaultAddress: getDefaultAddress(addresses),
+    loading,
+    saving,
+    error,
+    canAddMore: addresses.length < ADDRESS_LIMITS.MAX_ADDRESSES,
+
+    // Acciones
+    fetchAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    setDefaultAddress,
+
+    // Helpers
+    clearError: () => setError(null)
+  };
+};
+
+export default useAddressBook;
@@ -0,0 +1,123 @@
+// src/modules/addresses/pages/AddressesPage.jsx
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Plus } from 'lucide-react';
+import { useAddressBook } from '../hooks/useAddressBook';
+import AddressCard from '../components/AddressCard';
+import AddressForm from '../components/AddressForm';
+import { ADDRESS_LIMITS } from '../types/address.types';
+
+/**
+ * @component AddressesPage
+ * @description Libreta de direcciones del cliente (/mi-cuenta/direcciones)
+ *
+ * La dirección predeterminada se precarga en el checkout (ShippingForm)
+ */
+export default function AddressesPage() {
+  const {
+    addresses,
+    loading,
+    saving,
+    error,
+    canAddMore,
+    fetchAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    setDefaultAddress
+  } = useAddressBook(toast.success, toast.error);
+
+  // null = cerrado, 'new' = crear, objeto = editar
+  const [editing, setEditing] = useState(null);
+
+  const handleSubmit = async (values) => {
+    const result = editing === 'new'
+      ? await createAddress(values)
+      : await updateAddress(editing._id, values);
+
+    if (result) setEditing(null);
+  };
+
+  const handleDelete = async (address) => {
+    if (!window.confirm(`¿Eliminar la dirección "${address.label}"?`)) return;
+    await deleteAddress(address._id);
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between gap-4 mb-6 flex-wrap">
+        <div>
+          <h1 className="text-lg font-bold text-gray-900 dark:text-white mb-1">
+            Mis direcciones
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Guarda hasta {ADDRESS_LIMITS.MAX_ADDRESSES} direcciones. La predeterminada se usará en el checkout.
+          </p>
+        </div>
+        {!editing && canAddMore && !loading && (
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="h-4 w-4" />
+            Nueva dirección
+          </button>
+        )}
+      </div>
+
+      {/* Formulario */}
+      {editing && (
+        <div className="mb-6 p-5 rounded-xl bg-gray-50 dark:bg-slate-900/40 border border-gray-200 dark:border-gray-700">
+          <h2 className="font-bold text-gray-900 dark:text-white mb-4">
+            {editing === 'new' ? 'Nueva dirección' : `Editar "${editing.label}"`}
+          </h2>
+          <AddressForm
+            address={editing === 'new' ? null : editing}
+            onSubmit={handleSubmit}
+            onCancel={() => setEditing(null)}
+            loading={saving}
+          />
+        </div>
+      )}
+
+      {/* Estados */}
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error && addresses.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button
+            onClick={fetchAddresses}
+            className="px-4 py-2 border border-gray-300 text-gray-700 dark:text-gray-200 rounded-lg font-medium hover:bg-gray-50 dark:hover:bg-slate-700 transition-colors"
+          >
+            Reintentar
+          </button>
+        </div>
+      ) : addresses.length === 0 ? (
+        !editing && (
+          <div className="text-center py-12">
+            <div className="text-5xl mb-3">📍</div>
+            <p className="text-gray-600 dark:text-gray-400">
+              Aún no tienes direcciones guardadas.
+            </p>
+          </div>
+        )
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {addresses.map((address) => (
+            <AddressCard
+              key={address._id}
+              address={address}
+              onEdit={setEditing}
+              onDelete={handleDelete}
+              onSetDefault={setDefaultAddress}
+              loading={saving}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import * as Yup from 'yup';
+import { updateShippingAddressSchema } from '../../cart/schemas/cart.schema';
+import { ADDRESS_LIMITS } from '../types/address.types';
+
+/**
+ * @module address.schema
+ * @description Validaciones de la libreta de direcciones
+ *
+ * Reutiliza updateShippingAddressSchema de cart.schema para que una
+ * dirección guardada siempre sea válida como dirección de envío
+ */
+
+/**
+ * SCHEMA: Dirección guardada
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const savedAddressSchema = updateShippingAddressSchema.shape({
+  label: Yup.string()
+    .trim()
+    .required('El nombre de la dirección es requerido')
+    .min(ADDRESS_LIMITS.LABEL_MIN_LENGTH, `El nombre debe tener al menos ${ADDRESS_LIMITS.LABEL_MIN_LENGTH} caracteres`)
+    .max(ADDRESS_LIMITS.LABEL_MAX_LENGTH, `El nombre no puede exceder ${ADDRESS_LIMITS.LABEL_MAX_LENGTH} caracteres`)
+});
+
+/**
+ * Valida una dirección guardada
+ * @param {Object} data - Datos a validar
+ * @returns {Promise<Object>} Datos validados
+ * @throws {Yup.ValidationError} Si validación falla
+ */
+export const validateSavedAddress = async (data) => {
+  return await savedAddressSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+export default {
+  savedAddressSchema,
+  validateSavedAddress
+};
@@ -0,0 +1,69 @@
+// src/modules/addresses/types/address.types.js
+
+/**
+ * @module address.types
+ * @description Constantes de la libreta de direcciones del cliente
+ *
+ * Cada dirección guardada tiene la misma forma que la dirección de envío
+ * del carrito (cart.schema -> updateShippingAddressSchema) más un label
+ */
+
+/**
+ * Límites de la libreta
+ */
+export const ADDRESS_LIMITS = {
+  MAX_ADDRESSES: 10,
+  LABEL_MIN_LENGTH: 2,
+  LABEL_MAX_LENGTH: 30
+};
+
+/**
+ * Labels sugeridos al guardar una dirección
+ */
+export const ADDRESS_LABEL_SUGGESTIONS = ['Casa', 'Oficina', 'Apartamento', 'Otro'];
+
+/**
+ * Dirección vacía (mismos campos que ShippingForm)
+ */
+export const EMPTY_ADDRESS = {
+  label: '',
+  firstName: '',
+  lastName: '',
+  email: '',
+  phone: '',
+  street: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'Colombia',
+  isDefault: false
+};
+
+/**
+ * Mensajes de error
+ */
+export const ADDRESS_ERROR_MESSAGES = {
+  FETCH_FAILED: 'Error al cargar tus direcciones',
+  SAVE_FAILED: 'Error al guardar la dirección',
+  DELETE_FAILED: 'Error al eliminar la dirección',
+  LIMIT_REACHED: `Solo puedes guardar hasta ${ADDRESS_LIMITS.MAX_ADDRESSES} direcciones`,
+  NOT_AUTHENTICATED: 'Debes iniciar sesión para guardar direcciones'
+};
+
+/**
+ * Mensajes de éxito
+ */
+export const ADDRESS_SUCCESS_MESSAGES = {
+  CREATED: 'Dirección guardada',
+  UPDATED: 'Dirección actualizada',
+  DELETED: 'Dirección eliminada',
+  DEFAULT_SET: 'Dirección predeterminada actualizada'
+};
+
+export default {
+  ADDRESS_LIMITS,
+  ADDRESS_LABEL_SUGGESTIONS,
+  EMPTY_ADDRESS,
+  ADDRESS_ERROR_MESSAGES,
+  ADDRESS_SUCCESS_MESSAGES
+};
@@ -0,0 +1,76 @@
+// src/modules/addresses/utils/addressHelpers.js
+
+import { EMPTY_ADDRESS } from '../types/address.types';
+
+/**
+ * Dirección predeterminada (isDefault o la primera guardada)
+ * @param {Array} addresses - Direcciones guardadas
+ * @returns {Object|null} Dirección
+ */
+export const getDefaultAddress = (addresses = []) => {
+  if (!addresses.length) return null;
+  return addresses.find(address => address.isDefault) || addresses[0];
+};
+
+/**
+ * Convierte una dirección guardada en dirección de envío del carrito
+ * (sin _id ni label, que no forman parte de updateShippingAddressSchema)
+ *
+ * @param {Object} address - Dirección guardada
+ * @returns {Object} Dirección de envío
+ */
+export const toShippingAddress = (address) => {
+  if (!address) return null;
+
+  return Object.keys(EMPTY_ADDRESS)
+    .filter(field => field !== 'label')
+    .reduce((shippingAddress, field) => {
+      shippingAddress[field] = address[field] ?? EMPTY_ADDRESS[field];
+      return shippingAddress;
+    }, {});
+};
+
+/**
+ * Valores de formulario a partir de una dirección (o vacía)
+ * @param {Object} address - Dirección
+ * @returns {Object} Valores
+ */
+export const getAddressFormValues = (address) => {
+  return Object.keys(EMPTY_ADDRESS).reduce((values, field) => {
+    values[field] = address?.[field] ?? EMPTY_ADDRESS[field];
+    return values;
+  }, {});
+};
+
+/**
+ * Compara dos direcciones por sus campos de envío
+ * @param {Object} a - Dirección A
+ * @param {Object} b - Dirección B
+ * @returns {boolean}
+ */
+export const isSameAddress = (a, b) => {
+  if (!a || !b) return false;
+
+  const fields = ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country'];
+  return fields.every(field =>
+    (a[field] || '').trim().toLowerCase() === (b[field] || '').trim().toLowerCase()
+  );
+};
+
+/**
+ * Resumen de una línea para pickers
+ * @param {Object} address - Dirección
+ * @returns {string} "Calle 123, Barranquilla"
+ */
+export const formatAddressLine = (address) => {
+  if (!address) return '';
+  return [address.street, address.city, address.state].filter(Boolean).join(', ');
+};
+
+export default {
+  getDefaultAddress,
+  toShippingAddress,
+  getAddressFormValues,
+  isSameAddress,
+  formatAddressLine
+};
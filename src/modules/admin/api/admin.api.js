@@ -152,6 +152,120 @@ const adminAPI = {
     return await axiosInstance.put(`/admin/orders/${orderId}/status`, payload);
   },
 
+  // ============================================================================
+  // COUPONS MANAGEMENT
+  // ============================================================================
+
+  getCoupons: async (params = {}) => {
+    const cleanParams = cleanObject(params);
+    return await axiosInstance.get('/admin/coupons', {
+      params: cleanParams
+    });
+  },
+
+  getCouponById: async (couponId) => {
+    return await axiosInstance.get(`/admin/coupons/${couponId}`);
+  },
+
+  createCoupon: async (couponData) => {
+    return await axiosInstance.post('/admin/coupons', couponData);
+  },
+
+  updateCoupon: async (couponId, updateData) => {
+    return await axiosInstance.put(`/admin/coupons/${couponId}`, updateData);
+  },
+
+  deleteCoupon: async (couponId) => {
+    return await axiosInstance.delete(`/admin/coupons/${couponId}`);
+  },
+
+  /**
+   * Reporte de canjes de un cupón
+   * Respuesta: { coupon, summary: { redemptions, uniqueUsers, totalDiscount, revenue }, redemptions, pagination }
+   */
+  getCouponRedemptions: async (couponId, params = {}) => {
+    const cleanParams = cleanObject(params);
+    return await axiosInstance.get(`/admin/coupons/${couponId}/redemptions`, {
+      params: cleanParams
+    });
+  },
+
+  // ============================================================================
+  // PROMOTIONS MANAGEMENT
+  // ============================================================================
+
+  getPromotions: async (params = {}) => {
+    const cleanParams = cleanObject(params);
+    return await axiosInstance.get('/admin/promotions', {
+      params: cleanParams
+    });
+  },
+
+  createPromotion: async (promotionData) => {
+    return await axiosInstance.post('/admin/promotions', promotionData);
+  },
+
+  updatePromotion: async (promotionId, updateData) => {
+    return await axiosInstance.put(`/admin/promotions/${promotionId}`, updateData);
+  },
+
+  deletePromotion: async (promotionId) => {
+    return await axiosInstance.delete(`/admin/promotions/${promotionId}`);
+  },
+
+  // ============================================================================
+  // ABANDONED CARTS
+  // ============================================================================
+
+  /**
+   * Carritos abandonados (CART_STATUS.ABANDONED / CONVERTED)
+   * Params: { search, status, inactiveDays, minValue, page, limit }
+   * Respuesta: { carts, summary: { abandoned, valueAtRisk, reminded, recovered, recoveredValue }, pagination }
+   */
+  getAbandonedCarts: async (params = {}) => {
+    const cleanParams = cleanObject(params);
+    return await axiosInstance.get('/admin/carts/abandoned', {
+      params: cleanParams
+    });
+  },
+
+  /**
+   * Envía el recordatorio por email con un cupón de un solo uso para el cliente
+   * Body: { coupon } (cartRecovery.buildRecoveryCoupon)
+   * Respuesta: { cart, coupon, restoreUrl }
+   */
+  sendCartReminder: async (cartId, reminderData) => {
+    return await axiosInstance.post(`/admin/carts/${cartId}/reminder`, reminderData);
+  },
+
+  /**
+   * Genera un enlace firmado que restaura el carrito al abrirlo
+   * Respuesta: { token, expiresAt }
+   */
+  createCartRestoreLink: async (cartId) => {
+    return await axiosInstance.post(`/admin/carts/${cartId}/restore-link`);
+  },
+
+  // ============================================================================
+  // PRODUCT ALERTS (DEMANDA PENDIENTE)
+  // ============================================================================
+
+  /**
+   * Avisos activos agrupados por producto / variante ("avísame cuando vuelva"
+   * y alertas de precio), para decidir qué reabastecer
+   * Params: { search, type, sort, page, limit }
+   * Respuesta: { products: [{ product, variantSku, variantAttributes, stock, price,
+   *   backInStock, priceDrop, lowestTargetPrice, oldestAt }], summary: { products,
+   *   subscribers, backInStock, priceDrop }, pagination }
+   * stock y price son los de la variante cuando hay variantSku
+   */
+  getAlertDemand: async (params = {}) => {
+    const cleanParams = cleanObject(params);
+    return await axiosInstance.get('/admin/alerts/demand', {
+      params: cleanParams
+    });
+  },
+
   // ============================================================================
   // CONTACT MANAGEMENT
   // ============================================================================
@@ -107,11 +107,19 @@ export const useAdmin = () => {
   // ==========================================================================
   
   const getProducts = useCallback((params, onSuccess, onError) => {
+    // executeRequest solo entrega data: la paginación puede venir al lado
+    // ({ data: [...], pagination }) o anidada ({ data: { products, pagination } })
+    let pagination = null;
+
     return executeRequest(
-      () => adminAPI.getProducts(params),
+      async () => {
+        const response = await adminAPI.getProducts(params);
+        pagination = response?.pagination || response?.data?.pagination || null;
+        return response;
+      },
       (data) => {
         const products = data.products || data;
-        if (onSuccess) onSuccess(products, data.pagination || null);
+        if (onSuccess) onSuccess(products, pagination);
       },
       onError
     );
@@ -232,6 +240,134 @@ export const useAdmin = () => {
     );
   }, [executeRequest]);
 
+  // ==========================================================================
+  // COUPONS
+  // ==========================================================================
+  
+  const getCoupons = useCallback((params, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.getCoupons(params),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const getCouponById = useCallback((couponId, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.getCouponById(couponId),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const createCoupon = useCallback((couponData, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.createCoupon(couponData),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const updateCoupon = useCallback((couponId, updateData, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.updateCoupon(couponId, updateData),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const deleteCoupon = useCallback((couponId, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.deleteCoupon(couponId),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const getCouponRedemptions = useCallback((couponId, params, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.getCouponRedemptions(couponId, params),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  // ==========================================================================
+  // PROMOTIONS
+  // ==========================================================================
+  
+  const getPromotions = useCallback((params, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.getPromotions(params),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const createPromotion = useCallback((promotionData, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.createPromotion(promotionData),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const updatePromotion = useCallback((promotionId, updateData, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.updatePromotion(promotionId, updateData),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const deletePromotion = useCallback((promotionId, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.deletePromotion(promotionId),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  // ==========================================================================
+  // ABANDONED CARTS
+  // ==========================================================================
+
+  const getAbandonedCarts = useCallback((params, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.getAbandonedCarts(params),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const sendCartReminder = useCallback((cartId, reminderData, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.sendCartReminder(cartId, reminderData),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  const createCartRestoreLink = useCallback((cartId, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.createCartRestoreLink(cartId),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
+  // ==========================================================================
+  // PRODUCT ALERTS
+  // ==========================================================================
+
+  const getAlertDemand = useCallback((params, onSuccess, onError) => {
+    return executeRequest(
+      () => adminAPI.getAlertDemand(params),
+      onSuccess,
+      onError
+    );
+  }, [executeRequest]);
+
   // ==========================================================================
   // CONTACTS
   // ==========================================================================
@@ -340,6 +476,28 @@ export const useAdmin = () => {
     getOrderDetails,
     updateOrderStatus,
     
+    // Coupons
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptions,
+    
+    // Promotions
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+
+    // Abandoned carts
+    getAbandonedCarts,
+    sendCartReminder,
+    createCartRestoreLink,
+
+    // Product alerts
+    getAlertDemand,
+    
     // Contacts
     getContactMessages,
     markContactAsRead,
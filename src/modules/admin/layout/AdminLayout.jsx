@@ -82,6 +82,27 @@ export default function AdminLayout() {
               label="Órdenes"
               active={location.pathname.startsWith('/admin/orders')}
             />
+
+            <NavItem
+              to="/admin/coupons"
+              icon="🎟️"
+              label="Cupones"
+              active={location.pathname.startsWith('/admin/coupons')}
+            />
+
+            <NavItem
+              to="/admin/promotions"
+              icon="⚡"
+              label="Promociones"
+              active={location.pathname.startsWith('/admin/promotions')}
+            />
+
+            <NavItem
+              to="/admin/carts/abandoned"
+              icon="🛒"
+              label="Carritos abandonados"
+              active={location.pathname.startsWith('/admin/carts')}
+            />
             
             <NavItem
               to="/admin/users"
@@ -20,6 +20,7 @@ import {
   Area,
   AreaChart
 } from 'recharts';
+import { formatPrice, formatMoneyCompact } from '../../../../shared/lib/money';
 
 // Paleta profesional enterprise
 const COLORS = {
@@ -249,7 +250,7 @@ export default function AnalyticsDashboard() {
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
           <KPICard
             title="Revenue Total"
-            value={`$${(analytics.revenue?.totalRevenue || 0).toLocaleString()}`}
+            value={formatPrice(analytics.revenue?.totalRevenue)}
             subtitle={`${analytics.revenue?.totalOrders || 0} órdenes`}
             trend={analytics.revenue?.revenueGrowth}
             icon={
@@ -262,7 +263,7 @@ export default function AnalyticsDashboard() {
           />
           <KPICard
             title="Valor Promedio"
-            value={`$${Number(analytics.revenue?.avgOrderValue || 0).toFixed(2)}`}
+            value={formatPrice(analytics.revenue?.avgOrderValue)}
             subtitle="Por orden"
             icon={
               <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -329,7 +330,7 @@ export default function AnalyticsDashboard() {
                   fontSize={12}
                   tickLine={false}
                   axisLine={false}
-                  tickFormatter={(value) => `$${(value / 1000).toFixed(0)}k`}
+                  tickFormatter={(value) => formatMoneyCompact(value)}
                 />
                 <Tooltip content={<CustomTooltip />} />
                 <Area 
@@ -0,0 +1,535 @@
+// src/modules/admin/pages/Carts/AbandonedCarts.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAdmin } from '../../hooks/useAdmin';
+import {
+  CART_STATUS,
+  CART_STATUS_LABELS,
+  CART_RECOVERY_CONFIG,
+  COUPON_TYPES
+} from '../../../cart/types/cart.types';
+import {
+  generateRecoveryCouponCode,
+  buildRecoveryCoupon,
+  getCartLastActivity,
+  formatInactivity,
+  getCartRestoreUrl
+} from '../../../cart/utils/cartRecovery';
+import { describeCoupon } from '../../../cart/utils/couponEngine';
+import { validateCreateCoupon } from '../../../cart/schemas/coupon.schema';
+import { formatValidationErrors } from '../../../cart/schemas/cart.schema';
+import { formatPrice } from '../../../../shared/lib/money';
+
+const STATUS_CLASSNAMES = {
+  [CART_STATUS.ABANDONED]: 'bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400',
+  [CART_STATUS.CONVERTED]: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
+};
+
+const createReminderForm = () => ({
+  code: generateRecoveryCouponCode(),
+  type: COUPON_TYPES.PERCENTAGE,
+  discount: CART_RECOVERY_CONFIG.DEFAULT_DISCOUNT,
+  expiryDays: CART_RECOVERY_CONFIG.COUPON_EXPIRY_DAYS
+});
+
+const getCustomerName = (user) => {
+  const fullName = [user?.profile?.firstName, user?.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user?.name || user?.email || 'Cliente';
+};
+
+export default function AbandonedCarts() {
+  const {
+    getAbandonedCarts,
+    sendCartReminder,
+    createCartRestoreLink,
+    loading
+  } = useAdmin();
+
+  const [carts, setCarts] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({
+    search: '',
+    status: CART_STATUS.ABANDONED,
+    inactiveDays: CART_RECOVERY_CONFIG.INACTIVE_DAYS_OPTIONS[0],
+    minValue: '',
+    page: 1,
+    limit: 20
+  });
+  const [reminderCart, setReminderCart] = useState(null);
+  const [reminderForm, setReminderForm] = useState(createReminderForm);
+  const [formErrors, setFormErrors] = useState({});
+  const [restoreLinks, setRestoreLinks] = useState({});
+
+  const loadCarts = useCallback(async () => {
+    await getAbandonedCarts(
+      filters,
+      (data) => {
+        setCarts(Array.isArray(data?.carts) ? data.carts : []);
+        setSummary(data?.summary || null);
+        setPagination(data?.pagination || null);
+      },
+      (err) => console.error('Error cargando carritos abandonados:', err)
+    );
+  }, [getAbandonedCarts, filters]);
+
+  useEffect(() => {
+    loadCarts();
+  }, [loadCarts]);
+
+  // ============================================================================
+  // RECORDATORIO
+  // ============================================================================
+
+  const handleOpenReminder = (cart) => {
+    setReminderCart(cart);
+    setReminderForm(createReminderForm());
+    setFormErrors({});
+  };
+
+  const handleCloseReminder = () => {
+    setReminderCart(null);
+    setFormErrors({});
+  };
+
+  const handleSendReminder = async (e) => {
+    e.preventDefault();
+
+    let coupon;
+    try {
+      coupon = await validateCreateCoupon(buildRecoveryCoupon({
+        code: reminderForm.code,
+        type: reminderForm.type,
+        discount: Number(reminderForm.discount),
+        expiryDays: Number(reminderForm.expiryDays) || CART_RECOVERY_CONFIG.COUPON_EXPIRY_DAYS
+      }));
+    } catch (err) {
+      setFormErrors(formatValidationErrors(err));
+      return;
+    }
+
+    await sendCartReminder(
+      reminderCart._id,
+      { coupon },
+      () => {
+        loadCarts();
+        handleCloseReminder();
+        alert(`Recordatorio enviado con el cupón ${coupon.code}`);
+      },
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  // ============================================================================
+  // ENLACE DE RESTAURACIÓN
+  // ============================================================================
+
+  const handleRestoreLink = async (cart) => {
+    await createCartRestoreLink(
+      cart._id,
+      async (data) => {
+        const url = getCartRestoreUrl(data.token);
+        setRestoreLinks((links) => ({ ...links, [cart._id]: url }));
+
+        try {
+          await navigator.clipboard.writeText(url);
+          alert('Enlace copiado al portapapeles');
+        } catch {
+          // Sin permiso de portapapeles el enlace queda visible en la fila
+        }
+      },
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  const previewCoupon = {
+    type: reminderForm.type,
+    discount: Number(reminderForm.discount) || 0
+  };
+
+  return (
+    <div className="p-6">
+
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+          Carritos Abandonados
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          Clientes que dejaron productos en el carrito sin comprar
+        </p>
+      </div>
+
+      {/* Summary */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <StatCard
+            label="Abandonados"
+            value={summary?.abandoned || 0}
+            icon="🛒"
+            color="yellow"
+          />
+          <StatCard
+            label="Valor en riesgo"
+            value={formatPrice(summary?.valueAtRisk || 0)}
+            icon="💸"
+            color="purple"
+          />
+          <StatCard
+            label="Recordatorios enviados"
+            value={summary?.reminded || 0}
+            icon="✉️"
+            color="blue"
+          />
+          <StatCard
+            label="Recuperados"
+            value={formatPrice(summary?.recoveredValue || 0)}
+            icon="💰"
+            color="green"
+          />
+        </div>
+        {summary?.reminded > 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-4 text-center">
+            {summary.recovered || 0} carritos recuperados tras un recordatorio
+            ({Math.round(((summary.recovered || 0) / summary.reminded) * 100)}%)
+          </p>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <input
+          type="text"
+          placeholder="Buscar cliente por nombre o email..."
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+          className={inputClassName}
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+          className={inputClassName}
+        >
+          <option value={CART_STATUS.ABANDONED}>Sin recuperar</option>
+          <option value={CART_STATUS.CONVERTED}>Recuperados</option>
+        </select>
+        <select
+          value={filters.inactiveDays}
+          onChange={(e) => setFilters({ ...filters, inactiveDays: Number(e.target.value), page: 1 })}
+          className={inputClassName}
+        >
+          {CART_RECOVERY_CONFIG.INACTIVE_DAYS_OPTIONS.map(days => (
+            <option key={days} value={days}>
+              Sin actividad hace {days}+ {days === 1 ? 'día' : 'días'}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          placeholder="Valor mínimo"
+          value={filters.minValue}
+          onChange={(e) => setFilters({ ...filters, minValue: e.target.value, page: 1 })}
+          className={inputClassName}
+        />
+      </div>
+
+      {/* Carts List */}
+      {loading && !reminderCart ? (
+        <div className="flex justify-center py-12">
+          <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : carts.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
+          <span className="text-5xl">🛒</span>
+          <p className="text-gray-600 dark:text-gray-400 mt-4">No hay carritos con los filtros seleccionados</p>
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 space-y-2">
+          {carts.map((cart) => (
+            <AbandonedCartItem
+              key={cart._id}
+              cart={cart}
+              restoreLink={restoreLinks[cart._id]}
+              onSendReminder={handleOpenReminder}
+              onRestoreLink={handleRestoreLink}
+              disabled={loading}
+            />
+          ))}
+
+          {/* Pagination */}
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-center gap-3 pt-4">
+              <button
+                onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                disabled={pagination.current === 1}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+              >
+                ← Anterior
+              </button>
+              <span className="text-gray-600 dark:text-gray-400">
+                {pagination.current} / {pagination.pages}
+              </span>
+              <button
+                onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                disabled={pagination.current === pagination.pages}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+              >
+                Siguiente →
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Reminder Modal */}
+      {reminderCart && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  Enviar recordatorio
+                </h2>
+                <button
+                  onClick={handleCloseReminder}
+                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+                {getCustomerName(reminderCart.user)} ({reminderCart.user?.email}) recibirá un email
+                con su carrito, un enlace para restaurarlo y un cupón de un solo uso.
+              </p>
+
+              <form onSubmit={handleSendReminder} className="space-y-4">
+                <FormField label="Código del cupón *" error={formErrors.code}>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={reminderForm.code}
+                      onChange={(e) => setReminderForm({ ...reminderForm, code: e.target.value.toUpperCase() })}
+                      className={`${inputClassName} uppercase`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setReminderForm({ ...reminderForm, code: generateRecoveryCouponCode() })}
+                      title="Generar otro código"
+                      className="px-3 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+                    >
+                      🔄
+                    </button>
+                  </div>
+                </FormField>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <FormField label="Tipo *" error={formErrors.type}>
+                    <select
+                      value={reminderForm.type}
+                      onChange={(e) => setReminderForm({ ...reminderForm, type: e.target.value })}
+                      className={inputClassName}
+                    >
+                      <option value={COUPON_TYPES.PERCENTAGE}>Porcentaje</option>
+                      <option value={COUPON_TYPES.FIXED}>Monto fijo</option>
+                    </select>
+                  </FormField>
+
+                  <FormField label="Descuento *" error={formErrors.discount}>
+                    <input
+                      type="number"
+                      min="0"
+                      value={reminderForm.discount}
+                      onChange={(e) => setReminderForm({ ...reminderForm, discount: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  <FormField label="Vigencia (días)" error={formErrors.expiresAt}>
+                    <input
+                      type="number"
+                      min="1"
+                      value={reminderForm.expiryDays}
+                      onChange={(e) => setReminderForm({ ...reminderForm, expiryDays: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+                </div>
+
+                <p className="text-sm text-gray-600 dark:text-gray-400 bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                  🎟️ {describeCoupon(previewCoupon)} · 1 uso · no acumulable
+                </p>
+
+                {formErrors.general && (
+                  <p className="text-sm text-red-600">{formErrors.general}</p>
+                )}
+
+                <div className="flex gap-3 justify-end pt-4">
+                  <button
+                    type="button"
+                    onClick={handleCloseReminder}
+                    className="px-6 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition"
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="px-6 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:scale-105 transition-transform disabled:opacity-50"
+                  >
+                    {loading ? 'Enviando...' : 'Enviar recordatorio'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function FormField({ label, error, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {label}
+      </label>
+      {children}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+function AbandonedCartItem({ cart, restoreLink, onSendReminder, onRestoreLink, disabled }) {
+  const items = cart.items || [];
+  const lastActivity = getCartLastActivity(cart);
+  const isRecovered = cart.status === CART_STATUS.CONVERTED;
+  const itemCount = cart.totalItems ?? items.reduce((count, item) => count + item.quantity, 0);
+
+  return (
+    <div className="p-4 bg-gray-50 dark:bg-gray-700/30 rounded-xl border border-gray-100 dark:border-gray-600 hover:shadow-md transition">
+      <div className="flex items-center gap-4">
+        {/* Productos */}
+        <div className="flex -space-x-3 flex-shrink-0">
+          {items.slice(0, 3).map((item, index) => (
+            <img
+              key={item.product?._id || index}
+              src={item.product?.images?.[0]?.url || 'https://via.placeholder.com/48'}
+              alt={item.product?.name || 'Producto'}
+              title={`${item.product?.name} × ${item.quantity}`}
+              className="w-12 h-12 object-cover rounded-lg border-2 border-white dark:border-gray-800"
+            />
+          ))}
+          {items.length > 3 && (
+            <div className="w-12 h-12 rounded-lg border-2 border-white dark:border-gray-800 bg-gray-200 dark:bg-gray-600 flex items-center justify-center text-xs font-bold text-gray-700 dark:text-gray-200">
+              +{items.length - 3}
+            </div>
+          )}
+        </div>
+
+        {/* Cliente */}
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            {cart.user?._id ? (
+              <Link to={`/admin/users/${cart.user._id}`} className="font-bold text-gray-900 dark:text-white hover:underline truncate">
+                {getCustomerName(cart.user)}
+              </Link>
+            ) : (
+              <span className="font-bold text-gray-900 dark:text-white">{getCustomerName(cart.user)}</span>
+            )}
+            <span className={`text-[10px] px-2 py-0.5 font-bold rounded-full uppercase ${STATUS_CLASSNAMES[cart.status] || STATUS_CLASSNAMES[CART_STATUS.ABANDONED]}`}>
+              {CART_STATUS_LABELS[cart.status] || CART_STATUS_LABELS[CART_STATUS.ABANDONED]}
+            </span>
+          </div>
+          {cart.user?.email && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{cart.user.email}</p>
+          )}
+          <p className="text-sm text-gray-600 dark:text-gray-400 truncate">
+            {itemCount} {itemCount === 1 ? 'producto' : 'productos'}: {items.map(item => item.product?.name).filter(Boolean).join(', ')}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Última actividad {formatInactivity(lastActivity)}
+            {cart.reminder?.sentAt && (
+              <> · Recordatorio enviado el {new Date(cart.reminder.sentAt).toLocaleDateString('es-CO')}
+                {cart.reminder.couponCode && ` con ${cart.reminder.couponCode}`}
+              </>
+            )}
+          </p>
+        </div>
+
+        {/* Valor */}
+        <div className="text-right flex-shrink-0">
+          <p className="text-lg font-bold text-gray-900 dark:text-white">
+            {formatPrice(cart.total ?? cart.subtotal ?? 0)}
+          </p>
+          {isRecovered && cart.order?._id && (
+            <Link to={`/admin/orders/${cart.order._id}`} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">
+              Ver pedido
+            </Link>
+          )}
+        </div>
+
+        {/* Acciones */}
+        {!isRecovered && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => onSendReminder(cart)}
+              disabled={disabled || !cart.user?.email}
+              title={cart.reminder?.sentAt ? 'Enviar otro recordatorio' : 'Enviar recordatorio con cupón'}
+              className="p-2 text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/50 rounded-lg disabled:opacity-50"
+            >
+              ✉️
+            </button>
+            <button
+              onClick={() => onRestoreLink(cart)}
+              disabled={disabled}
+              title="Copiar enlace para restaurar el carrito"
+              className="p-2 text-purple-600 hover:bg-purple-50 dark:hover:bg-purple-900/50 rounded-lg disabled:opacity-50"
+            >
+              🔗
+            </button>
+          </div>
+        )}
+      </div>
+
+      {restoreLink && (
+        <input
+          type="text"
+          readOnly
+          value={restoreLink}
+          onFocus={(e) => e.target.select()}
+          className="mt-3 w-full px-3 py-1.5 text-xs font-mono border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+        />
+      )}
+    </div>
+  );
+}
+
+function StatCard({ label, value, icon, color }) {
+  const colors = {
+    blue: 'from-blue-500 to-blue-600',
+    green: 'from-green-500 to-green-600',
+    yellow: 'from-yellow-500 to-yellow-600',
+    purple: 'from-purple-500 to-purple-600'
+  };
+
+  return (
+    <div className="text-center p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+      <div className={`w-12 h-12 mx-auto mb-2 rounded-full bg-gradient-to-br ${colors[color]} flex items-center justify-center text-2xl`}>
+        {icon}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">{label}</p>
+      <p className="text-xl font-bold text-gray-900 dark:text-white">{value}</p>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import { useAdmin } from '../../hooks/useAdmin';
+import { TAX_CLASSES, TAX_CLASS_LABELS, DEFAULT_TAX_CLASS } from '../../../../shared/lib/tax';
 
 
 export default function CategoriesList() {
@@ -24,6 +25,7 @@ export default function CategoriesList() {
     description: '',
     slug: '',
     parentCategory: '',
+    taxClass: DEFAULT_TAX_CLASS,
     isActive: true,
     featured: false,
     iamges: []
@@ -75,6 +77,7 @@ const loadHierarchy = async () => {
         description: category.description || '',
         slug: category.slug,
         parentCategory: category.parentCategory?._id || '',
+        taxClass: category.taxClass || DEFAULT_TAX_CLASS,
         isActive: category.isActive ?? true,
         featured: category.featured ?? false,
         images: currentImages
@@ -87,6 +90,7 @@ const loadHierarchy = async () => {
         description: '',
         slug: '',
         parentCategory: '',
+        taxClass: DEFAULT_TAX_CLASS,
         isActive: true,
         featured: false,
         images: []
@@ -379,6 +383,27 @@ const handleSetPrimary = (index) => {
                   </select>
                 </div>
 
+                {/* IVA */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    IVA de los productos
+                  </label>
+                  <select
+                    value={formData.taxClass}
+                    onChange={(e) => setFormData({ ...formData, taxClass: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  >
+                    {Object.values(TAX_CLASSES).map(taxClass => (
+                      <option key={taxClass} value={taxClass}>
+                        {TAX_CLASS_LABELS[taxClass]}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    Aplica a los productos de la categoría que no definen su propio IVA
+                  </p>
+                </div>
+
                         {/* Images */}
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
           <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
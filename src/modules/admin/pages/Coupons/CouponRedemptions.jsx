@@ -0,0 +1,227 @@
+// src/modules/admin/pages/Coupons/CouponRedemptions.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAdmin } from '../../hooks/useAdmin';
+import { describeCoupon } from '../../../cart/utils/couponEngine';
+import { formatPrice } from '../../../../shared/lib/money';
+
+export default function CouponRedemptions() {
+  const { id } = useParams();
+  const { getCouponRedemptions, loading } = useAdmin();
+
+  const [coupon, setCoupon] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+
+  const loadRedemptions = useCallback(async () => {
+    await getCouponRedemptions(
+      id,
+      { page, limit: 20 },
+      (data) => {
+        setCoupon(data?.coupon || null);
+        setSummary(data?.summary || null);
+        setRedemptions(Array.isArray(data?.redemptions) ? data.redemptions : []);
+        setPagination(data?.pagination || null);
+      },
+      (err) => console.error('Error cargando canjes:', err)
+    );
+  }, [getCouponRedemptions, id, page]);
+
+  useEffect(() => {
+    loadRedemptions();
+  }, [loadRedemptions]);
+
+  if (loading && !coupon) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!coupon) {
+    return (
+      <div className="p-6 text-center">
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Cupón no encontrado</p>
+        <Link to="/admin/coupons" className="text-blue-600 hover:underline">
+          ← Volver a cupones
+        </Link>
+      </div>
+    );
+  }
+
+  const averageDiscount = summary?.redemptions
+    ? summary.totalDiscount / summary.redemptions
+    : 0;
+
+  return (
+    <div className="p-6">
+
+      {/* Header */}
+      <div className="mb-6">
+        <Link to="/admin/coupons" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          ← Volver a cupones
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mt-2 mb-2">
+          Canjes de {coupon.code}
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400">{describeCoupon(coupon)}</p>
+      </div>
+
+      {/* Summary */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <StatCard
+            label="Canjes"
+            value={`${summary?.redemptions || 0}${coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}`}
+            icon="🎟️"
+            color="blue"
+          />
+          <StatCard
+            label="Clientes únicos"
+            value={summary?.uniqueUsers || 0}
+            icon="👥"
+            color="purple"
+          />
+          <StatCard
+            label="Descuento otorgado"
+            value={formatPrice(summary?.totalDiscount || 0)}
+            icon="💸"
+            color="yellow"
+          />
+          <StatCard
+            label="Ventas con el cupón"
+            value={formatPrice(summary?.revenue || 0)}
+            icon="💰"
+            color="green"
+          />
+        </div>
+        {summary?.redemptions > 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-4 text-center">
+            Descuento promedio por pedido: {formatPrice(averageDiscount)}
+          </p>
+        )}
+      </div>
+
+      {/* Redemptions */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
+          Pedidos que usaron el cupón
+        </h2>
+
+        {redemptions.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400 text-center py-8">
+            Este cupón aún no se ha usado
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-3 pr-4">Pedido</th>
+                  <th className="py-3 pr-4">Cliente</th>
+                  <th className="py-3 pr-4">Fecha</th>
+                  <th className="py-3 pr-4 text-right">Descuento</th>
+                  <th className="py-3 text-right">Total pedido</th>
+                </tr>
+              </thead>
+              <tbody>
+                {redemptions.map((redemption) => (
+                  <RedemptionRow key={redemption._id || redemption.order?._id} redemption={redemption} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-center gap-3 pt-4">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={pagination.current === 1}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+            >
+              ← Anterior
+            </button>
+            <span className="text-gray-600 dark:text-gray-400">
+              {pagination.current} / {pagination.pages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={pagination.current === pagination.pages}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+            >
+              Siguiente →
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function RedemptionRow({ redemption }) {
+  const { order, user } = redemption;
+
+  return (
+    <tr className="border-b border-gray-100 dark:border-gray-700 last:border-0">
+      <td className="py-3 pr-4">
+        {order?._id ? (
+          <Link to={`/admin/orders/${order._id}`} className="font-medium text-blue-600 dark:text-blue-400 hover:underline">
+            #{order.orderNumber || order._id.slice(-6)}
+          </Link>
+        ) : (
+          <span className="text-gray-500">—</span>
+        )}
+      </td>
+      <td className="py-3 pr-4">
+        {user?._id ? (
+          <Link to={`/admin/users/${user._id}`} className="text-gray-900 dark:text-white hover:underline">
+            {user.name || user.email}
+          </Link>
+        ) : (
+          <span className="text-gray-500 dark:text-gray-400">Invitado</span>
+        )}
+        {user?.name && user?.email && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{user.email}</p>
+        )}
+      </td>
+      <td className="py-3 pr-4 text-gray-600 dark:text-gray-400">
+        {new Date(redemption.redeemedAt).toLocaleDateString('es-CO')}
+      </td>
+      <td className="py-3 pr-4 text-right font-medium text-green-600 dark:text-green-400">
+        -{formatPrice(redemption.discount)}
+      </td>
+      <td className="py-3 text-right font-bold text-gray-900 dark:text-white">
+        {formatPrice(order?.totalAmount ?? order?.total ?? 0)}
+      </td>
+    </tr>
+  );
+}
+
+function StatCard({ label, value, icon, color }) {
+  const colors = {
+    blue: 'from-blue-500 to-blue-600',
+    green: 'from-green-500 to-green-600',
+    yellow: 'from-yellow-500 to-yellow-600',
+    purple: 'from-purple-500 to-purple-600'
+  };
+
+  return (
+    <div className="text-center p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+      <div className={`w-12 h-12 mx-auto mb-2 rounded-full bg-gradient-to-br ${colors[color]} flex items-center justify-center text-2xl`}>
+        {icon}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">{label}</p>
+      <p className="text-xl font-bold text-gray-900 dark:text-white">{value}</p>
+    </div>
+  );
+}
@@ -0,0 +1,606 @@
+// src/modules/admin/pages/Coupons/CouponsList.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAdmin } from '../../hooks/useAdmin';
+import { COUPON_TYPES } from '../../../cart/types/cart.types';
+import { describeCoupon } from '../../../cart/utils/couponEngine';
+import { validateCreateCoupon, validateUpdateCoupon } from '../../../cart/schemas/coupon.schema';
+import { formatValidationErrors } from '../../../cart/schemas/cart.schema';
+import { toDateTimeLocal } from '../../../../shared/lib/utils';
+
+const TYPE_LABELS = {
+  [COUPON_TYPES.PERCENTAGE]: 'Porcentaje',
+  [COUPON_TYPES.FIXED]: 'Monto fijo',
+  [COUPON_TYPES.SHIPPING]: 'Envío'
+};
+
+const VALUE_LABELS = {
+  [COUPON_TYPES.PERCENTAGE]: 'Porcentaje de descuento (%) *',
+  [COUPON_TYPES.FIXED]: 'Monto a descontar *',
+  [COUPON_TYPES.SHIPPING]: 'Descuento en el envío (0 = envío gratis) *'
+};
+
+const STATUS_CONFIG = {
+  active: { label: 'Activo', className: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' },
+  scheduled: { label: 'Programado', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' },
+  expired: { label: 'Vencido', className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300' },
+  exhausted: { label: 'Agotado', className: 'bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400' },
+  inactive: { label: 'Inactivo', className: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' }
+};
+
+const EMPTY_FORM = {
+  code: '',
+  type: COUPON_TYPES.PERCENTAGE,
+  discount: '',
+  description: '',
+  minSubtotal: '',
+  maxDiscount: '',
+  startsAt: '',
+  expiresAt: '',
+  usageLimit: '',
+  usageLimitPerUser: '',
+  eligibleCategories: [],
+  stackable: true,
+  isActive: true
+};
+
+/**
+ * Estado del cupón según vigencia y usos
+ */
+const getCouponStatus = (coupon, now = new Date()) => {
+  if (coupon.isActive === false) return 'inactive';
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return 'scheduled';
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) return 'expired';
+  if (coupon.usageLimit && (coupon.usedCount || 0) >= coupon.usageLimit) return 'exhausted';
+  return 'active';
+};
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+export default function CouponsList() {
+  const {
+    getCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    getCategories,
+    loading
+  } = useAdmin();
+
+  const [coupons, setCoupons] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState({ search: '', status: '', page: 1, limit: 20 });
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+
+  const loadCoupons = useCallback(async () => {
+    await getCoupons(
+      filters,
+      (data) => {
+        const list = data?.coupons || data;
+        setCoupons(Array.isArray(list) ? list : []);
+        setPagination(data?.pagination || null);
+      },
+      (err) => console.error('Error cargando cupones:', err)
+    );
+  }, [getCoupons, filters]);
+
+  const loadCategories = useCallback(async () => {
+    await getCategories(
+      (data) => {
+        const rawData = data?.data || data;
+        setCategories(Array.isArray(rawData) ? rawData : []);
+      },
+      (err) => console.error('Error cargando categorías:', err)
+    );
+  }, [getCategories]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  const handleOpenModal = (coupon = null) => {
+    if (coupon) {
+      setEditingCoupon(coupon);
+      setFormData({
+        code: coupon.code,
+        type: coupon.type,
+        discount: coupon.discount ?? '',
+        description: coupon.description || '',
+        minSubtotal: coupon.minSubtotal ?? '',
+        maxDiscount: coupon.maxDiscount ?? '',
+        startsAt: toDateTimeLocal(coupon.startsAt),
+        expiresAt: toDateTimeLocal(coupon.expiresAt),
+        usageLimit: coupon.usageLimit ?? '',
+        usageLimitPerUser: coupon.usageLimitPerUser ?? '',
+        eligibleCategories: (coupon.eligibleCategories || []).map(category => category?._id || category),
+        stackable: coupon.stackable ?? true,
+        isActive: coupon.isActive ?? true
+      });
+    } else {
+      setEditingCoupon(null);
+      setFormData(EMPTY_FORM);
+    }
+    setFormErrors({});
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingCoupon(null);
+    setFormErrors({});
+  };
+
+  const handleToggleCategory = (categoryId) => {
+    const selected = formData.eligibleCategories.includes(categoryId)
+      ? formData.eligibleCategories.filter(id => id !== categoryId)
+      : [...formData.eligibleCategories, categoryId];
+
+    setFormData({ ...formData, eligibleCategories: selected });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const rawData = {
+      ...formData,
+      discount: toNumberOrNull(formData.discount),
+      minSubtotal: toNumberOrNull(formData.minSubtotal),
+      maxDiscount: formData.type === COUPON_TYPES.PERCENTAGE ? toNumberOrNull(formData.maxDiscount) : null,
+      usageLimit: toNumberOrNull(formData.usageLimit),
+      usageLimitPerUser: toNumberOrNull(formData.usageLimitPerUser),
+      startsAt: formData.startsAt ? new Date(formData.startsAt) : null,
+      expiresAt: formData.expiresAt ? new Date(formData.expiresAt) : null
+    };
+
+    let couponData;
+    try {
+      couponData = editingCoupon
+        ? await validateUpdateCoupon(rawData)
+        : await validateCreateCoupon(rawData);
+    } catch (err) {
+      setFormErrors(formatValidationErrors(err));
+      return;
+    }
+
+    setFormErrors({});
+
+    if (editingCoupon) {
+      await updateCoupon(
+        editingCoupon._id,
+        couponData,
+        () => {
+          loadCoupons();
+          handleCloseModal();
+          alert('Cupón actualizado exitosamente');
+        },
+        (err) => alert('Error: ' + err)
+      );
+    } else {
+      await createCoupon(
+        couponData,
+        () => {
+          loadCoupons();
+          handleCloseModal();
+          alert('Cupón creado exitosamente');
+        },
+        (err) => alert('Error: ' + err)
+      );
+    }
+  };
+
+  const handleDelete = async (couponId, code) => {
+    if (!confirm(`¿ELIMINAR el cupón "${code}"? Los carritos que lo tengan aplicado lo perderán.`)) return;
+
+    await deleteCoupon(
+      couponId,
+      () => {
+        loadCoupons();
+        alert('Cupón eliminado exitosamente');
+      },
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  const handleToggleActive = async (coupon) => {
+    await updateCoupon(
+      coupon._id,
+      { isActive: !coupon.isActive },
+      () => loadCoupons(),
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="p-6">
+
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Gestión de Cupones
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Total: {pagination?.total || coupons.length} cupones
+          </p>
+        </div>
+        <button
+          onClick={() => handleOpenModal()}
+          className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-lg hover:scale-105 transition-transform font-medium"
+        >
+          <span>➕</span>
+          <span>Nuevo Cupón</span>
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input
+          type="text"
+          placeholder="Buscar por código..."
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+          className={inputClassName}
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+          className={inputClassName}
+        >
+          <option value="">Todos los estados</option>
+          {Object.entries(STATUS_CONFIG).map(([status, config]) => (
+            <option key={status} value={status}>{config.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Coupons List */}
+      {loading && !showModal ? (
+        <div className="flex justify-center py-12">
+          <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : coupons.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
+          <span className="text-5xl">🎟️</span>
+          <p className="text-gray-600 dark:text-gray-400 mt-4">No hay cupones con los filtros seleccionados</p>
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 space-y-2">
+          {coupons.map((coupon) => (
+            <CouponItem
+              key={coupon._id}
+              coupon={coupon}
+              onEdit={handleOpenModal}
+              onDelete={handleDelete}
+              onToggleActive={handleToggleActive}
+            />
+          ))}
+
+          {/* Pagination */}
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-center gap-3 pt-4">
+              <button
+                onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                disabled={pagination.current === 1}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+              >
+                ← Anterior
+              </button>
+              <span className="text-gray-600 dark:text-gray-400">
+                {pagination.current} / {pagination.pages}
+              </span>
+              <button
+                onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                disabled={pagination.current === pagination.pages}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+              >
+                Siguiente →
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {editingCoupon ? `Editar Cupón ${editingCoupon.code}` : 'Nuevo Cupón'}
+                </h2>
+                <button
+                  onClick={handleCloseModal}
+                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+
+                {/* Code + Type */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <FormField label="Código *" error={formErrors.code}>
+                    <input
+                      type="text"
+                      value={formData.code}
+                      onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                      className={`${inputClassName} uppercase ${editingCoupon ? 'bg-gray-50 dark:bg-gray-600' : ''}`}
+                      readOnly={!!editingCoupon}
+                    />
+                  </FormField>
+
+                  <FormField label="Tipo *" error={formErrors.type}>
+                    <select
+                      value={formData.type}
+                      onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                      className={inputClassName}
+                    >
+                      {Object.values(COUPON_TYPES).map(type => (
+                        <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                  </FormField>
+                </div>
+
+                {/* Value */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <FormField label={VALUE_LABELS[formData.type]} error={formErrors.discount}>
+                    <input
+                      type="number"
+                      min="0"
+                      value={formData.discount}
+                      onChange={(e) => setFormData({ ...formData, discount: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  {formData.type === COUPON_TYPES.PERCENTAGE && (
+                    <FormField label="Tope del descuento" error={formErrors.maxDiscount}>
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Sin tope"
+                        value={formData.maxDiscount}
+                        onChange={(e) => setFormData({ ...formData, maxDiscount: e.target.value })}
+                        className={inputClassName}
+                      />
+                    </FormField>
+                  )}
+                </div>
+
+                {/* Description */}
+                <FormField label="Descripción" error={formErrors.description}>
+                  <input
+                    type="text"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className={inputClassName}
+                  />
+                </FormField>
+
+                {/* Validity window */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <FormField label="Válido desde" error={formErrors.startsAt}>
+                    <input
+                      type="datetime-local"
+                      value={formData.startsAt}
+                      onChange={(e) => setFormData({ ...formData, startsAt: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  <FormField label="Válido hasta" error={formErrors.expiresAt}>
+                    <input
+                      type="datetime-local"
+                      value={formData.expiresAt}
+                      onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+                </div>
+
+                {/* Usage limits */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <FormField label="Usos totales" error={formErrors.usageLimit}>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Ilimitado"
+                      value={formData.usageLimit}
+                      onChange={(e) => setFormData({ ...formData, usageLimit: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  <FormField label="Usos por usuario" error={formErrors.usageLimitPerUser}>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Ilimitado"
+                      value={formData.usageLimitPerUser}
+                      onChange={(e) => setFormData({ ...formData, usageLimitPerUser: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  <FormField label="Compra mínima" error={formErrors.minSubtotal}>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Sin mínimo"
+                      value={formData.minSubtotal}
+                      onChange={(e) => setFormData({ ...formData, minSubtotal: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+                </div>
+
+                {/* Eligible categories */}
+                <FormField label="Categorías participantes" error={formErrors.eligibleCategories}>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                    Sin selección, el cupón aplica a todo el catálogo
+                  </p>
+                  <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+                    {categories.map((category) => {
+                      const selected = formData.eligibleCategories.includes(category._id);
+                      return (
+                        <button
+                          key={category._id}
+                          type="button"
+                          onClick={() => handleToggleCategory(category._id)}
+                          className={`px-3 py-1 text-sm rounded-full border transition ${
+                            selected
+                              ? 'bg-blue-600 border-blue-600 text-white'
+                              : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+                          }`}
+                        >
+                          {category.name}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </FormField>
+
+                {/* Checkboxes */}
+                <div className="space-y-2">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    <span className="text-gray-900 dark:text-white">Cupón activo</span>
+                  </label>
+
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.stackable}
+                      onChange={(e) => setFormData({ ...formData, stackable: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    <span className="text-gray-900 dark:text-white">Acumulable con otros cupones</span>
+                  </label>
+                </div>
+
+                {formErrors.general && (
+                  <p className="text-sm text-red-600">{formErrors.general}</p>
+                )}
+
+                {/* Actions */}
+                <div className="flex gap-3 justify-end pt-4">
+                  <button
+                    type="button"
+                    onClick={handleCloseModal}
+                    className="px-6 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition"
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="px-6 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:scale-105 transition-transform disabled:opacity-50"
+                  >
+                    {loading ? 'Guardando...' : editingCoupon ? 'Actualizar' : 'Crear'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function FormField({ label, error, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {label}
+      </label>
+      {children}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+function CouponItem({ coupon, onEdit, onDelete, onToggleActive }) {
+  const status = STATUS_CONFIG[getCouponStatus(coupon)];
+  const formatDate = (date) => new Date(date).toLocaleDateString('es-CO');
+
+  return (
+    <div className="flex items-center gap-4 p-4 bg-gray-50 dark:bg-gray-700/30 rounded-xl border border-gray-100 dark:border-gray-600 hover:shadow-md transition">
+      <div className="w-12 h-12 rounded-lg bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-xl flex-shrink-0">
+        🎟️
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <h3 className="font-bold text-gray-900 dark:text-white">{coupon.code}</h3>
+          <span className={`text-[10px] px-2 py-0.5 font-bold rounded-full uppercase ${status.className}`}>
+            {status.label}
+          </span>
+          <span className="text-[10px] px-2 py-0.5 bg-purple-100 text-purple-600 font-bold rounded-full uppercase">
+            {TYPE_LABELS[coupon.type]}
+          </span>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-400 truncate">{describeCoupon(coupon)}</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {coupon.startsAt ? `Desde ${formatDate(coupon.startsAt)}` : 'Desde su creación'}
+          {' · '}
+          {coupon.expiresAt ? `hasta ${formatDate(coupon.expiresAt)}` : 'sin vencimiento'}
+          {coupon.usageLimitPerUser ? ` · ${coupon.usageLimitPerUser} por usuario` : ''}
+        </p>
+      </div>
+
+      {/* Usos */}
+      <div className="hidden sm:block px-3 py-1 bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-full text-xs font-bold whitespace-nowrap">
+        {coupon.usedCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''} usos
+      </div>
+
+      <div className="flex gap-2">
+        <Link
+          to={`/admin/coupons/${coupon._id}/redemptions`}
+          title="Reporte de canjes"
+          className="p-2 text-purple-600 hover:bg-purple-50 dark:hover:bg-purple-900/50 rounded-lg"
+        >
+          📊
+        </Link>
+        <button
+          onClick={() => onToggleActive(coupon)}
+          title={coupon.isActive === false ? 'Activar' : 'Desactivar'}
+          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+        >
+          {coupon.isActive === false ? '▶️' : '⏸️'}
+        </button>
+        <button onClick={() => onEdit(coupon)} className="p-2 text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/50 rounded-lg">
+          ✏️
+        </button>
+        <button onClick={() => onDelete(coupon._id, coupon.code)} className="p-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/50 rounded-lg">
+          🗑️
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../../core/hooks/useAuth';
 import { useAdmin } from '../hooks/useAdmin';
 import { Link } from 'react-router-dom';
+import { formatPrice } from '../../../shared/lib/money';
 
 /**
  * @component AdminDashboard
@@ -111,7 +112,7 @@ export default function AdminDashboard() {
           {/* Revenue Total */}
           <StatCard
             title="Ingresos Totales"
-            value={`$${stats?.revenue?.total?.toLocaleString() || '0'}`}
+            value={formatPrice(stats?.revenue?.total)}
             subtitle={`${stats?.revenue?.orderCount || 0} órdenes`}
             icon="💰"
             color="green"
@@ -312,7 +313,7 @@ function OrderItem({ order }) {
       </div>
       <div className="text-right mr-4">
         <p className="font-bold text-gray-900 dark:text-white">
-          ${order.totalAmount?.toFixed(2) || '0.00'}
+          {formatPrice(order.totalAmount)}
         </p>
         <span className={`text-xs px-2 py-1 rounded-full ${statusColors[order.status]}`}>
           {statusLabels[order.status] || order.status}
@@ -338,7 +339,7 @@ function TopProductItem({ product, rank }) {
       </div>
       <div className="text-right">
         <p className="font-bold text-gray-900 dark:text-white">
-          ${product.price?.toFixed(2) || '0.00'}
+          {formatPrice(product.price)}
         </p>
       </div>
     </div>
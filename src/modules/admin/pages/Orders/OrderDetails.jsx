@@ -3,6 +3,9 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAdmin } from '../../hooks/useAdmin';
+import { ORDER_STATUS_CONFIG as statusConfig, ORDER_STATUS_LABELS as statusLabels, PAYMENT_STATUS, PAYMENT_STATUS_LABELS } from '../../../orders/types/order.types';
+import { formatPrice } from '../../../../shared/lib/money';
+import { isGiftItem, getGiftItems } from '../../../cart/utils/cartHelpers';
 
 export default function OrderDetails() {
   const { id } = useParams();
@@ -31,62 +34,6 @@ export default function OrderDetails() {
     );
   };
 
-  const statusConfig = {
-    pending: {
-      label: 'Pendiente',
-      icon: '⏳',
-      gradient: 'from-yellow-400 to-orange-500',
-      bg: 'bg-yellow-50 dark:bg-yellow-900/20',
-      text: 'text-yellow-700 dark:text-yellow-300',
-      border: 'border-yellow-200 dark:border-yellow-800',
-      nextStates: ['processing', 'cancelled']
-    },
-    processing: {
-      label: 'Procesando',
-      icon: '⚙️',
-      gradient: 'from-blue-400 to-indigo-500',
-      bg: 'bg-blue-50 dark:bg-blue-900/20',
-      text: 'text-blue-700 dark:text-blue-300',
-      border: 'border-blue-200 dark:border-blue-800',
-      nextStates: ['shipped', 'cancelled']
-    },
-    shipped: {
-      label: 'Enviado',
-      icon: '🚚',
-      gradient: 'from-purple-400 to-pink-500',
-      bg: 'bg-purple-50 dark:bg-purple-900/20',
-      text: 'text-purple-700 dark:text-purple-300',
-      border: 'border-purple-200 dark:border-purple-800',
-      nextStates: ['delivered']
-    },
-    delivered: {
-      label: 'Entregado',
-      icon: '✅',
-      gradient: 'from-green-400 to-emerald-500',
-      bg: 'bg-green-50 dark:bg-green-900/20',
-      text: 'text-green-700 dark:text-green-300',
-      border: 'border-green-200 dark:border-green-800',
-      nextStates: []
-    },
-    cancelled: {
-      label: 'Cancelado',
-      icon: '❌',
-      gradient: 'from-red-400 to-rose-500',
-      bg: 'bg-red-50 dark:bg-red-900/20',
-      text: 'text-red-700 dark:text-red-300',
-      border: 'border-red-200 dark:border-red-800',
-      nextStates: []
-    }
-  };
-
-  const statusLabels = {
-    pending: 'Pendiente',
-    processing: 'Procesando',
-    shipped: 'Enviado',
-    delivered: 'Entregado',
-    cancelled: 'Cancelado'
-  };
-
   const handleStatusChange = async (newStatus) => {
     const label = statusLabels[newStatus] || newStatus;
     if (!confirm(`¿Cambiar el estado de esta orden a "${label}"?`)) return;
@@ -124,6 +71,7 @@ export default function OrderDetails() {
   }
 
   const currentStatus = statusConfig[order.status] || statusConfig.pending;
+  const giftCount = getGiftItems(order.items).length;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-indigo-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 p-6">
@@ -170,7 +118,30 @@ export default function OrderDetails() {
           
           {/* LEFT COLUMN */}
           <div className="lg:col-span-2 space-y-6">
-            
+
+            {/* Instrucciones para despacho: notas del cliente y regalos */}
+            {(order.notes || giftCount > 0) && (
+              <div className="bg-amber-50 dark:bg-amber-900/20 rounded-3xl shadow-xl border-2 border-amber-300 dark:border-amber-700 p-6">
+                <h2 className="text-2xl font-black text-gray-900 dark:text-white mb-4 flex items-center gap-3">
+                  <span className="text-3xl">📋</span>
+                  Instrucciones de despacho
+                </h2>
+                {order.notes && (
+                  <div className="mb-3">
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-1 font-bold uppercase tracking-wider">Notas del cliente</p>
+                    <p className="text-gray-900 dark:text-white font-medium whitespace-pre-line break-words">
+                      {order.notes}
+                    </p>
+                  </div>
+                )}
+                {giftCount > 0 && (
+                  <p className="text-sm font-bold text-pink-700 dark:text-pink-300">
+                    🎁 {giftCount} {giftCount === 1 ? 'producto va' : 'productos van'} como regalo (ver detalle abajo)
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Items con diseño card mejorado */}
             <div className="backdrop-blur-xl bg-white/70 dark:bg-gray-800/70 rounded-3xl shadow-2xl border border-white/20 dark:border-gray-700/50 p-6">
               <h2 className="text-2xl font-black text-gray-900 dark:text-white mb-6 flex items-center gap-3">
@@ -198,12 +169,13 @@ export default function OrderDetails() {
                           Cantidad: {item.quantity}
                         </span>
                       </div>
+                      {isGiftItem(item) && <GiftDetails giftOptions={item.giftOptions} />}
                       <div className="flex items-center justify-between">
                         <p className="text-sm text-gray-600 dark:text-gray-400 font-medium">
-                          ${Number(item.unitPrice || 0).toFixed(2)} c/u
+                          {formatPrice(item.unitPrice)} c/u
                         </p>
                         <p className="font-black text-gray-900 dark:text-white text-xl">
-                          ${(Number(item.unitPrice || 0) * Number(item.quantity || 0)).toFixed(2)}
+                          {formatPrice(Number(item.unitPrice || 0) * Number(item.quantity || 0))}
                         </p>
                       </div>
                     </div>
@@ -221,26 +193,26 @@ export default function OrderDetails() {
               <div className="space-y-4">
                 <div className="flex justify-between text-gray-600 dark:text-gray-400 font-medium">
                   <span>Subtotal</span>
-                  <span className="font-bold">${Number(order.subtotal || 0).toFixed(2)}</span>
+                  <span className="font-bold">{formatPrice(order.subtotal)}</span>
                 </div>
                 <div className="flex justify-between text-gray-600 dark:text-gray-400 font-medium">
                   <span>Envío</span>
-                  <span className="font-bold">${Number(order.shippingCost || 0).toFixed(2)}</span>
+                  <span className="font-bold">{formatPrice(order.shippingCost)}</span>
                 </div>
                 {Number(order.discountAmount) > 0 && (
                   <div className="flex justify-between text-green-600 dark:text-green-400 font-medium">
                     <span>Descuento</span>
-                    <span className="font-bold">-${Number(order.discountAmount).toFixed(2)}</span>
+                    <span className="font-bold">-{formatPrice(order.discountAmount)}</span>
                   </div>
                 )}
                 <div className="flex justify-between text-gray-600 dark:text-gray-400 font-medium">
                   <span>Impuestos</span>
-                  <span className="font-bold">${Number(order.taxAmount || 0).toFixed(2)}</span>
+                  <span className="font-bold">{formatPrice(order.taxAmount)}</span>
                 </div>
                 <div className="border-t-2 border-gray-200 dark:border-gray-700 pt-4">
                   <div className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white px-6 py-4 rounded-2xl shadow-lg flex justify-between items-center">
                     <span className="text-xl font-black">Total</span>
-                    <span className="text-3xl font-black">${Number(order.totalAmount || 0).toFixed(2)}</span>
+                    <span className="text-3xl font-black">{formatPrice(order.totalAmount)}</span>
                   </div>
                 </div>
               </div>
@@ -258,11 +230,13 @@ export default function OrderDetails() {
                   label="Estado de pago" 
                   value={
                     <span className={`px-4 py-2 rounded-full text-sm font-bold ${
-                      order.paymentStatus === 'paid'
+                      order.paymentStatus === PAYMENT_STATUS.PAID
                         ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300 border-2 border-green-300 dark:border-green-700'
-                        : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300 border-2 border-yellow-300 dark:border-yellow-700'
+                        : order.paymentStatus === PAYMENT_STATUS.FAILED
+                          ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300 border-2 border-red-300 dark:border-red-700'
+                          : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300 border-2 border-yellow-300 dark:border-yellow-700'
                     }`}>
-                      {order.paymentStatus === 'paid' ? '✅ Pagado' : '⏳ Pendiente'}
+                      {PAYMENT_STATUS_LABELS[order.paymentStatus] || PAYMENT_STATUS_LABELS[PAYMENT_STATUS.PENDING]}
                     </span>
                   }
                 />
@@ -407,6 +381,31 @@ export default function OrderDetails() {
   );
 }
 
+function GiftDetails({ giftOptions }) {
+  return (
+    <div className="mb-3 p-3 bg-pink-50 dark:bg-pink-900/20 border-2 border-pink-200 dark:border-pink-800 rounded-xl text-sm space-y-1">
+      <div className="flex flex-wrap gap-2">
+        <span className="font-black text-pink-700 dark:text-pink-300">🎁 Regalo</span>
+        {giftOptions.wrap && (
+          <span className="px-2 py-0.5 bg-pink-100 dark:bg-pink-900/40 text-pink-700 dark:text-pink-300 rounded-full text-xs font-bold">
+            Envolver
+          </span>
+        )}
+        {giftOptions.hidePrices && (
+          <span className="px-2 py-0.5 bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300 rounded-full text-xs font-bold">
+            Sin precios en la guía
+          </span>
+        )}
+      </div>
+      {giftOptions.message && (
+        <p className="text-gray-700 dark:text-gray-300 italic break-words">
+          Tarjeta: "{giftOptions.message}"
+        </p>
+      )}
+    </div>
+  );
+}
+
 function InfoRow({ label, value }) {
   return (
     <div className="flex justify-between items-center">
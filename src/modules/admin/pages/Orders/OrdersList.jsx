@@ -4,6 +4,8 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAdmin } from '../../hooks/useAdmin';
 import adminAPI from '../../api/admin.api';
+import { ORDER_STATUS_CONFIG as statusConfig } from '../../../orders/types/order.types';
+import { formatPrice } from '../../../../shared/lib/money';
 
 export default function OrdersList() {
   const { getOrders, updateOrderStatus, loading } = useAdmin();
@@ -189,54 +191,6 @@ export default function OrdersList() {
 function OrderCard({ order, onStatusChange }) {
   const [isExpanded, setIsExpanded] = useState(false);
 
-  const statusConfig = {
-    pending: {
-      label: 'Pendiente',
-      icon: '⏳',
-      gradient: 'from-yellow-400 to-orange-500',
-      bg: 'bg-yellow-50 dark:bg-yellow-900/20',
-      text: 'text-yellow-700 dark:text-yellow-300',
-      border: 'border-yellow-200 dark:border-yellow-800',
-      nextStates: ['processing', 'cancelled']
-    },
-    processing: {
-      label: 'Procesando',
-      icon: '⚙️',
-      gradient: 'from-blue-400 to-indigo-500',
-      bg: 'bg-blue-50 dark:bg-blue-900/20',
-      text: 'text-blue-700 dark:text-blue-300',
-      border: 'border-blue-200 dark:border-blue-800',
-      nextStates: ['shipped', 'cancelled']
-    },
-    shipped: {
-      label: 'Enviado',
-      icon: '🚚',
-      gradient: 'from-purple-400 to-pink-500',
-      bg: 'bg-purple-50 dark:bg-purple-900/20',
-      text: 'text-purple-700 dark:text-purple-300',
-      border: 'border-purple-200 dark:border-purple-800',
-      nextStates: ['delivered']
-    },
-    delivered: {
-      label: 'Entregado',
-      icon: '✅',
-      gradient: 'from-green-400 to-emerald-500',
-      bg: 'bg-green-50 dark:bg-green-900/20',
-      text: 'text-green-700 dark:text-green-300',
-      border: 'border-green-200 dark:border-green-800',
-      nextStates: []
-    },
-    cancelled: {
-      label: 'Cancelado',
-      icon: '❌',
-      gradient: 'from-red-400 to-rose-500',
-      bg: 'bg-red-50 dark:bg-red-900/20',
-      text: 'text-red-700 dark:text-red-300',
-      border: 'border-red-200 dark:border-red-800',
-      nextStates: []
-    }
-  };
-
   const currentStatus = statusConfig[order.status] || statusConfig.pending;
 
   return (
@@ -279,7 +233,7 @@ function OrderCard({ order, onStatusChange }) {
             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 font-bold uppercase tracking-wider">Total</p>
             <div className="bg-gradient-to-br from-blue-600 to-indigo-600 text-white px-6 py-3 rounded-2xl shadow-lg">
               <p className="text-3xl font-black">
-                ${order.totalAmount?.toFixed(2) || '0.00'}
+                {formatPrice(order.totalAmount)}
               </p>
             </div>
           </div>
@@ -328,7 +282,7 @@ function OrderCard({ order, onStatusChange }) {
                   </div>
                   <div className="text-right">
                     <p className="text-2xl font-black text-gray-900 dark:text-white">
-                      ${(item.price * item.quantity).toFixed(2)}
+                      {formatPrice(item.price * item.quantity)}
                     </p>
                   </div>
                 </div>
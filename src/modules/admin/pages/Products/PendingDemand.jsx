@@ -0,0 +1,321 @@
+// src/modules/admin/pages/Products/PendingDemand.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAdmin } from '../../hooks/useAdmin';
+import {
+  ALERT_TYPES,
+  ALERT_TYPE_LABELS,
+  ALERT_DEMAND_SORT,
+  ALERT_DEMAND_SORT_LABELS
+} from '../../../alerts/types/alert.types';
+import { getAlertVariantLabel } from '../../../alerts/utils/alertHelpers';
+import { getPrimaryImage } from '../../../products/utils/productHelpers';
+import { writeSpreadsheet, downloadBlob, SPREADSHEET_FORMATS } from '../../../../shared/lib/spreadsheet';
+import { formatPrice } from '../../../../shared/lib/money';
+
+// Tope de filas al exportar el reporte completo
+const EXPORT_LIMIT = 1000;
+
+const EXPORT_HEADERS = [
+  'Producto',
+  'SKU',
+  'Variante',
+  'Stock',
+  'Precio',
+  'Avísame cuando vuelva',
+  'Alertas de precio',
+  'Precio objetivo más bajo',
+  'Esperando desde'
+];
+
+const getRowStock = (row) => row.stock ?? row.product?.stock ?? 0;
+const getRowPrice = (row) => row.price ?? row.product?.price ?? 0;
+
+const buildDemandRows = (rows) => [
+  EXPORT_HEADERS,
+  ...rows.map(row => [
+    row.product?.name || '',
+    row.variantSku || row.product?.sku || '',
+    getAlertVariantLabel(row),
+    getRowStock(row),
+    getRowPrice(row),
+    row.backInStock || 0,
+    row.priceDrop || 0,
+    row.lowestTargetPrice ?? '',
+    row.oldestAt ? new Date(row.oldestAt).toLocaleDateString('es-CO') : ''
+  ])
+];
+
+export default function PendingDemand() {
+  const { getAlertDemand, loading } = useAdmin();
+
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({
+    search: '',
+    type: '',
+    sort: ALERT_DEMAND_SORT.SUBSCRIBERS,
+    page: 1,
+    limit: 20
+  });
+
+  const loadDemand = useCallback(async () => {
+    await getAlertDemand(
+      filters,
+      (data) => {
+        setRows(Array.isArray(data?.products) ? data.products : []);
+        setSummary(data?.summary || null);
+        setPagination(data?.pagination || null);
+      },
+      (err) => console.error('Error cargando demanda pendiente:', err)
+    );
+  }, [getAlertDemand, filters]);
+
+  useEffect(() => {
+    loadDemand();
+  }, [loadDemand]);
+
+  const handleExport = async () => {
+    await getAlertDemand(
+      { ...filters, page: 1, limit: EXPORT_LIMIT },
+      async (data) => {
+        const products = Array.isArray(data?.products) ? data.products : [];
+        if (products.length === 0) {
+          alert('No hay demanda pendiente para exportar');
+          return;
+        }
+        downloadBlob(
+          await writeSpreadsheet(buildDemandRows(products), SPREADSHEET_FORMATS.CSV),
+          `demanda-pendiente-${new Date().toISOString().slice(0, 10)}.csv`
+        );
+      },
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="p-6">
+
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6 flex-wrap gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Demanda Pendiente
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Productos con clientes esperando que vuelvan o bajen de precio
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <Link
+            to="/admin/products"
+            className="px-4 py-3 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition"
+          >
+            ← Productos
+          </Link>
+          <button
+            onClick={handleExport}
+            disabled={loading}
+            className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:scale-105 transition-transform disabled:opacity-50"
+          >
+            📥 Exportar CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <StatCard
+            label="Productos con demanda"
+            value={summary?.products || 0}
+            icon="📦"
+            color="blue"
+          />
+          <StatCard
+            label="Clientes esperando"
+            value={summary?.subscribers || 0}
+            icon="👥"
+            color="purple"
+          />
+          <StatCard
+            label="Avísame cuando vuelva"
+            value={summary?.backInStock || 0}
+            icon="🔔"
+            color="yellow"
+          />
+          <StatCard
+            label="Alertas de precio"
+            value={summary?.priceDrop || 0}
+            icon="📉"
+            color="green"
+          />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input
+          type="text"
+          placeholder="Buscar producto por nombre o SKU..."
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+          className={inputClassName}
+        />
+        <select
+          value={filters.type}
+          onChange={(e) => setFilters({ ...filters, type: e.target.value, page: 1 })}
+          className={inputClassName}
+        >
+          <option value="">Todos los avisos</option>
+          {Object.values(ALERT_TYPES).map(type => (
+            <option key={type} value={type}>{ALERT_TYPE_LABELS[type]}</option>
+          ))}
+        </select>
+        <select
+          value={filters.sort}
+          onChange={(e) => setFilters({ ...filters, sort: e.target.value, page: 1 })}
+          className={inputClassName}
+        >
+          {Object.values(ALERT_DEMAND_SORT).map(sort => (
+            <option key={sort} value={sort}>{ALERT_DEMAND_SORT_LABELS[sort]}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Demand List */}
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : rows.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
+          <span className="text-5xl">🔔</span>
+          <p className="text-gray-600 dark:text-gray-400 mt-4">No hay avisos pendientes con los filtros seleccionados</p>
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 space-y-2">
+          {rows.map((row) => (
+            <DemandItem
+              key={`${row.product?._id}-${row.variantSku || ''}`}
+              row={row}
+            />
+          ))}
+
+          {/* Pagination */}
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-center gap-3 pt-4">
+              <button
+                onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                disabled={pagination.current === 1}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+              >
+                ← Anterior
+              </button>
+              <span className="text-gray-600 dark:text-gray-400">
+                {pagination.current} / {pagination.pages}
+              </span>
+              <button
+                onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                disabled={pagination.current === pagination.pages}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+              >
+                Siguiente →
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function DemandItem({ row }) {
+  const product = row.product || {};
+  const image = getPrimaryImage(product);
+  const variantLabel = getAlertVariantLabel(row);
+  const stock = getRowStock(row);
+  const price = getRowPrice(row);
+
+  return (
+    <div className="p-4 bg-gray-50 dark:bg-gray-700/30 rounded-xl border border-gray-100 dark:border-gray-600 hover:shadow-md transition">
+      <div className="flex items-center gap-4">
+        <img
+          src={image || 'https://via.placeholder.com/48'}
+          alt={product.name || 'Producto'}
+          className="w-12 h-12 object-cover rounded-lg flex-shrink-0"
+        />
+
+        {/* Producto */}
+        <div className="flex-1 min-w-0">
+          <p className="font-bold text-gray-900 dark:text-white truncate">
+            {product.name || 'Producto eliminado'}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+            SKU {row.variantSku || product.sku || '—'}
+            {variantLabel && variantLabel !== row.variantSku && ` · ${variantLabel}`}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            <span className={stock > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400 font-semibold'}>
+              {stock > 0 ? `${stock} en stock` : 'Agotado'}
+            </span>
+            {' · '}{formatPrice(price)}
+            {row.oldestAt && ` · Esperando desde el ${new Date(row.oldestAt).toLocaleDateString('es-CO')}`}
+          </p>
+        </div>
+
+        {/* Demanda */}
+        <div className="flex gap-4 text-center flex-shrink-0">
+          <div title={ALERT_TYPE_LABELS[ALERT_TYPES.BACK_IN_STOCK]}>
+            <p className="text-lg font-bold text-gray-900 dark:text-white">🔔 {row.backInStock || 0}</p>
+            <p className="text-[10px] uppercase text-gray-500 dark:text-gray-400">Vuelva</p>
+          </div>
+          <div title={ALERT_TYPE_LABELS[ALERT_TYPES.PRICE_DROP]}>
+            <p className="text-lg font-bold text-gray-900 dark:text-white">📉 {row.priceDrop || 0}</p>
+            <p className="text-[10px] uppercase text-gray-500 dark:text-gray-400">
+              {row.lowestTargetPrice ? `Desde ${formatPrice(row.lowestTargetPrice)}` : 'Precio'}
+            </p>
+          </div>
+        </div>
+
+        {/* Acciones */}
+        {product._id && (
+          <Link
+            to={`/admin/products/edit/${product._id}`}
+            title="Editar producto (stock y precio)"
+            className="p-2 text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/50 rounded-lg"
+          >
+            ✏️
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ label, value, icon, color }) {
+  const colors = {
+    blue: 'from-blue-500 to-blue-600',
+    green: 'from-green-500 to-green-600',
+    yellow: 'from-yellow-500 to-yellow-600',
+    purple: 'from-purple-500 to-purple-600'
+  };
+
+  return (
+    <div className="text-center p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+      <div className={`w-12 h-12 mx-auto mb-2 rounded-full bg-gradient-to-br ${colors[color]} flex items-center justify-center text-2xl`}>
+        {icon}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">{label}</p>
+      <p className="text-xl font-bold text-gray-900 dark:text-white">{value}</p>
+    </div>
+  );
+}
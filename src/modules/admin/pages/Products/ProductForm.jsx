@@ -4,6 +4,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAdmin } from '../../hooks/useAdmin';
+import { TAX_CLASSES, TAX_CLASS_LABELS } from '../../../../shared/lib/tax';
 
 export default function ProductForm() {
   const { id } = useParams();
@@ -29,6 +30,7 @@ export default function ProductForm() {
     price: '',
     comparePrice: '',
     costPrice: '',
+    taxClass: '', // Vacío = según la categoría
     stock: '',
     sku: '',
     brand: '',
@@ -123,6 +125,7 @@ export default function ProductForm() {
             price: product.price || '',
             comparePrice: product.comparePrice || '',
             costPrice: product.costPrice || '',
+            taxClass: product.taxClass || '',
             stock: product.stock || '',
             sku: product.sku || '',
             brand: product.brand || '',
@@ -381,6 +384,7 @@ export default function ProductForm() {
       price: formData.price ? Number(formData.price) : 0,
       comparePrice: formData.comparePrice ? Number(formData.comparePrice) : undefined,
       costPrice: formData.costPrice ? Number(formData.costPrice) : undefined,
+      taxClass: formData.taxClass || null,
       
       // Inventario
       stock: formData.stock ? Number(formData.stock) : 0,
@@ -582,6 +586,24 @@ export default function ProductForm() {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                IVA
+              </label>
+              <select
+                value={formData.taxClass}
+                onChange={(e) => setFormData({ ...formData, taxClass: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                <option value="">Según la categoría</option>
+                {Object.values(TAX_CLASSES).map(taxClass => (
+                  <option key={taxClass} value={taxClass}>
+                    {TAX_CLASS_LABELS[taxClass]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                 Stock *
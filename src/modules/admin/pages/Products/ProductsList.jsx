@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAdmin } from '../../hooks/useAdmin';
+import { formatPrice } from '../../../../shared/lib/money';
 
 export default function ProductsList() {
   const { getProducts, deleteProduct, loading } = useAdmin();
@@ -78,13 +79,29 @@ const handleDeleteProduct = async (productId, productName) => {
             Total: {pagination?.total || 0} productos
           </p>
         </div>
-        <Link
-          to="/admin/products/new"
-          className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-lg hover:scale-105 transition-transform font-medium"
-        >
-          <span>➕</span>
-          <span>Nuevo Producto</span>
-        </Link>
+        <div className="flex items-center gap-3">
+          <Link
+            to="/admin/products/demand"
+            className="flex items-center gap-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 px-6 py-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 font-medium"
+          >
+            <span>🔔</span>
+            <span>Demanda pendiente</span>
+          </Link>
+          <Link
+            to="/admin/products/import"
+            className="flex items-center gap-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 px-6 py-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 font-medium"
+          >
+            <span>📥</span>
+            <span>Importar / Exportar</span>
+          </Link>
+          <Link
+            to="/admin/products/new"
+            className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-lg hover:scale-105 transition-transform font-medium"
+          >
+            <span>➕</span>
+            <span>Nuevo Producto</span>
+          </Link>
+        </div>
       </div>
 
       {/* Filters */}
@@ -229,7 +246,7 @@ function ProductCard({ product, onDelete }) {
         
         <div className="flex items-center justify-between mb-3">
           <p className="text-2xl font-bold text-blue-600 dark:text-blue-400">
-            ${product.price.toFixed(2)}
+            {formatPrice(product.price)}
           </p>
           <div className="text-right">
             <p className="text-xs text-gray-500 dark:text-gray-400">Stock</p>
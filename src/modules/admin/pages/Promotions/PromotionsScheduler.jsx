@@ -0,0 +1,633 @@
+// src/modules/admin/pages/Promotions/PromotionsScheduler.jsx
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAdmin } from '../../hooks/useAdmin';
+import adminAPI from '../../api/admin.api';
+import {
+  PROMOTION_STATUS,
+  PROMOTION_STATUS_LABELS,
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_BANNER_COLORS
+} from '../../../promotions/types/promotion.types';
+import {
+  getPromotionStatus,
+  formatPromotionDiscount
+} from '../../../promotions/utils/promotionHelpers';
+import { validatePromotion } from '../../../promotions/schemas/promotion.schema';
+import { formatValidationErrors } from '../../../cart/schemas/cart.schema';
+import { PromotionBanner } from '../../../promotions/components/PromotionBanner';
+import { PromotionCountdown } from '../../../promotions/components/PromotionCountdown';
+import { toDateTimeLocal } from '../../../../shared/lib/utils';
+
+const STATUS_STYLES = {
+  [PROMOTION_STATUS.ACTIVE]: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  [PROMOTION_STATUS.SCHEDULED]: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  [PROMOTION_STATUS.ENDED]: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  [PROMOTION_STATUS.INACTIVE]: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+};
+
+// Orden de las secciones del programador
+const STATUS_ORDER = [
+  PROMOTION_STATUS.ACTIVE,
+  PROMOTION_STATUS.SCHEDULED,
+  PROMOTION_STATUS.INACTIVE,
+  PROMOTION_STATUS.ENDED
+];
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  startsAt: '',
+  endsAt: '',
+  discountType: PROMOTION_DISCOUNT_TYPES.PERCENTAGE,
+  discountValue: '',
+  products: [],
+  categories: [],
+  banner: { title: '', subtitle: '', imageUrl: '', color: 'red' },
+  isActive: true
+};
+
+export default function PromotionsScheduler() {
+  const {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    getCategories,
+    loading
+  } = useAdmin();
+
+  const [promotions, setPromotions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [productSearch, setProductSearch] = useState('');
+  const [productResults, setProductResults] = useState([]);
+
+  const loadPromotions = useCallback(async () => {
+    await getPromotions(
+      {},
+      (data) => {
+        const list = data?.promotions || data;
+        setPromotions(Array.isArray(list) ? list : []);
+      },
+      (err) => console.error('Error cargando promociones:', err)
+    );
+  }, [getPromotions]);
+
+  const loadCategories = useCallback(async () => {
+    await getCategories(
+      (data) => {
+        const rawData = data?.data || data;
+        setCategories(Array.isArray(rawData) ? rawData : []);
+      },
+      (err) => console.error('Error cargando categorías:', err)
+    );
+  }, [getCategories]);
+
+  useEffect(() => {
+    loadPromotions();
+    loadCategories();
+  }, [loadPromotions, loadCategories]);
+
+  // Búsqueda de productos (directo al API para no bloquear el formulario con `loading`)
+  useEffect(() => {
+    if (!productSearch.trim()) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await adminAPI.getProducts({ search: productSearch.trim(), limit: 8 });
+        const list = response.data?.products || response.data || [];
+        setProductResults(Array.isArray(list) ? list : []);
+      } catch (err) {
+        console.error('Error buscando productos:', err);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [productSearch]);
+
+  const groupedPromotions = useMemo(() => {
+    const now = new Date();
+    return STATUS_ORDER
+      .map(status => ({
+        status,
+        items: promotions
+          .filter(promotion => getPromotionStatus(promotion, now) === status)
+          .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+      }))
+      .filter(group => group.items.length > 0);
+  }, [promotions]);
+
+  const handleOpenModal = (promotion = null) => {
+    if (promotion) {
+      setEditingPromotion(promotion);
+      setFormData({
+        name: promotion.name,
+        description: promotion.description || '',
+        startsAt: toDateTimeLocal(promotion.startsAt),
+        endsAt: toDateTimeLocal(promotion.endsAt),
+        discountType: promotion.discountType,
+        discountValue: promotion.discountValue ?? '',
+        products: promotion.products || [],
+        categories: (promotion.categories || []).map(category => category?._id || category),
+        banner: { ...EMPTY_FORM.banner, ...promotion.banner },
+        isActive: promotion.isActive ?? true
+      });
+    } else {
+      setEditingPromotion(null);
+      setFormData(EMPTY_FORM);
+    }
+    setFormErrors({});
+    setProductSearch('');
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingPromotion(null);
+    setFormErrors({});
+  };
+
+  const handleToggleCategory = (categoryId) => {
+    const selected = formData.categories.includes(categoryId)
+      ? formData.categories.filter(id => id !== categoryId)
+      : [...formData.categories, categoryId];
+
+    setFormData({ ...formData, categories: selected });
+  };
+
+  const handleAddProduct = (product) => {
+    if (formData.products.some(item => (item._id || item) === product._id)) return;
+    setFormData({ ...formData, products: [...formData.products, product] });
+    setProductSearch('');
+  };
+
+  const handleRemoveProduct = (productId) => {
+    setFormData({
+      ...formData,
+      products: formData.products.filter(item => (item._id || item) !== productId)
+    });
+  };
+
+  const handleBannerChange = (field, value) => {
+    setFormData({ ...formData, banner: { ...formData.banner, [field]: value } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let promotionData;
+    try {
+      promotionData = await validatePromotion({
+        ...formData,
+        discountValue: formData.discountValue === '' ? undefined : Number(formData.discountValue),
+        startsAt: formData.startsAt ? new Date(formData.startsAt) : undefined,
+        endsAt: formData.endsAt ? new Date(formData.endsAt) : undefined,
+        products: formData.products.map(product => product._id || product)
+      });
+    } catch (err) {
+      setFormErrors(formatValidationErrors(err));
+      return;
+    }
+
+    setFormErrors({});
+
+    if (editingPromotion) {
+      await updatePromotion(
+        editingPromotion._id,
+        promotionData,
+        () => {
+          loadPromotions();
+          handleCloseModal();
+          alert('Promoción actualizada exitosamente');
+        },
+        (err) => alert('Error: ' + err)
+      );
+    } else {
+      await createPromotion(
+        promotionData,
+        () => {
+          loadPromotions();
+          handleCloseModal();
+          alert('Promoción programada exitosamente');
+        },
+        (err) => alert('Error: ' + err)
+      );
+    }
+  };
+
+  const handleDelete = async (promotionId, name) => {
+    if (!confirm(`¿ELIMINAR la promoción "${name}"? Los productos volverán a su precio normal.`)) return;
+
+    await deletePromotion(
+      promotionId,
+      () => {
+        loadPromotions();
+        alert('Promoción eliminada exitosamente');
+      },
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  const handleToggleActive = async (promotion) => {
+    await updatePromotion(
+      promotion._id,
+      { isActive: !promotion.isActive },
+      () => loadPromotions(),
+      (err) => alert('Error: ' + err)
+    );
+  };
+
+  // Vista previa del banner con los datos del formulario
+  const previewPromotion = {
+    ...formData,
+    discountValue: Number(formData.discountValue) || 0
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="p-6">
+
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Programador de Promociones
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Ventas flash y descuentos por tiempo limitado en la página de Ofertas
+          </p>
+        </div>
+        <button
+          onClick={() => handleOpenModal()}
+          className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-lg hover:scale-105 transition-transform font-medium"
+        >
+          <span>➕</span>
+          <span>Nueva Promoción</span>
+        </button>
+      </div>
+
+      {/* Promotions by status */}
+      {loading && !showModal ? (
+        <div className="flex justify-center py-12">
+          <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : groupedPromotions.length === 0 ? (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-12 text-center">
+          <span className="text-5xl">⚡</span>
+          <p className="text-gray-600 dark:text-gray-400 mt-4">No hay promociones programadas</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groupedPromotions.map(({ status, items }) => (
+            <div key={status} className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
+                {PROMOTION_STATUS_LABELS[status]} ({items.length})
+              </h2>
+              <div className="space-y-2">
+                {items.map((promotion) => (
+                  <PromotionItem
+                    key={promotion._id}
+                    promotion={promotion}
+                    status={status}
+                    onExpire={loadPromotions}
+                    onEdit={handleOpenModal}
+                    onDelete={handleDelete}
+                    onToggleActive={handleToggleActive}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {editingPromotion ? 'Editar Promoción' : 'Nueva Promoción'}
+                </h2>
+                <button
+                  onClick={handleCloseModal}
+                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+
+                {/* Name */}
+                <FormField label="Nombre *" error={formErrors.name}>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className={inputClassName}
+                  />
+                </FormField>
+
+                {/* Description */}
+                <FormField label="Descripción" error={formErrors.description}>
+                  <input
+                    type="text"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className={inputClassName}
+                  />
+                </FormField>
+
+                {/* Window */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <FormField label="Inicio *" error={formErrors.startsAt}>
+                    <input
+                      type="datetime-local"
+                      value={formData.startsAt}
+                      onChange={(e) => setFormData({ ...formData, startsAt: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  <FormField label="Fin *" error={formErrors.endsAt}>
+                    <input
+                      type="datetime-local"
+                      value={formData.endsAt}
+                      onChange={(e) => setFormData({ ...formData, endsAt: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+                </div>
+
+                {/* Discount */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <FormField label="Tipo de descuento *" error={formErrors.discountType}>
+                    <select
+                      value={formData.discountType}
+                      onChange={(e) => setFormData({ ...formData, discountType: e.target.value })}
+                      className={inputClassName}
+                    >
+                      <option value={PROMOTION_DISCOUNT_TYPES.PERCENTAGE}>Porcentaje</option>
+                      <option value={PROMOTION_DISCOUNT_TYPES.FIXED}>Monto fijo por producto</option>
+                    </select>
+                  </FormField>
+
+                  <FormField
+                    label={formData.discountType === PROMOTION_DISCOUNT_TYPES.PERCENTAGE ? 'Descuento (%) *' : 'Descuento por producto *'}
+                    error={formErrors.discountValue}
+                  >
+                    <input
+                      type="number"
+                      min="0"
+                      value={formData.discountValue}
+                      onChange={(e) => setFormData({ ...formData, discountValue: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </FormField>
+                </div>
+
+                {/* Categories */}
+                <FormField label="Categorías en promoción" error={formErrors.categories}>
+                  <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto">
+                    {categories.map((category) => {
+                      const selected = formData.categories.includes(category._id);
+                      return (
+                        <button
+                          key={category._id}
+                          type="button"
+                          onClick={() => handleToggleCategory(category._id)}
+                          className={`px-3 py-1 text-sm rounded-full border transition ${
+                            selected
+                              ? 'bg-blue-600 border-blue-600 text-white'
+                              : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+                          }`}
+                        >
+                          {category.name}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </FormField>
+
+                {/* Products */}
+                <FormField label="Productos en promoción" error={formErrors.products}>
+                  <div className="relative">
+                    <input
+                      type="text"
+                      placeholder="Buscar producto por nombre o SKU..."
+                      value={productSearch}
+                      onChange={(e) => setProductSearch(e.target.value)}
+                      className={inputClassName}
+                    />
+                    {productSearch.trim() && productResults.length > 0 && (
+                      <div className="absolute z-10 mt-1 w-full bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-lg max-h-48 overflow-y-auto">
+                        {productResults.map((product) => (
+                          <button
+                            key={product._id}
+                            type="button"
+                            onClick={() => handleAddProduct(product)}
+                            className="w-full text-left px-4 py-2 text-sm text-gray-900 dark:text-white hover:bg-gray-100 dark:hover:bg-gray-600"
+                          >
+                            {product.name}
+                            {product.sku && <span className="text-xs text-gray-500 ml-2">{product.sku}</span>}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  {formData.products.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {formData.products.map((product) => (
+                        <span
+                          key={product._id || product}
+                          className="inline-flex items-center gap-1 px-3 py-1 text-sm bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300 rounded-full"
+                        >
+                          {product.name || product}
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveProduct(product._id || product)}
+                            className="ml-1 hover:text-red-600"
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </FormField>
+
+                {/* Banner */}
+                <div className="bg-gray-50 dark:bg-gray-700/30 rounded-xl p-4 space-y-4">
+                  <h3 className="font-bold text-gray-900 dark:text-white">Banner en Ofertas</h3>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <FormField label="Título (por defecto, el nombre)" error={formErrors['banner.title']}>
+                      <input
+                        type="text"
+                        value={formData.banner.title}
+                        onChange={(e) => handleBannerChange('title', e.target.value)}
+                        className={inputClassName}
+                      />
+                    </FormField>
+
+                    <FormField label="Subtítulo" error={formErrors['banner.subtitle']}>
+                      <input
+                        type="text"
+                        value={formData.banner.subtitle}
+                        onChange={(e) => handleBannerChange('subtitle', e.target.value)}
+                        className={inputClassName}
+                      />
+                    </FormField>
+                  </div>
+
+                  <FormField label="Imagen de fondo (URL)" error={formErrors['banner.imageUrl']}>
+                    <input
+                      type="url"
+                      value={formData.banner.imageUrl}
+                      onChange={(e) => handleBannerChange('imageUrl', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </FormField>
+
+                  <FormField label="Color" error={formErrors['banner.color']}>
+                    <div className="flex gap-2">
+                      {Object.entries(PROMOTION_BANNER_COLORS).map(([color, gradient]) => (
+                        <button
+                          key={color}
+                          type="button"
+                          title={color}
+                          onClick={() => handleBannerChange('color', color)}
+                          className={`w-10 h-10 rounded-full bg-gradient-to-r ${gradient} ${
+                            formData.banner.color === color ? 'ring-4 ring-blue-400' : ''
+                          }`}
+                        />
+                      ))}
+                    </div>
+                  </FormField>
+
+                  <PromotionBanner
+                    promotion={previewPromotion}
+                    upcoming={!!formData.startsAt && new Date(formData.startsAt) > new Date()}
+                  />
+                </div>
+
+                {/* Checkbox */}
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    className="w-4 h-4"
+                  />
+                  <span className="text-gray-900 dark:text-white">Promoción activa (desmarcar para pausarla)</span>
+                </label>
+
+                {/* Actions */}
+                <div className="flex gap-3 justify-end pt-4">
+                  <button
+                    type="button"
+                    onClick={handleCloseModal}
+                    className="px-6 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition"
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="px-6 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:scale-105 transition-transform disabled:opacity-50"
+                  >
+                    {loading ? 'Guardando...' : editingPromotion ? 'Actualizar' : 'Programar'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function FormField({ label, error, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        {label}
+      </label>
+      {children}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+function PromotionItem({ promotion, status, onExpire, onEdit, onDelete, onToggleActive }) {
+  const formatDate = (date) => new Date(date).toLocaleString('es-CO', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="flex items-center gap-4 p-4 bg-gray-50 dark:bg-gray-700/30 rounded-xl border border-gray-100 dark:border-gray-600 hover:shadow-md transition">
+      <div className={`w-12 h-12 rounded-lg bg-gradient-to-br ${PROMOTION_BANNER_COLORS[promotion.banner?.color] || PROMOTION_BANNER_COLORS.red} flex items-center justify-center text-white font-bold text-sm flex-shrink-0`}>
+        {formatPromotionDiscount(promotion)}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <h3 className="font-bold text-gray-900 dark:text-white truncate">{promotion.name}</h3>
+          <span className={`text-[10px] px-2 py-0.5 font-bold rounded-full uppercase ${STATUS_STYLES[status]}`}>
+            {PROMOTION_STATUS_LABELS[status]}
+          </span>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {formatDate(promotion.startsAt)} → {formatDate(promotion.endsAt)}
+          {' · '}
+          {promotion.products?.length || 0} productos · {promotion.categories?.length || 0} categorías
+        </p>
+        {(status === PROMOTION_STATUS.ACTIVE || status === PROMOTION_STATUS.SCHEDULED) && (
+          <div className="text-gray-600 dark:text-gray-300">
+            <PromotionCountdown
+              compact
+              target={status === PROMOTION_STATUS.ACTIVE ? promotion.endsAt : promotion.startsAt}
+              label={status === PROMOTION_STATUS.ACTIVE ? 'Termina en' : 'Empieza en'}
+              onExpire={onExpire}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        {status !== PROMOTION_STATUS.ENDED && (
+          <button
+            onClick={() => onToggleActive(promotion)}
+            title={promotion.isActive === false ? 'Reanudar' : 'Pausar'}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+          >
+            {promotion.isActive === false ? '▶️' : '⏸️'}
+          </button>
+        )}
+        <button onClick={() => onEdit(promotion)} className="p-2 text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/50 rounded-lg">
+          ✏️
+        </button>
+        <button onClick={() => onDelete(promotion._id, promotion.name)} className="p-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/50 rounded-lg">
+          🗑️
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAdmin } from '../../hooks/useAdmin';
+import { formatPrice } from '../../../../shared/lib/money';
 
 export default function UserDetails() {
   const { id } = useParams();
@@ -335,7 +336,7 @@ export default function UserDetails() {
               />
               <StatCard
                 label="Total gastado"
-                value={`$${(user.stats?.totalSpent || 0).toFixed(2)}`}
+                value={formatPrice(user.stats?.totalSpent)}
                 icon="💰"
                 color="green"
               />
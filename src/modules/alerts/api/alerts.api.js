@@ -0,0 +1,100 @@
+// src/modules/alerts/api/alerts.api.js
+
+import axiosInstance from '../../../core/api/axiosInstance';
+
+/**
+ * @module alertsAPI
+ * @description API calls para los avisos de producto del cliente
+ * ("avísame cuando vuelva" y alertas de precio)
+ *
+ * BASE_URL: /api/users/alerts
+ * AUTH: Todas las rutas requieren authMiddleware (JWT)
+ *
+ * IMPORTANTE: Todas las funciones retornan el formato exacto del backend:
+ * - { success, message?, data?, errors? }
+ * - data siempre es la lista completa de avisos actualizada (activos y disparados)
+ */
+
+export const alertsAPI = {
+  /**
+   * @function getAlerts
+   * @description Obtener los avisos del usuario
+   *
+   * @route GET /api/users/alerts
+   * @access Private
+   *
+   * @returns {Promise<Object>} { success, data: Alert[] }
+   */
+  getAlerts: async () => {
+    return await axiosInstance.get('/users/alerts');
+  },
+
+  /**
+   * @function createAlert
+   * @description Suscribirse a un producto o variante
+   *
+   * @route POST /api/users/alerts
+   * @access Private
+   *
+   * @param {Object} alertData - { type, productId, variantSku?, targetPrice? }
+   *
+   * @returns {Promise<Object>} { success, message, data: Alert[] }
+   * @throws {Object} { success: false, message, statusCode: 400 | 404 | 409 }
+   *
+   * @example
+   * const response = await alertsAPI.createAlert({
+   *   type: 'price_drop',
+   *   productId: '...',
+   *   targetPrice: 249900
+   * });
+   */
+  createAlert: async (alertData) => {
+    return await axiosInstance.post('/users/alerts', alertData);
+  },
+
+  /**
+   * @function deleteAlert
+   * @description Cancelar un aviso (o borrar una notificación ya disparada)
+   *
+   * @route DELETE /api/users/alerts/:id
+   * @access Private
+   *
+   * @param {string} alertId - ID del aviso
+   *
+   * @returns {Promise<Object>} { success, message, data: Alert[] }
+   * @throws {Object} { success: false, message, statusCode: 404 }
+   */
+  deleteAlert: async (alertId) => {
+    return await axiosInstance.delete(`/users/alerts/${alertId}`);
+  },
+
+  /**
+   * @function markAlertRead
+   * @description Marcar como leída la notificación de un aviso disparado
+   *
+   * @route PATCH /api/users/alerts/:id/read
+   * @access Private
+   *
+   * @param {string} alertId - ID del aviso
+   *
+   * @returns {Promise<Object>} { success, data: Alert[] }
+   */
+  markAlertRead: async (alertId) => {
+    return await axiosInstance.patch(`/users/alerts/${alertId}/read`);
+  },
+
+  /**
+   * @function markAllAlertsRead
+   * @description Marcar como leídas todas las notificaciones
+   *
+   * @route PATCH /api/users/alerts/read-all
+   * @access Private
+   *
+   * @returns {Promise<Object>} { success, message, data: Alert[] }
+   */
+  markAllAlertsRead: async () => {
+    return await axiosInstance.patch('/users/alerts/read-all');
+  },
+};
+
+export default alertsAPI;
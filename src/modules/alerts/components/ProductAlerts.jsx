@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Bell, BellOff, TrendingDown } from 'lucide-react';
+import { useAuth } from '../../../core/hooks/useAuth';
+import { useProductAlerts } from '../hooks/useProductAlerts';
+import { ALERT_TYPES } from '../types/alert.types';
+import { getSuggestedTargetPrice } from '../utils/alertHelpers';
+import { formatPrice } from '../../../shared/lib/money';
+
+/**
+ * ProductAlerts - Avisos del detalle de producto
+ *
+ * - "Avísame cuando vuelva": solo si el producto (o la variante elegida)
+ *   existe pero está agotado
+ * - Alerta de precio: siempre, con un precio objetivo sugerido
+ * Sin sesión muestra un enlace a login que vuelve al producto
+ *
+ * @param {Object} product - Producto con precio y stock de la variante elegida
+ * @param {string} variantSku - SKU de la variante elegida (opcional)
+ * @param {boolean} canNotifyRestock - Mostrar "Avísame cuando vuelva"
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ */
+export function ProductAlerts({ product, variantSku = null, canNotifyRestock = false, onSuccess, onError }) {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+  const {
+    findAlert,
+    subscribeBackInStock,
+    subscribePriceDrop,
+    unsubscribe,
+    loading,
+    saving
+  } = useProductAlerts(onSuccess, onError);
+
+  // null = sugerido; el usuario lo cambia en el input
+  const [targetPrice, setTargetPrice] = useState(null);
+  const [showPriceForm, setShowPriceForm] = useState(false);
+
+  if (!product) return null;
+
+  if (!isAuthenticated) {
+    return (
+      <div className="p-4 rounded-xl bg-gray-50 dark:bg-slate-700/40 border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-300 flex items-center gap-2">
+        <Bell className="h-4 w-4 text-blue-600 flex-shrink-0" />
+        <span>
+          <Link to="/auth/login" state={{ from: location }} className="text-blue-600 font-semibold hover:underline">
+            Inicia sesión
+          </Link>
+          {canNotifyRestock
+            ? ' para que te avisemos cuando vuelva a estar disponible'
+            : ' para recibir un aviso si baja de precio'}
+        </span>
+      </div>
+    );
+  }
+
+  const restockAlert = findAlert(ALERT_TYPES.BACK_IN_STOCK, product._id, variantSku);
+  const priceAlert = findAlert(ALERT_TYPES.PRICE_DROP, product._id, variantSku);
+  const priceValue = targetPrice ?? getSuggestedTargetPrice(product.price);
+  const disabled = loading || saving;
+
+  const handlePriceSubmit = async (e) => {
+    e.preventDefault();
+    const result = await subscribePriceDrop(product, Number(priceValue), variantSku);
+    if (result) {
+      setShowPriceForm(false);
+      setTargetPrice(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {/* Avísame cuando vuelva */}
+      {canNotifyRestock && (
+        restockAlert ? (
+          <div className="p-4 rounded-xl bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 flex items-center justify-between gap-3">
+            <span className="flex items-center gap-2 text-sm font-semibold text-blue-700 dark:text-blue-400">
+              <Bell className="h-4 w-4" />
+              Te avisaremos cuando vuelva a estar disponible
+            </span>
+            <button
+              type="button"
+              onClick={() => unsubscribe(restockAlert._id)}
+              disabled={disabled}
+              className="text-xs text-gray-500 hover:text-red-600 disabled:opacity-50"
+            >
+              Cancelar aviso
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => subscribeBackInStock(product, variantSku)}
+            disabled={disabled}
+            className="w-full flex items-center justify-center gap-2 px-6 py-4 bg-gray-900 dark:bg-white text-white dark:text-gray-900 rounded-xl font-bold hover:shadow-xl transition-all disabled:opacity-50"
+          >
+            <Bell className="h-5 w-5" />
+            Avísame cuando vuelva
+          </button>
+        )
+      )}
+
+      {/* Alerta de precio */}
+      {priceAlert ? (
+        <div className="p-3 rounded-xl bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 flex items-center justify-between gap-3">
+          <span className="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+            <TrendingDown className="h-4 w-4" />
+            Te avisaremos si baja a {formatPrice(priceAlert.targetPrice)} o menos
+          </span>
+          <button
+            type="button"
+            onClick={() => unsubscribe(priceAlert._id)}
+            disabled={disabled}
+            className="text-gray-500 hover:text-red-600 disabled:opacity-50"
+            title="Cancelar alerta de precio"
+          >
+            <BellOff className="h-4 w-4" />
+          </button>
+        </div>
+      ) : showPriceForm ? (
+        <form
+          onSubmit={handlePriceSubmit}
+          className="p-4 rounded-xl bg-gray-50 dark:bg-slate-700/40 border border-gray-200 dark:border-gray-700 space-y-3"
+        >
+          <label className="block text-sm font-semibold text-gray-900 dark:text-white">
+            Avísame si el precio baja a
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="1"
+              step="100"
+              value={priceValue}
+              onChange={(e) => setTargetPrice(e.target.value)}
+              className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+            />
+            <button
+              type="submit"
+              disabled={disabled || !priceValue}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+            >
+              Crear alerta
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Precio actual: {formatPrice(product.price)}
+          </p>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setShowPriceForm(true)}
+          disabled={disabled}
+          className="w-full flex items-center justify-center gap-2 py-3 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-xl text-sm text-gray-700 dark:text-gray-200 hover:border-blue-400 hover:text-blue-600 transition-colors font-semibold disabled:opacity-50"
+        >
+          <TrendingDown className="h-4 w-4" />
+          Avísame si baja de precio
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ProductAlerts;
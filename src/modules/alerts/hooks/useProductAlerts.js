@@ -0,0 +1,254 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../../../core/hooks/useAuth';
+import { formatValidationErrors } from '../../cart/schemas/cart.schema';
+import { alertsAPI } from '../api/alerts.api';
+import { validateCreateAlert } from '../schemas/alert.schema';
+import {
+  ALERT_TYPES,
+  ALERT_LIMITS,
+  ALERT_ERROR_MESSAGES,
+  ALERT_SUCCESS_MESSAGES
+} from '../types/alert.types';
+import {
+  getActiveAlerts,
+  getAlertNotifications,
+  getUnreadCount,
+  findActiveAlert
+} from '../utils/alertHelpers';
+
+/**
+ * @hook useProductAlerts
+ * @description Avisos de producto del usuario autenticado
+ * ("avísame cuando vuelva" y alertas de precio)
+ *
+ * CARACTERÍSTICAS:
+ * - Carga los avisos al montar (solo autenticado)
+ * - Validación con alert.schema (el precio objetivo debe ser menor al actual)
+ * - El backend devuelve la lista completa tras cada cambio
+ * - Las acciones retornan null si fallan (no lanzan)
+ *
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} Avisos, notificaciones y acciones
+ *
+ * @example
+ * const { subscribeBackInStock, findAlert } = useProductAlerts(toast.success, toast.error);
+ */
+export const useProductAlerts = (onSuccess, onError) => {
+  const { isAuthenticated } = useAuth();
+
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(isAuthenticated);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // ============================================================================
+  // FETCH
+  // ============================================================================
+
+  const fetchAlerts = useCallback(async () => {
+    if (!isAuthenticated) {
+      setAlerts([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await alertsAPI.getAlerts();
+      setAlerts(response.success ? response.data || [] : []);
+    } catch (err) {
+      console.error('[useProductAlerts] Error fetching alerts:', err);
+      setError(err.message || ALERT_ERROR_MESSAGES.FETCH_FAILED);
+      setAlerts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const activeAlerts = useMemo(() => getActiveAlerts(alerts), [alerts]);
+  const notifications = useMemo(() => getAlertNotifications(alerts), [alerts]);
+
+  // ============================================================================
+  // HELPER: EJECUTAR ACCIÓN
+  // ============================================================================
+
+  /**
+   * Ejecuta una mutación y reemplaza la lista con la respuesta del backend
+   */
+  const executeAction = useCallback(async (apiCall, successMessage, fallbackError) => {
+    if (!isAuthenticated) {
+      setError(ALERT_ERROR_MESSAGES.NOT_AUTHENTICATED);
+      if (onError) onError(ALERT_ERROR_MESSAGES.NOT_AUTHENTICATED);
+      return null;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await apiCall();
+
+      if (!response?.success) {
+        throw new Error(response?.message || fallbackError);
+      }
+
+      setAlerts(response.data || []);
+      if (onSuccess && successMessage) onSuccess(response.message || successMessage);
+      return response.data || [];
+    } catch (err) {
+      const errorMessage = err.name === 'ValidationError'
+        ? Object.values(formatValidationErrors(err))[0]
+        : err.message || fallbackError;
+
+      setError(errorMessage);
+      if (onError) onError(errorMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [isAuthenticated, onSuccess, onError]);
+
+  // ============================================================================
+  // SUSCRIPCIONES
+  // ============================================================================
+
+  /**
+   * Aviso activo del mismo tipo para el producto / variante (o null)
+   */
+  const findAlert = useCallback((type, productId, variantSku = null) => {
+    return findActiveAlert(alerts, type, productId, variantSku);
+  }, [alerts]);
+
+  /**
+   * Crea un aviso validando límite, duplicados y precio objetivo
+   */
+  const subscribe = useCallback((alertData, currentPrice, successMessage) => {
+    const { type, productId, variantSku } = alertData;
+
+    const rejectWith = (message) => {
+      setError(message);
+      if (onError) onError(message);
+      return Promise.resolve(null);
+    };
+
+    if (findActiveAlert(alerts, type, productId, variantSku)) {
+      return rejectWith(ALERT_ERROR_MESSAGES.ALREADY_SUBSCRIBED);
+    }
+    if (activeAlerts.length >= ALERT_LIMITS.MAX_ACTIVE) {
+      return rejectWith(ALERT_ERROR_MESSAGES.LIMIT_REACHED);
+    }
+
+    return executeAction(
+      async () => {
+        const validated = await validateCreateAlert(alertData, currentPrice);
+        return alertsAPI.createAlert(validated);
+      },
+      successMessage,
+      ALERT_ERROR_MESSAGES.SUBSCRIBE_FAILED
+    );
+  }, [alerts, activeAlerts.length, executeAction, onError]);
+
+  /**
+   * "Avísame cuando vuelva" para un producto o variante agotada
+   * @param {Object} product - Producto
+   * @param {string} variantSku - SKU de la variante (opcional)
+   */
+  const subscribeBackInStock = useCallback((product, variantSku = null) => {
+    return subscribe(
+      {
+        type: ALERT_TYPES.BACK_IN_STOCK,
+        productId: product._id,
+        ...(variantSku && { variantSku })
+      },
+      product.price,
+      ALERT_SUCCESS_MESSAGES.BACK_IN_STOCK_CREATED
+    );
+  }, [subscribe]);
+
+  /**
+   * Alerta de precio
+   * @param {Object} product - Producto (price = precio actual de la variante si aplica)
+   * @param {number} targetPrice - Precio objetivo
+   * @param {string} variantSku - SKU de la variante (opcional)
+   */
+  const subscribePriceDrop = useCallback((product, targetPrice, variantSku = null) => {
+    return subscribe(
+      {
+        type: ALERT_TYPES.PRICE_DROP,
+        productId: product._id,
+        targetPrice,
+        ...(variantSku && { variantSku })
+      },
+      product.price,
+      ALERT_SUCCESS_MESSAGES.PRICE_DROP_CREATED
+    );
+  }, [subscribe]);
+
+  /**
+   * Cancela un aviso o borra una notificación
+   */
+  const unsubscribe = useCallback((alertId) => {
+    return executeAction(
+      () => alertsAPI.deleteAlert(alertId),
+      ALERT_SUCCESS_MESSAGES.DELETED,
+      ALERT_ERROR_MESSAGES.UNSUBSCRIBE_FAILED
+    );
+  }, [executeAction]);
+
+  // ============================================================================
+  // NOTIFICACIONES
+  // ============================================================================
+
+  const markAsRead = useCallback((alertId) => {
+    return executeAction(
+      () => alertsAPI.markAlertRead(alertId),
+      null,
+      ALERT_ERROR_MESSAGES.MARK_READ_FAILED
+    );
+  }, [executeAction]);
+
+  const markAllAsRead = useCallback(() => {
+    return executeAction(
+      () => alertsAPI.markAllAlertsRead(),
+      ALERT_SUCCESS_MESSAGES.ALL_READ,
+      ALERT_ERROR_MESSAGES.MARK_READ_FAILED
+    );
+  }, [executeAction]);
+
+  // ============================================================================
+  // RETURN
+  // ============================================================================
+
+  return {
+    // Estado
+    alerts,
+    activeAlerts,
+    notifications,
+    unreadCount: getUnreadCount(alerts),
+    loading,
+    saving,
+    error,
+
+    // Acciones
+    fetchAlerts,
+    findAlert,
+    subscribeBackInStock,
+    subscribePriceDrop,
+    unsubscribe,
+    markAsRead,
+    markAllAsRead,
+
+    // Helpers
+    clearError: () => setError(null)
+  };
+};
+
+export default useProductAlerts;
@@ -0,0 +1,195 @@
+// src/modules/alerts/pages/AlertsPage.jsx
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Bell, TrendingDown, Trash2 } from 'lucide-react';
+import { useProductAlerts } from '../hooks/useProductAlerts';
+import { ALERT_TYPES, ALERT_TYPE_LABELS } from '../types/alert.types';
+import { describeAlert, getAlertVariantLabel } from '../utils/alertHelpers';
+import { getPrimaryImage } from '../../products/utils/productHelpers';
+
+/**
+ * @component AlertsPage
+ * @description Avisos del cliente (/mi-cuenta/avisos)
+ *
+ * - Notificaciones: avisos ya disparados (sin leer resaltados)
+ * - Avisos activos: "avísame cuando vuelva" y alertas de precio pendientes
+ */
+export default function AlertsPage() {
+  const {
+    activeAlerts,
+    notifications,
+    unreadCount,
+    loading,
+    saving,
+    error,
+    fetchAlerts,
+    unsubscribe,
+    markAsRead,
+    markAllAsRead
+  } = useProductAlerts(toast.success, toast.error);
+
+  if (loading) {
+    return (
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !activeAlerts.length && !notifications.length) {
+    return (
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 text-center py-12">
+        <p className="text-red-600 mb-4">{error}</p>
+        <button
+          onClick={fetchAlerts}
+          className="px-4 py-2 border border-gray-300 text-gray-700 dark:text-gray-200 rounded-lg font-medium hover:bg-gray-50 dark:hover:bg-slate-700 transition-colors"
+        >
+          Reintentar
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+
+      {/* Notificaciones */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between gap-4 mb-6 flex-wrap">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white mb-1">
+              Notificaciones
+            </h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {unreadCount > 0
+                ? `Tienes ${unreadCount} ${unreadCount === 1 ? 'notificación sin leer' : 'notificaciones sin leer'}`
+                : 'Productos que volvieron o bajaron de precio'}
+            </p>
+          </div>
+          {unreadCount > 0 && (
+            <button
+              onClick={markAllAsRead}
+              disabled={saving}
+              className="px-4 py-2 text-sm text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg font-medium disabled:opacity-50"
+            >
+              Marcar todas como leídas
+            </button>
+          )}
+        </div>
+
+        {notifications.length === 0 ? (
+          <div className="text-center py-8">
+            <div className="text-5xl mb-3">🔔</div>
+            <p className="text-gray-600 dark:text-gray-400">
+              Aún no tienes notificaciones.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {notifications.map(alert => (
+              <AlertRow
+                key={alert._id}
+                alert={alert}
+                unread={!alert.readAt}
+                onOpen={() => !alert.readAt && markAsRead(alert._id)}
+                onDelete={() => unsubscribe(alert._id)}
+                disabled={saving}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Avisos activos */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white mb-1">
+          Avisos activos
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+          Actívalos desde la página de cada producto con "Avísame cuando vuelva" o "Avísame si baja de precio".
+        </p>
+
+        {activeAlerts.length === 0 ? (
+          <p className="text-center py-6 text-gray-600 dark:text-gray-400">
+            No tienes avisos activos.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {activeAlerts.map(alert => (
+              <AlertRow
+                key={alert._id}
+                alert={alert}
+                onDelete={() => unsubscribe(alert._id)}
+                disabled={saving}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function AlertRow({ alert, unread = false, onOpen, onDelete, disabled }) {
+  const product = alert.product || {};
+  const image = getPrimaryImage(product);
+  const variantLabel = getAlertVariantLabel(alert);
+  const Icon = alert.type === ALERT_TYPES.PRICE_DROP ? TrendingDown : Bell;
+  const date = alert.triggeredAt || alert.createdAt;
+
+  return (
+    <div
+      className={`flex items-center gap-4 p-4 rounded-xl border ${
+        unread
+          ? 'bg-blue-50 border-blue-200 dark:bg-blue-900/20 dark:border-blue-800'
+          : 'border-gray-200 dark:border-gray-700'
+      }`}
+    >
+      <div className="relative flex-shrink-0 w-14 h-14 bg-gray-100 rounded-lg overflow-hidden">
+        {image && <img src={image} alt={product.name} className="w-full h-full object-cover" />}
+        <span className="absolute bottom-0 right-0 bg-white dark:bg-slate-800 rounded-tl-lg p-0.5">
+          <Icon className="h-4 w-4 text-blue-600" />
+        </span>
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+          {ALERT_TYPE_LABELS[alert.type]}
+          {variantLabel && ` · ${variantLabel}`}
+        </p>
+        {product.slug ? (
+          <Link
+            to={`/productos/${product.slug}`}
+            onClick={onOpen}
+            className={`block text-sm text-gray-900 dark:text-white hover:text-blue-600 ${unread ? 'font-bold' : ''}`}
+          >
+            {describeAlert(alert)}
+          </Link>
+        ) : (
+          <p className="text-sm text-gray-900 dark:text-white">{describeAlert(alert)}</p>
+        )}
+        {date && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            {new Date(date).toLocaleDateString('es-CO')}
+          </p>
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={onDelete}
+        disabled={disabled}
+        title={alert.triggeredAt ? 'Borrar notificación' : 'Cancelar aviso'}
+        className="p-2 text-gray-400 hover:text-red-600 rounded-lg disabled:opacity-50"
+      >
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import * as Yup from 'yup';
+import { ALERT_TYPES } from '../types/alert.types';
+
+/**
+ * @module alert.schema
+ * @description Validaciones para crear avisos de producto
+ *
+ * El precio actual llega por context ({ currentPrice }): el precio
+ * objetivo de una alerta de precio debe quedar por debajo de él
+ */
+
+/**
+ * SCHEMA: Crear aviso
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const createAlertSchema = Yup.object({
+  type: Yup.string()
+    .oneOf(Object.values(ALERT_TYPES), 'Tipo de aviso inválido')
+    .required('El tipo de aviso es requerido'),
+
+  productId: Yup.string()
+    .required('El producto es requerido'),
+
+  variantSku: Yup.string()
+    .trim()
+    .optional(),
+
+  targetPrice: Yup.number()
+    .typeError('El precio objetivo debe ser un número')
+    .when('type', {
+      is: ALERT_TYPES.PRICE_DROP,
+      then: (schema) => schema
+        .required('Indica el precio al que quieres comprarlo')
+        .positive('El precio objetivo debe ser mayor a 0')
+        .test(
+          'below-current-price',
+          'El precio objetivo debe ser menor al precio actual',
+          function (value) {
+            const currentPrice = this.options.context?.currentPrice;
+            return value === undefined || !currentPrice || value < currentPrice;
+          }
+        ),
+      otherwise: (schema) => schema.strip()
+    })
+});
+
+/**
+ * Valida un aviso antes de crearlo
+ * @param {Object} data - { type, productId, variantSku?, targetPrice? }
+ * @param {number} currentPrice - Precio actual del producto / variante
+ * @returns {Promise<Object>} Datos validados
+ * @throws {Yup.ValidationError} Si validación falla
+ */
+export const validateCreateAlert = async (data, currentPrice) => {
+  return await createAlertSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    context: { currentPrice }
+  });
+};
+
+export default {
+  createAlertSchema,
+  validateCreateAlert
+};
@@ -0,0 +1,95 @@
+// src/modules/alerts/types/alert.types.js
+
+/**
+ * @module alert.types
+ * @description Constantes de los avisos de producto del cliente
+ *
+ * Un aviso es una suscripción a un producto (o a una variante, por SKU):
+ * - BACK_IN_STOCK: avisar cuando vuelva a haber stock
+ * - PRICE_DROP: avisar cuando el precio llegue a targetPrice o menos
+ *
+ * El backend cambia el aviso a TRIGGERED cuando se cumple la condición
+ * (y envía el email); en /mi-cuenta/avisos se muestra como notificación
+ */
+
+/**
+ * Tipos de aviso
+ */
+export const ALERT_TYPES = {
+  BACK_IN_STOCK: 'back_in_stock',
+  PRICE_DROP: 'price_drop'
+};
+
+/**
+ * Estados de un aviso
+ */
+export const ALERT_STATUS = {
+  ACTIVE: 'active',
+  TRIGGERED: 'triggered'
+};
+
+/**
+ * Etiquetas por tipo
+ */
+export const ALERT_TYPE_LABELS = {
+  [ALERT_TYPES.BACK_IN_STOCK]: 'Vuelve a estar disponible',
+  [ALERT_TYPES.PRICE_DROP]: 'Baja de precio'
+};
+
+/**
+ * Límites
+ */
+export const ALERT_LIMITS = {
+  MAX_ACTIVE: 50,
+  // Precio objetivo sugerido: este porcentaje por debajo del actual
+  SUGGESTED_DROP_PERCENT: 10
+};
+
+/**
+ * Orden del reporte de demanda pendiente (admin)
+ */
+export const ALERT_DEMAND_SORT = {
+  SUBSCRIBERS: 'subscribers',
+  OLDEST: 'oldest',
+  STOCK: 'stock'
+};
+
+export const ALERT_DEMAND_SORT_LABELS = {
+  [ALERT_DEMAND_SORT.SUBSCRIBERS]: 'Más interesados',
+  [ALERT_DEMAND_SORT.OLDEST]: 'Esperando hace más tiempo',
+  [ALERT_DEMAND_SORT.STOCK]: 'Menor stock'
+};
+
+/**
+ * Mensajes de error
+ */
+export const ALERT_ERROR_MESSAGES = {
+  FETCH_FAILED: 'Error al cargar tus avisos',
+  SUBSCRIBE_FAILED: 'No se pudo crear el aviso',
+  UNSUBSCRIBE_FAILED: 'No se pudo cancelar el aviso',
+  MARK_READ_FAILED: 'No se pudo actualizar la notificación',
+  LIMIT_REACHED: `Solo puedes tener ${ALERT_LIMITS.MAX_ACTIVE} avisos activos`,
+  ALREADY_SUBSCRIBED: 'Ya tienes un aviso activo para este producto',
+  NOT_AUTHENTICATED: 'Inicia sesión para recibir avisos'
+};
+
+/**
+ * Mensajes de éxito
+ */
+export const ALERT_SUCCESS_MESSAGES = {
+  BACK_IN_STOCK_CREATED: 'Te avisaremos cuando vuelva a estar disponible',
+  PRICE_DROP_CREATED: 'Te avisaremos cuando baje de precio',
+  DELETED: 'Aviso cancelado',
+  ALL_READ: 'Notificaciones marcadas como leídas'
+};
+
+export default {
+  ALERT_TYPES,
+  ALERT_STATUS,
+  ALERT_TYPE_LABELS,
+  ALERT_LIMITS,
+  ALERT_DEMAND_SORT,
+  ALERT_DEMAND_SORT_LABELS,
+  ALERT_ERROR_MESSAGES,
+  ALERT_SUCCESS_MESSAGES
+};
@@ -0,0 +1,102 @@
+// src/modules/alerts/utils/alertHelpers.js
+
+import { ALERT_TYPES, ALERT_STATUS, ALERT_LIMITS } from '../types/alert.types';
+import { roundToMultiple } from '../../products/utils/priceHelpers';
+import { formatPrice } from '../../../shared/lib/money';
+
+/**
+ * Avisos todavía pendientes
+ * @param {Array} alerts - Avisos del usuario
+ * @returns {Array}
+ */
+export const getActiveAlerts = (alerts = []) => {
+  return alerts.filter(alert => alert.status === ALERT_STATUS.ACTIVE);
+};
+
+/**
+ * Notificaciones: avisos disparados, el más reciente primero
+ * @param {Array} alerts - Avisos del usuario
+ * @returns {Array}
+ */
+export const getAlertNotifications = (alerts = []) => {
+  return alerts
+    .filter(alert => alert.status === ALERT_STATUS.TRIGGERED)
+    .sort((a, b) => new Date(b.triggeredAt || 0) - new Date(a.triggeredAt || 0));
+};
+
+/**
+ * Notificaciones sin leer
+ * @param {Array} alerts - Avisos del usuario
+ * @returns {number}
+ */
+export const getUnreadCount = (alerts = []) => {
+  return getAlertNotifications(alerts).filter(alert => !alert.readAt).length;
+};
+
+/**
+ * Aviso activo del mismo tipo para el producto / variante
+ * @param {Array} alerts - Avisos del usuario
+ * @param {string} type - ALERT_TYPES
+ * @param {string} productId - ID del producto
+ * @param {string} variantSku - SKU de la variante (opcional)
+ * @returns {Object|null}
+ */
+export const findActiveAlert = (alerts = [], type, productId, variantSku = null) => {
+  return getActiveAlerts(alerts).find(alert =>
+    alert.type === type &&
+    (alert.product?._id || alert.product) === productId &&
+    (alert.variantSku || null) === (variantSku || null)
+  ) || null;
+};
+
+/**
+ * Precio objetivo sugerido para una alerta de precio
+ * @param {number} price - Precio actual
+ * @returns {number} ALERT_LIMITS.SUGGESTED_DROP_PERCENT por debajo, redondeado a 100
+ */
+export const getSuggestedTargetPrice = (price) => {
+  if (!price || price <= 0) return 0;
+  return roundToMultiple(price * (1 - ALERT_LIMITS.SUGGESTED_DROP_PERCENT / 100), 100);
+};
+
+/**
+ * Texto de la variante del aviso ("Talla: M · Color: Negro")
+ * @param {Object} alert
+ * @returns {string}
+ */
+export const getAlertVariantLabel = (alert) => {
+  const attributes = alert?.variantAttributes;
+  if (!attributes || !Object.keys(attributes).length) return alert?.variantSku || '';
+
+  return Object.values(attributes).filter(Boolean).join(' · ');
+};
+
+/**
+ * Mensaje de la notificación de un aviso disparado (o de la suscripción activa)
+ * @param {Object} alert
+ * @returns {string}
+ */
+export const describeAlert = (alert) => {
+  const name = alert?.product?.name || 'El producto';
+  const triggered = alert?.status === ALERT_STATUS.TRIGGERED;
+
+  if (alert?.type === ALERT_TYPES.PRICE_DROP) {
+    return triggered
+      ? `${name} bajó a ${formatPrice(alert.triggeredPrice ?? alert.product?.price)} (tu objetivo: ${formatPrice(alert.targetPrice)})`
+      : `Te avisaremos si ${name} baja a ${formatPrice(alert.targetPrice)} o menos`;
+  }
+
+  return triggered
+    ? `¡${name} volvió a estar disponible!`
+    : `Te avisaremos cuando ${name} vuelva a estar disponible`;
+};
+
+export default {
+  getActiveAlerts,
+  getAlertNotifications,
+  getUnreadCount,
+  findActiveAlert,
+  getSuggestedTargetPrice,
+  getAlertVariantLabel,
+  describeAlert
+};
@@ -103,6 +103,29 @@ export const authAPI = {
     return await axiosInstance.put('/auth/profile', updateData);
   },
 
+  /**
+   * @function changePassword
+   * @description Cambiar la contraseña del usuario autenticado
+   * 
+   * @param {Object} passwordData
+   * @param {string} passwordData.currentPassword - Contraseña actual
+   * @param {string} passwordData.newPassword - Nueva contraseña (PASSWORD_RULES)
+   * 
+   * @requires Authorization header (automático)
+   * 
+   * @returns {Promise<Object>} { success, message }
+   * @throws {Object} { success: false, message: 'Contraseña actual incorrecta', statusCode: 400 | 401 }
+   * 
+   * @example
+   * const response = await authAPI.changePassword({
+   *   currentPassword: 'anterior123',
+   *   newPassword: 'nueva456'
+   * });
+   */
+  changePassword: async (passwordData) => {
+    return await axiosInstance.put('/auth/change-password', passwordData);
+  },
+
   /**
    * @function refreshToken
    * @description Refrescar token de acceso usando refresh token
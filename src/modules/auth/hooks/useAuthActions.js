@@ -17,7 +17,7 @@ import { useAuth } from "../../../core/hooks/useAuth";
  * @param {Function} [options.onError] - Callback ejecutado en error
  * @param {string} [options.redirectTo] - Ruta de redirección después de éxito
  *
- * @returns {Object} { handleRegister, handleLogin, handleLogout, handleUpdateProfile, loading, error }
+ * @returns {Object} { handleRegister, handleLogin, handleLogout, handleUpdateProfile, handleChangePassword, loading, error }
  *
  * @example
  * const { handleLogin, loading, error } = useAuthActions({
@@ -28,7 +28,7 @@ import { useAuth } from "../../../core/hooks/useAuth";
 export const useAuthActions = (options = {}) => {
   const { onSuccess, onError, redirectTo } = options;
 
-  const { register, login, logout, updateProfile, user } = useAuth();
+  const { register, login, logout, updateProfile, changePassword, user } = useAuth();
   const navigate = useNavigate();
 
   const [loading, setLoading] = useState(false);
@@ -196,10 +196,11 @@ export const useAuthActions = (options = {}) => {
 
         return result;
       } else {
-        setError(result.error);
+        const errorMessage = result.error || result.message;
+        setError(errorMessage);
 
         if (onError) {
-          onError(result.error);
+          onError(errorMessage);
         }
 
         return result;
@@ -218,6 +219,49 @@ export const useAuthActions = (options = {}) => {
     }
   };
 
+  /**
+   * @function handleChangePassword
+   * @description Maneja el cambio de contraseña
+   *
+   * @param {Object} passwordData - { currentPassword, newPassword }
+   * @returns {Promise<Object>} { success, message }
+   */
+  const handleChangePassword = async (passwordData) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await changePassword(passwordData);
+
+      if (result.success) {
+        if (onSuccess) {
+          onSuccess(result);
+        }
+
+        return result;
+      } else {
+        setError(result.message);
+
+        if (onError) {
+          onError(result.message);
+        }
+
+        return result;
+      }
+    } catch (err) {
+      const errorMessage = err.message || "Error al cambiar la contraseña";
+      setError(errorMessage);
+
+      if (onError) {
+        onError(errorMessage);
+      }
+
+      return { success: false, message: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * @function redirectByRole
    * @description Redirige al usuario según su rol
@@ -240,6 +284,7 @@ export const useAuthActions = (options = {}) => {
     handleLogin,
     handleLogout,
     handleUpdateProfile,
+    handleChangePassword,
     loading,
     error,
     clearError: () => setError(null),
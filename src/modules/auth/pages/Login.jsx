@@ -6,6 +6,8 @@ import { useFormik } from 'formik';
 import { Eye, EyeOff, LogIn, Smartphone, Headphones, Watch, Zap } from 'lucide-react';
 import { useAuth } from '../../../core/hooks/useAuth';
 import { useAuthActions } from '../hooks/useAuthActions';
+import { toast } from 'react-toastify';
+import { getGuestCartMergeWarning } from '../../cart/utils/guestCart';
 import { loginSchema } from '../schemas/auth.schema';
 
 /**
@@ -41,7 +43,8 @@ export default function LoginPage() {
   const { handleLogin, loading, error } = useAuthActions({
     onSuccess: (result) => {
       console.log('[LOGIN] Login exitoso:', result.user.email);
-      // Aquí puedes agregar toast de éxito si tienes
+      const cartWarning = getGuestCartMergeWarning(result.guestCartMerge);
+      if (cartWarning) toast.warning(cartWarning, { autoClose: 5000 });
     },
     onError: (errorMsg) => {
       console.error('[LOGIN] Error:', errorMsg);
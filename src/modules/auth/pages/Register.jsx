@@ -5,6 +5,8 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useFormik } from 'formik';
 import { Eye, EyeOff, UserPlus, CheckCircle, Smartphone, Headphones, Watch, Zap } from 'lucide-react';
 import { useAuthActions } from '../hooks/useAuthActions';
+import { toast } from 'react-toastify';
+import { getGuestCartMergeWarning } from '../../cart/utils/guestCart';
 import { registerSchema, validatePasswordStrength, getPasswordStrengthColor } from '../schemas/auth.schema';
 
 /**
@@ -22,8 +24,10 @@ export default function RegisterPage() {
   const navigate = useNavigate();
 
   const { handleRegister, loading, error } = useAuthActions({
-    onSuccess: () => {
+    onSuccess: (result) => {
       console.log('[REGISTER] Registro exitoso');
+      const cartWarning = getGuestCartMergeWarning(result.guestCartMerge);
+      if (cartWarning) toast.warning(cartWarning, { autoClose: 5000 });
     },
     onError: (errorMsg) => {
       console.error('[REGISTER] Error:', errorMsg);
@@ -1,6 +1,7 @@
 // src/modules/auth/schemas/auth.schema.js
 
 import * as Yup from 'yup';
+import { PASSWORD_RULES } from '../types/auth.types';
 
 /**
  * @description Esquemas de validación para formularios de autenticación
@@ -17,6 +18,12 @@ const PATTERNS = {
   
   // Teléfono internacional (7-20 caracteres, números y símbolos permitidos)
   PHONE: /^[0-9\s\-\+()]{7,20}$/,
+
+  // Reglas de composición de contraseña (PASSWORD_RULES)
+  UPPERCASE: /[A-Z]/,
+  LOWERCASE: /[a-z]/,
+  NUMBER: /\d/,
+  SPECIAL: /[^a-zA-Z\d]/,
 };
 
 // ========== MENSAJES DE ERROR ==========
@@ -27,7 +34,15 @@ const MESSAGES = {
   EMAIL_MAX: 'Email muy largo (máx. 100 caracteres)',
   
   PASSWORD_REQUIRED: 'La contraseña es requerida',
-  PASSWORD_MIN: 'La contraseña debe tener al menos 6 caracteres',
+  PASSWORD_MIN: `La contraseña debe tener al menos ${PASSWORD_RULES.MIN_LENGTH} caracteres`,
+  PASSWORD_UPPERCASE: 'La contraseña debe contener al menos una mayúscula',
+  PASSWORD_LOWERCASE: 'La contraseña debe contener al menos una minúscula',
+  PASSWORD_NUMBER: 'La contraseña debe contener al menos un número',
+  PASSWORD_SPECIAL: 'La contraseña debe contener al menos un símbolo',
+  CURRENT_PASSWORD_REQUIRED: 'La contraseña actual es requerida',
+  NEW_PASSWORD_SAME: 'La nueva contraseña debe ser diferente a la actual',
+  CONFIRM_PASSWORD_REQUIRED: 'Confirma la nueva contraseña',
+  CONFIRM_PASSWORD_MISMATCH: 'Las contraseñas no coinciden',
   
   FIRSTNAME_REQUIRED: 'El nombre es requerido',
   FIRSTNAME_MAX: 'El nombre no puede exceder 50 caracteres',
@@ -40,6 +55,37 @@ const MESSAGES = {
   PHONE_INVALID: 'Teléfono inválido (7-20 caracteres, solo números y símbolos permitidos)',
 };
 
+// ========== REGLA: CONTRASEÑA ==========
+
+/**
+ * @function buildPasswordRule
+ * @description Construye la regla Yup de contraseña a partir de PASSWORD_RULES
+ * 
+ * Las reglas REQUIRE_* solo se aplican si están activas en auth.types
+ * 
+ * @returns {Yup.StringSchema}
+ */
+const buildPasswordRule = () => {
+  let rule = Yup.string()
+    .required(MESSAGES.PASSWORD_REQUIRED)
+    .min(PASSWORD_RULES.MIN_LENGTH, MESSAGES.PASSWORD_MIN);
+
+  if (PASSWORD_RULES.REQUIRE_UPPERCASE) {
+    rule = rule.matches(PATTERNS.UPPERCASE, MESSAGES.PASSWORD_UPPERCASE);
+  }
+  if (PASSWORD_RULES.REQUIRE_LOWERCASE) {
+    rule = rule.matches(PATTERNS.LOWERCASE, MESSAGES.PASSWORD_LOWERCASE);
+  }
+  if (PASSWORD_RULES.REQUIRE_NUMBER) {
+    rule = rule.matches(PATTERNS.NUMBER, MESSAGES.PASSWORD_NUMBER);
+  }
+  if (PASSWORD_RULES.REQUIRE_SPECIAL) {
+    rule = rule.matches(PATTERNS.SPECIAL, MESSAGES.PASSWORD_SPECIAL);
+  }
+
+  return rule;
+};
+
 // ========== ESQUEMA: REGISTRO ==========
 
 /**
@@ -58,9 +104,7 @@ export const registerSchema = Yup.object({
     .lowercase()
     .trim(),
 
-  password: Yup.string()
-    .required(MESSAGES.PASSWORD_REQUIRED)
-    .min(6, MESSAGES.PASSWORD_MIN),
+  password: buildPasswordRule(),
 
   firstName: Yup.string()
     .required(MESSAGES.FIRSTNAME_REQUIRED)
@@ -141,6 +185,30 @@ export const updateProfileSchema = Yup.object({
   }
 );
 
+// ========== ESQUEMA: CAMBIAR CONTRASEÑA ==========
+
+/**
+ * @schema changePasswordSchema
+ * @description Validación para cambio de contraseña
+ * 
+ * Coincide con:
+ * - backend: auth.validation.js > changePasswordValidation
+ * - reglas: auth.types.js > PASSWORD_RULES
+ * 
+ * NOTA: confirmPassword solo se valida en frontend, no se envía al backend
+ */
+export const changePasswordSchema = Yup.object({
+  currentPassword: Yup.string()
+    .required(MESSAGES.CURRENT_PASSWORD_REQUIRED),
+
+  newPassword: buildPasswordRule()
+    .notOneOf([Yup.ref('currentPassword')], MESSAGES.NEW_PASSWORD_SAME),
+
+  confirmPassword: Yup.string()
+    .required(MESSAGES.CONFIRM_PASSWORD_REQUIRED)
+    .oneOf([Yup.ref('newPassword')], MESSAGES.CONFIRM_PASSWORD_MISMATCH),
+});
+
 // ========== UTILIDADES DE VALIDACIÓN ==========
 
 /**
@@ -157,11 +225,11 @@ export const validatePasswordStrength = (password) => {
   const feedback = [];
 
   // Longitud mínima (25 puntos)
-  if (password.length >= 6) {
+  if (password.length >= PASSWORD_RULES.MIN_LENGTH) {
     score += 25;
     feedback.push('✓ Longitud mínima');
   } else {
-    feedback.push('✗ Mínimo 6 caracteres');
+    feedback.push(`✗ Mínimo ${PASSWORD_RULES.MIN_LENGTH} caracteres`);
   }
 
   // Mayúsculas y minúsculas (25 puntos)
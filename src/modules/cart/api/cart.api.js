@@ -117,9 +117,27 @@ export const clearCart = async () => {
   return data;
 };
 
+/**
+ * @function getCoupon
+ * @description Obtener las reglas de un cupón sin aplicarlo (vista previa)
+ * 
+ * BACKEND: GET /api/cart/coupon/:code
+ * CONTROLLER: cartController.getCoupon
+ * AUTH: Required
+ * 
+ * @param {string} code - Código del cupón
+ * 
+ * @returns {Promise<Object>} { success, data: Coupon } (ver utils/couponEngine)
+ * @throws {Error} 404 si el cupón no existe
+ */
+export const getCoupon = async (code) => {
+  const { data } = await axiosInstance.get(`${BASE_URL}/coupon/${encodeURIComponent(code)}`);
+  return data;
+};
+
 /**
  * @function applyCoupon
- * @description Aplicar cupón de descuento
+ * @description Aplicar cupón de descuento (se acumula según COUPON_STACKING_RULES)
  * 
  * BACKEND: POST /api/cart/coupon
  * CONTROLLER: cartController.applyCoupon
@@ -128,9 +146,8 @@ export const clearCart = async () => {
  * 
  * @param {string} code - Código del cupón (REQUIRED, max 20 chars, uppercase)
  * 
- * @returns {Promise<Object>} { success, message, data: Cart }
- * @throws {Error} 400 si cupón inválido o expirado
- * @throws {Error} 400 si no cumple monto mínimo
+ * @returns {Promise<Object>} { success, message, data: Cart } (cart.coupons)
+ * @throws {Error} 400 si el cupón no aplica ({ message, reason: COUPON_REJECTION_REASONS })
  * @throws {Error} 404 si carrito no existe
  */
 export const applyCoupon = async (code) => {
@@ -138,6 +155,24 @@ export const applyCoupon = async (code) => {
   return data;
 };
 
+/**
+ * @function removeCoupon
+ * @description Quitar un cupón aplicado
+ * 
+ * BACKEND: DELETE /api/cart/coupon/:code
+ * CONTROLLER: cartController.removeCoupon
+ * AUTH: Required
+ * 
+ * @param {string} code - Código del cupón
+ * 
+ * @returns {Promise<Object>} { success, message, data: Cart }
+ * @throws {Error} 404 si el cupón no está aplicado
+ */
+export const removeCoupon = async (code) => {
+  const { data } = await axiosInstance.delete(`${BASE_URL}/coupon/${encodeURIComponent(code)}`);
+  return data;
+};
+
 /**
  * @function updateShippingAddress
  * @description Actualizar dirección de envío
@@ -180,6 +215,9 @@ export const updateShippingAddress = async (addressData) => {
  * @param {Object} shippingData - Datos del envío
  * @param {string} shippingData.method - Método (REQUIRED: 'standard'|'express'|'overnight'|'pickup')
  * @param {number} [shippingData.cost=0] - Costo del envío (min: 0)
+ * @param {Object} [shippingData.pickup] - Recogida (REQUIRED si method es 'pickup')
+ * @param {string} shippingData.pickup.locationId - Punto de recogida
+ * @param {Object} shippingData.pickup.window - Franja { date: 'YYYY-MM-DD', start: 'HH:mm', end: 'HH:mm' }
  * 
  * @returns {Promise<Object>} { success, message, data: Cart }
  * @throws {Error} 400 si método inválido
@@ -190,6 +228,149 @@ export const updateShippingMethod = async (shippingData) => {
   return data;
 };
 
+/**
+ * @function updateItemGiftOptions
+ * @description Actualizar opciones de regalo de un item (envoltura, mensaje, ocultar precios)
+ * 
+ * BACKEND: PUT /api/cart/items/:productId/gift
+ * CONTROLLER: cartController.updateItemGiftOptions
+ * VALIDATION: updateGiftOptionsValidation
+ * AUTH: Required
+ * 
+ * @param {string} productId - ID del producto (REQUIRED)
+ * @param {Object} giftData - Datos del regalo
+ * @param {Object} giftData.giftOptions - { wrap: boolean, message: string (max 200), hidePrices: boolean }
+ * @param {Object} [giftData.attributes={}] - Atributos para identificar item
+ * 
+ * @returns {Promise<Object>} { success, message, data: Cart }
+ * @throws {Error} 400 si el mensaje excede el límite
+ * @throws {Error} 404 si el item no está en el carrito
+ */
+export const updateItemGiftOptions = async (productId, giftData) => {
+  const { data } = await axiosInstance.put(`${BASE_URL}/items/${productId}/gift`, giftData);
+  return data;
+};
+
+/**
+ * @function updateCartNotes
+ * @description Actualizar las notas del pedido (se copian a la orden)
+ * 
+ * BACKEND: PUT /api/cart/notes
+ * CONTROLLER: cartController.updateNotes
+ * VALIDATION: updateNotesValidation
+ * AUTH: Required
+ * 
+ * @param {string} notes - Notas para el equipo de despacho (max 500 chars)
+ * 
+ * @returns {Promise<Object>} { success, message, data: Cart }
+ * @throws {Error} 400 si las notas exceden el límite
+ * @throws {Error} 404 si carrito no existe
+ */
+export const updateCartNotes = async (notes) => {
+  const { data } = await axiosInstance.put(`${BASE_URL}/notes`, { notes });
+  return data;
+};
+
+/**
+ * @function restoreCart
+ * @description Restaurar un carrito abandonado desde el enlace del recordatorio
+ * 
+ * BACKEND: POST /api/cart/restore
+ * CONTROLLER: cartController.restoreCart
+ * AUTH: Required (el token debe pertenecer al usuario autenticado)
+ * 
+ * Los items del carrito abandonado se suman al carrito actual y, si el
+ * recordatorio incluía cupón, queda aplicado
+ * 
+ * @param {string} token - Token firmado del enlace (/carrito/recuperar/:token)
+ * 
+ * @returns {Promise<Object>} { success, message, data: Cart }
+ * @throws {Error} 400 si el token es inválido o venció
+ * @throws {Error} 403 si el carrito es de otro usuario
+ */
+export const restoreCart = async (token) => {
+  const { data } = await axiosInstance.post(`${BASE_URL}/restore`, { token });
+  return data;
+};
+
+/**
+ * @function reserveStock
+ * @description Reservar el stock de los items del carrito durante el checkout
+ * 
+ * BACKEND: POST /api/cart/reservation
+ * CONTROLLER: cartController.reserveStock
+ * AUTH: Required
+ * 
+ * Mientras la reserva está vigente, esas unidades no se venden a otro cliente.
+ * Reservar de nuevo reemplaza la reserva anterior del carrito
+ * 
+ * @returns {Promise<Object>} { success, message, data: { reservationId, expiresAt, items: [{ productId, quantity }] } }
+ * @throws {Error} 409 si algún item no tiene stock ({ message, shortages: [{ productId, name, requested, available }] })
+ * @throws {Error} 404 si carrito no existe
+ */
+export const reserveStock = async () => {
+  const { data } = await axiosInstance.post(`${BASE_URL}/reservation`);
+  return data;
+};
+
+/**
+ * @function releaseStockReservation
+ * @description Liberar la reserva de stock del carrito (vence o el cliente sale del checkout)
+ * 
+ * BACKEND: DELETE /api/cart/reservation
+ * CONTROLLER: cartController.releaseReservation
+ * AUTH: Required
+ * 
+ * @returns {Promise<Object>} { success, message }
+ */
+export const releaseStockReservation = async () => {
+  const { data } = await axiosInstance.delete(`${BASE_URL}/reservation`);
+  return data;
+};
+
+/**
+ * @function createShareLink
+ * @description Crear un enlace corto para compartir un carrito prearmado
+ * 
+ * BACKEND: POST /api/cart/share
+ * CONTROLLER: cartController.createShareLink
+ * VALIDATION: createShareLinkValidation
+ * AUTH: Opcional (también disponible para el carrito anónimo)
+ * 
+ * El backend guarda la lista de items y devuelve un código corto
+ * (/carrito/compartido/:code); no guarda precios ni reserva stock
+ * 
+ * @param {Array} items - [{ productId, quantity, attributes, price }]
+ * 
+ * @returns {Promise<Object>} { success, message, data: { code, expiresAt } }
+ * @throws {Error} 400 si la lista está vacía o excede el límite
+ */
+export const createShareLink = async (items) => {
+  const { data } = await axiosInstance.post(`${BASE_URL}/share`, { items });
+  return data;
+};
+
+/**
+ * @function getSharedCart
+ * @description Obtener los items de un carrito compartido
+ * 
+ * BACKEND: GET /api/cart/share/:code
+ * CONTROLLER: cartController.getSharedCart
+ * AUTH: No requerida
+ * 
+ * Cada item trae el producto actual (precio y stock de hoy) y el precio
+ * que tenía al compartirse
+ * 
+ * @param {string} code - Código del enlace
+ * 
+ * @returns {Promise<Object>} { success, message, data: { code, items: [{ product, quantity, attributes, price }], createdAt, expiresAt } }
+ * @throws {Error} 404 si el código no existe o venció
+ */
+export const getSharedCart = async (code) => {
+  const { data } = await axiosInstance.get(`${BASE_URL}/share/${encodeURIComponent(code)}`);
+  return data;
+};
+
 /**
  * EXPORTACIÓN POR DEFECTO
  */
@@ -199,7 +380,16 @@ export default {
   updateCartItem,
   removeFromCart,
   clearCart,
+  getCoupon,
   applyCoupon,
+  removeCoupon,
   updateShippingAddress,
-  updateShippingMethod
+  updateShippingMethod,
+  updateItemGiftOptions,
+  updateCartNotes,
+  restoreCart,
+  reserveStock,
+  releaseStockReservation,
+  createShareLink,
+  getSharedCart
 };
\ No newline at end of file
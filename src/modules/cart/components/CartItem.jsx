@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { formatPrice, formatAttributes, getStockMessage } from '../utils/cartHelpers';
 import { CART_LIMITS } from '../types/cart.types';
+import GiftOptions from './GiftOptions';
 
 /**
  * @component CartItem
@@ -10,18 +11,24 @@ import { CART_LIMITS } from '../types/cart.types';
  * @param {Object} item - Item del carrito
  * @param {Function} onUpdateQuantity - Callback para actualizar cantidad
  * @param {Function} onRemove - Callback para eliminar
+ * @param {Function} onSaveForLater - Callback para guardar para después (opcional)
+ * @param {Function} onUpdateGiftOptions - Callback para opciones de regalo (opcional)
  * @param {boolean} loading - Estado de carga
  * @param {boolean} disabled - Deshabilitar acciones
+ *
+ * La cantidad viene del carrito (CartContext la actualiza de forma optimista),
+ * así que los botones no se bloquean mientras el servidor responde
  */
 const CartItem = ({
   item,
   onUpdateQuantity,
   onRemove,
+  onSaveForLater,
+  onUpdateGiftOptions,
   loading = false,
   disabled = false
 }) => {
-  const [quantity, setQuantity] = useState(item.quantity);
-  const [isUpdating, setIsUpdating] = useState(false);
+  const quantity = item.quantity;
 
   const product = item.product;
   const hasDiscount = item.discount > 0;
@@ -32,7 +39,7 @@ const CartItem = ({
   // HANDLERS
   // ============================================================================
 
-  const handleQuantityChange = async (newQuantity) => {
+  const handleQuantityChange = (newQuantity) => {
     if (newQuantity < CART_LIMITS.MIN_QUANTITY || newQuantity > CART_LIMITS.MAX_QUANTITY) {
       return;
     }
@@ -42,17 +49,8 @@ const CartItem = ({
       return;
     }
 
-    setIsUpdating(true);
-    setQuantity(newQuantity);
-
-    try {
-      await onUpdateQuantity(product._id, newQuantity, item.attributes);
-    } catch (error) {
-      // Revertir cantidad en caso de error
-      setQuantity(item.quantity);
-    } finally {
-      setIsUpdating(false);
-    }
+    // Si el servidor rechaza el cambio, CartContext revierte el carrito
+    onUpdateQuantity(product._id, newQuantity, item.attributes).catch(() => {});
   };
 
   const handleIncrement = () => {
@@ -146,7 +144,7 @@ const CartItem = ({
           <div className="flex items-center gap-2">
             <button
               onClick={handleDecrement}
-              disabled={disabled || loading || isUpdating || quantity <= 1}
+              disabled={disabled || loading || quantity <= 1}
               className="w-8 h-8 flex items-center justify-center border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
               aria-label="Disminuir cantidad"
             >
@@ -162,7 +160,7 @@ const CartItem = ({
                   handleQuantityChange(val);
                 }
               }}
-              disabled={disabled || loading || isUpdating}
+              disabled={disabled || loading}
               className="w-16 text-center border border-gray-300 rounded-md py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
               min={CART_LIMITS.MIN_QUANTITY}
               max={Math.min(CART_LIMITS.MAX_QUANTITY, product.stock || CART_LIMITS.MAX_QUANTITY)}
@@ -173,7 +171,6 @@ const CartItem = ({
               disabled={
                 disabled || 
                 loading || 
-                isUpdating || 
                 quantity >= CART_LIMITS.MAX_QUANTITY ||
                 (product.trackQuantity && quantity >= product.stock)
               }
@@ -184,18 +181,41 @@ const CartItem = ({
             </button>
           </div>
 
-          {/* Botón Eliminar */}
-          <button
-            onClick={handleRemove}
-            disabled={disabled || loading}
-            className="text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            Eliminar
-          </button>
+          <div className="flex items-center gap-4">
+            {/* Guardar para después */}
+            {onSaveForLater && (
+              <button
+                onClick={() => onSaveForLater(item)}
+                disabled={disabled || loading}
+                className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Guardar para después
+              </button>
+            )}
+
+            {/* Botón Eliminar */}
+            <button
+              onClick={handleRemove}
+              disabled={disabled || loading}
+              className="text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Eliminar
+            </button>
+          </div>
         </div>
 
+        {/* Opciones de regalo (se reinician si cambia el mensaje guardado) */}
+        {onUpdateGiftOptions && (
+          <GiftOptions
+            key={item.giftOptions?.message || ''}
+            item={item}
+            onSave={onUpdateGiftOptions}
+            disabled={disabled || loading}
+          />
+        )}
+
         {/* Loading Overlay */}
-        {(loading || isUpdating) && (
+        {loading && (
           <div className="absolute inset-0 bg-white bg-opacity-50 flex items-center justify-center rounded-lg">
             <div className="w-6 h-6 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
           </div>
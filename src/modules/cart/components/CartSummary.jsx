@@ -1,6 +1,7 @@
 import React from 'react';
 import { formatPrice, formatDiscount } from '../utils/cartHelpers';
 import { CART_THRESHOLDS } from '../types/cart.types';
+import TaxBreakdown from './TaxBreakdown';
 
 /**
  * @component CartSummary
@@ -24,7 +25,6 @@ const CartSummary = ({
     return null;
   }
 
-  const hasCoupon = cart?.coupon?.code;
   const hasShippingDiscount = summary.shippingDiscount > 0;
   const freeShippingRemaining = CART_THRESHOLDS.MIN_FREE_SHIPPING - summary.subtotal;
   const qualifiesForFreeShipping = freeShippingRemaining <= 0;
@@ -43,19 +43,26 @@ const CartSummary = ({
         </div>
 
         {/* Descuento por Cupón */}
-        {hasCoupon && summary.discount > 0 && (
-          <div className="flex justify-between text-green-600">
+        {summary.coupons?.filter(coupon => coupon.discount > 0).map(coupon => (
+          <div key={coupon.code} className="flex justify-between text-green-600">
             <span className="flex items-center gap-2">
               Descuento
               <span className="text-xs bg-green-50 px-2 py-1 rounded font-medium">
-                {cart.coupon.code}
+                {coupon.code}
               </span>
             </span>
             <span className="font-medium">
-              {formatDiscount(cart.coupon)}
+              {formatDiscount(coupon, coupon.discount)}
             </span>
           </div>
-        )}
+        ))}
+
+        {/* Cupones que dejaron de aplicar */}
+        {summary.rejectedCoupons?.map(coupon => (
+          <p key={coupon.code} className="text-xs text-orange-600">
+            {coupon.message}
+          </p>
+        ))}
 
         {/* Envío */}
         <div className="flex justify-between text-gray-700">
@@ -77,10 +84,13 @@ const CartSummary = ({
         </div>
 
         {/* Impuestos */}
-        {summary.tax > 0 && (
-          <div className="flex justify-between text-gray-700">
-            <span>Impuestos ({cart.taxRate}%)</span>
-            <span className="font-medium">{formatPrice(summary.tax)}</span>
+        {summary.taxBreakdown?.lines.length > 0 && (
+          <div className="pt-3 border-t border-gray-100 space-y-2">
+            <div className="flex justify-between text-gray-700">
+              <span>{summary.taxIncluded ? 'IVA incluido' : 'IVA'}</span>
+              <span className="font-medium">{formatPrice(summary.tax)}</span>
+            </div>
+            <TaxBreakdown breakdown={summary.taxBreakdown} />
           </div>
         )}
       </div>
@@ -116,6 +126,33 @@ const CartSummary = ({
         </div>
       )}
 
+      {/* Regalos y notas del pedido */}
+      {(summary.giftItems?.length > 0 || summary.notes) && (
+        <div className="mb-4 p-3 bg-gray-50 rounded-lg space-y-2 text-sm">
+          {summary.giftItems?.map(item => (
+            <div key={`${item.product._id}-${JSON.stringify(item.attributes)}`} className="text-gray-700">
+              <p className="font-medium">🎁 {item.product.name}</p>
+              <p className="text-xs text-gray-500">
+                {[
+                  item.giftOptions.wrap && 'Envuelto para regalo',
+                  item.giftOptions.hidePrices && 'Sin precios en la guía'
+                ].filter(Boolean).join(' · ')}
+              </p>
+              {item.giftOptions.message && (
+                <p className="text-xs text-gray-600 italic">"{item.giftOptions.message}"</p>
+              )}
+            </div>
+          ))}
+
+          {summary.notes && (
+            <div className="text-gray-700">
+              <p className="font-medium">📝 Notas</p>
+              <p className="text-xs text-gray-600 whitespace-pre-line break-words">{summary.notes}</p>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Divider */}
       <div className="border-t border-gray-200 my-4"></div>
 
@@ -1,53 +1,82 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { CART_LIMITS } from '../types/cart.types';
+import { formatPrice, calculateCartCoupons } from '../utils/cartHelpers';
+import { describeCoupon } from '../utils/couponEngine';
+import useCouponPreview from '../hooks/useCouponPreview';
 
 /**
  * @component CouponForm
  * @description Formulario para aplicar cupones de descuento
- * 
+ *
+ * Antes de aplicar un código se muestra el ahorro sobre el carrito actual
+ * o el motivo exacto por el que no aplica (utils/couponEngine)
+ *
  * PROPS:
- * @param {Function} onApply - Callback al aplicar cupón
- * @param {Object} appliedCoupon - Cupón aplicado actualmente
+ * @param {Function} onApply - Callback al aplicar cupón (code)
+ * @param {Function} onRemove - Callback al quitar un cupón (code)
+ * @param {Object} cart - Carrito completo (cupones aplicados y vista previa)
  * @param {boolean} loading - Estado de carga
  * @param {string} error - Mensaje de error
  */
 const CouponForm = ({
   onApply,
-  appliedCoupon = null,
+  onRemove,
+  cart = null,
   loading = false,
   error = null
 }) => {
+  const { applied, rejected } = useMemo(
+    () => (cart ? calculateCartCoupons(cart) : { applied: [], rejected: [] }),
+    [cart]
+  );
+  const hasCoupon = applied.length > 0 || rejected.length > 0;
+
   const [code, setCode] = useState('');
-  const [showForm, setShowForm] = useState(!appliedCoupon);
+  const [showForm, setShowForm] = useState(!hasCoupon);
 
-  const hasCoupon = !!appliedCoupon;
+  const { preview, checking, checkCoupon, clearPreview } = useCouponPreview(cart);
 
   // ============================================================================
   // HANDLERS
   // ============================================================================
 
-  const handleSubmit = async () => {
-    if (!code.trim()) {
-      return;
-    }
+  const handleCheck = async (value = code) => {
+    const trimmed = value.trim().toUpperCase();
 
-    if (code.length > CART_LIMITS.MAX_COUPON_LENGTH) {
+    if (!trimmed || trimmed.length > CART_LIMITS.MAX_COUPON_LENGTH) {
       return;
     }
 
-    await onApply(code.trim().toUpperCase());
-    setCode('');
+    setCode(trimmed);
+    await checkCoupon(trimmed);
+  };
+
+  const handleApply = async () => {
+    if (!preview?.eligible) return;
+
+    const result = await onApply(preview.code);
+    if (result) {
+      setCode('');
+      clearPreview();
+      setShowForm(false);
+    }
   };
 
   const handleToggle = () => {
     setShowForm(!showForm);
     setCode('');
+    clearPreview();
+  };
+
+  const handleCodeChange = (value) => {
+    setCode(value.toUpperCase());
+    if (preview) clearPreview();
   };
 
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
-      handleSubmit();
+      handleCheck();
     }
   };
 
@@ -73,29 +102,64 @@ const CouponForm = ({
             onClick={handleToggle}
             className="text-sm text-blue-600 hover:text-blue-700 font-medium"
           >
-            {showForm ? 'Ocultar' : 'Cambiar'}
+            {showForm ? 'Ocultar' : 'Agregar otro'}
           </button>
         )}
       </div>
 
-      {/* Cupón Aplicado */}
-      {hasCoupon && !showForm && (
-        <div className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
-          <div className="flex items-center gap-2">
-            <svg className="w-5 h-5 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
-            <div>
-              <p className="text-sm font-semibold text-green-800">
-                {appliedCoupon.code}
-              </p>
-              <p className="text-xs text-green-600">
-                {appliedCoupon.type === 'percentage' && `${appliedCoupon.discount}% de descuento`}
-                {appliedCoupon.type === 'fixed' && `$${appliedCoupon.discount} de descuento`}
-                {appliedCoupon.type === 'shipping' && 'Envío gratis'}
-              </p>
+      {/* Cupones Aplicados */}
+      {hasCoupon && (
+        <div className="space-y-2 mb-3">
+          {applied.map(({ coupon, discount, shippingDiscount }) => (
+            <div key={coupon.code} className="flex items-center justify-between gap-2 p-3 bg-green-50 rounded-lg">
+              <div className="flex items-center gap-2 min-w-0">
+                <svg className="w-5 h-5 text-green-600 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-green-800">
+                    {coupon.code}
+                    {(discount > 0 || shippingDiscount > 0) && (
+                      <span className="ml-2 font-medium">
+                        -{formatPrice(discount + shippingDiscount)}
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-green-600">
+                    {describeCoupon(coupon)}
+                  </p>
+                </div>
+              </div>
+              {onRemove && (
+                <button
+                  onClick={() => onRemove(coupon.code)}
+                  disabled={loading}
+                  className="text-xs text-gray-500 hover:text-red-600 font-medium disabled:opacity-50"
+                >
+                  Quitar
+                </button>
+              )}
             </div>
-          </div>
+          ))}
+
+          {/* Aplicados que dejaron de cumplir las condiciones */}
+          {rejected.map(({ coupon, message }) => (
+            <div key={coupon.code} className="flex items-center justify-between gap-2 p-3 bg-orange-50 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-orange-800">{coupon.code}</p>
+                <p className="text-xs text-orange-700">{message}</p>
+              </div>
+              {onRemove && (
+                <button
+                  onClick={() => onRemove(coupon.code)}
+                  disabled={loading}
+                  className="text-xs text-gray-500 hover:text-red-600 font-medium disabled:opacity-50"
+                >
+                  Quitar
+                </button>
+              )}
+            </div>
+          ))}
         </div>
       )}
 
@@ -106,7 +170,7 @@ const CouponForm = ({
             <input
               type="text"
               value={code}
-              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              onChange={(e) => handleCodeChange(e.target.value)}
               onKeyPress={handleKeyPress}
               placeholder="Ingresa tu cupón"
               disabled={loading}
@@ -115,20 +179,59 @@ const CouponForm = ({
             />
 
             <button
-              onClick={handleSubmit}
-              disabled={loading || !code.trim()}
+              onClick={() => handleCheck()}
+              disabled={loading || checking || !code.trim()}
               className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
             >
-              {loading ? (
+              {checking ? (
                 <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
               ) : (
-                'Aplicar'
+                'Verificar'
               )}
             </button>
           </div>
 
+          {/* Vista previa: ahorro */}
+          {preview?.eligible && (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-semibold text-green-800">{preview.code}</p>
+                <p className="text-sm font-bold text-green-700">
+                  {preview.discount + preview.shippingDiscount > 0
+                    ? `Ahorras ${formatPrice(preview.discount + preview.shippingDiscount)}`
+                    : 'Envío gratis al elegir el envío'}
+                </p>
+              </div>
+              {preview.description && (
+                <p className="text-xs text-green-700">{preview.description}</p>
+              )}
+              <button
+                onClick={handleApply}
+                disabled={loading}
+                className="w-full py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Aplicando...' : 'Aplicar cupón'}
+              </button>
+            </div>
+          )}
+
+          {/* Vista previa: motivo del rechazo */}
+          {preview && !preview.eligible && (
+            <div className="flex items-start gap-2 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+              <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <div>
+                <p>{preview.message}</p>
+                {preview.description && (
+                  <p className="text-xs text-red-600 mt-1">Condiciones: {preview.description}</p>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Error Message */}
-          {error && (
+          {error && !preview && (
             <div className="flex items-center gap-2 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
               <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -139,7 +242,7 @@ const CouponForm = ({
 
           {/* Helper Text */}
           <p className="text-xs text-gray-500">
-            Los cupones se aplican automáticamente al total
+            Puedes combinar un cupón de descuento con uno de envío
           </p>
         </div>
       )}
@@ -152,19 +255,19 @@ const CouponForm = ({
           </p>
           <div className="flex flex-wrap gap-2">
             <button
-              onClick={() => setCode('WELCOME10')}
+              onClick={() => handleCheck('WELCOME10')}
               className="px-3 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-full hover:bg-blue-100 transition-colors"
             >
               WELCOME10
             </button>
             <button
-              onClick={() => setCode('SAVE20')}
+              onClick={() => handleCheck('SAVE20')}
               className="px-3 py-1 text-xs font-medium text-green-600 bg-green-50 rounded-full hover:bg-green-100 transition-colors"
             >
               SAVE20
             </button>
             <button
-              onClick={() => setCode('SHIP50')}
+              onClick={() => handleCheck('SHIP50')}
               className="px-3 py-1 text-xs font-medium text-purple-600 bg-purple-50 rounded-full hover:bg-purple-100 transition-colors"
             >
               SHIP50
@@ -176,4 +279,4 @@ const CouponForm = ({
   );
 };
 
-export default CouponForm;
\ No newline at end of file
+export default CouponForm;
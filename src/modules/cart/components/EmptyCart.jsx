@@ -0,0 +1,39 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ShoppingCart } from 'lucide-react';
+
+/**
+ * @component EmptyCart
+ * @description Estado vacío del carrito
+ *
+ * @param {string} title - Título personalizado
+ * @param {string} message - Mensaje personalizado
+ * @param {string} actionText - Texto del botón
+ * @param {string} actionTo - Ruta del botón
+ */
+const EmptyCart = ({
+  title = 'Tu carrito está vacío',
+  message = 'Agrega productos a tu carrito para comenzar tu compra',
+  actionText = 'Explorar productos',
+  actionTo = '/productos'
+}) => {
+  return (
+    <div className="flex flex-col items-center justify-center py-16 px-4 text-center">
+      <ShoppingCart className="w-24 h-24 text-gray-300 mb-4" />
+      <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+        {title}
+      </h3>
+      <p className="text-gray-600 dark:text-gray-400 mb-6 max-w-md">
+        {message}
+      </p>
+      <Link
+        to={actionTo}
+        className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+      >
+        {actionText}
+      </Link>
+    </div>
+  );
+};
+
+export default EmptyCart;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { CART_LIMITS, DEFAULT_GIFT_OPTIONS } from '../types/cart.types';
+import { isGiftItem } from '../utils/cartHelpers';
+
+/**
+ * @component GiftOptions
+ * @description Opciones de regalo de un item: envoltura, mensaje y ocultar
+ * precios en la guía de despacho
+ *
+ * PROPS:
+ * @param {Object} item - Item del carrito
+ * @param {Function} onSave - (productId, giftOptions, attributes) => Promise
+ * @param {boolean} disabled - Deshabilitar acciones
+ *
+ * Los checkboxes se guardan al instante; el mensaje, al pulsar "Guardar"
+ */
+const GiftOptions = ({ item, onSave, disabled = false }) => {
+  const saved = { ...DEFAULT_GIFT_OPTIONS, ...item.giftOptions };
+
+  const [open, setOpen] = useState(isGiftItem(item));
+  const [message, setMessage] = useState(saved.message);
+
+  const messageChanged = message.trim() !== saved.message.trim();
+
+  // ============================================================================
+  // HANDLERS
+  // ============================================================================
+
+  const save = (changes) => {
+    // Si el servidor rechaza el cambio, CartContext revierte el carrito
+    onSave(item.product._id, { ...saved, ...changes }, item.attributes).catch(() => {});
+  };
+
+  const handleToggle = () => {
+    if (open && isGiftItem(item)) {
+      save(DEFAULT_GIFT_OPTIONS);
+      setMessage('');
+    }
+    setOpen(!open);
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  return (
+    <div className="mt-3">
+      <label className="inline-flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={open}
+          onChange={handleToggle}
+          disabled={disabled}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        🎁 Es un regalo
+      </label>
+
+      {open && (
+        <div className="mt-2 p-3 bg-pink-50 border border-pink-100 rounded-lg space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={saved.wrap}
+              onChange={(e) => save({ wrap: e.target.checked })}
+              disabled={disabled}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Envolver para regalo
+          </label>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={saved.hidePrices}
+              onChange={(e) => save({ hidePrices: e.target.checked })}
+              disabled={disabled}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Ocultar precios en la guía de despacho
+          </label>
+
+          <div>
+            <textarea
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={CART_LIMITS.MAX_GIFT_MESSAGE_LENGTH}
+              rows={2}
+              disabled={disabled}
+              placeholder="Mensaje para la tarjeta (opcional)"
+              className="w-full text-sm border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex items-center justify-between mt-1">
+              <span className="text-xs text-gray-500">
+                {message.length}/{CART_LIMITS.MAX_GIFT_MESSAGE_LENGTH}
+              </span>
+              {messageChanged && (
+                <button
+                  onClick={() => save({ message: message.trim() })}
+                  disabled={disabled}
+                  className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Guardar mensaje
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftOptions;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { CART_LIMITS } from '../types/cart.types';
+
+/**
+ * @component OrderNotes
+ * @description Notas del pedido para el equipo de despacho
+ * (se copian a la orden al hacer checkout)
+ *
+ * PROPS:
+ * @param {string} notes - Notas guardadas en el carrito
+ * @param {Function} onSave - (notes) => Promise
+ * @param {boolean} disabled - Deshabilitar acciones
+ */
+const OrderNotes = ({ notes = '', onSave, disabled = false }) => {
+  const [draft, setDraft] = useState(notes);
+
+  const changed = draft.trim() !== notes.trim();
+
+  const handleSave = () => {
+    // Si el servidor rechaza el cambio, CartContext revierte el carrito
+    onSave(draft.trim()).catch(() => {});
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <label htmlFor="order-notes" className="block font-semibold text-gray-900 mb-2">
+        📝 Notas del pedido
+      </label>
+      <textarea
+        id="order-notes"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        maxLength={CART_LIMITS.MAX_NOTES_LENGTH}
+        rows={3}
+        disabled={disabled}
+        placeholder="Instrucciones de entrega, horarios, referencias..."
+        className="w-full text-sm border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex items-center justify-between mt-1">
+        <span className="text-xs text-gray-500">
+          {draft.length}/{CART_LIMITS.MAX_NOTES_LENGTH}
+        </span>
+        <button
+          onClick={handleSave}
+          disabled={disabled || !changed}
+          className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Guardar notas
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OrderNotes;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { Bookmark } from 'lucide-react';
+import { formatPrice, formatAttributes } from '../utils/cartHelpers';
+import { getSavedItemKey } from '../utils/savedForLater';
+
+/**
+ * @component SavedForLater
+ * @description Lista "Guardar para después" del carrito (no suma en los totales)
+ *
+ * PROPS:
+ * @param {Array} items - Items guardados
+ * @param {Function} onMoveToCart - Callback para devolver un item al carrito
+ * @param {Function} onRemove - Callback para eliminar un item de la lista
+ * @param {string} movingKey - Item que se está moviendo al carrito
+ * @param {boolean} disabled - Deshabilitar acciones
+ */
+const SavedForLater = ({
+  items = [],
+  onMoveToCart,
+  onRemove,
+  movingKey = null,
+  disabled = false
+}) => {
+  if (!items.length) return null;
+
+  const handleRemove = (item) => {
+    if (window.confirm('¿Eliminar este producto de tu lista?')) {
+      onRemove(item);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="p-6">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-1 flex items-center gap-2">
+          <Bookmark className="h-5 w-5 text-blue-600" />
+          Guardado para después ({items.length})
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Estos productos no se incluyen en el total de tu compra
+        </p>
+
+        <div className="space-y-3">
+          {items.map(item => {
+            const key = getSavedItemKey(item);
+            const isMoving = movingKey === key;
+            const product = item.product;
+
+            return (
+              <div
+                key={key}
+                className="flex gap-4 p-4 rounded-lg border border-gray-200 dark:border-gray-700"
+              >
+                <div className="flex-shrink-0 w-16 h-16 bg-gray-100 rounded-md overflow-hidden">
+                  {product.images?.[0]?.url ? (
+                    <img
+                      src={product.images[0].url}
+                      alt={product.name}
+                      className="w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center text-xs text-gray-400">
+                      Sin imagen
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-gray-900 dark:text-white truncate">
+                    {product.name}
+                  </h3>
+                  {item.attributes && Object.keys(item.attributes).length > 0 && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      {formatAttributes(item.attributes)}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">
+                    {item.quantity} × {formatPrice(item.price)}
+                  </p>
+
+                  <div className="flex items-center gap-4 mt-3">
+                    <button
+                      onClick={() => onMoveToCart(item)}
+                      disabled={disabled || isMoving}
+                      className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {isMoving ? 'Verificando stock...' : 'Mover al carrito'}
+                    </button>
+                    <button
+                      onClick={() => handleRemove(item)}
+                      disabled={disabled || isMoving}
+                      className="text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      Eliminar
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SavedForLater;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Share2, AlertTriangle } from 'lucide-react';
+import { CART_SHARE_CONFIG } from '../types/cart.types';
+import { getWhatsAppShareUrl } from '../utils/cartShare';
+
+/**
+ * @component ShareCart
+ * @description Botón para compartir el carrito por enlace o WhatsApp
+ *
+ * PROPS:
+ * @param {string} shareUrl - URL ya creada (null si aún no)
+ * @param {Function} onCreate - Crea el enlace del carrito actual
+ * @param {boolean} creating - Creando el enlace
+ * @param {boolean} disabled - Deshabilitar acciones
+ * @param {boolean} tooManyItems - El carrito supera CART_SHARE_CONFIG.MAX_ITEMS
+ */
+const ShareCart = ({ shareUrl, onCreate, creating = false, disabled = false, tooManyItems = false }) => {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+        <Share2 className="h-4 w-4 text-blue-600" />
+        Compartir carrito
+      </h3>
+      <p className="text-sm text-gray-600 mb-3">
+        Quien abra el enlace podrá agregar estos productos a su carrito
+        con el precio y stock del momento.
+      </p>
+
+      {tooManyItems && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-3 flex items-start gap-2">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0 mt-0.5" />
+          Solo se pueden compartir carritos de hasta {CART_SHARE_CONFIG.MAX_ITEMS} productos.
+          Quita algunos para crear el enlace.
+        </p>
+      )}
+
+      <button
+        type="button"
+        onClick={onCreate}
+        disabled={creating || disabled || tooManyItems}
+        className="w-full px-4 py-2 border-2 border-blue-200 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+      >
+        {creating ? 'Creando enlace...' : shareUrl ? 'Crear nuevo enlace' : 'Copiar enlace'}
+      </button>
+
+      {shareUrl && (
+        <div className="mt-3 space-y-2">
+          <input
+            type="text"
+            readOnly
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+            className="w-full px-3 py-2 text-xs border border-gray-300 rounded-lg bg-gray-50 text-gray-700"
+            aria-label="Enlace del carrito"
+          />
+          <a
+            href={getWhatsAppShareUrl(shareUrl)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block w-full text-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium"
+          >
+            Enviar por WhatsApp
+          </a>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareCart;
@@ -0,0 +1,213 @@
+import React, { useState, useMemo } from 'react';
+import { Calculator } from 'lucide-react';
+import { formatPrice } from '../utils/cartHelpers';
+import { getShippingQuotes } from '../utils/shippingRates';
+import { SHIPPING_METHODS } from '../types/cart.types';
+import { COLOMBIA_DEPARTMENTS, SHIPPING_PACKAGE_CONFIG } from '../types/shipping.types';
+
+const DEPARTMENTS = Object.keys(COLOMBIA_DEPARTMENTS);
+
+/**
+ * @component ShippingCalculator
+ * @description Widget "Calcula tu envío": cotiza por destino, peso y dimensiones
+ * del paquete con las mismas tarifas del checkout (utils/shippingRates)
+ *
+ * PROPS:
+ * @param {string} defaultDepartment - Departamento preseleccionado
+ * @param {string} defaultCity - Ciudad preseleccionada
+ */
+const ShippingCalculator = ({
+  defaultDepartment = 'Atlántico',
+  defaultCity = 'Barranquilla'
+}) => {
+  const [form, setForm] = useState({
+    state: defaultDepartment,
+    city: defaultCity,
+    weight: '1',
+    length: '',
+    width: '',
+    height: '',
+    orderValue: ''
+  });
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value,
+      // Al cambiar de departamento se sugiere su primera ciudad
+      ...(field === 'state' ? { city: COLOMBIA_DEPARTMENTS[value]?.cities[0] || '' } : {})
+    }));
+  };
+
+  // El paquete se cotiza como un único item con el peso y dimensiones ingresados
+  const quotes = useMemo(() => {
+    const parcel = {
+      product: {
+        weight: { value: Number(form.weight) || 0, unit: 'kg' },
+        attributes: {
+          dimensions: form.length && form.width && form.height
+            ? { length: form.length, width: form.width, height: form.height, unit: 'cm' }
+            : null
+        }
+      },
+      quantity: 1
+    };
+
+    return getShippingQuotes({
+      destination: { state: form.state, city: form.city },
+      items: [parcel],
+      subtotal: Number(form.orderValue) || 0
+    }).filter(quote => quote.method !== SHIPPING_METHODS.PICKUP);
+  }, [form]);
+
+  const summary = quotes[0];
+  const cities = COLOMBIA_DEPARTMENTS[form.state]?.cities || [];
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg border border-border bg-background focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className="bg-card border border-border rounded-2xl p-8">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="bg-primary/20 p-3 rounded-xl">
+          <Calculator className="h-6 w-6 text-primary" />
+        </div>
+        <div>
+          <h2 className="text-2xl font-bold">Calcula tu envío</h2>
+          <p className="text-sm text-muted-foreground">
+            Tarifas según destino, peso y tamaño del paquete
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Datos del envío */}
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Departamento</label>
+              <select
+                value={form.state}
+                onChange={(e) => handleChange('state', e.target.value)}
+                className={inputClass}
+              >
+                {DEPARTMENTS.map(department => (
+                  <option key={department} value={department}>{department}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Ciudad</label>
+              <input
+                type="text"
+                list="shipping-calculator-cities"
+                value={form.city}
+                onChange={(e) => handleChange('city', e.target.value)}
+                className={inputClass}
+                placeholder="Ciudad o municipio"
+              />
+              <datalist id="shipping-calculator-cities">
+                {cities.map(city => <option key={city} value={city} />)}
+              </datalist>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Peso (kg)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={form.weight}
+              onChange={(e) => handleChange('weight', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">
+              Dimensiones (cm) <span className="text-muted-foreground font-normal">opcional</span>
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {[['length', 'Largo'], ['width', 'Ancho'], ['height', 'Alto']].map(([field, label]) => (
+                <input
+                  key={field}
+                  type="number"
+                  min="0"
+                  value={form[field]}
+                  onChange={(e) => handleChange(field, e.target.value)}
+                  className={inputClass}
+                  placeholder={label}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">
+              Valor de la compra <span className="text-muted-foreground font-normal">opcional</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="1000"
+              value={form.orderValue}
+              onChange={(e) => handleChange('orderValue', e.target.value)}
+              className={inputClass}
+              placeholder="Para verificar envío gratis"
+            />
+          </div>
+        </div>
+
+        {/* Resultado */}
+        <div>
+          {summary && (
+            <p className="text-sm text-muted-foreground mb-4">
+              {summary.estimated
+                ? 'No reconocemos el destino: mostramos la tarifa nacional'
+                : `Zona: ${summary.zoneLabel}`}
+              {' · '}Peso facturable {summary.weight.billableKg} kg
+            </p>
+          )}
+
+          <ul className="space-y-3">
+            {quotes.map(quote => (
+              <li
+                key={quote.method}
+                className="flex items-center justify-between gap-4 p-4 rounded-xl border border-border"
+              >
+                <div>
+                  <p className="font-semibold">{quote.label}</p>
+                  <p className="text-sm text-muted-foreground">
+                    {quote.available ? quote.delivery : quote.reason}
+                  </p>
+                </div>
+                {quote.available && (
+                  <div className="text-right">
+                    {quote.isFree ? (
+                      <>
+                        <span className="text-lg font-bold text-primary">Gratis</span>
+                        <p className="text-xs line-through text-muted-foreground">
+                          {formatPrice(quote.originalCost)}
+                        </p>
+                      </>
+                    ) : (
+                      <span className="text-lg font-bold text-primary">
+                        {formatPrice(quote.cost)}
+                      </span>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <p className="text-xs text-muted-foreground mt-4">
+            Se cobra el mayor entre el peso real y el peso volumétrico (largo × ancho × alto / {SHIPPING_PACKAGE_CONFIG.VOLUMETRIC_DIVISOR}).
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShippingCalculator;
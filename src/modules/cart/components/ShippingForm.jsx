@@ -1,5 +1,10 @@
-import React, { useState } from 'react';
-import { SHIPPING_METHODS, SHIPPING_METHOD_LABELS, SHIPPING_COSTS } from '../types/cart.types';
+import React, { useState, useMemo } from 'react';
+import { SHIPPING_METHODS } from '../types/cart.types';
+import { formatPrice } from '../utils/cartHelpers';
+import { getShippingQuotes } from '../utils/shippingRates';
+import AddressPicker from '../../addresses/components/AddressPicker';
+import { getDefaultAddress, toShippingAddress, isSameAddress } from '../../addresses/utils/addressHelpers';
+import PickupPointSelector from '../../pickup/components/PickupPointSelector';
 
 /**
  * @component ShippingForm
@@ -11,38 +16,76 @@ import { SHIPPING_METHODS, SHIPPING_METHOD_LABELS, SHIPPING_COSTS } from '../typ
  * @param {Function} onMethodChange - Callback al cambiar método
  * @param {Function} onAddressChange - Callback al cambiar dirección
  * @param {boolean} loading - Estado de carga
+ * @param {boolean} showMethodSection - Mostrar sección de método de envío
+ * @param {boolean} showAddressSection - Mostrar sección de dirección
+ * @param {Array} savedAddresses - Libreta de direcciones (precarga la predeterminada)
+ * @param {Function} onSaveToAddressBook - Callback para guardar la dirección en la libreta (opcional)
+ * @param {Object} destination - Dirección a cotizar (departamento y ciudad)
+ * @param {Array} items - Items del carrito (peso y dimensiones)
+ * @param {number} subtotal - Subtotal (envío gratis)
+ * @param {Function} onPickupConfirm - Callback de recogida en tienda ({ location, window, contact }); habilita la opción en la sección de dirección
+ * @param {Function} onPickupError - Callback con mensaje de error de recogida
+ * @param {boolean} allowPickup - Mostrar recogida en tienda entre los métodos de envío
  */
 const ShippingForm = ({
   currentShipping,
   currentAddress,
   onMethodChange,
   onAddressChange,
-  loading = false
+  loading = false,
+  showMethodSection = true,
+  showAddressSection = true,
+  savedAddresses = [],
+  onSaveToAddressBook,
+  destination = null,
+  items = [],
+  subtotal = 0,
+  onPickupConfirm,
+  onPickupError,
+  allowPickup = true
 }) => {
   const [selectedMethod, setSelectedMethod] = useState(currentShipping?.method || SHIPPING_METHODS.STANDARD);
   const [showAddressForm, setShowAddressForm] = useState(!currentAddress);
+  const [isPickup, setIsPickup] = useState(
+    !!onPickupConfirm && currentShipping?.method === SHIPPING_METHODS.PICKUP
+  );
   
+  // Sin dirección en el carrito se precarga la predeterminada de la libreta
+  const initialAddress = currentAddress || toShippingAddress(getDefaultAddress(savedAddresses));
+
   const [addressData, setAddressData] = useState({
-    firstName: currentAddress?.firstName || '',
-    lastName: currentAddress?.lastName || '',
-    email: currentAddress?.email || '',
-    phone: currentAddress?.phone || '',
-    street: currentAddress?.street || '',
-    city: currentAddress?.city || '',
-    state: currentAddress?.state || '',
-    zipCode: currentAddress?.zipCode || '',
-    country: currentAddress?.country || 'Colombia',
-    isDefault: currentAddress?.isDefault || false
+    firstName: initialAddress?.firstName || '',
+    lastName: initialAddress?.lastName || '',
+    email: initialAddress?.email || '',
+    phone: initialAddress?.phone || '',
+    street: initialAddress?.street || '',
+    city: initialAddress?.city || '',
+    state: initialAddress?.state || '',
+    zipCode: initialAddress?.zipCode || '',
+    country: initialAddress?.country || 'Colombia',
+    isDefault: initialAddress?.isDefault || false
   });
 
+  const [saveToAddressBook, setSaveToAddressBook] = useState(false);
+  const [addressLabel, setAddressLabel] = useState('');
+
+  const quotes = useMemo(
+    () => getShippingQuotes({ destination: destination || currentAddress, items, subtotal })
+      .filter(quote => allowPickup || quote.method !== SHIPPING_METHODS.PICKUP),
+    [destination, currentAddress, items, subtotal, allowPickup]
+  );
+
+  const selectedSavedAddress = savedAddresses.find(address =>
+    isSameAddress(address, showAddressForm ? addressData : currentAddress)
+  );
+
   // ============================================================================
   // HANDLERS - MÉTODO DE ENVÍO
   // ============================================================================
 
-  const handleMethodSelect = async (method) => {
-    setSelectedMethod(method);
-    const cost = SHIPPING_COSTS[method];
-    await onMethodChange({ method, cost });
+  const handleMethodSelect = async (quote) => {
+    setSelectedMethod(quote.method);
+    await onMethodChange({ method: quote.method, cost: quote.cost });
   };
 
   // ============================================================================
@@ -58,6 +101,20 @@ const ShippingForm = ({
 
   const handleSaveAddress = async () => {
     await onAddressChange(addressData);
+
+    if (saveToAddressBook && onSaveToAddressBook) {
+      await onSaveToAddressBook({ ...addressData, label: addressLabel });
+      setSaveToAddressBook(false);
+      setAddressLabel('');
+    }
+
+    setShowAddressForm(false);
+  };
+
+  const handleSelectSavedAddress = async (address) => {
+    const shippingAddress = toShippingAddress(address);
+    setAddressData(shippingAddress);
+    await onAddressChange(shippingAddress);
     setShowAddressForm(false);
   };
 
@@ -75,21 +132,30 @@ const ShippingForm = ({
   return (
     <div className="space-y-6">
       {/* SECCIÓN: MÉTODO DE ENVÍO */}
+      {showMethodSection && (
       <div className="bg-white rounded-lg border border-gray-200 p-6">
-        <h3 className="text-lg font-bold text-gray-900 mb-4">
+        <h3 className="text-lg font-bold text-gray-900 mb-1">
           Método de Envío
         </h3>
+        {quotes.length > 0 && (
+          <p className="text-sm text-gray-500 mb-4">
+            {quotes[0].estimated
+              ? 'Costos estimados: ingresa tu dirección para calcularlos'
+              : `Envío a ${quotes[0].zoneLabel}`}
+            {' · '}Peso facturable {quotes[0].weight.billableKg} kg
+          </p>
+        )}
 
         <div className="space-y-3">
-          {Object.values(SHIPPING_METHODS).map((method) => {
+          {quotes.map((quote) => {
+            const { method, cost } = quote;
             const isSelected = selectedMethod === method;
-            const cost = SHIPPING_COSTS[method];
 
             return (
               <button
                 key={method}
-                onClick={() => handleMethodSelect(method)}
-                disabled={loading}
+                onClick={() => handleMethodSelect(quote)}
+                disabled={loading || !quote.available}
                 className={`w-full flex items-center justify-between p-4 border-2 rounded-lg transition-all ${
                   isSelected
                     ? 'border-blue-600 bg-blue-50'
@@ -106,15 +172,22 @@ const ShippingForm = ({
                   </div>
                   <div className="text-left">
                     <p className="font-medium text-gray-900">
-                      {SHIPPING_METHOD_LABELS[method]}
+                      {quote.label}
                     </p>
                     <p className="text-sm text-gray-500">
-                      {cost === 0 ? 'Gratis' : `$${cost.toFixed(2)}`}
+                      {!quote.available
+                        ? quote.reason
+                        : `${cost === 0 ? 'Gratis' : formatPrice(cost)}${quote.delivery ? ` · ${quote.delivery}` : ''}`}
                     </p>
+                    {quote.isFree && quote.originalCost > 0 && (
+                      <p className="text-xs text-green-700">
+                        Ahorras {formatPrice(quote.originalCost)} por compra superior al mínimo
+                      </p>
+                    )}
                   </div>
                 </div>
 
-                {cost === 0 && (
+                {quote.available && cost === 0 && (
                   <span className="px-2 py-1 bg-green-100 text-green-700 text-xs font-semibold rounded">
                     GRATIS
                   </span>
@@ -124,14 +197,16 @@ const ShippingForm = ({
           })}
         </div>
       </div>
+      )}
 
       {/* SECCIÓN: DIRECCIÓN DE ENVÍO */}
+      {showAddressSection && (
       <div className="bg-white rounded-lg border border-gray-200 p-6">
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-bold text-gray-900">
-            Dirección de Envío
+            {isPickup ? 'Punto de Recogida' : 'Dirección de Envío'}
           </h3>
-          {currentAddress && !showAddressForm && (
+          {!isPickup && currentAddress && !showAddressForm && (
             <button
               onClick={() => setShowAddressForm(true)}
               className="text-sm text-blue-600 hover:text-blue-700 font-medium"
@@ -141,6 +216,53 @@ const ShippingForm = ({
           )}
         </div>
 
+        {/* Envío a domicilio o recogida en tienda */}
+        {onPickupConfirm && (
+          <div className="grid grid-cols-2 gap-2 p-1 mb-4 bg-gray-100 rounded-lg">
+            {[
+              { value: false, label: 'Envío a domicilio' },
+              { value: true, label: 'Recoger en tienda' }
+            ].map(option => (
+              <button
+                key={option.label}
+                type="button"
+                onClick={() => setIsPickup(option.value)}
+                disabled={loading}
+                className={`py-2 rounded-md text-sm font-medium transition-colors ${
+                  isPickup === option.value
+                    ? 'bg-white text-blue-700 shadow-sm'
+                    : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {isPickup ? (
+          <PickupPointSelector
+            items={items}
+            currentPickup={currentShipping?.pickup}
+            initialContact={addressData}
+            onConfirm={onPickupConfirm}
+            onError={onPickupError}
+            loading={loading}
+          />
+        ) : (
+        <>
+        {/* Libreta de direcciones */}
+        {savedAddresses.length > 0 && (
+          <div className="mb-4">
+            <AddressPicker
+              addresses={savedAddresses}
+              selectedId={selectedSavedAddress?._id}
+              onSelect={handleSelectSavedAddress}
+              loading={loading}
+            />
+          </div>
+        )}
+
         {/* Dirección Guardada */}
         {currentAddress && !showAddressForm && (
           <div className="p-4 bg-gray-50 rounded-lg">
@@ -310,6 +432,32 @@ const ShippingForm = ({
               />
             </div>
 
+            {/* Guardar en la libreta */}
+            {onSaveToAddressBook && !selectedSavedAddress && (
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={saveToAddressBook}
+                    onChange={(e) => setSaveToAddressBook(e.target.checked)}
+                    disabled={loading}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  Guardar en mis direcciones
+                </label>
+                {saveToAddressBook && (
+                  <input
+                    type="text"
+                    value={addressLabel}
+                    onChange={(e) => setAddressLabel(e.target.value)}
+                    disabled={loading}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Nombre de la dirección (Casa, Oficina...)"
+                  />
+                )}
+              </div>
+            )}
+
             {/* Botones */}
             <div className="flex gap-3 pt-2">
               <button
@@ -331,7 +479,10 @@ const ShippingForm = ({
             </div>
           </div>
         )}
+        </>
+        )}
       </div>
+      )}
     </div>
   );
 };
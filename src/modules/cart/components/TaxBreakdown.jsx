@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { formatPrice } from '../utils/cartHelpers';
+
+/**
+ * @component TaxBreakdown
+ * @description Desglose de IVA por tarifa, con detalle opcional por línea
+ *
+ * PROPS:
+ * @param {Object} breakdown - Resultado de calculateCartTaxBreakdown
+ * @param {boolean} showLines - Mostrar el detalle por producto abierto
+ */
+const TaxBreakdown = ({ breakdown, showLines = false }) => {
+  const [expanded, setExpanded] = useState(showLines);
+
+  if (!breakdown?.lines?.length) {
+    return null;
+  }
+
+  const { groups, lines, pricesIncludeTax } = breakdown;
+
+  return (
+    <div className="space-y-2 text-sm">
+      {groups.map(group => (
+        <div key={group.taxClass} className="flex justify-between text-gray-700">
+          <span>
+            {group.label}
+            {group.rate > 0 && (
+              <span className="text-xs text-gray-500 ml-1">
+                (base {formatPrice(group.base)})
+              </span>
+            )}
+          </span>
+          <span className="font-medium">
+            {group.rate > 0 ? formatPrice(group.tax) : '—'}
+          </span>
+        </div>
+      ))}
+
+      {pricesIncludeTax && (
+        <p className="text-xs text-gray-500">
+          Los precios incluyen IVA; el desglose es informativo.
+        </p>
+      )}
+
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="text-xs text-blue-600 hover:text-blue-700 font-medium"
+      >
+        {expanded ? 'Ocultar detalle por producto' : 'Ver detalle por producto'}
+      </button>
+
+      {expanded && (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-md">
+          {lines.map((line, index) => (
+            <li
+              key={`${line.productId || 'shipping'}-${index}`}
+              className="flex justify-between gap-3 px-3 py-2 text-xs"
+            >
+              <span className="text-gray-700 truncate">
+                {line.isShipping ? line.name : `${line.quantity} × ${line.name}`}
+                <span className="text-gray-500 ml-1">· {line.rate}%</span>
+              </span>
+              <span className="text-gray-900 whitespace-nowrap">
+                {formatPrice(line.tax)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TaxBreakdown;
@@ -6,10 +6,39 @@ import React, {
   useEffect,
   useRef,
 } from "react";
+import { toast } from "react-toastify";
 import * as cartAPI from "../api/cart.api";
-import { CART_CACHE_CONFIG } from "../types/cart.types";
-import { isCartEmpty, calculateItemCount } from "../utils/cartHelpers";
+import { productsAPI } from "../../products/api/products.api";
+import {
+  CART_CACHE_CONFIG,
+  CART_OPTIMISTIC_CONFIG,
+  CART_ERROR_MESSAGES,
+  CART_SUCCESS_MESSAGES,
+} from "../types/cart.types";
+import {
+  isCartEmpty,
+  calculateItemCount,
+  getCartItemKey,
+  setCartItemQuantity,
+  removeCartItem,
+  addCartItem,
+  setCartItemGiftOptions,
+} from "../utils/cartHelpers";
+import { getCartCoupons, getCouponRejectionMessage } from "../utils/couponEngine";
+import {
+  loadGuestCart,
+  saveGuestCart,
+  migrateGuestCartSnapshots,
+  addGuestItem,
+  updateGuestItem,
+  removeGuestItem,
+  updateGuestItemGiftOptions,
+  setGuestNotes,
+  createEmptyGuestCart,
+} from "../utils/guestCart";
 import { useAuth } from "../../../core/providers/AuthProvider";
+import { publish, TAB_SYNC_EVENTS } from "../../../core/sync/tabSync";
+import { useTabSync } from "../../../core/hooks/useTabSync";
 
 const CartContext = createContext(null);
 
@@ -23,6 +52,17 @@ export const useCartContext = () => {
 
 /**
  * ✅ CORRECCIÓN: Provider optimizado sin loops ni llamadas duplicadas
+ *
+ * Sin token, el carrito vive en localStorage (utils/guestCart) con la misma
+ * forma que el del backend; AuthProvider lo fusiona al hacer login/register
+ *
+ * Cada mutación se publica a las demás pestañas (core/sync/tabSync)
+ *
+ * Con sesión, addItem / updateItem / removeItem / applyCoupon / removeCoupon /
+ * updateItemGiftOptions / updateNotes son optimistas:
+ * el carrito se actualiza al instante (totales con cartHelpers) y se revierte
+ * con un toast si el servidor rechaza el cambio. Los clics seguidos en la
+ * cantidad de un item se agrupan en una sola petición
  */
 export const CartProvider = ({ children }) => {
   const { token, isAuthenticated } = useAuth();
@@ -34,6 +74,7 @@ export const CartProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [initialized, setInitialized] = useState(false);
+  const [pendingMutations, setPendingMutations] = useState(0);
 
   // Caché
   const [cache, setCache] = useState({
@@ -46,6 +87,10 @@ export const CartProvider = ({ children }) => {
   const mountedRef = useRef(true);
   const initializedOnceRef = useRef(false);
 
+  // ✅ OPTIMISTA: último carrito confirmado por el servidor y cantidades en cola
+  const confirmedCartRef = useRef(null);
+  const quantityQueueRef = useRef(new Map());
+
   // ============================================================================
   // CACHE HELPERS
   // ============================================================================
@@ -69,16 +114,160 @@ export const CartProvider = ({ children }) => {
     });
   }, []);
 
+  // ============================================================================
+  // COMMIT + OPTIMISTIC HELPERS
+  // ============================================================================
+
+  /**
+   * Reaplica las cantidades que siguen en cola sobre un carrito del servidor
+   */
+  const applyQueuedQuantities = useCallback((data) => {
+    let next = data;
+    quantityQueueRef.current.forEach(({ productId, quantity, attributes }) => {
+      next = setCartItemQuantity(next, productId, quantity, attributes);
+    });
+    return next;
+  }, []);
+
+  /**
+   * Muestra un carrito del servidor conservando los cambios aún no enviados
+   */
+  const showServerCart = useCallback((data) => {
+    confirmedCartRef.current = data;
+    setCart(applyQueuedQuantities(data));
+  }, [applyQueuedQuantities]);
+
+  /**
+   * Aplica el carrito devuelto por una mutación y lo publica a otras pestañas
+   */
+  const commitCart = useCallback((data) => {
+    showServerCart(data);
+    updateCache(data);
+    publish(TAB_SYNC_EVENTS.CART_UPDATED, { cart: data, isGuest: false });
+  }, [showServerCart, updateCache]);
+
+  /**
+   * Revierte al último carrito confirmado y notifica el rechazo
+   */
+  const rollbackCart = useCallback((err, fallbackMessage) => {
+    // axiosInstance rechaza con { message, statusCode, data } ya normalizado
+    const errorMessage = err?.message || fallbackMessage;
+
+    if (confirmedCartRef.current) {
+      setCart(applyQueuedQuantities(confirmedCartRef.current));
+    }
+
+    if (mountedRef.current) {
+      setError(errorMessage);
+    }
+
+    toast.error(errorMessage, { autoClose: 3000 });
+  }, [applyQueuedQuantities]);
+
+  /**
+   * Ejecuta una mutación optimista: aplica el cambio local, llama al API y
+   * confirma con la respuesta o revierte
+   */
+  const runOptimistic = useCallback(
+    async (applyLocal, request, fallbackMessage) => {
+      setError(null);
+      setPendingMutations((count) => count + 1);
+      setCart((prev) => (prev ? applyLocal(prev) : prev));
+
+      try {
+        const response = await request();
+
+        if (!response?.success) {
+          throw new Error(response?.message || fallbackMessage);
+        }
+
+        if (mountedRef.current) {
+          commitCart(response.data);
+        }
+        return response;
+      } catch (err) {
+        console.error("[CartContext] Optimistic mutation rejected:", err);
+        rollbackCart(err, fallbackMessage);
+        return null;
+      } finally {
+        setPendingMutations((count) => count - 1);
+      }
+    },
+    [commitCart, rollbackCart]
+  );
+
+  // ============================================================================
+  // GUEST CART HELPERS (sin token)
+  // ============================================================================
+  const applyGuestCart = useCallback((updater, message) => {
+    const next = saveGuestCart(updater(loadGuestCart()));
+    setCart(next);
+    publish(TAB_SYNC_EVENTS.CART_UPDATED, { cart: next, isGuest: true });
+    return { success: true, message, data: next };
+  }, []);
+
+  // Carritos anónimos guardados antes de incluir el IVA en el snapshot
+  const migrateGuestCart = useCallback(async () => {
+    const migrated = await migrateGuestCartSnapshots();
+    if (!migrated || !mountedRef.current) return;
+
+    // Si entretanto se inició sesión, el carrito en pantalla ya es el del servidor
+    setCart((current) => (current?.isGuest ? migrated : current));
+    publish(TAB_SYNC_EVENTS.CART_UPDATED, { cart: migrated, isGuest: true });
+  }, []);
+
+  const addGuestCartItem = useCallback(
+    async ({ productId, quantity = 1, attributes = {} }, product) => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        // El carrito anónimo necesita el producto para mostrarlo
+        let fullProduct = product;
+        if (!fullProduct?.name) {
+          const response = await productsAPI.getProductById(productId);
+          fullProduct = response?.data;
+        }
+
+        if (!fullProduct?._id) {
+          throw new Error(CART_ERROR_MESSAGES.PRODUCT_NOT_FOUND);
+        }
+
+        if (fullProduct.trackQuantity && fullProduct.stock < quantity) {
+          throw new Error(CART_ERROR_MESSAGES.INSUFFICIENT_STOCK);
+        }
+
+        return applyGuestCart(
+          (guestCart) => addGuestItem(guestCart, fullProduct, quantity, attributes),
+          CART_SUCCESS_MESSAGES.ITEM_ADDED
+        );
+      } catch (err) {
+        const errorMessage = err.message || "Error al agregar producto";
+        if (mountedRef.current) {
+          setError(errorMessage);
+        }
+        console.error("[CartContext] Error adding guest item:", err);
+        return null;
+      } finally {
+        if (mountedRef.current) {
+          setLoading(false);
+        }
+      }
+    },
+    [applyGuestCart]
+  );
+
   // ============================================================================
   // FETCH CART - ✅ OPTIMIZADO
   // ============================================================================
   const fetchCart = useCallback(
     async (forceRefresh = false) => {
-      // ✅ GUARD 1: No fetch sin auth
+      // ✅ GUARD 1: Sin auth se usa el carrito anónimo
       if (!token) {
-        setCart(null);
+        const guestCart = loadGuestCart();
+        setCart(guestCart);
         setInitialized(true);
-        return null;
+        return guestCart;
       }
 
       // ✅ GUARD 2: Prevenir fetch simultáneo
@@ -90,7 +279,7 @@ export const CartProvider = ({ children }) => {
       // ✅ GUARD 3: Usar caché si es válido
       if (!forceRefresh && isCacheValid()) {
         console.log("[CartContext] Usando caché válido");
-        setCart(cache.data);
+        showServerCart(cache.data);
         return cache.data;
       }
 
@@ -105,7 +294,7 @@ export const CartProvider = ({ children }) => {
         if (!mountedRef.current) return null;
 
         if (response?.success) {
-          setCart(response.data);
+          showServerCart(response.data);
           updateCache(response.data);
           return response.data;
         }
@@ -132,118 +321,191 @@ export const CartProvider = ({ children }) => {
         fetchInProgressRef.current = false;
       }
     },
-    [token, isCacheValid, updateCache, cache.data, cart]
+    [token, isCacheValid, showServerCart, updateCache, cache.data, cart]
   );
 
+  /**
+   * @param {Object} itemData - { productId, quantity, attributes, product? }
+   * product (opcional) evita volver a pedir el producto en el carrito anónimo
+   * y permite mostrar al instante un item nuevo en el carrito del servidor
+   */
   const addItem = useCallback(
     async (itemData) => {
+      const { product, ...payload } = itemData;
+
       if (!token) {
-        console.warn("[CartContext] Usuario no autenticado");
-        return null;
+        return addGuestCartItem(payload, product);
       }
 
-      try {
-        setLoading(true);
-        setError(null);
+      return runOptimistic(
+        (current) => addCartItem(current, payload, product),
+        () => cartAPI.addToCart(payload),
+        "Error al agregar producto"
+      );
+    },
+    [token, addGuestCartItem, runOptimistic]
+  );
 
-        const response = await cartAPI.addToCart(itemData);
+  /**
+   * Envía la última cantidad en cola de un item
+   * Si ya hay una petición en curso para el item, se reenvía al terminar
+   * (el bucle repite mientras lleguen clics durante la petición)
+   * Si removeItem cancela el item durante la petición, la respuesta se ignora
+   */
+  const flushQuantity = useCallback(
+    async (key) => {
+      const queue = quantityQueueRef.current;
+      const entry = queue.get(key);
+      if (!entry) return;
+
+      entry.timer = null;
+
+      if (entry.inFlight) {
+        entry.dirty = true;
+        return;
+      }
 
-        if (response?.success && mountedRef.current) {
-          setCart(response.data);
-          updateCache(response.data);
-          return response;
+      let result = null;
+
+      do {
+        entry.dirty = false;
+
+        const { productId, quantity, attributes } = entry;
+        const waiters = entry.waiters;
+        entry.waiters = [];
+        entry.inFlight = true;
+
+        result = null;
+
+        try {
+          const response = await cartAPI.updateCartItem(productId, {
+            quantity,
+            attributes,
+          });
+
+          if (entry.cancelled) {
+            waiters.forEach((resolve) => resolve(null));
+            return;
+          }
+
+          if (!response?.success) {
+            throw new Error(response?.message || CART_ERROR_MESSAGES.SYNC_FAILED);
+          }
+
+          entry.inFlight = false;
+          if (!entry.dirty && !entry.timer) {
+            queue.delete(key);
+            setPendingMutations((count) => count - 1);
+          }
+
+          if (mountedRef.current) {
+            commitCart(response.data);
+          }
+          result = response;
+        } catch (err) {
+          if (entry.cancelled) {
+            waiters.forEach((resolve) => resolve(null));
+            return;
+          }
+
+          console.error("[CartContext] Error updating item:", err);
+
+          // Los clics en cola para este item se descartan junto con el rechazado
+          clearTimeout(entry.timer);
+          entry.waiters.forEach((resolve) => resolve(null));
+          queue.delete(key);
+          setPendingMutations((count) => count - 1);
+
+          rollbackCart(err, "Error al actualizar cantidad");
         }
 
-        return null;
-      } catch (err) {
-        const errorMessage =
-          err.response?.data?.message || "Error al agregar producto";
-        if (mountedRef.current) {
-          setError(errorMessage);
-        }
-        console.error("[CartContext] Error adding item:", err);
-        return null;
-      } finally {
-        if (mountedRef.current) {
-          setLoading(false);
-        }
-      }
+        waiters.forEach((resolve) => resolve(result));
+      } while (result && entry.dirty);
     },
-    [token, updateCache]
+    [commitCart, rollbackCart]
   );
 
   const updateItem = useCallback(
     async (productId, updateData) => {
       if (!token) {
-        console.warn("[CartContext] Usuario no autenticado");
-        return null;
+        return applyGuestCart(
+          (guestCart) =>
+            updateGuestItem(guestCart, productId, updateData.quantity, updateData.attributes),
+          CART_SUCCESS_MESSAGES.ITEM_UPDATED
+        );
       }
-      try {
-        setLoading(true);
-        setError(null);
 
-        const response = await cartAPI.updateCartItem(productId, updateData);
+      const { quantity, attributes = {} } = updateData;
+      const key = getCartItemKey(productId, attributes);
+      const queue = quantityQueueRef.current;
 
-        if (response.success && mountedRef.current) {
-          setCart(response.data);
-          updateCache(response.data);
-          return response;
-        }
-      } catch (err) {
-        const errorMessage =
-          err.response?.data?.message || "Error al actualizar cantidad";
-        if (mountedRef.current) {
-          setError(errorMessage);
-        }
-        console.error("[CartContext] Error updating item:", err);
-        return null;
-      } finally {
-        if (mountedRef.current) {
-          setLoading(false);
-        }
+      setError(null);
+      setCart((prev) => setCartItemQuantity(prev, productId, quantity, attributes));
+
+      let entry = queue.get(key);
+      if (!entry) {
+        entry = {
+          productId,
+          attributes,
+          waiters: [],
+          timer: null,
+          inFlight: false,
+          dirty: false,
+          cancelled: false,
+        };
+        queue.set(key, entry);
+        setPendingMutations((count) => count + 1);
       }
+
+      entry.quantity = quantity;
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(
+        () => flushQuantity(key),
+        CART_OPTIMISTIC_CONFIG.QUANTITY_DEBOUNCE_MS
+      );
+
+      return new Promise((resolve) => {
+        entry.waiters.push(resolve);
+      });
     },
-    [token, updateCache]
+    [token, applyGuestCart, flushQuantity]
   );
 
   const removeItem = useCallback(
     async (productId, attributes = {}) => {
       if (!token) {
-        console.warn("[CartContext] Usuario no autenticado");
-        return null;
+        return applyGuestCart(
+          (guestCart) => removeGuestItem(guestCart, productId, attributes),
+          CART_SUCCESS_MESSAGES.ITEM_REMOVED
+        );
       }
-      try {
-        setLoading(true);
-        setError(null);
-
-        const response = await cartAPI.removeFromCart(productId, attributes);
 
-        if (response.success && mountedRef.current) {
-          setCart(response.data);
-          updateCache(response.data);
-          return response;
-        }
-      } catch (err) {
-        const errorMessage =
-          err.response?.data?.message || "Error al eliminar producto";
-        if (mountedRef.current) {
-          setError(errorMessage);
-        }
-        console.error("[CartContext] Error removing item:", err);
-        return null;
-      } finally {
-        if (mountedRef.current) {
-          setLoading(false);
-        }
+      // Un cambio de cantidad en cola o en curso ya no aplica
+      const key = getCartItemKey(productId, attributes);
+      const queued = quantityQueueRef.current.get(key);
+      if (queued) {
+        queued.cancelled = true;
+        clearTimeout(queued.timer);
+        queued.waiters.forEach((resolve) => resolve(null));
+        quantityQueueRef.current.delete(key);
+        setPendingMutations((count) => count - 1);
       }
+
+      return runOptimistic(
+        (current) => removeCartItem(current, productId, attributes),
+        () => cartAPI.removeFromCart(productId, attributes),
+        "Error al eliminar producto"
+      );
     },
-    [token, updateCache]
+    [token, applyGuestCart, runOptimistic]
   );
 
   const clearCartItems = useCallback(async () => {
     if (!token) {
-      console.warn("[CartContext] Usuario no autenticado");
-      return null;
+      return applyGuestCart(
+        () => createEmptyGuestCart(),
+        CART_SUCCESS_MESSAGES.CART_CLEARED
+      );
     }
     try {
       setLoading(true);
@@ -252,8 +514,7 @@ export const CartProvider = ({ children }) => {
       const response = await cartAPI.clearCart();
 
       if (response.success && mountedRef.current) {
-        setCart(response.data);
-        updateCache(response.data);
+        commitCart(response.data);
         return response;
       }
     } catch (err) {
@@ -269,7 +530,7 @@ export const CartProvider = ({ children }) => {
         setLoading(false);
       }
     }
-  }, [token, updateCache]);
+  }, [token, commitCart, applyGuestCart]);
 
   const applyCoupon = useCallback(
     async (code) => {
@@ -277,24 +538,106 @@ export const CartProvider = ({ children }) => {
         console.warn("[CartContext] Usuario no autenticado");
         return null;
       }
+
+      // El descuento real llega con la respuesta; mientras tanto se muestra el código
+      return runOptimistic(
+        (current) => ({ ...current, coupons: [...getCartCoupons(current), { code }] }),
+        () =>
+          cartAPI.applyCoupon(code).catch((err) => {
+            // Con el motivo del backend se explica igual que en la vista previa
+            const reason = err?.data?.reason;
+            if (!reason) throw err;
+            throw {
+              ...err,
+              message: getCouponRejectionMessage(reason, { code, ...err.data.meta }),
+            };
+          }),
+        "Error al aplicar cupón"
+      );
+    },
+    [token, runOptimistic]
+  );
+
+  const removeCoupon = useCallback(
+    async (code) => {
+      if (!token) {
+        console.warn("[CartContext] Usuario no autenticado");
+        return null;
+      }
+
+      return runOptimistic(
+        (current) => ({
+          ...current,
+          coupon: current.coupon?.code === code ? null : current.coupon,
+          coupons: getCartCoupons(current).filter((coupon) => coupon.code !== code),
+        }),
+        () => cartAPI.removeCoupon(code),
+        CART_ERROR_MESSAGES.COUPON_REMOVE_FAILED
+      );
+    },
+    [token, runOptimistic]
+  );
+
+  const updateItemGiftOptions = useCallback(
+    async (productId, giftOptions, attributes = {}) => {
+      if (!token) {
+        return applyGuestCart(
+          (guestCart) =>
+            updateGuestItemGiftOptions(guestCart, productId, giftOptions, attributes),
+          CART_SUCCESS_MESSAGES.GIFT_OPTIONS_UPDATED
+        );
+      }
+
+      return runOptimistic(
+        (current) => setCartItemGiftOptions(current, productId, giftOptions, attributes),
+        () => cartAPI.updateItemGiftOptions(productId, { giftOptions, attributes }),
+        CART_ERROR_MESSAGES.GIFT_OPTIONS_FAILED
+      );
+    },
+    [token, applyGuestCart, runOptimistic]
+  );
+
+  const updateNotes = useCallback(
+    async (notes) => {
+      if (!token) {
+        return applyGuestCart(
+          (guestCart) => setGuestNotes(guestCart, notes),
+          CART_SUCCESS_MESSAGES.NOTES_UPDATED
+        );
+      }
+
+      return runOptimistic(
+        (current) => ({ ...current, notes }),
+        () => cartAPI.updateCartNotes(notes),
+        CART_ERROR_MESSAGES.NOTES_UPDATE_FAILED
+      );
+    },
+    [token, applyGuestCart, runOptimistic]
+  );
+
+  const updateShippingAddress = useCallback(
+    async (addressData) => {
+      if (!token) {
+        console.warn("[CartContext] Usuario no autenticado");
+        return null;
+      }
       try {
         setLoading(true);
         setError(null);
 
-        const response = await cartAPI.applyCoupon(code);
+        const response = await cartAPI.updateShippingAddress(addressData);
 
         if (response.success && mountedRef.current) {
-          setCart(response.data);
-          updateCache(response.data);
+          commitCart(response.data);
           return response;
         }
       } catch (err) {
         const errorMessage =
-          err.response?.data?.message || "Error al aplicar cupón";
+          err.response?.data?.message || "Error al actualizar dirección";
         if (mountedRef.current) {
           setError(errorMessage);
         }
-        console.error("[CartContext] Error applying coupon:", err);
+        console.error("[CartContext] Error updating address:", err);
         return null;
       } finally {
         if (mountedRef.current) {
@@ -302,11 +645,11 @@ export const CartProvider = ({ children }) => {
         }
       }
     },
-    [token, updateCache]
+    [token, commitCart]
   );
 
-  const updateShippingAddress = useCallback(
-    async (addressData) => {
+  const updateShippingMethod = useCallback(
+    async (shippingData) => {
       if (!token) {
         console.warn("[CartContext] Usuario no autenticado");
         return null;
@@ -315,20 +658,19 @@ export const CartProvider = ({ children }) => {
         setLoading(true);
         setError(null);
 
-        const response = await cartAPI.updateShippingAddress(addressData);
+        const response = await cartAPI.updateShippingMethod(shippingData);
 
         if (response.success && mountedRef.current) {
-          setCart(response.data);
-          updateCache(response.data);
+          commitCart(response.data);
           return response;
         }
       } catch (err) {
         const errorMessage =
-          err.response?.data?.message || "Error al actualizar dirección";
+          err.response?.data?.message || "Error al actualizar método de envío";
         if (mountedRef.current) {
           setError(errorMessage);
         }
-        console.error("[CartContext] Error updating address:", err);
+        console.error("[CartContext] Error updating shipping method:", err);
         return null;
       } finally {
         if (mountedRef.current) {
@@ -336,11 +678,14 @@ export const CartProvider = ({ children }) => {
         }
       }
     },
-    [token, updateCache]
+    [token, commitCart]
   );
 
-  const updateShippingMethod = useCallback(
-    async (shippingData) => {
+  /**
+   * Restaura un carrito abandonado (enlace del recordatorio)
+   */
+  const restoreCart = useCallback(
+    async (restoreToken) => {
       if (!token) {
         console.warn("[CartContext] Usuario no autenticado");
         return null;
@@ -349,20 +694,18 @@ export const CartProvider = ({ children }) => {
         setLoading(true);
         setError(null);
 
-        const response = await cartAPI.updateShippingMethod(shippingData);
+        const response = await cartAPI.restoreCart(restoreToken);
 
         if (response.success && mountedRef.current) {
-          setCart(response.data);
-          updateCache(response.data);
+          commitCart(response.data);
           return response;
         }
       } catch (err) {
-        const errorMessage =
-          err.response?.data?.message || "Error al actualizar método de envío";
+        const errorMessage = err?.message || CART_ERROR_MESSAGES.RESTORE_FAILED;
         if (mountedRef.current) {
           setError(errorMessage);
         }
-        console.error("[CartContext] Error updating shipping method:", err);
+        console.error("[CartContext] Error restoring cart:", err);
         return null;
       } finally {
         if (mountedRef.current) {
@@ -370,7 +713,7 @@ export const CartProvider = ({ children }) => {
         }
       }
     },
-    [token, updateCache]
+    [token, commitCart]
   );
 
   // ============================================================================
@@ -404,9 +747,10 @@ export const CartProvider = ({ children }) => {
     initializedOnceRef.current = true;
 
     if (!isAuthenticated) {
-      setCart(null);
+      setCart(loadGuestCart());
       setInitialized(true);
       clearCache();
+      migrateGuestCart();
       return;
     }
 
@@ -428,13 +772,46 @@ export const CartProvider = ({ children }) => {
   // ============================================================================
   // REACT TO AUTH CHANGES - ✅ SIN DEPENDENCIAS CIRCULARES
   // ============================================================================
+  const prevAuthenticatedRef = useRef(isAuthenticated);
+
   useEffect(() => {
-    // Solo limpiar si cambia auth después de inicialización
-    if (initializedOnceRef.current && !isAuthenticated) {
-      setCart(null);
-      clearCache();
+    if (prevAuthenticatedRef.current === isAuthenticated) return;
+    prevAuthenticatedRef.current = isAuthenticated;
+
+    // Los cambios optimistas pendientes pertenecen a la sesión anterior
+    quantityQueueRef.current.forEach((entry) => {
+      entry.cancelled = true;
+      clearTimeout(entry.timer);
+      entry.waiters.forEach((resolve) => resolve(null));
+    });
+    quantityQueueRef.current.clear();
+    confirmedCartRef.current = null;
+    setPendingMutations(0);
+
+    clearCache();
+
+    if (isAuthenticated) {
+      // Login/register: AuthProvider ya fusionó el carrito anónimo
+      fetchCart(true);
+    } else {
+      setCart(loadGuestCart());
     }
-  }, [isAuthenticated]); // ✅ Solo auth
+  }, [isAuthenticated, fetchCart, clearCache]); // ✅ El guard deja pasar solo cambios de auth
+
+  // ============================================================================
+  // SYNC: MUTACIONES DE OTRAS PESTAÑAS
+  // ============================================================================
+  useTabSync([TAB_SYNC_EVENTS.CART_UPDATED], ({ cart: incoming, isGuest }) => {
+    // Ignorar si la otra pestaña aún no refleja el mismo estado de sesión
+    if (Boolean(isGuest) === Boolean(token)) return;
+
+    if (isGuest) {
+      setCart(incoming);
+    } else {
+      showServerCart(incoming);
+      updateCache(incoming);
+    }
+  });
 
   // ============================================================================
   // VALUE
@@ -451,14 +828,21 @@ export const CartProvider = ({ children }) => {
     removeItem,
     clearCartItems,
     applyCoupon,
+    removeCoupon,
+    updateItemGiftOptions,
+    updateNotes,
     updateShippingAddress,
     updateShippingMethod,
+    restoreCart,
 
     refreshCart,
     getItemCount,
     isEmpty,
     clearCache,
 
+    // true mientras haya cambios optimistas sin confirmar
+    syncing: pendingMutations > 0,
+
     setError: (err) => setError(err),
   };
 
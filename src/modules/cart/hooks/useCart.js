@@ -79,7 +79,8 @@ export const useCart = () => {
   const shippingInfo = {
     address: context.cart?.shippingAddress || null,
     method: context.cart?.shippingMethod || 'standard',
-    cost: context.cart?.shippingCost || 0
+    cost: context.cart?.shippingCost || 0,
+    pickup: context.cart?.pickup || null
   };
 
   /**
@@ -97,6 +98,7 @@ export const useCart = () => {
     loading: context.loading,
     error: context.error,
     initialized: context.initialized,
+    syncing: context.syncing,
 
     // Datos calculados
     summary,
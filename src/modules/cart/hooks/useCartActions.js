@@ -6,8 +6,11 @@ import {
   validateCoupon,
   validateShippingAddress,
   validateShippingMethod,
+  validateGiftOptions,
+  validateNotes,
   formatValidationErrors
 } from '../schemas/cart.schema';
+import { CART_SUCCESS_MESSAGES } from '../types/cart.types';
 
 /**
  * @hook useCartActions
@@ -31,6 +34,9 @@ import {
  *   removeFromCart,
  *   clearCart,
  *   applyCoupon,
+ *   removeCoupon,
+ *   updateGiftOptions,
+ *   updateNotes,
  *   updateAddress,
  *   updateShipping,
  *   loading,
@@ -49,6 +55,7 @@ export const useCartActions = (onSuccess, onError) => {
 
   /**
    * Wrapper genérico para ejecutar acciones con manejo de errores
+   * Un resultado null significa que CartContext ya revirtió y notificó el error
    */
   const executeAction = useCallback(async (action, successMessage) => {
     try {
@@ -57,7 +64,7 @@ export const useCartActions = (onSuccess, onError) => {
 
       const result = await action();
 
-      if (onSuccess) {
+      if (result && successMessage !== null && onSuccess) {
         onSuccess(successMessage || result?.message);
       }
 
@@ -113,9 +120,10 @@ export const useCartActions = (onSuccess, onError) => {
       // Validar datos
       const validatedData = await validateUpdateQuantity({ quantity, attributes });
 
+      // Sin toast de éxito: el cambio ya se ve al instante (actualización optimista)
       return await executeAction(
         () => context.updateItem(productId, validatedData),
-        'Cantidad actualizada'
+        null
       );
     } catch (err) {
       if (err.name === 'ValidationError') {
@@ -172,6 +180,62 @@ export const useCartActions = (onSuccess, onError) => {
     }
   }, [context, executeAction, onError]);
 
+  /**
+   * Quitar un cupón aplicado
+   */
+  const removeCoupon = useCallback(async (code) => {
+    return await executeAction(
+      () => context.removeCoupon(code),
+      'Cupón eliminado'
+    );
+  }, [context, executeAction]);
+
+  /**
+   * Actualizar opciones de regalo de un item
+   * Con validación Yup
+   */
+  const updateGiftOptions = useCallback(async (productId, giftOptions, attributes = {}) => {
+    try {
+      const validatedData = await validateGiftOptions({ giftOptions, attributes });
+
+      return await executeAction(
+        () => context.updateItemGiftOptions(productId, validatedData.giftOptions, attributes),
+        CART_SUCCESS_MESSAGES.GIFT_OPTIONS_UPDATED
+      );
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        const errors = formatValidationErrors(err);
+        setActionError(Object.values(errors)[0]);
+        if (onError) onError(Object.values(errors)[0], err);
+        throw err;
+      }
+      throw err;
+    }
+  }, [context, executeAction, onError]);
+
+  /**
+   * Actualizar notas del pedido
+   * Con validación Yup
+   */
+  const updateNotes = useCallback(async (notes) => {
+    try {
+      const validatedData = await validateNotes({ notes });
+
+      return await executeAction(
+        () => context.updateNotes(validatedData.notes),
+        CART_SUCCESS_MESSAGES.NOTES_UPDATED
+      );
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        const errors = formatValidationErrors(err);
+        setActionError(Object.values(errors)[0]);
+        if (onError) onError(Object.values(errors)[0], err);
+        throw err;
+      }
+      throw err;
+    }
+  }, [context, executeAction, onError]);
+
   /**
    * Actualizar dirección de envío
    * Con validación Yup
@@ -242,6 +306,9 @@ export const useCartActions = (onSuccess, onError) => {
     removeFromCart,
     clearCart,
     applyCoupon: applyCouponCode,
+    removeCoupon,
+    updateGiftOptions,
+    updateNotes,
     updateAddress,
     updateShipping,
 
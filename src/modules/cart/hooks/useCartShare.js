@@ -0,0 +1,80 @@
+import { useState, useCallback } from 'react';
+import * as cartAPI from '../api/cart.api';
+import {
+  CART_ERROR_MESSAGES,
+  CART_SUCCESS_MESSAGES
+} from '../types/cart.types';
+import {
+  exceedsShareLimit,
+  serializeCartForShare,
+  getCartShareUrl
+} from '../utils/cartShare';
+
+/**
+ * @hook useCartShare
+ * @description Crea el enlace corto para compartir el carrito actual
+ *
+ * CARACTERÍSTICAS:
+ * - Envía productos, cantidades y atributos a cartAPI.createShareLink
+ * - No comparte carritos que superen CART_SHARE_CONFIG.MAX_ITEMS
+ * - Copia la URL al portapapeles (si el navegador lo permite)
+ *
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} { shareUrl, creating, createShareLink }
+ *
+ * @example
+ * const { shareUrl, createShareLink } = useCartShare(toast.success, toast.error);
+ */
+export const useCartShare = (onSuccess, onError) => {
+  const [shareUrl, setShareUrl] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  /**
+   * @param {Object} cart - Carrito a compartir
+   * @returns {Promise<string|null>} URL del enlace
+   */
+  const createShareLink = useCallback(async (cart) => {
+    if (exceedsShareLimit(cart)) {
+      if (onError) onError(CART_ERROR_MESSAGES.SHARE_TOO_MANY_ITEMS);
+      return null;
+    }
+
+    setCreating(true);
+
+    try {
+      const response = await cartAPI.createShareLink(serializeCartForShare(cart));
+
+      if (!response?.success) {
+        throw new Error(response?.message || CART_ERROR_MESSAGES.SHARE_LINK_FAILED);
+      }
+
+      const url = getCartShareUrl(response.data.code);
+      setShareUrl(url);
+
+      try {
+        await navigator.clipboard.writeText(url);
+        if (onSuccess) onSuccess(CART_SUCCESS_MESSAGES.SHARE_LINK_CREATED);
+      } catch {
+        // Sin permiso de portapapeles: la URL queda visible para copiarla a mano
+      }
+
+      return url;
+    } catch (err) {
+      console.error('[useCartShare] Error creating share link:', err);
+      if (onError) onError(err.message || CART_ERROR_MESSAGES.SHARE_LINK_FAILED);
+      return null;
+    } finally {
+      setCreating(false);
+    }
+  }, [onSuccess, onError]);
+
+  return {
+    shareUrl,
+    creating,
+    createShareLink
+  };
+};
+
+export default useCartShare;
@@ -0,0 +1,87 @@
+import { useState, useMemo, useCallback, useRef } from 'react';
+import * as cartAPI from '../api/cart.api';
+import { COUPON_REJECTION_REASONS } from '../types/cart.types';
+import { previewCoupon, getCouponRejectionMessage } from '../utils/couponEngine';
+
+/**
+ * @hook useCouponPreview
+ * @description Vista previa de un cupón sobre el carrito antes de aplicarlo
+ *
+ * CARACTERÍSTICAS:
+ * - Consulta las reglas del cupón (cartAPI.getCoupon) sin aplicarlo
+ * - Calcula el ahorro y la elegibilidad con utils/couponEngine
+ * - La vista previa se recalcula si cambia el carrito
+ *
+ * @param {Object} cart - Carrito actual
+ *
+ * @returns {Object} { preview, checking, checkCoupon, clearPreview }
+ *
+ * @example
+ * const { preview, checkCoupon } = useCouponPreview(cart);
+ * await checkCoupon('WELCOME10');
+ * preview.eligible ? preview.discount : preview.message
+ */
+export const useCouponPreview = (cart) => {
+  // { code, coupon } | { code, error }
+  const [lookup, setLookup] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const requestRef = useRef(0);
+
+  const checkCoupon = useCallback(async (code) => {
+    const requestId = ++requestRef.current;
+    setChecking(true);
+
+    try {
+      const response = await cartAPI.getCoupon(code);
+      if (requestId !== requestRef.current) return;
+
+      setLookup(response?.success && response.data
+        ? { code, coupon: response.data }
+        : { code, reason: COUPON_REJECTION_REASONS.NOT_FOUND });
+    } catch (err) {
+      if (requestId !== requestRef.current) return;
+
+      if (err.statusCode === 404) {
+        setLookup({ code, reason: COUPON_REJECTION_REASONS.NOT_FOUND });
+      } else {
+        console.error('[useCouponPreview] Error fetching coupon:', err);
+        setLookup({ code, error: err.message || 'No pudimos verificar el cupón' });
+      }
+    } finally {
+      if (requestId === requestRef.current) setChecking(false);
+    }
+  }, []);
+
+  const clearPreview = useCallback(() => {
+    requestRef.current++;
+    setLookup(null);
+    setChecking(false);
+  }, []);
+
+  const preview = useMemo(() => {
+    if (!lookup) return null;
+
+    if (!lookup.coupon) {
+      return {
+        code: lookup.code,
+        eligible: false,
+        reason: lookup.reason || null,
+        message: lookup.error || getCouponRejectionMessage(lookup.reason, { code: lookup.code }),
+        discount: 0,
+        shippingDiscount: 0,
+        description: ''
+      };
+    }
+
+    return { code: lookup.code, ...previewCoupon(lookup.coupon, cart) };
+  }, [lookup, cart]);
+
+  return {
+    preview,
+    checking,
+    checkCoupon,
+    clearPreview
+  };
+};
+
+export default useCouponPreview;
@@ -0,0 +1,157 @@
+import { useState, useCallback } from 'react';
+import { useCartContext } from '../context/CartContext';
+import { useAuth } from '../../../core/providers/AuthProvider';
+import { productsAPI } from '../../products/api/products.api';
+import {
+  CART_ERROR_MESSAGES,
+  CART_SUCCESS_MESSAGES
+} from '../types/cart.types';
+import {
+  loadSavedItems,
+  storeSavedItems,
+  addSavedItem,
+  removeSavedItem,
+  getSavedItemKey
+} from '../utils/savedForLater';
+
+/**
+ * @hook useSaveForLater
+ * @description Lista "Guardar para después" del carrito
+ *
+ * CARACTERÍSTICAS:
+ * - Mueve items del carrito a la lista conservando atributos y cantidad
+ * - Devolver al carrito re-valida el stock con productsAPI.checkStock
+ * - La lista no suma en los totales del carrito
+ *
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} Items guardados y acciones
+ *
+ * @example
+ * const { savedItems, saveForLater, moveToCart } = useSaveForLater(toast.success, toast.error);
+ */
+export const useSaveForLater = (onSuccess, onError) => {
+  const { addItem, removeItem } = useCartContext();
+  const { user, isAuthenticated } = useAuth();
+  const ownerId = user?._id || null;
+
+  // Cada usuario tiene su propia lista: se guarda junto con su dueño
+  const [saved, setSaved] = useState(() => ({ ownerId, items: loadSavedItems(ownerId) }));
+  const [movingKey, setMovingKey] = useState(null);
+
+  // Cambió el usuario: volver a leer su lista durante el render
+  if (saved.ownerId !== ownerId) {
+    setSaved({ ownerId, items: loadSavedItems(ownerId) });
+  }
+
+  const savedItems = saved.items;
+
+  const updateSavedItems = useCallback((updater) => {
+    const next = storeSavedItems(ownerId, updater(loadSavedItems(ownerId)));
+    setSaved({ ownerId, items: next });
+    return next;
+  }, [ownerId]);
+
+  // ============================================================================
+  // ACCIONES
+  // ============================================================================
+
+  /**
+   * Pasa un item del carrito a la lista
+   * @param {Object} cartItem - Item del carrito
+   */
+  const saveForLater = useCallback(async (cartItem) => {
+    const { product, attributes } = cartItem;
+    const previousItems = loadSavedItems(ownerId);
+    updateSavedItems(items => addSavedItem(items, cartItem));
+
+    const result = await removeItem(product._id, attributes);
+
+    if (!result) {
+      // El carrito revirtió (y ya notificó): el item sigue allí y la lista
+      // vuelve a como estaba (conserva la cantidad que ya estaba guardada)
+      updateSavedItems(() => previousItems);
+      if (!isAuthenticated && onError) onError(CART_ERROR_MESSAGES.SAVE_FOR_LATER_FAILED);
+      return null;
+    }
+
+    if (onSuccess) onSuccess(CART_SUCCESS_MESSAGES.ITEM_SAVED_FOR_LATER);
+    return result;
+  }, [ownerId, removeItem, updateSavedItems, isAuthenticated, onSuccess, onError]);
+
+  /**
+   * Devuelve un item guardado al carrito, verificando stock antes
+   * @param {Object} savedItem - Item guardado
+   */
+  const moveToCart = useCallback(async (savedItem) => {
+    const { product, quantity, attributes } = savedItem;
+    setMovingKey(getSavedItemKey(savedItem));
+
+    try {
+      const stockResponse = await productsAPI.checkStock(product._id, quantity);
+      const stock = stockResponse?.data;
+
+      if (!stockResponse?.success || stock?.available === false) {
+        const message = typeof stock?.stock === 'number' && stock.stock > 0
+          ? `Solo hay ${stock.stock} unidades disponibles`
+          : CART_ERROR_MESSAGES.INSUFFICIENT_STOCK;
+
+        if (onError) onError(message);
+        return null;
+      }
+
+      const result = await addItem({
+        productId: product._id,
+        quantity,
+        attributes,
+        product
+      });
+
+      if (!result) {
+        // Con sesión, CartContext ya revirtió el cambio optimista y mostró el error
+        if (!isAuthenticated && onError) onError(CART_ERROR_MESSAGES.MOVE_TO_CART_FAILED);
+        return null;
+      }
+
+      updateSavedItems(items => removeSavedItem(items, product._id, attributes));
+      if (onSuccess) onSuccess(CART_SUCCESS_MESSAGES.ITEM_MOVED_TO_CART);
+      return result;
+    } catch (err) {
+      console.error('[useSaveForLater] Error moving item to cart:', err);
+      if (onError) onError(err.message || CART_ERROR_MESSAGES.MOVE_TO_CART_FAILED);
+      return null;
+    } finally {
+      setMovingKey(null);
+    }
+  }, [addItem, updateSavedItems, isAuthenticated, onSuccess, onError]);
+
+  /**
+   * Elimina un item de la lista
+   * @param {Object} savedItem - Item guardado
+   */
+  const removeSaved = useCallback((savedItem) => {
+    updateSavedItems(items =>
+      removeSavedItem(items, savedItem.product._id, savedItem.attributes)
+    );
+    if (onSuccess) onSuccess(CART_SUCCESS_MESSAGES.SAVED_ITEM_REMOVED);
+  }, [updateSavedItems, onSuccess]);
+
+  // ============================================================================
+  // RETURN
+  // ============================================================================
+
+  return {
+    // Estado
+    savedItems,
+    savedCount: savedItems.length,
+    movingKey,
+
+    // Acciones
+    saveForLater,
+    moveToCart,
+    removeSaved
+  };
+};
+
+export default useSaveForLater;
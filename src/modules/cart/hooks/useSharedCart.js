@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useCartContext } from '../context/CartContext';
+import * as cartAPI from '../api/cart.api';
+import {
+  CART_ERROR_MESSAGES,
+  CART_SUCCESS_MESSAGES,
+  SHARED_ITEM_STATUS
+} from '../types/cart.types';
+import { prepareSharedItems } from '../utils/cartShare';
+
+/**
+ * @hook useSharedCart
+ * @description Vista previa de un carrito compartido y paso al carrito del visitante
+ *
+ * CARACTERÍSTICAS:
+ * - Los items se muestran con el precio y stock actuales (prepareSharedItems)
+ * - Se agregan uno a uno con CartContext.addItem (con o sin sesión),
+ *   limitando la cantidad al stock disponible
+ *
+ * @param {string} code - Código del enlace
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} { sharedCart, items, loading, error, adding, addAllToCart }
+ *
+ * @example
+ * const { items, addAllToCart } = useSharedCart(code, toast.success, toast.error);
+ */
+export const useSharedCart = (code, onSuccess, onError) => {
+  const { cart, addItem } = useCartContext();
+
+  const [sharedCart, setSharedCart] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [adding, setAdding] = useState(false);
+
+  const loadSharedCart = useCallback(async () => {
+    try {
+      const response = await cartAPI.getSharedCart(code);
+
+      if (!response?.success) {
+        throw new Error(response?.message || CART_ERROR_MESSAGES.SHARED_CART_NOT_FOUND);
+      }
+
+      setSharedCart(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('[useSharedCart] Error loading shared cart:', err);
+      setSharedCart(null);
+      setError(err.statusCode === 404 || !err.message
+        ? CART_ERROR_MESSAGES.SHARED_CART_NOT_FOUND
+        : err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [code]);
+
+  useEffect(() => {
+    loadSharedCart();
+  }, [loadSharedCart]);
+
+  const items = useMemo(
+    () => prepareSharedItems(sharedCart?.items, cart?.items),
+    [sharedCart, cart]
+  );
+
+  /**
+   * Agrega los items disponibles al carrito del visitante
+   * @returns {Promise<number>} Cantidad de items agregados
+   */
+  const addAllToCart = useCallback(async () => {
+    const addable = items.filter(item => item.status !== SHARED_ITEM_STATUS.UNAVAILABLE);
+    if (!addable.length) return 0;
+
+    setAdding(true);
+    let added = 0;
+
+    try {
+      // En serie: cada addItem parte del carrito que dejó el anterior
+      for (const item of addable) {
+        const result = await addItem({
+          productId: item.productId,
+          quantity: item.quantityToAdd,
+          attributes: item.attributes,
+          product: item.product
+        });
+        if (result) added += 1;
+      }
+    } finally {
+      setAdding(false);
+    }
+
+    if (added === addable.length) {
+      if (onSuccess) onSuccess(CART_SUCCESS_MESSAGES.SHARED_ITEMS_ADDED);
+    } else if (onError) {
+      onError(CART_ERROR_MESSAGES.SHARED_ITEMS_FAILED);
+    }
+
+    return added;
+  }, [items, addItem, onSuccess, onError]);
+
+  return {
+    sharedCart,
+    items,
+    loading,
+    error,
+    adding,
+    addAllToCart
+  };
+};
+
+export default useSharedCart;
@@ -1,19 +1,20 @@
-<<<<<<< Updated upstream
-// CartPage.jsx
-import { useCart, useCartActions, CartItem, CartSummary } from './modules/cart';
-
-function CartPage() {
-=======
 // src/modules/cart/pages/CartPage.jsx
-import { useNavigate } from 'react-router-dom';
-import { toast } from 'react-hot-toast'; // ✅ Usar react-hot-toast
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import CartSummary from '../components/CartSummary';
 import CartItem from '../components/CartItem';
 import CouponForm from '../components/CouponForm';
+import SavedForLater from '../components/SavedForLater';
+import OrderNotes from '../components/OrderNotes';
+import ShareCart from '../components/ShareCart';
+import { RecentlyViewed } from '../../products/components/RecentlyViewed';
 import useCartActions from '../hooks/useCartActions';
 import useCart from '../hooks/useCart';
+import useSaveForLater from '../hooks/useSaveForLater';
+import useCartShare from '../hooks/useCartShare';
 import EmptyCart from '../components/EmptyCart';
 import { ShoppingCart, Trash2 } from 'lucide-react';
+import { exceedsShareLimit } from '../utils/cartShare';
 
 /**
  * @component CartPage
@@ -21,25 +22,41 @@ import { ShoppingCart, Trash2 } from 'lucide-react';
  */
 export default function CartPage() {
   const navigate = useNavigate();
->>>>>>> Stashed changes
-  const { cart, loading, summary, items, isEmpty } = useCart();
+  const { cart, loading, syncing, summary, items, isEmpty } = useCart();
   
   const { 
     updateQuantity, 
     removeFromCart, 
     clearCart,
-    applyCoupon 
+    applyCoupon,
+    removeCoupon,
+    updateGiftOptions,
+    updateNotes
   } = useCartActions(
-    (msg) => toast.success(msg, { duration: 2000 }),
-    (err) => toast.error(err, { duration: 3000 })
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
+  );
+
+  const {
+    savedItems,
+    movingKey,
+    saveForLater,
+    moveToCart,
+    removeSaved
+  } = useSaveForLater(
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
+  );
+
+  const { shareUrl, creating, createShareLink } = useCartShare(
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
   );
 
   // ============================================================================
   // HANDLERS
   // ============================================================================
 
-<<<<<<< Updated upstream
-=======
   const handleClearCart = () => {
     if (window.confirm('¿Estás seguro de vaciar el carrito? Esta acción no se puede deshacer.')) {
       clearCart();
@@ -83,6 +100,18 @@ export default function CartPage() {
       <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
         <div className="container mx-auto px-4 py-8">
           <EmptyCart />
+
+          {/* Los guardados siguen disponibles aunque el carrito esté vacío */}
+          <div className="max-w-3xl mx-auto">
+            <SavedForLater
+              items={savedItems}
+              onMoveToCart={moveToCart}
+              onRemove={removeSaved}
+              movingKey={movingKey}
+            />
+          </div>
+
+          <RecentlyViewed className="max-w-5xl mx-auto mt-8" />
         </div>
       </div>
     );
@@ -92,7 +121,6 @@ export default function CartPage() {
   // RENDER: MAIN CONTENT
   // ============================================================================
 
->>>>>>> Stashed changes
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
       <div className="container mx-auto px-4 py-8">
@@ -141,21 +169,50 @@ export default function CartPage() {
                       item={item}
                       onUpdateQuantity={updateQuantity}
                       onRemove={removeFromCart}
+                      onSaveForLater={saveForLater}
+                      onUpdateGiftOptions={updateGiftOptions}
                       loading={loading}
                     />
                   ))}
                 </div>
               </div>
             </div>
+
+            {/* Guardar para después (fuera de los totales) */}
+            <SavedForLater
+              items={savedItems}
+              onMoveToCart={moveToCart}
+              onRemove={removeSaved}
+              movingKey={movingKey}
+              disabled={loading}
+            />
           </div>
 
           {/* Sidebar */}
           <div className="space-y-6">
-            {/* Cupón Form */}
-            <CouponForm
-              onApply={applyCoupon}
-              appliedCoupon={cart?.coupon}
-              loading={loading}
+            {/* Cupón Form (los cupones se aplican sobre el carrito del servidor) */}
+            {cart?.isGuest ? (
+              <div className="bg-white rounded-lg border border-gray-200 p-4 text-sm text-gray-600">
+                <Link to="/auth/login" state={{ from: { pathname: '/carrito' } }} className="text-blue-600 hover:text-blue-700 font-medium">
+                  Inicia sesión
+                </Link>{' '}
+                para aplicar cupones. Tu carrito se conservará.
+              </div>
+            ) : (
+              <CouponForm
+                onApply={applyCoupon}
+                onRemove={removeCoupon}
+                cart={cart}
+                loading={loading}
+              />
+            )}
+
+            {/* Notas del pedido (se reinician si cambian en otra pestaña) */}
+            <OrderNotes
+              key={cart?.notes || ''}
+              notes={cart?.notes || ''}
+              onSave={updateNotes}
+              disabled={loading}
             />
 
             {/* Cart Summary */}
@@ -163,9 +220,18 @@ export default function CartPage() {
               summary={summary}
               cart={cart}
               onCheckout={handleCheckout}
-              loading={loading}
+              loading={loading || syncing}
               showCheckoutButton={true}
             />
+
+            {/* Enlace para compartir el carrito (vendedores por WhatsApp) */}
+            <ShareCart
+              shareUrl={shareUrl}
+              onCreate={() => createShareLink(cart)}
+              creating={creating}
+              disabled={loading || syncing}
+              tooManyItems={exceedsShareLimit(cart)}
+            />
           </div>
         </div>
 
@@ -190,8 +256,6 @@ export default function CartPage() {
       </div>
     </div>
   );
-<<<<<<< Updated upstream
-=======
 }
 
 // ==============================================================================
@@ -212,5 +276,4 @@ function TrustBadge({ icon, title, description }) {
       </div>
     </div>
   );
->>>>>>> Stashed changes
 }
\ No newline at end of file
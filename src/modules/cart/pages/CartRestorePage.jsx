@@ -0,0 +1,66 @@
+// src/modules/cart/pages/CartRestorePage.jsx
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useCartContext } from '../context/CartContext';
+import EmptyCart from '../components/EmptyCart';
+import { CART_ERROR_MESSAGES, CART_SUCCESS_MESSAGES } from '../types/cart.types';
+
+/**
+ * @component CartRestorePage
+ * @description Destino del enlace del recordatorio de carrito abandonado
+ *
+ * Restaura el carrito con CartContext.restoreCart y lleva al cliente al carrito.
+ * Va dentro de PrivateRoute: sin sesión, el login vuelve aquí al terminar
+ */
+export default function CartRestorePage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { restoreCart } = useCartContext();
+
+  const [failed, setFailed] = useState(false);
+
+  // El enlace se canjea una sola vez aunque el efecto se repita
+  const restoringRef = useRef(false);
+
+  useEffect(() => {
+    if (restoringRef.current) return;
+    restoringRef.current = true;
+
+    restoreCart(token).then((response) => {
+      if (response) {
+        toast.success(response.message || CART_SUCCESS_MESSAGES.CART_RESTORED, { autoClose: 3000 });
+        navigate('/carrito', { replace: true });
+      } else {
+        setFailed(true);
+      }
+    });
+  }, [token, restoreCart, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+      <div className="container mx-auto px-4 py-8">
+        {failed ? (
+          <EmptyCart
+            title="No pudimos recuperar tu carrito"
+            message={CART_ERROR_MESSAGES.RESTORE_FAILED}
+            actionText="Ir a mi carrito"
+            actionTo="/carrito"
+          />
+        ) : (
+          <div className="flex items-center justify-center min-h-[60vh]">
+            <div className="text-center">
+              <div className="relative w-20 h-20 mx-auto mb-6">
+                <div className="absolute inset-0 border-4 border-blue-200 dark:border-blue-900 rounded-full"></div>
+                <div className="absolute inset-0 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+              <p className="text-gray-600 dark:text-gray-300 text-lg font-medium">
+                Recuperando tu carrito...
+              </p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+// src/modules/cart/pages/SharedCartPage.jsx
+import { useParams, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { ShoppingCart } from 'lucide-react';
+import useSharedCart from '../hooks/useSharedCart';
+import EmptyCart from '../components/EmptyCart';
+import { formatPrice, formatAttributes } from '../utils/cartHelpers';
+import { getPrimaryImage } from '../../products/utils/productHelpers';
+import { SHARED_ITEM_STATUS } from '../types/cart.types';
+
+/**
+ * @component SharedCartPage
+ * @description Destino del enlace de carrito compartido (/carrito/compartido/:code)
+ *
+ * Muestra los productos con el precio y stock actuales; "Agregar a mi carrito"
+ * los suma al carrito del visitante (con o sin sesión) y lleva a /carrito
+ */
+export default function SharedCartPage() {
+  const { code } = useParams();
+  const navigate = useNavigate();
+
+  const {
+    items,
+    loading,
+    error,
+    adding,
+    addAllToCart
+  } = useSharedCart(
+    code,
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
+  );
+
+  const addableItems = items.filter(item => item.status !== SHARED_ITEM_STATUS.UNAVAILABLE);
+  const total = addableItems.reduce((sum, item) => sum + item.currentPrice * item.quantityToAdd, 0);
+
+  const handleAddAll = async () => {
+    const added = await addAllToCart();
+    if (added > 0) navigate('/carrito');
+  };
+
+  // ============================================================================
+  // RENDER: LOADING / ERROR
+  // ============================================================================
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+        <div className="container mx-auto px-4 py-8">
+          <div className="flex items-center justify-center min-h-[60vh]">
+            <div className="text-center">
+              <div className="relative w-20 h-20 mx-auto mb-6">
+                <div className="absolute inset-0 border-4 border-blue-200 dark:border-blue-900 rounded-full"></div>
+                <div className="absolute inset-0 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+              <p className="text-gray-600 dark:text-gray-300 text-lg font-medium">
+                Cargando carrito compartido...
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !items.length) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+        <div className="container mx-auto px-4 py-8">
+          <EmptyCart
+            title="Carrito no disponible"
+            message={error || 'Este carrito compartido no tiene productos'}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // RENDER: VISTA PREVIA
+  // ============================================================================
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl lg:text-4xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-3">
+            <ShoppingCart className="h-8 w-8 text-blue-600" />
+            Te compartieron un carrito
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Revisa los productos y agrégalos a tu carrito
+          </p>
+        </div>
+
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+          {items.map(item => (
+            <SharedItem
+              key={`${item.productId}-${JSON.stringify(item.attributes)}`}
+              item={item}
+            />
+          ))}
+
+          <div className="pt-4 border-t border-gray-200 flex items-center justify-between flex-wrap gap-4">
+            <div>
+              <p className="text-sm text-gray-500">Total con precios actuales</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatPrice(total)}</p>
+            </div>
+            <button
+              type="button"
+              onClick={handleAddAll}
+              disabled={adding || !addableItems.length}
+              className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-semibold"
+            >
+              {adding ? 'Agregando...' : 'Agregar a mi carrito'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function SharedItem({ item }) {
+  const { product = {}, status } = item;
+  const image = getPrimaryImage(product);
+  const unavailable = status === SHARED_ITEM_STATUS.UNAVAILABLE;
+
+  return (
+    <div className={`flex gap-4 ${unavailable ? 'opacity-60' : ''}`}>
+      <div className="flex-shrink-0 w-20 h-20 bg-gray-100 rounded-md overflow-hidden">
+        {image ? (
+          <img src={image} alt={product.name} className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center text-xs text-gray-400">
+            Sin imagen
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <h3 className="font-semibold text-gray-900 dark:text-white truncate">
+          {product.name || 'Producto'}
+        </h3>
+        {Object.keys(item.attributes).length > 0 && (
+          <p className="text-sm text-gray-500">{formatAttributes(item.attributes)}</p>
+        )}
+
+        <div className="flex items-center gap-2 mt-1 text-sm">
+          <span className="font-bold text-gray-900 dark:text-white">{formatPrice(item.currentPrice)}</span>
+          {item.priceChanged && (
+            <span className="text-gray-400 line-through">{formatPrice(item.sharedPrice)}</span>
+          )}
+          <span className="text-gray-500">× {item.quantity}</span>
+        </div>
+
+        {item.priceChanged && (
+          <p className="text-xs text-blue-600 mt-1">El precio cambió desde que se compartió</p>
+        )}
+        {status === SHARED_ITEM_STATUS.LIMITED && (
+          <p className="text-xs text-orange-600 mt-1">
+            Solo se agregarán {item.quantityToAdd} por stock disponible
+          </p>
+        )}
+        {unavailable && (
+          <p className="text-xs text-red-600 mt-1">Sin stock: no se agregará</p>
+        )}
+      </div>
+    </div>
+  );
+}
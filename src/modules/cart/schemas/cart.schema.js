@@ -127,6 +127,26 @@ export const updateShippingAddressSchema = Yup.object({
   isDefault: Yup.boolean().default(false)
 });
 
+/**
+ * SCHEMA: Punto y franja de recogida
+ *
+ * BACKEND: pickupValidation (cart.validation.js)
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const pickupSchema = Yup.object({
+  locationId: Yup.string().required('Selecciona un punto de recogida'),
+  locationName: Yup.string(),
+  address: Yup.string(),
+  window: Yup.object({
+    date: Yup.string()
+      .matches(/^\d{4}-\d{2}-\d{2}$/, 'Fecha de recogida inválida')
+      .required('Selecciona una franja de recogida'),
+    start: Yup.string().required('Selecciona una franja de recogida'),
+    end: Yup.string().required('Selecciona una franja de recogida')
+  }).required('Selecciona una franja de recogida')
+});
+
 /**
  * SCHEMA: Actualizar Método de Envío
  * 
@@ -144,7 +164,65 @@ export const updateShippingMethodSchema = Yup.object({
   
   cost: Yup.number()
     .min(0, 'El costo no puede ser negativo')
-    .default(0)
+    .default(0),
+
+  // Solo para SHIPPING_METHODS.PICKUP
+  pickup: pickupSchema
+    .default(undefined)
+    .when('method', {
+      is: SHIPPING_METHODS.PICKUP,
+      then: (schema) => schema.required('Selecciona un punto de recogida'),
+      otherwise: (schema) => schema.strip()
+    })
+});
+
+/**
+ * SCHEMA: Opciones de Regalo de un Item
+ * 
+ * BACKEND: giftOptionsValidation (cart.validation.js)
+ * 
+ * @type {Yup.ObjectSchema}
+ */
+export const giftOptionsSchema = Yup.object({
+  wrap: Yup.boolean().default(false),
+
+  message: Yup.string()
+    .trim()
+    .max(CART_LIMITS.MAX_GIFT_MESSAGE_LENGTH, `El mensaje no puede exceder ${CART_LIMITS.MAX_GIFT_MESSAGE_LENGTH} caracteres`)
+    .default(''),
+
+  hidePrices: Yup.boolean().default(false)
+});
+
+/**
+ * SCHEMA: Actualizar Opciones de Regalo
+ * 
+ * BACKEND: updateGiftOptionsValidation (cart.validation.js)
+ * 
+ * @type {Yup.ObjectSchema}
+ */
+export const updateGiftOptionsSchema = Yup.object({
+  giftOptions: giftOptionsSchema.required('Las opciones de regalo son requeridas'),
+
+  attributes: Yup.object({
+    size: Yup.string().nullable().default(null),
+    color: Yup.string().nullable().default(null),
+    material: Yup.string().nullable().default(null)
+  }).default({})
+});
+
+/**
+ * SCHEMA: Notas del Pedido
+ * 
+ * BACKEND: updateNotesValidation (cart.validation.js)
+ * 
+ * @type {Yup.ObjectSchema}
+ */
+export const updateNotesSchema = Yup.object({
+  notes: Yup.string()
+    .trim()
+    .max(CART_LIMITS.MAX_NOTES_LENGTH, `Las notas no pueden exceder ${CART_LIMITS.MAX_NOTES_LENGTH} caracteres`)
+    .default('')
 });
 
 /**
@@ -201,6 +279,26 @@ export const validateShippingMethod = async (data) => {
   return await updateShippingMethodSchema.validate(data, { abortEarly: false, stripUnknown: true });
 };
 
+/**
+ * Valida opciones de regalo de un item
+ * @param {Object} data - { giftOptions, attributes }
+ * @returns {Promise<Object>} Datos validados
+ * @throws {Yup.ValidationError} Si validación falla
+ */
+export const validateGiftOptions = async (data) => {
+  return await updateGiftOptionsSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Valida las notas del pedido
+ * @param {Object} data - { notes }
+ * @returns {Promise<Object>} Datos validados
+ * @throws {Yup.ValidationError} Si validación falla
+ */
+export const validateNotes = async (data) => {
+  return await updateNotesSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
 /**
  * Formatea errores de Yup para UI
  * @param {Yup.ValidationError} error - Error de Yup
@@ -222,11 +320,17 @@ export default {
   updateQuantitySchema,
   applyCouponSchema,
   updateShippingAddressSchema,
+  pickupSchema,
   updateShippingMethodSchema,
+  giftOptionsSchema,
+  updateGiftOptionsSchema,
+  updateNotesSchema,
   validateAddItem,
   validateUpdateQuantity,
   validateCoupon,
   validateShippingAddress,
   validateShippingMethod,
+  validateGiftOptions,
+  validateNotes,
   formatValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,147 @@
+import * as Yup from 'yup';
+import { CART_LIMITS, COUPON_TYPES } from '../types/cart.types';
+
+/**
+ * @module CouponSchemas
+ * @description Validaciones Yup del CRUD de cupones (panel admin)
+ *
+ * SINCRONIZADO CON:
+ * - coupon.validation.js (Joi) -> createCouponValidation / updateCouponValidation
+ * - utils/couponEngine (forma del cupón)
+ */
+
+/**
+ * SCHEMA: Crear Cupón
+ *
+ * BACKEND: createCouponValidation (coupon.validation.js)
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const createCouponSchema = Yup.object({
+  code: Yup.string()
+    .required('El código es requerido')
+    .trim()
+    .uppercase()
+    .matches(/^[A-Z0-9_-]+$/i, 'Solo letras, números, guiones y guion bajo')
+    .max(CART_LIMITS.MAX_COUPON_LENGTH, `El código no puede exceder ${CART_LIMITS.MAX_COUPON_LENGTH} caracteres`),
+
+  type: Yup.string()
+    .oneOf(Object.values(COUPON_TYPES), 'Tipo de cupón inválido')
+    .required('El tipo es requerido'),
+
+  // Porcentaje o monto fijo; en cupones de envío es el tope del descuento (0 = envío gratis)
+  discount: Yup.number()
+    .typeError('El valor debe ser un número')
+    .min(0, 'El valor no puede ser negativo')
+    .when('type', {
+      is: COUPON_TYPES.PERCENTAGE,
+      then: (schema) => schema
+        .moreThan(0, 'El porcentaje debe ser mayor a 0')
+        .max(100, 'El porcentaje no puede superar 100'),
+      otherwise: (schema) => schema
+    })
+    .when('type', {
+      is: COUPON_TYPES.FIXED,
+      then: (schema) => schema.moreThan(0, 'El monto debe ser mayor a 0'),
+      otherwise: (schema) => schema
+    })
+    .required('El valor es requerido'),
+
+  description: Yup.string()
+    .trim()
+    .max(200, 'La descripción no puede exceder 200 caracteres')
+    .default(''),
+
+  minSubtotal: Yup.number()
+    .typeError('La compra mínima debe ser un número')
+    .min(0, 'La compra mínima no puede ser negativa')
+    .nullable()
+    .default(null),
+
+  maxDiscount: Yup.number()
+    .typeError('El tope debe ser un número')
+    .moreThan(0, 'El tope debe ser mayor a 0')
+    .nullable()
+    .default(null),
+
+  startsAt: Yup.date()
+    .typeError('Fecha de inicio inválida')
+    .nullable()
+    .default(null),
+
+  expiresAt: Yup.date()
+    .typeError('Fecha de vencimiento inválida')
+    .nullable()
+    .default(null)
+    .when('startsAt', {
+      is: (startsAt) => startsAt instanceof Date,
+      then: (schema) => schema.min(Yup.ref('startsAt'), 'El vencimiento debe ser posterior al inicio'),
+      otherwise: (schema) => schema
+    }),
+
+  usageLimit: Yup.number()
+    .typeError('El límite de usos debe ser un número')
+    .integer('El límite de usos debe ser un número entero')
+    .min(1, 'El límite de usos debe ser al menos 1')
+    .nullable()
+    .default(null),
+
+  usageLimitPerUser: Yup.number()
+    .typeError('El límite por usuario debe ser un número')
+    .integer('El límite por usuario debe ser un número entero')
+    .min(1, 'El límite por usuario debe ser al menos 1')
+    .nullable()
+    .default(null)
+    .when('usageLimit', {
+      is: (usageLimit) => Number.isInteger(usageLimit),
+      then: (schema) => schema.max(Yup.ref('usageLimit'), 'No puede superar el límite global'),
+      otherwise: (schema) => schema
+    }),
+
+  eligibleCategories: Yup.array()
+    .of(Yup.string())
+    .default([]),
+
+  stackable: Yup.boolean().default(true),
+
+  isActive: Yup.boolean().default(true)
+});
+
+/**
+ * SCHEMA: Actualizar Cupón
+ *
+ * BACKEND: updateCouponValidation (coupon.validation.js)
+ * Mismas reglas; el código no cambia para no romper carritos con el cupón aplicado
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const updateCouponSchema = createCouponSchema.omit(['code']);
+
+// ============================================================================
+// HELPERS DE VALIDACIÓN
+// ============================================================================
+
+/**
+ * Valida los datos de un cupón nuevo
+ * @param {Object} data - Datos del formulario
+ * @returns {Promise<Object>} Datos validados
+ */
+export const validateCreateCoupon = async (data) => {
+  return await createCouponSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Valida los cambios de un cupón existente
+ * @param {Object} data - Datos del formulario
+ * @returns {Promise<Object>} Datos validados
+ */
+export const validateUpdateCoupon = async (data) => {
+  return await updateCouponSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+export default {
+  createCouponSchema,
+  updateCouponSchema,
+  validateCreateCoupon,
+  validateUpdateCoupon
+};
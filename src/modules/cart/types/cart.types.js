@@ -29,12 +29,13 @@ export const SHIPPING_METHOD_LABELS = {
 };
 
 /**
- * COSTOS DE ENVÍO POR DEFECTO
+ * COSTOS DE ENVÍO BASE (zona local, paquete de hasta 1 kg)
+ * El costo real por destino y peso lo calcula utils/shippingRates
  */
 export const SHIPPING_COSTS = {
-  [SHIPPING_METHODS.STANDARD]: 5.99,
-  [SHIPPING_METHODS.EXPRESS]: 12.99,
-  [SHIPPING_METHODS.OVERNIGHT]: 24.99,
+  [SHIPPING_METHODS.STANDARD]: 8000,
+  [SHIPPING_METHODS.EXPRESS]: 15000,
+  [SHIPPING_METHODS.OVERNIGHT]: 12000,
   [SHIPPING_METHODS.PICKUP]: 0
 };
 
@@ -48,6 +49,15 @@ export const CART_STATUS = {
   CONVERTED: 'converted'
 };
 
+/**
+ * Labels de estado del carrito (panel admin)
+ */
+export const CART_STATUS_LABELS = {
+  [CART_STATUS.ACTIVE]: 'Activo',
+  [CART_STATUS.ABANDONED]: 'Abandonado',
+  [CART_STATUS.CONVERTED]: 'Recuperado'
+};
+
 /**
  * TIPOS DE CUPÓN
  * Enum sincronizado con cart.model.js -> coupon.type
@@ -58,6 +68,43 @@ export const COUPON_TYPES = {
   SHIPPING: 'shipping'
 };
 
+/**
+ * GRUPOS DE CUPÓN PARA ACUMULACIÓN
+ * Los de porcentaje y monto fijo descuentan productos; los de envío, el envío
+ */
+export const COUPON_GROUPS = {
+  PRODUCT: 'product',
+  SHIPPING: 'shipping'
+};
+
+/**
+ * POLÍTICA DE ACUMULACIÓN
+ * Máximo de cupones por grupo en un mismo pedido (un cupón de productos
+ * más uno de envío). Un cupón con `stackable: false` no se combina con otros
+ */
+export const COUPON_STACKING_RULES = {
+  [COUPON_GROUPS.PRODUCT]: 1,
+  [COUPON_GROUPS.SHIPPING]: 1
+};
+
+/**
+ * MOTIVOS DE RECHAZO DE UN CUPÓN
+ * Sincronizado con cart.service.js -> applyCoupon (error.reason)
+ */
+export const COUPON_REJECTION_REASONS = {
+  NOT_FOUND: 'not_found',
+  INACTIVE: 'inactive',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  USAGE_LIMIT: 'usage_limit',
+  MIN_SUBTOTAL: 'min_subtotal',
+  NO_ELIGIBLE_ITEMS: 'no_eligible_items',
+  SHIPPING_ALREADY_FREE: 'shipping_already_free',
+  ALREADY_APPLIED: 'already_applied',
+  GROUP_LIMIT: 'group_limit',
+  NOT_STACKABLE: 'not_stackable'
+};
+
 /**
  * LÍMITES Y RESTRICCIONES
  * Sincronizado con cart.validation.js
@@ -66,7 +113,21 @@ export const CART_LIMITS = {
   MIN_QUANTITY: 1,
   MAX_QUANTITY: 9999,
   MAX_COUPON_LENGTH: 20,
-  MAX_NOTES_LENGTH: 500
+  MAX_NOTES_LENGTH: 500,
+  MAX_GIFT_MESSAGE_LENGTH: 200
+};
+
+/**
+ * OPCIONES DE REGALO POR ITEM
+ * Sincronizado con cart.model.js -> items[].giftOptions
+ * - wrap: envolver para regalo
+ * - message: mensaje impreso en la tarjeta
+ * - hidePrices: no imprimir precios en la guía de empaque
+ */
+export const DEFAULT_GIFT_OPTIONS = {
+  wrap: false,
+  message: '',
+  hidePrices: false
 };
 
 /**
@@ -79,8 +140,19 @@ export const CART_ERROR_MESSAGES = {
   INVALID_QUANTITY: 'Cantidad inválida',
   INVALID_COUPON: 'Cupón inválido o expirado',
   MIN_PURCHASE_NOT_MET: 'No cumple con el monto mínimo de compra',
+  COUPON_REMOVE_FAILED: 'No se pudo quitar el cupón',
   INVALID_SHIPPING_METHOD: 'Método de envío inválido',
-  UNAUTHORIZED: 'Debes iniciar sesión para acceder al carrito'
+  UNAUTHORIZED: 'Debes iniciar sesión para acceder al carrito',
+  SYNC_FAILED: 'No pudimos actualizar tu carrito. Se restauraron los cambios',
+  SAVE_FOR_LATER_FAILED: 'No se pudo guardar el producto para después',
+  MOVE_TO_CART_FAILED: 'No se pudo mover el producto al carrito',
+  NOTES_UPDATE_FAILED: 'No se pudieron guardar las notas del pedido',
+  GIFT_OPTIONS_FAILED: 'No se pudieron guardar las opciones de regalo',
+  RESTORE_FAILED: 'No pudimos recuperar tu carrito. El enlace puede haber vencido',
+  SHARE_LINK_FAILED: 'No se pudo crear el enlace del carrito',
+  SHARE_TOO_MANY_ITEMS: 'El carrito tiene demasiados productos para compartirlo',
+  SHARED_CART_NOT_FOUND: 'Este enlace de carrito no existe o ya venció',
+  SHARED_ITEMS_FAILED: 'No se pudieron agregar algunos productos'
 };
 
 /**
@@ -92,8 +164,17 @@ export const CART_SUCCESS_MESSAGES = {
   ITEM_REMOVED: 'Producto eliminado del carrito',
   CART_CLEARED: 'Carrito vaciado',
   COUPON_APPLIED: 'Cupón aplicado correctamente',
+  COUPON_REMOVED: 'Cupón eliminado',
   SHIPPING_UPDATED: 'Dirección de envío actualizada',
-  SHIPPING_METHOD_UPDATED: 'Método de envío actualizado'
+  SHIPPING_METHOD_UPDATED: 'Método de envío actualizado',
+  ITEM_SAVED_FOR_LATER: 'Producto guardado para después',
+  ITEM_MOVED_TO_CART: 'Producto movido al carrito',
+  SAVED_ITEM_REMOVED: 'Producto eliminado de tu lista',
+  NOTES_UPDATED: 'Notas del pedido guardadas',
+  GIFT_OPTIONS_UPDATED: 'Opciones de regalo guardadas',
+  CART_RESTORED: '¡Recuperamos tu carrito!',
+  SHARE_LINK_CREATED: 'Enlace del carrito copiado',
+  SHARED_ITEMS_ADDED: 'Productos agregados a tu carrito'
 };
 
 /**
@@ -102,7 +183,8 @@ export const CART_SUCCESS_MESSAGES = {
 export const CART_STORAGE_KEYS = {
   GUEST_CART: 'guestCart',
   LAST_COUPON: 'lastCouponUsed',
-  SHIPPING_ADDRESS: 'lastShippingAddress'
+  SHIPPING_ADDRESS: 'lastShippingAddress',
+  SAVED_FOR_LATER: 'savedForLater'
 };
 
 /**
@@ -113,6 +195,46 @@ export const CART_CACHE_CONFIG = {
   KEY: 'cart-data'
 };
 
+/**
+ * ACTUALIZACIONES OPTIMISTAS
+ * Clics seguidos en la cantidad se agrupan en una sola petición
+ */
+export const CART_OPTIMISTIC_CONFIG = {
+  QUANTITY_DEBOUNCE_MS: 400
+};
+
+/**
+ * RECUPERACIÓN DE CARRITOS ABANDONADOS
+ * Un carrito se considera abandonado tras CART_THRESHOLDS.ABANDON_TIME_HOURS
+ * sin actividad; el recordatorio lleva un cupón de un solo uso
+ */
+export const CART_RECOVERY_CONFIG = {
+  COUPON_PREFIX: 'VUELVE',
+  COUPON_CODE_LENGTH: 6, // Caracteres aleatorios tras el prefijo
+  DEFAULT_DISCOUNT: 10, // %
+  COUPON_EXPIRY_DAYS: 7,
+  INACTIVE_DAYS_OPTIONS: [1, 3, 7, 30]
+};
+
+/**
+ * CARRITOS COMPARTIDOS
+ * Enlace corto que un vendedor envía por WhatsApp con el carrito prearmado
+ */
+export const CART_SHARE_CONFIG = {
+  MAX_ITEMS: 50,
+  WHATSAPP_URL: 'https://wa.me/',
+  DEFAULT_MESSAGE: 'Te armé este carrito, revísalo aquí:'
+};
+
+/**
+ * Estado de un item del carrito compartido frente al stock actual
+ */
+export const SHARED_ITEM_STATUS = {
+  AVAILABLE: 'available',
+  LIMITED: 'limited', // Hay menos unidades de las compartidas
+  UNAVAILABLE: 'unavailable'
+};
+
 /**
  * VALIDACIÓN DE ATRIBUTOS
  */
@@ -123,7 +245,7 @@ export const VALID_ATTRIBUTES = ['size', 'color', 'material', 'custom'];
  */
 export const CART_THRESHOLDS = {
   LOW_STOCK_WARNING: 5,
-  MIN_FREE_SHIPPING: 50,
+  MIN_FREE_SHIPPING: 150000,
   ABANDON_TIME_HOURS: 24
 };
 
@@ -132,12 +254,21 @@ export default {
   SHIPPING_METHOD_LABELS,
   SHIPPING_COSTS,
   CART_STATUS,
+  CART_STATUS_LABELS,
   COUPON_TYPES,
+  COUPON_GROUPS,
+  COUPON_STACKING_RULES,
+  COUPON_REJECTION_REASONS,
   CART_LIMITS,
+  DEFAULT_GIFT_OPTIONS,
   CART_ERROR_MESSAGES,
   CART_SUCCESS_MESSAGES,
   CART_STORAGE_KEYS,
   CART_CACHE_CONFIG,
+  CART_OPTIMISTIC_CONFIG,
+  CART_RECOVERY_CONFIG,
+  CART_SHARE_CONFIG,
+  SHARED_ITEM_STATUS,
   VALID_ATTRIBUTES,
   CART_THRESHOLDS
 };
\ No newline at end of file
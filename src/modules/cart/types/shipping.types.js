@@ -0,0 +1,141 @@
+import { SHIPPING_METHODS } from './cart.types';
+
+/**
+ * @module ShippingTypes
+ * @description Tablas del cotizador de envíos (utils/shippingRates)
+ *
+ * - El destino se clasifica en una zona por departamento y ciudad
+ * - Cada zona tiene tarifa por método: base (incluye WEIGHT_INCLUDED_KG) + valor por kg adicional
+ * - Todos los montos en pesos colombianos
+ */
+
+/**
+ * ZONAS DE ENVÍO
+ * Despachamos desde Barranquilla
+ */
+export const SHIPPING_ZONES = {
+  LOCAL: 'local',
+  REGIONAL: 'regional',
+  NATIONAL: 'national',
+  REMOTE: 'remote'
+};
+
+/**
+ * LABELS DE ZONAS
+ */
+export const SHIPPING_ZONE_LABELS = {
+  [SHIPPING_ZONES.LOCAL]: 'Barranquilla y área metropolitana',
+  [SHIPPING_ZONES.REGIONAL]: 'Región Caribe',
+  [SHIPPING_ZONES.NATIONAL]: 'Nacional',
+  [SHIPPING_ZONES.REMOTE]: 'Zonas de difícil acceso'
+};
+
+/**
+ * DEPARTAMENTOS DE COLOMBIA
+ * Zona de cada departamento y ciudades principales (para selects y autocompletado)
+ */
+export const COLOMBIA_DEPARTMENTS = {
+  'Amazonas': { zone: SHIPPING_ZONES.REMOTE, cities: ['Leticia', 'Puerto Nariño'] },
+  'Antioquia': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Medellín', 'Bello', 'Itagüí', 'Envigado', 'Rionegro', 'Apartadó'] },
+  'Arauca': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Arauca', 'Saravena', 'Tame'] },
+  'Atlántico': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Barranquilla', 'Soledad', 'Malambo', 'Puerto Colombia', 'Sabanalarga', 'Baranoa', 'Galapa'] },
+  'Bogotá D.C.': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Bogotá'] },
+  'Bolívar': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Cartagena', 'Magangué', 'Turbaco', 'El Carmen de Bolívar'] },
+  'Boyacá': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Tunja', 'Duitama', 'Sogamoso', 'Chiquinquirá'] },
+  'Caldas': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Manizales', 'La Dorada', 'Chinchiná'] },
+  'Caquetá': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Florencia', 'San Vicente del Caguán'] },
+  'Casanare': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Yopal', 'Aguazul', 'Villanueva'] },
+  'Cauca': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Popayán', 'Santander de Quilichao'] },
+  'Cesar': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Valledupar', 'Aguachica', 'Codazzi'] },
+  'Chocó': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Quibdó', 'Istmina'] },
+  'Córdoba': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Montería', 'Cereté', 'Lorica', 'Sahagún'] },
+  'Cundinamarca': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Soacha', 'Chía', 'Zipaquirá', 'Facatativá', 'Girardot', 'Fusagasugá'] },
+  'Guainía': { zone: SHIPPING_ZONES.REMOTE, cities: ['Inírida'] },
+  'Guaviare': { zone: SHIPPING_ZONES.REMOTE, cities: ['San José del Guaviare'] },
+  'Huila': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Neiva', 'Pitalito', 'Garzón'] },
+  'La Guajira': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Riohacha', 'Maicao', 'Uribia', 'San Juan del Cesar'] },
+  'Magdalena': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Santa Marta', 'Ciénaga', 'Fundación', 'El Banco'] },
+  'Meta': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Villavicencio', 'Acacías', 'Granada'] },
+  'Nariño': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Pasto', 'Ipiales', 'Tumaco'] },
+  'Norte de Santander': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Cúcuta', 'Ocaña', 'Pamplona', 'Villa del Rosario'] },
+  'Putumayo': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Mocoa', 'Puerto Asís'] },
+  'Quindío': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Armenia', 'Calarcá', 'Montenegro'] },
+  'Risaralda': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Pereira', 'Dosquebradas', 'Santa Rosa de Cabal'] },
+  'San Andrés y Providencia': { zone: SHIPPING_ZONES.REMOTE, cities: ['San Andrés', 'Providencia'] },
+  'Santander': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Bucaramanga', 'Floridablanca', 'Girón', 'Piedecuesta', 'Barrancabermeja'] },
+  'Sucre': { zone: SHIPPING_ZONES.REGIONAL, cities: ['Sincelejo', 'Corozal', 'Sampués'] },
+  'Tolima': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Ibagué', 'Espinal', 'Melgar'] },
+  'Valle del Cauca': { zone: SHIPPING_ZONES.NATIONAL, cities: ['Cali', 'Palmira', 'Buenaventura', 'Tuluá', 'Buga', 'Cartago'] },
+  'Vaupés': { zone: SHIPPING_ZONES.REMOTE, cities: ['Mitú'] },
+  'Vichada': { zone: SHIPPING_ZONES.REMOTE, cities: ['Puerto Carreño'] }
+};
+
+/**
+ * CIUDADES CON TARIFA LOCAL (Atlántico)
+ */
+export const LOCAL_SHIPPING_CITIES = ['Barranquilla', 'Soledad', 'Malambo', 'Puerto Colombia'];
+
+/**
+ * TARIFAS POR ZONA Y MÉTODO
+ * base: incluye hasta SHIPPING_PACKAGE_CONFIG.WEIGHT_INCLUDED_KG
+ * perKg: por cada kg adicional (o fracción)
+ * null: método no disponible en la zona
+ */
+export const SHIPPING_RATES = {
+  [SHIPPING_ZONES.LOCAL]: {
+    [SHIPPING_METHODS.STANDARD]: { base: 8000, perKg: 1000, delivery: '24-48 horas' },
+    [SHIPPING_METHODS.EXPRESS]: { base: 15000, perKg: 1500, delivery: '3-5 horas' },
+    [SHIPPING_METHODS.OVERNIGHT]: { base: 12000, perKg: 1200, delivery: '24 horas' }
+  },
+  [SHIPPING_ZONES.REGIONAL]: {
+    [SHIPPING_METHODS.STANDARD]: { base: 12000, perKg: 2500, delivery: '2-4 días hábiles' },
+    [SHIPPING_METHODS.EXPRESS]: { base: 20000, perKg: 3500, delivery: '1-2 días hábiles' },
+    [SHIPPING_METHODS.OVERNIGHT]: { base: 28000, perKg: 4500, delivery: '24 horas' }
+  },
+  [SHIPPING_ZONES.NATIONAL]: {
+    [SHIPPING_METHODS.STANDARD]: { base: 14000, perKg: 3000, delivery: '3-7 días hábiles' },
+    [SHIPPING_METHODS.EXPRESS]: { base: 26000, perKg: 4500, delivery: '2-3 días hábiles' },
+    [SHIPPING_METHODS.OVERNIGHT]: { base: 38000, perKg: 6000, delivery: '24-48 horas' }
+  },
+  [SHIPPING_ZONES.REMOTE]: {
+    [SHIPPING_METHODS.STANDARD]: { base: 32000, perKg: 6000, delivery: '7-12 días hábiles' },
+    [SHIPPING_METHODS.EXPRESS]: { base: 55000, perKg: 9000, delivery: '4-6 días hábiles' },
+    [SHIPPING_METHODS.OVERNIGHT]: null
+  }
+};
+
+/**
+ * CONFIGURACIÓN DEL PAQUETE
+ */
+export const SHIPPING_PACKAGE_CONFIG = {
+  WEIGHT_INCLUDED_KG: 1,
+  DEFAULT_ITEM_WEIGHT_KG: 0.5, // Productos sin peso registrado
+  PACKAGING_WEIGHT_KG: 0.2,
+  VOLUMETRIC_DIVISOR: 5000, // cm³ por kg (estándar de transportadoras)
+  MAX_WEIGHT_KG: 50
+};
+
+/**
+ * ENVÍO GRATIS
+ * Solo envío estándar en la zona local, desde CART_THRESHOLDS.MIN_FREE_SHIPPING
+ */
+export const FREE_SHIPPING_RULES = {
+  ZONES: [SHIPPING_ZONES.LOCAL],
+  METHODS: [SHIPPING_METHODS.STANDARD]
+};
+
+/**
+ * Zona usada para estimar cuando aún no hay destino
+ */
+export const DEFAULT_SHIPPING_ZONE = SHIPPING_ZONES.NATIONAL;
+
+export default {
+  SHIPPING_ZONES,
+  SHIPPING_ZONE_LABELS,
+  COLOMBIA_DEPARTMENTS,
+  LOCAL_SHIPPING_CITIES,
+  SHIPPING_RATES,
+  SHIPPING_PACKAGE_CONFIG,
+  FREE_SHIPPING_RULES,
+  DEFAULT_SHIPPING_ZONE
+};
@@ -2,8 +2,17 @@ import {
   SHIPPING_METHOD_LABELS,
   SHIPPING_COSTS,
   COUPON_TYPES,
-  CART_THRESHOLDS
+  CART_THRESHOLDS,
+  DEFAULT_GIFT_OPTIONS
 } from '../types/cart.types';
+import { formatMoney, roundMoney } from '../../../shared/lib/money';
+import { calculateCartTax } from '../../../shared/lib/tax';
+import {
+  getCartCoupons,
+  evaluateCartCoupons,
+  getCouponLineDiscounts,
+  describeCoupon
+} from './couponEngine';
 
 /**
  * @module CartHelpers
@@ -42,7 +51,7 @@ export const calculateCouponDiscount = (subtotal, coupon) => {
   if (!coupon?.code) return 0;
 
   if (coupon.type === COUPON_TYPES.PERCENTAGE) {
-    return (subtotal * coupon.discount) / 100;
+    return roundMoney((subtotal * coupon.discount) / 100);
   } else if (coupon.type === COUPON_TYPES.FIXED) {
     return Math.min(coupon.discount, subtotal);
   }
@@ -62,13 +71,37 @@ export const calculateShippingDiscount = (shippingCost, coupon) => {
 };
 
 /**
- * Calcula impuestos
+ * Calcula impuestos sobre un monto base
  * @param {number} amount - Monto base
- * @param {number} taxRate - Tasa de impuesto (%)
+ * @param {number} taxRate - Tasa de impuesto (%) (default: 0; el IVA por
+ *   línea sale de calculateCartTaxBreakdown)
  * @returns {number} Monto de impuestos
  */
 export const calculateTax = (amount, taxRate = 0) => {
-  return (amount * taxRate) / 100;
+  return roundMoney((amount * taxRate) / 100);
+};
+
+/**
+ * Descuentos de todos los cupones del carrito (utils/couponEngine)
+ * @param {Object} cart - Objeto carrito completo
+ * @returns {Object} { applied, rejected, discount, shippingDiscount }
+ */
+export const calculateCartCoupons = (cart) => {
+  return evaluateCartCoupons(cart);
+};
+
+/**
+ * Desglose de IVA del carrito por línea y por tarifa (shared/lib/tax)
+ * @param {Object} cart - Objeto carrito completo
+ * @param {Object} coupons - Resultado de calculateCartCoupons (opcional)
+ * @returns {Object} { lines, groups, base, tax, pricesIncludeTax }
+ */
+export const calculateCartTaxBreakdown = (cart, coupons = calculateCartCoupons(cart)) => {
+  return calculateCartTax(cart.items, {
+    discount: coupons.discount,
+    lineDiscounts: getCouponLineDiscounts(cart, coupons.applied),
+    shipping: (cart.shippingCost || 0) - coupons.shippingDiscount
+  });
 };
 
 /**
@@ -80,13 +113,13 @@ export const calculateTotal = (cart) => {
   if (!cart) return 0;
 
   const subtotal = cart.subtotal || calculateSubtotal(cart.items);
-  const couponDiscount = calculateCouponDiscount(subtotal, cart.coupon);
-  const shippingDiscount = calculateShippingDiscount(cart.shippingCost, cart.coupon);
-  
-  const beforeTax = subtotal - couponDiscount + (cart.shippingCost - shippingDiscount);
-  const tax = calculateTax(beforeTax, cart.taxRate);
+  const coupons = calculateCartCoupons(cart);
   
-  return Math.max(0, beforeTax + tax);
+  const beforeTax = subtotal - coupons.discount + ((cart.shippingCost || 0) - coupons.shippingDiscount);
+  const { tax, pricesIncludeTax } = calculateCartTaxBreakdown(cart, coupons);
+
+  // Con precios con IVA incluido el impuesto solo se desglosa
+  return roundMoney(Math.max(0, beforeTax + (pricesIncludeTax ? 0 : tax)));
 };
 
 /**
@@ -112,25 +145,23 @@ export const calculateUniqueItems = (items = []) => {
 // ============================================================================
 
 /**
- * Formatea precio a moneda
- * @param {number} amount - Monto
- * @param {string} currency - Código de moneda
+ * Formatea precio a moneda (shared/lib/money)
+ * @param {number} amount - Monto en pesos
  * @returns {string} Precio formateado
  */
-export const formatPrice = (amount, currency = 'USD') => {
-  return new Intl.NumberFormat('es-CO', {
-    style: 'currency',
-    currency: currency
-  }).format(amount);
+export const formatPrice = (amount) => {
+  return formatMoney(amount);
 };
 
 /**
  * Formatea descuento según tipo
  * @param {Object} coupon - Objeto cupón
+ * @param {number} amount - Ahorro calculado (si se conoce, se muestra en pesos)
  * @returns {string} Descuento formateado
  */
-export const formatDiscount = (coupon) => {
+export const formatDiscount = (coupon, amount) => {
   if (!coupon) return '';
+  if (amount > 0) return `-${formatPrice(amount)}`;
 
   if (coupon.type === COUPON_TYPES.PERCENTAGE) {
     return `-${coupon.discount}%`;
@@ -174,7 +205,7 @@ export const isCartEmpty = (cart) => {
  * @returns {boolean}
  */
 export const hasCouponApplied = (cart) => {
-  return !!(cart?.coupon?.code);
+  return getCartCoupons(cart).length > 0;
 };
 
 /**
@@ -278,10 +309,10 @@ export const getShippingCost = (method) => {
  */
 export const generateCartSummary = (cart) => {
   const subtotal = cart.subtotal || calculateSubtotal(cart.items);
-  const discount = calculateCouponDiscount(subtotal, cart.coupon);
-  const shippingDiscount = calculateShippingDiscount(cart.shippingCost, cart.coupon);
-  const shipping = cart.shippingCost - shippingDiscount;
-  const tax = calculateTax(subtotal - discount + shipping, cart.taxRate);
+  const coupons = calculateCartCoupons(cart);
+  const { discount, shippingDiscount } = coupons;
+  const shipping = (cart.shippingCost || 0) - shippingDiscount;
+  const taxBreakdown = calculateCartTaxBreakdown(cart, coupons);
   const total = calculateTotal(cart);
 
   return {
@@ -289,11 +320,27 @@ export const generateCartSummary = (cart) => {
     discount,
     shipping,
     shippingDiscount,
-    tax,
+    coupons: coupons.applied.map(entry => ({
+      code: entry.coupon.code,
+      type: entry.coupon.type,
+      description: describeCoupon(entry.coupon),
+      discount: entry.discount,
+      shippingDiscount: entry.shippingDiscount
+    })),
+    rejectedCoupons: coupons.rejected.map(entry => ({
+      code: entry.coupon.code,
+      reason: entry.reason,
+      message: entry.message
+    })),
+    tax: taxBreakdown.tax,
+    taxBreakdown,
+    taxIncluded: taxBreakdown.pricesIncludeTax,
     total,
     itemCount: calculateItemCount(cart.items),
     uniqueItems: calculateUniqueItems(cart.items),
-    savings: discount + shippingDiscount
+    savings: discount + shippingDiscount,
+    notes: cart.notes?.trim() || '',
+    giftItems: getGiftItems(cart.items)
   };
 };
 
@@ -312,6 +359,25 @@ export const formatAttributes = (attributes = {}) => {
   return parts.join(' | ');
 };
 
+/**
+ * ¿El item va como regalo? (envuelto, con mensaje o sin precios)
+ * @param {Object} item - Item del carrito u orden
+ * @returns {boolean}
+ */
+export const isGiftItem = (item) => {
+  const gift = item?.giftOptions;
+  return Boolean(gift && (gift.wrap || gift.message?.trim() || gift.hidePrices));
+};
+
+/**
+ * Items que van como regalo
+ * @param {Array} items - Items del carrito u orden
+ * @returns {Array}
+ */
+export const getGiftItems = (items = []) => {
+  return items.filter(isGiftItem);
+};
+
 /**
  * Genera mensaje de stock
  * @param {number} stock - Stock disponible
@@ -346,11 +412,132 @@ export const areAttributesEqual = (attr1 = {}, attr2 = {}) => {
   return JSON.stringify(attr1) === JSON.stringify(attr2);
 };
 
+// ============================================================================
+// ACTUALIZACIONES OPTIMISTAS (puras: retornan un carrito nuevo)
+// ============================================================================
+
+/**
+ * Clave estable de un item (producto + atributos)
+ * @param {string} productId - ID del producto
+ * @param {Object} attributes - Atributos del item
+ * @returns {string} Clave
+ */
+export const getCartItemKey = (productId, attributes = {}) => {
+  return `${productId}:${JSON.stringify(attributes || {})}`;
+};
+
+/**
+ * Recalcula subtotal, cantidad y total a partir de los items
+ * @param {Object} cart - Objeto carrito
+ * @returns {Object} Carrito con totales locales
+ */
+export const recalculateCart = (cart) => {
+  const subtotal = calculateSubtotal(cart.items);
+  const withSubtotal = {
+    ...cart,
+    subtotal,
+    totalItems: calculateItemCount(cart.items)
+  };
+
+  return {
+    ...withSubtotal,
+    total: calculateTotal(withSubtotal)
+  };
+};
+
+/**
+ * Cambia la cantidad de un item
+ * @param {Object} cart - Objeto carrito
+ * @param {string} productId - ID del producto
+ * @param {number} quantity - Nueva cantidad
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Carrito actualizado (el mismo si no existe el item)
+ */
+export const setCartItemQuantity = (cart, productId, quantity, attributes = {}) => {
+  if (!cart?.items || !findCartItem(cart.items, productId, attributes)) return cart;
+
+  const items = cart.items.map(item =>
+    item.product._id === productId && areAttributesEqual(item.attributes, attributes)
+      ? { ...item, quantity }
+      : item
+  );
+
+  return recalculateCart({ ...cart, items });
+};
+
+/**
+ * Elimina un item
+ * @param {Object} cart - Objeto carrito
+ * @param {string} productId - ID del producto
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Carrito actualizado
+ */
+export const removeCartItem = (cart, productId, attributes = {}) => {
+  if (!cart?.items) return cart;
+
+  const items = cart.items.filter(item =>
+    !(item.product._id === productId && areAttributesEqual(item.attributes, attributes))
+  );
+
+  return recalculateCart({ ...cart, items });
+};
+
+/**
+ * Cambia las opciones de regalo de un item
+ * @param {Object} cart - Objeto carrito
+ * @param {string} productId - ID del producto
+ * @param {Object} giftOptions - { wrap, message, hidePrices }
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Carrito actualizado (el mismo si no existe el item)
+ */
+export const setCartItemGiftOptions = (cart, productId, giftOptions, attributes = {}) => {
+  if (!cart?.items || !findCartItem(cart.items, productId, attributes)) return cart;
+
+  const items = cart.items.map(item =>
+    item.product._id === productId && areAttributesEqual(item.attributes, attributes)
+      ? { ...item, giftOptions: { ...DEFAULT_GIFT_OPTIONS, ...giftOptions } }
+      : item
+  );
+
+  return { ...cart, items };
+};
+
+/**
+ * Agrega un producto (suma cantidad si ya existe con los mismos atributos)
+ * Sin producto completo solo puede sumar a un item existente
+ *
+ * @param {Object} cart - Objeto carrito
+ * @param {Object} itemData - { productId, quantity, attributes }
+ * @param {Object} product - Producto completo (opcional)
+ * @returns {Object} Carrito actualizado (el mismo si no se puede aplicar)
+ */
+export const addCartItem = (cart, { productId, quantity = 1, attributes = {} }, product) => {
+  if (!cart?.items) return cart;
+
+  const existing = findCartItem(cart.items, productId, attributes);
+
+  if (existing) {
+    return setCartItemQuantity(cart, productId, existing.quantity + quantity, attributes);
+  }
+
+  if (!product?.name) return cart;
+
+  return recalculateCart({
+    ...cart,
+    items: [
+      ...cart.items,
+      { product, quantity, price: product.price, attributes }
+    ]
+  });
+};
+
 export default {
   calculateSubtotal,
   calculateCouponDiscount,
   calculateShippingDiscount,
   calculateTax,
+  calculateCartCoupons,
+  calculateCartTaxBreakdown,
   calculateTotal,
   calculateItemCount,
   calculateUniqueItems,
@@ -369,7 +556,15 @@ export default {
   getShippingCost,
   generateCartSummary,
   formatAttributes,
+  isGiftItem,
+  getGiftItems,
   getStockMessage,
   isCouponValid,
-  areAttributesEqual
+  areAttributesEqual,
+  getCartItemKey,
+  recalculateCart,
+  setCartItemQuantity,
+  removeCartItem,
+  setCartItemGiftOptions,
+  addCartItem
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+import {
+  COUPON_TYPES,
+  CART_RECOVERY_CONFIG
+} from '../types/cart.types';
+
+/**
+ * @module CartRecovery
+ * @description Recuperación de carritos abandonados (panel admin + enlace al cliente)
+ *
+ * - El admin envía un recordatorio con un cupón de un solo uso generado aquí
+ * - El enlace de restauración lleva un token firmado por el backend;
+ *   al abrirlo, CartContext.restoreCart recarga el carrito del cliente
+ */
+
+// Sin caracteres ambiguos (0/O, 1/I/L) para que el cliente pueda dictar el código
+const COUPON_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// CUPÓN DEL RECORDATORIO
+// ============================================================================
+
+/**
+ * Genera un código de cupón de recuperación (VUELVE-XXXXXX)
+ * @param {Function} random - Generador en [0, 1) (inyectable para pruebas)
+ * @returns {string} Código
+ */
+export const generateRecoveryCouponCode = (random = Math.random) => {
+  let suffix = '';
+  for (let i = 0; i < CART_RECOVERY_CONFIG.COUPON_CODE_LENGTH; i += 1) {
+    suffix += COUPON_ALPHABET[Math.floor(random() * COUPON_ALPHABET.length)];
+  }
+  return `${CART_RECOVERY_CONFIG.COUPON_PREFIX}-${suffix}`;
+};
+
+/**
+ * Cupón de un solo uso para el cliente del carrito abandonado
+ * (listo para validateCreateCoupon)
+ *
+ * @param {Object} options
+ * @param {string} options.code - Código generado
+ * @param {string} options.type - COUPON_TYPES (porcentaje o monto fijo)
+ * @param {number} options.discount - Valor del descuento
+ * @param {number} options.expiryDays - Días de vigencia
+ * @param {Date} now - Momento actual
+ * @returns {Object} Datos del cupón
+ */
+export const buildRecoveryCoupon = (
+  {
+    code,
+    type = COUPON_TYPES.PERCENTAGE,
+    discount = CART_RECOVERY_CONFIG.DEFAULT_DISCOUNT,
+    expiryDays = CART_RECOVERY_CONFIG.COUPON_EXPIRY_DAYS
+  },
+  now = new Date()
+) => ({
+  code,
+  type,
+  discount,
+  description: 'Cupón de recuperación de carrito',
+  startsAt: now,
+  expiresAt: new Date(now.getTime() + expiryDays * DAY_MS),
+  usageLimit: 1,
+  usageLimitPerUser: 1,
+  stackable: false,
+  isActive: true
+});
+
+// ============================================================================
+// ACTIVIDAD
+// ============================================================================
+
+/**
+ * Última actividad del carrito
+ * @param {Object} cart - Carrito (admin)
+ * @returns {Date|null}
+ */
+export const getCartLastActivity = (cart) => {
+  const date = cart?.lastActivity || cart?.updatedAt;
+  return date ? new Date(date) : null;
+};
+
+/**
+ * Tiempo sin actividad en texto ("hace 3 días", "hace 5 horas")
+ * @param {Date|string} date - Última actividad
+ * @param {Date} now - Momento actual
+ * @returns {string}
+ */
+export const formatInactivity = (date, now = new Date()) => {
+  if (!date) return 'Sin actividad';
+
+  const hours = Math.floor((now - new Date(date)) / (60 * 60 * 1000));
+  if (hours < 1) return 'hace menos de una hora';
+  if (hours < 24) return `hace ${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+
+  const days = Math.floor(hours / 24);
+  return `hace ${days} ${days === 1 ? 'día' : 'días'}`;
+};
+
+// ============================================================================
+// ENLACE DE RESTAURACIÓN
+// ============================================================================
+
+/**
+ * URL pública que restaura el carrito (ruta /carrito/recuperar/:token)
+ * @param {string} token - Token firmado por el backend
+ * @param {string} origin - Origen del sitio
+ * @returns {string} URL
+ */
+export const getCartRestoreUrl = (token, origin = window.location.origin) => {
+  return `${origin}/carrito/recuperar/${encodeURIComponent(token)}`;
+};
+
+export default {
+  generateRecoveryCouponCode,
+  buildRecoveryCoupon,
+  getCartLastActivity,
+  formatInactivity,
+  getCartRestoreUrl
+};
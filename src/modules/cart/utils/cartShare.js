@@ -0,0 +1,121 @@
+import {
+  CART_SHARE_CONFIG,
+  SHARED_ITEM_STATUS
+} from '../types/cart.types';
+import { findCartItem } from './cartHelpers';
+import { isProductAvailable } from '../../products/utils/productHelpers';
+import { toAmount } from '../../../shared/lib/money';
+
+/**
+ * @module CartShare
+ * @description Carritos compartidos por enlace (vendedores por WhatsApp)
+ *
+ * - El enlace solo lleva un código corto; los items los guarda el backend
+ * - Al abrirlo se muestran con el precio y stock actuales, y se agregan
+ *   al carrito del visitante con CartContext.addItem
+ */
+
+// ============================================================================
+// CREAR ENLACE
+// ============================================================================
+
+/**
+ * Si el carrito supera CART_SHARE_CONFIG.MAX_ITEMS no se comparte
+ * (compartir solo una parte enviaría un carrito incompleto)
+ * @param {Object} cart - Carrito actual
+ * @returns {boolean}
+ */
+export const exceedsShareLimit = (cart) => {
+  return (cart?.items?.length || 0) > CART_SHARE_CONFIG.MAX_ITEMS;
+};
+
+/**
+ * Items del carrito listos para cartAPI.createShareLink
+ * @param {Object} cart - Carrito actual (validar antes con exceedsShareLimit)
+ * @returns {Array} [{ productId, quantity, attributes, price }]
+ */
+export const serializeCartForShare = (cart) => {
+  return (cart?.items || [])
+    .map(item => ({
+      productId: item.product?._id || item.product,
+      quantity: item.quantity,
+      attributes: item.attributes || {},
+      price: toAmount(item.price)
+    }));
+};
+
+/**
+ * URL pública del carrito compartido (ruta /carrito/compartido/:code)
+ * @param {string} code - Código corto del backend
+ * @param {string} origin - Origen del sitio
+ * @returns {string} URL
+ */
+export const getCartShareUrl = (code, origin = window.location.origin) => {
+  return `${origin}/carrito/compartido/${encodeURIComponent(code)}`;
+};
+
+/**
+ * Enlace de WhatsApp con el mensaje y la URL del carrito
+ * @param {string} url - URL del carrito compartido
+ * @param {string} message - Texto previo a la URL
+ * @returns {string} URL de wa.me
+ */
+export const getWhatsAppShareUrl = (url, message = CART_SHARE_CONFIG.DEFAULT_MESSAGE) => {
+  return `${CART_SHARE_CONFIG.WHATSAPP_URL}?text=${encodeURIComponent(`${message} ${url}`)}`;
+};
+
+// ============================================================================
+// VISTA PREVIA
+// ============================================================================
+
+/**
+ * Cruza los items compartidos con el stock y precio actuales
+ *
+ * Descuenta lo que el visitante ya tiene en su carrito, para que agregarlos
+ * no supere el stock disponible
+ *
+ * @param {Array} sharedItems - Items de cartAPI.getSharedCart
+ * @param {Array} cartItems - Items del carrito del visitante
+ * @returns {Array} Items con { productId, quantityToAdd, status, currentPrice, priceChanged }
+ */
+export const prepareSharedItems = (sharedItems = [], cartItems = []) => {
+  return sharedItems.map(item => {
+    const product = item.product || {};
+    const attributes = item.attributes || {};
+    const currentPrice = toAmount(product.price);
+    const sharedPrice = toAmount(item.price ?? product.price);
+
+    let available = item.quantity;
+    if (!isProductAvailable(product)) {
+      available = 0;
+    } else if (product.trackQuantity && !product.allowBackorder) {
+      const inCart = findCartItem(cartItems, product._id, attributes)?.quantity || 0;
+      available = Math.max(0, product.stock - inCart);
+    }
+
+    const quantityToAdd = Math.min(item.quantity, available);
+
+    let status = SHARED_ITEM_STATUS.AVAILABLE;
+    if (quantityToAdd === 0) status = SHARED_ITEM_STATUS.UNAVAILABLE;
+    else if (quantityToAdd < item.quantity) status = SHARED_ITEM_STATUS.LIMITED;
+
+    return {
+      ...item,
+      attributes,
+      productId: product._id,
+      quantityToAdd,
+      status,
+      currentPrice,
+      sharedPrice,
+      priceChanged: currentPrice !== sharedPrice
+    };
+  });
+};
+
+export default {
+  exceedsShareLimit,
+  serializeCartForShare,
+  getCartShareUrl,
+  getWhatsAppShareUrl,
+  prepareSharedItems
+};
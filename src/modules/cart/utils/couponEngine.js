@@ -0,0 +1,417 @@
+// src/modules/cart/utils/couponEngine.js
+
+import {
+  COUPON_TYPES,
+  COUPON_GROUPS,
+  COUPON_STACKING_RULES,
+  COUPON_REJECTION_REASONS,
+  SHIPPING_METHODS
+} from '../types/cart.types';
+import { formatMoney, roundMoney, toAmount } from '../../../shared/lib/money';
+
+/**
+ * @module couponEngine
+ * @description Elegibilidad, acumulación y ahorro de cupones
+ *
+ * Cupón (cart.model.js -> coupons[]):
+ * {
+ *   code, type, discount, description,
+ *   minSubtotal,          // Compra mínima sobre los productos que aplican
+ *   maxDiscount,          // Tope del descuento (porcentaje)
+ *   startsAt, expiresAt, isActive,
+ *   usageLimit, usedCount,           // Usos globales
+ *   usageLimitPerUser, userUsedCount, // Usos del usuario actual
+ *   stackable,            // false: no se combina con ningún otro cupón
+ *   eligibleCategories,   // IDs o slugs; vacío = todas
+ *   eligibleProducts      // IDs; vacío = todos
+ * }
+ *
+ * Política de acumulación: COUPON_STACKING_RULES (un cupón de productos
+ * más uno de envío). Los cupones se evalúan en el orden en que se aplicaron
+ */
+
+// ============================================================================
+// CUPONES DEL CARRITO
+// ============================================================================
+
+/**
+ * Cupones aplicados al carrito
+ * Acepta `coupons` (acumulables) y el campo anterior `coupon`
+ * @param {Object} cart - Carrito
+ * @returns {Array} Cupones
+ */
+export const getCartCoupons = (cart) => {
+  if (cart?.coupons?.length) return cart.coupons.filter(coupon => coupon?.code);
+  return cart?.coupon?.code ? [cart.coupon] : [];
+};
+
+/**
+ * Grupo de acumulación de un cupón
+ * @param {Object} coupon - Cupón
+ * @returns {string} COUPON_GROUPS
+ */
+export const getCouponGroup = (coupon) => {
+  return coupon?.type === COUPON_TYPES.SHIPPING ? COUPON_GROUPS.SHIPPING : COUPON_GROUPS.PRODUCT;
+};
+
+// ============================================================================
+// PRODUCTOS QUE APLICAN
+// ============================================================================
+
+const getId = (value) => value?._id || value;
+
+const getProductCategoryKeys = (product) => {
+  const categories = [product?.mainCategory, product?.category, ...(product?.categories || [])]
+    .filter(Boolean);
+
+  return categories.flatMap(category => [getId(category), category?.slug]).filter(Boolean);
+};
+
+/**
+ * Verifica si un item entra en el alcance del cupón
+ * @param {Object} item - Item del carrito
+ * @param {Object} coupon - Cupón
+ * @returns {boolean}
+ */
+export const isItemEligible = (item, coupon) => {
+  const products = coupon?.eligibleProducts || [];
+  const categories = coupon?.eligibleCategories || [];
+  if (!products.length && !categories.length) return true;
+
+  const productId = getId(item.product);
+  if (products.map(getId).includes(productId)) return true;
+
+  const categoryKeys = categories.map(getId);
+  return getProductCategoryKeys(item.product).some(key => categoryKeys.includes(key));
+};
+
+/**
+ * Subtotal de los items que entran en el alcance del cupón
+ * @param {Array} items - Items del carrito
+ * @param {Object} coupon - Cupón
+ * @returns {number} Subtotal
+ */
+export const getEligibleSubtotal = (items = [], coupon) => {
+  return items
+    .filter(item => isItemEligible(item, coupon))
+    .reduce((sum, item) => sum + toAmount(item.price) * item.quantity, 0);
+};
+
+// ============================================================================
+// AHORRO
+// ============================================================================
+
+/**
+ * Ahorro de un cupón sobre el carrito (sin verificar elegibilidad)
+ * @param {Object} coupon - Cupón
+ * @param {Object} cart - Carrito
+ * @returns {Object} { discount, shippingDiscount }
+ */
+export const calculateCouponSavings = (coupon, cart) => {
+  const items = cart?.items || [];
+
+  if (coupon?.type === COUPON_TYPES.SHIPPING) {
+    const shippingCost = toAmount(cart?.shippingCost);
+    // Sin monto: el envío completo es gratis
+    const amount = coupon.discount ? Math.min(coupon.discount, shippingCost) : shippingCost;
+    return { discount: 0, shippingDiscount: amount };
+  }
+
+  const base = getEligibleSubtotal(items, coupon);
+  let discount = 0;
+
+  if (coupon?.type === COUPON_TYPES.PERCENTAGE) {
+    discount = roundMoney((base * toAmount(coupon.discount)) / 100);
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon?.type === COUPON_TYPES.FIXED) {
+    discount = Math.min(toAmount(coupon.discount), base);
+  }
+
+  return { discount, shippingDiscount: 0 };
+};
+
+// ============================================================================
+// ELEGIBILIDAD
+// ============================================================================
+
+/**
+ * Verifica las reglas propias del cupón (vigencia, usos, mínimo, alcance)
+ * @param {Object} coupon - Cupón
+ * @param {Object} cart - Carrito
+ * @param {Date} now - Momento actual
+ * @returns {Object} { eligible, reason, meta }
+ */
+export const checkCouponRules = (coupon, cart, now = new Date()) => {
+  const reject = (reason, meta = {}) => ({ eligible: false, reason, meta });
+  const items = cart?.items || [];
+
+  if (!coupon) return reject(COUPON_REJECTION_REASONS.NOT_FOUND);
+  if (coupon.isActive === false) return reject(COUPON_REJECTION_REASONS.INACTIVE);
+
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return reject(COUPON_REJECTION_REASONS.NOT_STARTED, { date: coupon.startsAt });
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    return reject(COUPON_REJECTION_REASONS.EXPIRED, { date: coupon.expiresAt });
+  }
+  if (coupon.usageLimit && (coupon.usedCount || 0) >= coupon.usageLimit) {
+    return reject(COUPON_REJECTION_REASONS.USAGE_LIMIT);
+  }
+  if (coupon.usageLimitPerUser && (coupon.userUsedCount || 0) >= coupon.usageLimitPerUser) {
+    return reject(COUPON_REJECTION_REASONS.USAGE_LIMIT, { perUser: true });
+  }
+
+  const eligibleSubtotal = getEligibleSubtotal(items, coupon);
+
+  if (!items.some(item => isItemEligible(item, coupon))) {
+    return reject(COUPON_REJECTION_REASONS.NO_ELIGIBLE_ITEMS);
+  }
+
+  if (coupon.minSubtotal && eligibleSubtotal < coupon.minSubtotal) {
+    return reject(COUPON_REJECTION_REASONS.MIN_SUBTOTAL, {
+      minSubtotal: coupon.minSubtotal,
+      missing: coupon.minSubtotal - eligibleSubtotal,
+      scoped: eligibleSubtotal < getEligibleSubtotal(items, null)
+    });
+  }
+
+  if (coupon.type === COUPON_TYPES.SHIPPING && cart?.shippingMethod &&
+      (cart.shippingMethod === SHIPPING_METHODS.PICKUP || !toAmount(cart.shippingCost))) {
+    return reject(COUPON_REJECTION_REASONS.SHIPPING_ALREADY_FREE);
+  }
+
+  return { eligible: true, reason: null, meta: {} };
+};
+
+/**
+ * Verifica si un cupón se puede combinar con los ya aceptados
+ * @param {Object} coupon - Cupón
+ * @param {Array} accepted - Cupones ya aceptados
+ * @returns {Object} { eligible, reason, meta }
+ */
+export const checkCouponStacking = (coupon, accepted = []) => {
+  const reject = (reason, meta = {}) => ({ eligible: false, reason, meta });
+
+  if (accepted.some(other => other.code === coupon.code)) {
+    return reject(COUPON_REJECTION_REASONS.ALREADY_APPLIED);
+  }
+
+  const blocking = coupon.stackable === false
+    ? accepted[0]
+    : accepted.find(other => other.stackable === false);
+  if (blocking) {
+    const isNew = coupon.stackable === false;
+    return reject(COUPON_REJECTION_REASONS.NOT_STACKABLE, {
+      code: isNew ? coupon.code : blocking.code,
+      other: isNew ? blocking.code : coupon.code,
+      isNew
+    });
+  }
+
+  const group = getCouponGroup(coupon);
+  const sameGroup = accepted.filter(other => getCouponGroup(other) === group);
+  if (sameGroup.length >= COUPON_STACKING_RULES[group]) {
+    return reject(COUPON_REJECTION_REASONS.GROUP_LIMIT, { group, code: sameGroup[0].code });
+  }
+
+  return { eligible: true, reason: null, meta: {} };
+};
+
+/**
+ * Evalúa los cupones del carrito en orden de aplicación
+ * Un cupón que deja de cumplir sus reglas (p. ej. se quitaron productos)
+ * queda en `rejected` y no descuenta
+ *
+ * @param {Object} cart - Carrito
+ * @param {Date} now - Momento actual
+ * @returns {Object} { applied: [{ coupon, discount, shippingDiscount }], rejected: [{ coupon, reason, message }], discount, shippingDiscount }
+ */
+export const evaluateCartCoupons = (cart, now = new Date()) => {
+  const applied = [];
+  const rejected = [];
+
+  getCartCoupons(cart).forEach(coupon => {
+    // Cupón recién enviado (actualización optimista): aún sin reglas
+    if (!coupon.type) return;
+
+    const rules = checkCouponRules(coupon, cart, now);
+    const check = rules.eligible
+      ? checkCouponStacking(coupon, applied.map(entry => entry.coupon))
+      : rules;
+
+    if (!check.eligible) {
+      rejected.push({
+        coupon,
+        reason: check.reason,
+        message: getCouponRejectionMessage(check.reason, { code: coupon.code, ...check.meta })
+      });
+      return;
+    }
+
+    applied.push({ coupon, ...calculateCouponSavings(coupon, cart) });
+  });
+
+  const subtotal = (cart?.items || []).reduce((sum, item) => sum + toAmount(item.price) * item.quantity, 0);
+  const shippingCost = toAmount(cart?.shippingCost);
+
+  return {
+    applied,
+    rejected,
+    discount: Math.min(subtotal, applied.reduce((sum, entry) => sum + entry.discount, 0)),
+    shippingDiscount: Math.min(shippingCost, applied.reduce((sum, entry) => sum + entry.shippingDiscount, 0))
+  };
+};
+
+/**
+ * Reparte el descuento de los cupones aplicados entre los items que
+ * aplican a cada uno (proporcional al valor de la línea), para el IVA
+ *
+ * @param {Object} cart - Carrito
+ * @param {Array} applied - evaluateCartCoupons(cart).applied
+ * @returns {Array<number>} Descuento por item (mismo orden que cart.items)
+ */
+export const getCouponLineDiscounts = (cart, applied = []) => {
+  const items = cart?.items || [];
+  const lineDiscounts = items.map(() => 0);
+
+  applied.forEach(({ coupon, discount }) => {
+    if (!discount) return;
+    const base = getEligibleSubtotal(items, coupon);
+    if (!base) return;
+
+    items.forEach((item, index) => {
+      if (!isItemEligible(item, coupon)) return;
+      lineDiscounts[index] += (discount * toAmount(item.price) * item.quantity) / base;
+    });
+  });
+
+  return lineDiscounts;
+};
+
+/**
+ * Vista previa de un cupón antes de aplicarlo
+ * @param {Object} coupon - Cupón (cartAPI.getCoupon)
+ * @param {Object} cart - Carrito actual
+ * @param {Date} now - Momento actual
+ * @returns {Object} { eligible, reason, message, discount, shippingDiscount, description }
+ */
+export const previewCoupon = (coupon, cart, now = new Date()) => {
+  const rules = checkCouponRules(coupon, cart, now);
+  const accepted = evaluateCartCoupons(cart, now).applied.map(entry => entry.coupon);
+  const check = rules.eligible ? checkCouponStacking(coupon, accepted) : rules;
+
+  if (!check.eligible) {
+    return {
+      eligible: false,
+      reason: check.reason,
+      message: getCouponRejectionMessage(check.reason, { code: coupon?.code, ...check.meta }),
+      discount: 0,
+      shippingDiscount: 0,
+      description: coupon ? describeCoupon(coupon) : ''
+    };
+  }
+
+  return {
+    eligible: true,
+    reason: null,
+    message: null,
+    ...calculateCouponSavings(coupon, cart),
+    description: describeCoupon(coupon)
+  };
+};
+
+// ============================================================================
+// TEXTOS
+// ============================================================================
+
+const formatCouponDate = (date) => new Date(date).toLocaleDateString('es-CO', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+/**
+ * Explica por qué se rechaza un cupón
+ * @param {string} reason - COUPON_REJECTION_REASONS
+ * @param {Object} meta - Datos del rechazo ({ code, date, minSubtotal, missing, scoped, group, other, isNew })
+ * @returns {string} Mensaje
+ */
+export const getCouponRejectionMessage = (reason, meta = {}) => {
+  const code = meta.code ? `El cupón ${meta.code}` : 'El cupón';
+
+  switch (reason) {
+    case COUPON_REJECTION_REASONS.NOT_FOUND:
+      return `${code} no existe. Revisa que esté bien escrito`;
+    case COUPON_REJECTION_REASONS.INACTIVE:
+      return `${code} ya no está activo`;
+    case COUPON_REJECTION_REASONS.NOT_STARTED:
+      return `${code} se puede usar a partir del ${formatCouponDate(meta.date)}`;
+    case COUPON_REJECTION_REASONS.EXPIRED:
+      return `${code} venció el ${formatCouponDate(meta.date)}`;
+    case COUPON_REJECTION_REASONS.USAGE_LIMIT:
+      return meta.perUser
+        ? `Ya usaste ${meta.code ? `el cupón ${meta.code}` : 'este cupón'} el máximo de veces permitido`
+        : `${code} alcanzó su límite de usos`;
+    case COUPON_REJECTION_REASONS.MIN_SUBTOTAL:
+      return `${code} requiere una compra mínima de ${formatMoney(meta.minSubtotal)}` +
+        `${meta.scoped ? ' en productos participantes' : ''}. Te faltan ${formatMoney(meta.missing)}`;
+    case COUPON_REJECTION_REASONS.NO_ELIGIBLE_ITEMS:
+      return `${code} no aplica a ninguno de los productos de tu carrito`;
+    case COUPON_REJECTION_REASONS.SHIPPING_ALREADY_FREE:
+      return `${code} es de envío y tu envío ya es gratis`;
+    case COUPON_REJECTION_REASONS.ALREADY_APPLIED:
+      return `${code} ya está aplicado`;
+    case COUPON_REJECTION_REASONS.GROUP_LIMIT:
+      return meta.group === COUPON_GROUPS.SHIPPING
+        ? `Ya tienes un cupón de envío (${meta.code}). Quítalo para usar otro`
+        : `Ya tienes un cupón de descuento (${meta.code}). Solo se acumula con un cupón de envío`;
+    case COUPON_REJECTION_REASONS.NOT_STACKABLE:
+      return meta.isNew
+        ? `El cupón ${meta.code} no se combina con otros cupones. Quita ${meta.other} para usarlo`
+        : `El cupón ${meta.code} que ya aplicaste no se combina con otros cupones`;
+    default:
+      return 'Cupón inválido o expirado';
+  }
+};
+
+/**
+ * Describe el beneficio y las condiciones de un cupón
+ * @param {Object} coupon - Cupón
+ * @returns {string} "15% de descuento (máx. $ 50.000) · Compra mínima $ 100.000"
+ */
+export const describeCoupon = (coupon) => {
+  if (!coupon) return '';
+  const parts = [];
+
+  if (coupon.type === COUPON_TYPES.PERCENTAGE) {
+    parts.push(`${coupon.discount}% de descuento` +
+      (coupon.maxDiscount ? ` (máx. ${formatMoney(coupon.maxDiscount)})` : ''));
+  } else if (coupon.type === COUPON_TYPES.FIXED) {
+    parts.push(`${formatMoney(coupon.discount)} de descuento`);
+  } else if (coupon.type === COUPON_TYPES.SHIPPING) {
+    parts.push(coupon.discount ? `${formatMoney(coupon.discount)} de descuento en el envío` : 'Envío gratis');
+  }
+
+  if (coupon.eligibleProducts?.length || coupon.eligibleCategories?.length) {
+    parts.push('Solo productos participantes');
+  }
+  if (coupon.minSubtotal) parts.push(`Compra mínima ${formatMoney(coupon.minSubtotal)}`);
+  if (coupon.stackable === false) parts.push('No acumulable');
+
+  return parts.join(' · ');
+};
+
+export default {
+  getCartCoupons,
+  getCouponGroup,
+  isItemEligible,
+  getEligibleSubtotal,
+  calculateCouponSavings,
+  checkCouponRules,
+  checkCouponStacking,
+  evaluateCartCoupons,
+  getCouponLineDiscounts,
+  previewCoupon,
+  getCouponRejectionMessage,
+  describeCoupon
+};
@@ -0,0 +1,482 @@
+import * as cartAPI from '../api/cart.api';
+import { productsAPI } from '../../products/api/products.api';
+import {
+  SHIPPING_METHODS,
+  SHIPPING_COSTS,
+  CART_LIMITS,
+  CART_STORAGE_KEYS,
+  DEFAULT_GIFT_OPTIONS
+} from '../types/cart.types';
+import {
+  calculateSubtotal,
+  calculateItemCount,
+  findCartItem,
+  areAttributesEqual,
+  isGiftItem
+} from './cartHelpers';
+
+/**
+ * @module GuestCart
+ * @description Carrito anónimo persistido en localStorage
+ *
+ * - Misma forma que el carrito del backend (items[].product populado,
+ *   quantity, price, attributes) para que los componentes no distingan
+ * - Se fusiona con el carrito del servidor al hacer login / register
+ *   (AuthProvider -> mergeGuestCart)
+ */
+
+// ============================================================================
+// NORMALIZACIÓN
+// ============================================================================
+
+/**
+ * Elimina atributos vacíos para comparar items de forma estable
+ * ({ size: 'M', color: null } y { size: 'M' } son el mismo item)
+ *
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Atributos sin valores vacíos, con claves ordenadas
+ */
+export const normalizeAttributes = (attributes = {}) => {
+  return Object.keys(attributes || {})
+    .sort()
+    .reduce((normalized, key) => {
+      const value = attributes[key];
+      if (value !== null && value !== undefined && value !== '') {
+        normalized[key] = value;
+      }
+      return normalized;
+    }, {});
+};
+
+/**
+ * Categoría reducida a lo que lee resolveTaxClass (id o populada)
+ */
+const toCategorySnapshot = (category) => (
+  category && typeof category === 'object'
+    ? { _id: category._id, slug: category.slug, taxClass: category.taxClass }
+    : category
+);
+
+/**
+ * Campos del producto que definen su clase de IVA (shared/lib/tax)
+ * @param {Object} product - Producto completo
+ * @returns {Object} { taxClass, mainCategory, categories }
+ */
+const toTaxSnapshot = (product) => ({
+  taxClass: product.taxClass,
+  mainCategory: toCategorySnapshot(product.mainCategory) || null,
+  categories: (product.categories || []).map(toCategorySnapshot)
+});
+
+/**
+ * Snapshot del producto guardado en el item (lo que usan CartItem y CartSummary)
+ * @param {Object} product - Producto completo
+ * @returns {Object} Producto reducido
+ */
+const toProductSnapshot = (product) => ({
+  _id: product._id,
+  name: product.name,
+  slug: product.slug,
+  images: product.images || [],
+  price: product.price,
+  comparePrice: product.comparePrice,
+  stock: product.stock,
+  trackQuantity: product.trackQuantity,
+  ...toTaxSnapshot(product)
+});
+
+/**
+ * Los snapshots guardados antes de incluir el IVA no traen categories
+ */
+const hasTaxSnapshot = (product) => Array.isArray(product?.categories);
+
+/**
+ * Limita la cantidad al stock (si se controla) y a CART_LIMITS
+ */
+const clampQuantity = (quantity, product) => {
+  const max = product?.trackQuantity && product.stock !== undefined
+    ? Math.min(product.stock, CART_LIMITS.MAX_QUANTITY)
+    : CART_LIMITS.MAX_QUANTITY;
+
+  return Math.max(CART_LIMITS.MIN_QUANTITY, Math.min(quantity, max));
+};
+
+/**
+ * Recalcula los totales del carrito a partir de sus items
+ */
+const withTotals = (cart) => ({
+  ...cart,
+  subtotal: calculateSubtotal(cart.items),
+  totalItems: calculateItemCount(cart.items),
+  updatedAt: new Date().toISOString()
+});
+
+// ============================================================================
+// PERSISTENCIA
+// ============================================================================
+
+/**
+ * Carrito anónimo vacío
+ * @returns {Object} Carrito
+ */
+export const createEmptyGuestCart = () => ({
+  _id: null,
+  isGuest: true,
+  items: [],
+  subtotal: 0,
+  totalItems: 0,
+  shippingMethod: SHIPPING_METHODS.STANDARD,
+  shippingCost: SHIPPING_COSTS[SHIPPING_METHODS.STANDARD],
+  shippingAddress: null,
+  coupon: null,
+  coupons: [],
+  taxRate: 0,
+  notes: '',
+  updatedAt: null
+});
+
+/**
+ * Lee el carrito anónimo de localStorage
+ * @returns {Object} Carrito (vacío si no existe o está corrupto)
+ */
+export const loadGuestCart = () => {
+  try {
+    const stored = localStorage.getItem(CART_STORAGE_KEYS.GUEST_CART);
+    if (!stored) return createEmptyGuestCart();
+
+    const parsed = JSON.parse(stored);
+    return withTotals({ ...createEmptyGuestCart(), ...parsed, items: parsed.items || [] });
+  } catch (error) {
+    console.error('[GuestCart] Error loading guest cart:', error);
+    return createEmptyGuestCart();
+  }
+};
+
+/**
+ * Guarda el carrito anónimo
+ * @param {Object} cart - Carrito
+ * @returns {Object} Carrito guardado
+ */
+export const saveGuestCart = (cart) => {
+  try {
+    localStorage.setItem(CART_STORAGE_KEYS.GUEST_CART, JSON.stringify(cart));
+  } catch (error) {
+    console.error('[GuestCart] Error saving guest cart:', error);
+  }
+  return cart;
+};
+
+/**
+ * Elimina el carrito anónimo
+ */
+export const clearGuestCart = () => {
+  try {
+    localStorage.removeItem(CART_STORAGE_KEYS.GUEST_CART);
+  } catch (error) {
+    console.error('[GuestCart] Error clearing guest cart:', error);
+  }
+};
+
+/**
+ * Completa los snapshots guardados sin los campos de IVA
+ * Vuelve a pedir cada producto afectado; si falla, el item queda como estaba
+ * (con la tarifa por defecto) y se reintenta en la próxima carga
+ *
+ * @returns {Promise<Object|null>} Carrito actualizado o null si no hubo cambios
+ */
+export const migrateGuestCartSnapshots = async () => {
+  const outdatedIds = [...new Set(
+    loadGuestCart().items
+      .filter(item => !hasTaxSnapshot(item.product))
+      .map(item => item.product._id)
+  )];
+  if (!outdatedIds.length) return null;
+
+  const taxSnapshots = {};
+  await Promise.all(outdatedIds.map(async (productId) => {
+    try {
+      const response = await productsAPI.getProductById(productId);
+      if (response?.data?._id) {
+        taxSnapshots[productId] = toTaxSnapshot(response.data);
+      }
+    } catch (error) {
+      console.error('[GuestCart] Error refreshing product snapshot:', error);
+    }
+  }));
+  if (!Object.keys(taxSnapshots).length) return null;
+
+  // Se relee el carrito: pudo cambiar mientras se pedían los productos
+  const cart = loadGuestCart();
+  const items = cart.items.map(item =>
+    !hasTaxSnapshot(item.product) && taxSnapshots[item.product._id]
+      ? { ...item, product: { ...item.product, ...taxSnapshots[item.product._id] } }
+      : item
+  );
+
+  return saveGuestCart(withTotals({ ...cart, items }));
+};
+
+// ============================================================================
+// OPERACIONES (puras: retornan un carrito nuevo)
+// ============================================================================
+
+/**
+ * Agrega un producto (suma cantidad si ya existe con los mismos atributos)
+ * @param {Object} cart - Carrito anónimo
+ * @param {Object} product - Producto completo
+ * @param {number} quantity - Cantidad
+ * @param {Object} attributes - Atributos
+ * @returns {Object} Carrito actualizado
+ */
+export const addGuestItem = (cart, product, quantity = 1, attributes = {}) => {
+  const normalized = normalizeAttributes(attributes);
+  const existing = findCartItem(cart.items, product._id, normalized);
+
+  const items = existing
+    ? cart.items.map(item =>
+        item === existing
+          ? { ...item, quantity: clampQuantity(item.quantity + quantity, item.product) }
+          : item
+      )
+    : [
+        ...cart.items,
+        {
+          product: toProductSnapshot(product),
+          quantity: clampQuantity(quantity, product),
+          price: product.price,
+          attributes: normalized
+        }
+      ];
+
+  return withTotals({ ...cart, items });
+};
+
+/**
+ * Cambia la cantidad de un item
+ * @param {Object} cart - Carrito anónimo
+ * @param {string} productId - ID del producto
+ * @param {number} quantity - Nueva cantidad
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Carrito actualizado
+ */
+export const updateGuestItem = (cart, productId, quantity, attributes = {}) => {
+  const normalized = normalizeAttributes(attributes);
+
+  const items = cart.items.map(item =>
+    item.product._id === productId && areAttributesEqual(item.attributes, normalized)
+      ? { ...item, quantity: clampQuantity(quantity, item.product) }
+      : item
+  );
+
+  return withTotals({ ...cart, items });
+};
+
+/**
+ * Elimina un item
+ * @param {Object} cart - Carrito anónimo
+ * @param {string} productId - ID del producto
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Carrito actualizado
+ */
+export const removeGuestItem = (cart, productId, attributes = {}) => {
+  const normalized = normalizeAttributes(attributes);
+
+  const items = cart.items.filter(item =>
+    !(item.product._id === productId && areAttributesEqual(item.attributes, normalized))
+  );
+
+  return withTotals({ ...cart, items });
+};
+
+/**
+ * Cambia las opciones de regalo de un item
+ * @param {Object} cart - Carrito anónimo
+ * @param {string} productId - ID del producto
+ * @param {Object} giftOptions - { wrap, message, hidePrices }
+ * @param {Object} attributes - Atributos del item
+ * @returns {Object} Carrito actualizado
+ */
+export const updateGuestItemGiftOptions = (cart, productId, giftOptions, attributes = {}) => {
+  const normalized = normalizeAttributes(attributes);
+
+  const items = cart.items.map(item =>
+    item.product._id === productId && areAttributesEqual(item.attributes, normalized)
+      ? { ...item, giftOptions: { ...DEFAULT_GIFT_OPTIONS, ...giftOptions } }
+      : item
+  );
+
+  return withTotals({ ...cart, items });
+};
+
+/**
+ * Cambia las notas del pedido
+ * @param {Object} cart - Carrito anónimo
+ * @param {string} notes - Notas
+ * @returns {Object} Carrito actualizado
+ */
+export const setGuestNotes = (cart, notes = '') => {
+  return withTotals({ ...cart, notes });
+};
+
+// ============================================================================
+// FUSIÓN CON EL CARRITO DEL SERVIDOR
+// ============================================================================
+
+/**
+ * Fallo que puede resolverse reintentando: red (sin statusCode) o 5xx
+ * Stock, producto inactivo/eliminado o validación (4xx) no cambian al reintentar
+ */
+const isRetryableError = (error) => !error?.statusCode || error.statusCode >= 500;
+
+/**
+ * Fusiona el carrito anónimo con el del usuario recién autenticado
+ *
+ * CONFLICTOS (mismo producto + mismos atributos):
+ * - Se suman las cantidades, limitadas al stock conocido
+ * - Se detectan con findCartItem / areAttributesEqual sobre atributos normalizados
+ *
+ * Las opciones de regalo y las notas del carrito anónimo se envían después
+ * de cada item (las notas solo si el usuario no tenía notas propias)
+ *
+ * Los items que fallaron por red o error del servidor quedan en el carrito
+ * anónimo para reintentarlos en el próximo login; los que fallaron por
+ * stock, producto no disponible o validación se descartan (se avisan una vez)
+ *
+ * Requiere que el token ya esté en localStorage (lo lee axiosInstance)
+ *
+ * @returns {Promise<Object>} { merged: number, failed: Array<{ name, message }>, pending: Array<{ name, message }> }
+ */
+export const mergeGuestCart = async () => {
+  const guestCart = loadGuestCart();
+  if (!guestCart.items.length) return { merged: 0, failed: [], pending: [] };
+
+  let serverItems = [];
+  let serverNotes = '';
+  try {
+    const response = await cartAPI.getCart();
+    // cartAPI desestructura data de la respuesta: puede llegar el carrito o { success, data }
+    const serverCart = response?.success ? response.data : response;
+    serverItems = serverCart?.items || [];
+    serverNotes = serverCart?.notes || '';
+  } catch (error) {
+    console.error('[GuestCart] Error fetching server cart for merge:', error);
+  }
+
+  // Atributos normalizados para comparar con los del carrito anónimo
+  const comparableServerItems = serverItems.map(item => ({
+    ...item,
+    attributes: normalizeAttributes(item.attributes)
+  }));
+
+  const failed = [];
+  const pending = [];
+  const pendingItems = [];
+  let merged = 0;
+
+  for (const guestItem of guestCart.items) {
+    const productId = guestItem.product._id;
+    const attributes = normalizeAttributes(guestItem.attributes);
+    const existing = findCartItem(comparableServerItems, productId, attributes);
+
+    try {
+      if (existing) {
+        await cartAPI.updateCartItem(productId, {
+          quantity: clampQuantity(existing.quantity + guestItem.quantity, existing.product),
+          attributes
+        });
+      } else {
+        await cartAPI.addToCart({
+          productId,
+          quantity: guestItem.quantity,
+          attributes
+        });
+      }
+      merged += 1;
+    } catch (error) {
+      const failure = {
+        name: guestItem.product.name,
+        message: error?.message || 'No se pudo agregar al carrito'
+      };
+
+      if (isRetryableError(error)) {
+        pendingItems.push(guestItem);
+        pending.push(failure);
+      } else {
+        failed.push(failure);
+      }
+      continue;
+    }
+
+    // El item ya está en el servidor: si esto falla no se reintenta
+    if (isGiftItem(guestItem)) {
+      try {
+        await cartAPI.updateItemGiftOptions(productId, {
+          giftOptions: guestItem.giftOptions,
+          attributes
+        });
+      } catch (error) {
+        console.error('[GuestCart] Error merging gift options:', error);
+      }
+    }
+  }
+
+  let pendingNotes = '';
+  if (guestCart.notes?.trim() && !serverNotes.trim()) {
+    try {
+      await cartAPI.updateCartNotes(guestCart.notes);
+    } catch (error) {
+      console.error('[GuestCart] Error merging notes:', error);
+      pendingNotes = guestCart.notes;
+    }
+  }
+
+  if (pendingItems.length) {
+    saveGuestCart(withTotals({ ...guestCart, items: pendingItems, notes: pendingNotes }));
+  } else {
+    clearGuestCart();
+  }
+
+  if (failed.length || pending.length) {
+    console.warn('[GuestCart] Items no fusionados:', { failed, pending });
+  }
+
+  return { merged, failed, pending };
+};
+
+/**
+ * Mensaje para los items que no se pudieron fusionar
+ * @param {Object} mergeResult - Resultado de mergeGuestCart
+ * @returns {string|null} Mensaje o null si todo se fusionó
+ */
+export const getGuestCartMergeWarning = (mergeResult) => {
+  const failed = mergeResult?.failed || [];
+  const pending = mergeResult?.pending || [];
+  if (!failed.length && !pending.length) return null;
+
+  const messages = [];
+  if (failed.length) {
+    const names = failed.map(item => item.name).join(', ');
+    messages.push(`Algunos productos no se pudieron agregar y se retiraron de tu carrito: ${names}`);
+  }
+  if (pending.length) {
+    const names = pending.map(item => item.name).join(', ');
+    messages.push(`No pudimos agregar ${names}; los guardamos para intentarlo en tu próximo inicio de sesión`);
+  }
+  return messages.join('. ');
+};
+
+export default {
+  normalizeAttributes,
+  createEmptyGuestCart,
+  loadGuestCart,
+  saveGuestCart,
+  clearGuestCart,
+  migrateGuestCartSnapshots,
+  addGuestItem,
+  updateGuestItem,
+  removeGuestItem,
+  updateGuestItemGiftOptions,
+  setGuestNotes,
+  mergeGuestCart,
+  getGuestCartMergeWarning
+};
@@ -0,0 +1,130 @@
+import { CART_STORAGE_KEYS } from '../types/cart.types';
+import { areAttributesEqual } from './cartHelpers';
+import { normalizeAttributes } from './guestCart';
+
+/**
+ * @module SavedForLater
+ * @description Lista "Guardar para después" del carrito, persistida en localStorage
+ *
+ * - Una lista por usuario (o 'guest' sin sesión)
+ * - Cada item conserva sus atributos (talla, color...) y la cantidad
+ * - No forma parte del carrito: no cuenta en calculateSubtotal ni en los totales
+ */
+
+// ============================================================================
+// PERSISTENCIA
+// ============================================================================
+
+/**
+ * Clave de storage del dueño de la lista
+ * @param {string} ownerId - ID del usuario (null sin sesión)
+ * @returns {string} Clave
+ */
+const getStorageKey = (ownerId) => {
+  return `${CART_STORAGE_KEYS.SAVED_FOR_LATER}:${ownerId || 'guest'}`;
+};
+
+/**
+ * Lee la lista guardada
+ * @param {string} ownerId - ID del usuario (null sin sesión)
+ * @returns {Array} Items guardados
+ */
+export const loadSavedItems = (ownerId) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(ownerId));
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[SavedForLater] Error loading saved items:', error);
+    return [];
+  }
+};
+
+/**
+ * Guarda la lista
+ * @param {string} ownerId - ID del usuario (null sin sesión)
+ * @param {Array} items - Items guardados
+ * @returns {Array} Items guardados
+ */
+export const storeSavedItems = (ownerId, items) => {
+  try {
+    localStorage.setItem(getStorageKey(ownerId), JSON.stringify(items));
+  } catch (error) {
+    console.error('[SavedForLater] Error saving items:', error);
+  }
+  return items;
+};
+
+// ============================================================================
+// OPERACIONES (puras: retornan una lista nueva)
+// ============================================================================
+
+/**
+ * Compara un item guardado con un producto + atributos
+ */
+const isSameSavedItem = (item, productId, attributes) => {
+  return item.product._id === productId &&
+    areAttributesEqual(normalizeAttributes(item.attributes), normalizeAttributes(attributes));
+};
+
+/**
+ * Convierte un item del carrito en item guardado
+ * Si ya estaba guardado con los mismos atributos, se suman las cantidades
+ *
+ * @param {Array} items - Items guardados
+ * @param {Object} cartItem - Item del carrito ({ product, quantity, price, attributes })
+ * @returns {Array} Lista actualizada (el más reciente primero)
+ */
+export const addSavedItem = (items, cartItem) => {
+  const { product, quantity, price, attributes } = cartItem;
+  const existing = items.find(item => isSameSavedItem(item, product._id, attributes));
+
+  const saved = {
+    product: {
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      images: product.images || [],
+      price: product.price,
+      stock: product.stock,
+      trackQuantity: product.trackQuantity
+    },
+    quantity: existing ? existing.quantity + quantity : quantity,
+    price: price ?? product.price,
+    attributes: normalizeAttributes(attributes),
+    savedAt: new Date().toISOString()
+  };
+
+  return [
+    saved,
+    ...items.filter(item => item !== existing)
+  ];
+};
+
+/**
+ * Elimina un item guardado
+ * @param {Array} items - Items guardados
+ * @param {string} productId - ID del producto
+ * @param {Object} attributes - Atributos del item
+ * @returns {Array} Lista actualizada
+ */
+export const removeSavedItem = (items, productId, attributes = {}) => {
+  return items.filter(item => !isSameSavedItem(item, productId, attributes));
+};
+
+/**
+ * Clave estable para listas de React
+ * @param {Object} item - Item guardado
+ * @returns {string} Clave
+ */
+export const getSavedItemKey = (item) => {
+  return `${item.product._id}-${JSON.stringify(item.attributes || {})}`;
+};
+
+export default {
+  loadSavedItems,
+  storeSavedItems,
+  addSavedItem,
+  removeSavedItem,
+  getSavedItemKey
+};
@@ -0,0 +1,256 @@
+import {
+  SHIPPING_METHODS,
+  SHIPPING_METHOD_LABELS,
+  CART_THRESHOLDS
+} from '../types/cart.types';
+import {
+  SHIPPING_ZONES,
+  SHIPPING_ZONE_LABELS,
+  COLOMBIA_DEPARTMENTS,
+  LOCAL_SHIPPING_CITIES,
+  SHIPPING_RATES,
+  SHIPPING_PACKAGE_CONFIG,
+  FREE_SHIPPING_RULES,
+  DEFAULT_SHIPPING_ZONE
+} from '../types/shipping.types';
+import { roundMoney, toAmount } from '../../../shared/lib/money';
+
+/**
+ * @module ShippingRates
+ * @description Cotizador de envíos por destino, peso, dimensiones y método
+ *
+ * - Destino: departamento (address.state) y ciudad (address.city) → zona
+ * - Peso facturable: el mayor entre peso real y peso volumétrico (L×A×H / 5000)
+ * - Costo: base de la zona/método + valor por kg adicional
+ * - Envío gratis estándar en zona local desde CART_THRESHOLDS.MIN_FREE_SHIPPING
+ *
+ * USO:
+ * const quotes = getShippingQuotes({ destination: cart.shippingAddress, items: cart.items, subtotal });
+ * const quote = calculateShippingRate({ destination, items, method: 'express', subtotal });
+ */
+
+// ============================================================================
+// DESTINO → ZONA
+// ============================================================================
+
+/**
+ * Normaliza un nombre de lugar para comparar (sin tildes, minúsculas)
+ * @param {string} value - Nombre
+ * @returns {string} Nombre normalizado
+ */
+export const normalizePlaceName = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(d c|departamento del?|departamento)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const DEPARTMENT_INDEX = Object.keys(COLOMBIA_DEPARTMENTS).reduce((index, name) => {
+  index[normalizePlaceName(name)] = name;
+  return index;
+}, {});
+
+const LOCAL_CITY_INDEX = LOCAL_SHIPPING_CITIES.map(normalizePlaceName);
+
+/**
+ * Busca el departamento de un destino (por nombre o por su ciudad)
+ * @param {string} state - Departamento
+ * @param {string} city - Ciudad
+ * @returns {string|null} Nombre oficial del departamento
+ */
+export const findDepartment = (state, city) => {
+  const byName = DEPARTMENT_INDEX[normalizePlaceName(state)];
+  if (byName) return byName;
+
+  const normalizedCity = normalizePlaceName(city);
+  if (!normalizedCity) return null;
+
+  return Object.keys(COLOMBIA_DEPARTMENTS).find(name =>
+    COLOMBIA_DEPARTMENTS[name].cities.some(c => normalizePlaceName(c) === normalizedCity)
+  ) || null;
+};
+
+/**
+ * Resuelve la zona de envío de un destino
+ * @param {Object} destination - { state, city } (dirección de envío)
+ * @returns {string|null} Zona (SHIPPING_ZONES) o null si no se reconoce
+ */
+export const resolveShippingZone = (destination) => {
+  if (!destination) return null;
+
+  const department = findDepartment(destination.state, destination.city);
+  if (!department) return null;
+
+  const isLocalCity = LOCAL_CITY_INDEX.includes(normalizePlaceName(destination.city));
+  if (department === 'Atlántico' && isLocalCity) return SHIPPING_ZONES.LOCAL;
+
+  return COLOMBIA_DEPARTMENTS[department].zone;
+};
+
+// ============================================================================
+// PESO Y DIMENSIONES
+// ============================================================================
+
+const WEIGHT_TO_KG = { kg: 1, g: 0.001, lb: 0.453592, oz: 0.0283495 };
+const LENGTH_TO_CM = { cm: 1, m: 100, in: 2.54, ft: 30.48 };
+
+/**
+ * Peso de un producto en kg
+ * Usa product.weight ({ value, unit }) o attributes.weight ("1.2 kg", "500 g")
+ *
+ * @param {Object} product - Producto
+ * @returns {number|null} Peso en kg (null si no está registrado)
+ */
+export const getProductWeightKg = (product) => {
+  if (product?.weight?.value) {
+    const factor = WEIGHT_TO_KG[product.weight.unit] ?? 1;
+    return toAmount(product.weight.value) * factor;
+  }
+
+  const match = String(product?.attributes?.weight || '')
+    .replace(',', '.')
+    .match(/([\d.]+)\s*(kg|g|lb|oz)?/i);
+
+  if (match) {
+    const factor = WEIGHT_TO_KG[(match[2] || 'kg').toLowerCase()] ?? 1;
+    const weight = toAmount(match[1]) * factor;
+    if (weight > 0) return weight;
+  }
+
+  return null;
+};
+
+/**
+ * Peso volumétrico de un producto en kg (attributes.dimensions)
+ * @param {Object} product - Producto
+ * @returns {number} Peso volumétrico (0 sin dimensiones)
+ */
+export const getProductVolumetricKg = (product) => {
+  const dimensions = product?.attributes?.dimensions;
+  if (!dimensions) return 0;
+
+  const factor = LENGTH_TO_CM[dimensions.unit] ?? 1;
+  const volume = ['length', 'width', 'height']
+    .map(side => toAmount(dimensions[side]) * factor)
+    .reduce((total, side) => total * side, 1);
+
+  return volume / SHIPPING_PACKAGE_CONFIG.VOLUMETRIC_DIVISOR;
+};
+
+/**
+ * Calcula el peso del paquete
+ * @param {Array} items - Items ({ product, quantity })
+ * @returns {Object} { actualKg, volumetricKg, billableKg }
+ */
+export const calculatePackageWeight = (items = []) => {
+  const totals = items.reduce((acc, item) => {
+    const quantity = item.quantity || 1;
+    const weight = getProductWeightKg(item.product) ?? SHIPPING_PACKAGE_CONFIG.DEFAULT_ITEM_WEIGHT_KG;
+
+    acc.actualKg += weight * quantity;
+    acc.volumetricKg += getProductVolumetricKg(item.product) * quantity;
+    return acc;
+  }, { actualKg: 0, volumetricKg: 0 });
+
+  const actualKg = totals.actualKg + (items.length ? SHIPPING_PACKAGE_CONFIG.PACKAGING_WEIGHT_KG : 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    actualKg: round(actualKg),
+    volumetricKg: round(totals.volumetricKg),
+    billableKg: round(Math.max(actualKg, totals.volumetricKg))
+  };
+};
+
+// ============================================================================
+// COTIZACIÓN
+// ============================================================================
+
+/**
+ * Cotiza un método de envío
+ *
+ * @param {Object} params
+ * @param {Object} params.destination - Dirección ({ state, city })
+ * @param {Array} params.items - Items del carrito
+ * @param {string} params.method - SHIPPING_METHODS
+ * @param {number} params.subtotal - Subtotal (para envío gratis)
+ * @returns {Object} { method, label, zone, zoneLabel, estimated, available, cost, originalCost, isFree, delivery, weight, reason }
+ */
+export const calculateShippingRate = ({ destination, items = [], method, subtotal = 0 }) => {
+  const resolvedZone = resolveShippingZone(destination);
+  const zone = resolvedZone || DEFAULT_SHIPPING_ZONE;
+  const weight = calculatePackageWeight(items);
+
+  const quote = {
+    method,
+    label: SHIPPING_METHOD_LABELS[method],
+    zone,
+    zoneLabel: SHIPPING_ZONE_LABELS[zone],
+    estimated: !resolvedZone,
+    available: true,
+    cost: 0,
+    originalCost: 0,
+    isFree: false,
+    delivery: null,
+    weight,
+    reason: null
+  };
+
+  if (method === SHIPPING_METHODS.PICKUP) {
+    return { ...quote, isFree: true, delivery: 'Disponible en tienda' };
+  }
+
+  const rate = SHIPPING_RATES[zone]?.[method];
+
+  if (!rate) {
+    return { ...quote, available: false, reason: 'No disponible para este destino' };
+  }
+
+  if (weight.billableKg > SHIPPING_PACKAGE_CONFIG.MAX_WEIGHT_KG) {
+    return {
+      ...quote,
+      available: false,
+      reason: `El paquete supera ${SHIPPING_PACKAGE_CONFIG.MAX_WEIGHT_KG} kg`
+    };
+  }
+
+  const extraKg = Math.max(0, Math.ceil(weight.billableKg - SHIPPING_PACKAGE_CONFIG.WEIGHT_INCLUDED_KG));
+  const originalCost = roundMoney(rate.base + extraKg * rate.perKg);
+  const isFree = FREE_SHIPPING_RULES.ZONES.includes(zone) &&
+    FREE_SHIPPING_RULES.METHODS.includes(method) &&
+    subtotal >= CART_THRESHOLDS.MIN_FREE_SHIPPING;
+
+  return {
+    ...quote,
+    cost: isFree ? 0 : originalCost,
+    originalCost,
+    isFree,
+    delivery: rate.delivery
+  };
+};
+
+/**
+ * Cotiza todos los métodos de envío para un destino
+ * @param {Object} params - { destination, items, subtotal }
+ * @returns {Array} Cotizaciones en el orden de SHIPPING_METHODS
+ */
+export const getShippingQuotes = ({ destination, items = [], subtotal = 0 }) => {
+  return Object.values(SHIPPING_METHODS).map(method =>
+    calculateShippingRate({ destination, items, method, subtotal })
+  );
+};
+
+export default {
+  normalizePlaceName,
+  findDepartment,
+  resolveShippingZone,
+  getProductWeightKg,
+  getProductVolumetricKg,
+  calculatePackageWeight,
+  calculateShippingRate,
+  getShippingQuotes
+};
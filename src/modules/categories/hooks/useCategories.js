@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { getCategories, searchCategories } from '../api/categories.api';
+import { registerCategoryTaxClasses } from '../../../shared/lib/tax';
 
 /**
  * @hook useCategories
@@ -154,6 +155,7 @@ try {
   setCategories(result.data);
   setPagination(result.pagination);
   updateCache(cacheKey, result);
+  registerCategoryTaxClasses(result.data);
 
   return result;
 } catch (err) {
@@ -1,4 +1,5 @@
 import * as yup from 'yup';
+import { TAX_CLASSES, DEFAULT_TAX_CLASS } from '../../../shared/lib/tax';
 
 /**
  * @module CategorySchemas
@@ -88,6 +89,11 @@ export const createCategorySchema = yup.object({
     .boolean()
     .default(false),
 
+  taxClass: yup
+    .string()
+    .oneOf(Object.values(TAX_CLASSES), 'Clase de IVA inválida')
+    .default(DEFAULT_TAX_CLASS),
+
   order: yup
     .number()
     .integer('El orden debe ser un número entero')
@@ -124,6 +130,10 @@ export const updateCategorySchema = yup.object({
 
   featured: yup.boolean(),
 
+  taxClass: yup
+    .string()
+    .oneOf(Object.values(TAX_CLASSES), 'Clase de IVA inválida'),
+
   order: yup
     .number()
     .integer('El orden debe ser un número entero')
@@ -0,0 +1,75 @@
+import React from 'react';
+import { CHECKOUT_STEP_ORDER, CHECKOUT_STEP_LABELS } from '../types/checkout.types';
+import { getStepIndex } from '../utils/checkoutHelpers';
+
+/**
+ * @component CheckoutSteps
+ * @description Indicador de progreso del checkout
+ *
+ * PROPS:
+ * @param {string} currentStep - Paso actual (CHECKOUT_STEPS)
+ * @param {Function} onStepClick - Callback al hacer click en un paso
+ * @param {Function} canAccessStep - (step) => boolean
+ */
+const CheckoutSteps = ({
+  currentStep,
+  onStepClick,
+  canAccessStep = () => false
+}) => {
+  const currentIndex = getStepIndex(currentStep);
+
+  return (
+    <nav aria-label="Progreso del checkout" className="mb-8">
+      <ol className="flex items-center justify-between gap-2">
+        {CHECKOUT_STEP_ORDER.map((step, index) => {
+          const isCurrent = step === currentStep;
+          const isDone = index < currentIndex;
+          const isClickable = !isCurrent && canAccessStep(step);
+
+          return (
+            <li key={step} className="flex-1 flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => isClickable && onStepClick?.(step)}
+                disabled={!isClickable}
+                aria-current={isCurrent ? 'step' : undefined}
+                className="flex flex-col items-center gap-2 w-full disabled:cursor-default"
+              >
+                <span
+                  className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm border-2 transition-colors ${
+                    isCurrent
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : isDone
+                        ? 'bg-green-500 border-green-500 text-white'
+                        : 'bg-white dark:bg-slate-800 border-gray-300 dark:border-gray-600 text-gray-500'
+                  }`}
+                >
+                  {isDone ? '✓' : index + 1}
+                </span>
+                <span
+                  className={`text-xs sm:text-sm font-medium ${
+                    isCurrent
+                      ? 'text-blue-600'
+                      : 'text-gray-600 dark:text-gray-400'
+                  }`}
+                >
+                  {CHECKOUT_STEP_LABELS[step]}
+                </span>
+              </button>
+
+              {index < CHECKOUT_STEP_ORDER.length - 1 && (
+                <div
+                  className={`hidden sm:block h-0.5 flex-1 mb-6 ${
+                    isDone ? 'bg-green-500' : 'bg-gray-200 dark:bg-gray-700'
+                  }`}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+};
+
+export default CheckoutSteps;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle } from 'lucide-react';
+import { formatPrice } from '../../cart/utils/cartHelpers';
+import { getPaymentMethodLabel } from '../utils/checkoutHelpers';
+import { getOrderNumber } from '../../orders/utils/orderHelpers';
+import { PAYMENT_STATUS_LABELS } from '../../orders/types/order.types';
+
+/**
+ * @component OrderConfirmation
+ * @description Pantalla final del checkout con el resumen de la orden creada
+ *
+ * PROPS:
+ * @param {Object} order - Orden creada (respuesta de ordersAPI.createOrder)
+ */
+const OrderConfirmation = ({ order }) => {
+  if (!order) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white rounded-2xl border border-gray-200 p-8 text-center">
+      <CheckCircle className="h-16 w-16 text-green-500 mx-auto mb-4" />
+
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">
+        ¡Gracias por tu compra!
+      </h2>
+      <p className="text-gray-600 mb-6">
+        Tu pedido <span className="font-semibold">#{getOrderNumber(order)}</span> fue registrado correctamente.
+        {order.customerInfo?.email && (
+          <> Te enviaremos la confirmación a <span className="font-semibold">{order.customerInfo.email}</span>.</>
+        )}
+      </p>
+
+      <div className="bg-gray-50 rounded-lg p-4 mb-6 text-left space-y-2 text-sm">
+        <div className="flex justify-between text-gray-700">
+          <span>Productos</span>
+          <span className="font-medium">{order.items?.length || 0}</span>
+        </div>
+        {order.paymentMethod && (
+          <div className="flex justify-between text-gray-700">
+            <span>Método de pago</span>
+            <span className="font-medium">{getPaymentMethodLabel(order.paymentMethod)}</span>
+          </div>
+        )}
+        {order.paymentStatus && (
+          <div className="flex justify-between text-gray-700">
+            <span>Estado del pago</span>
+            <span className="font-medium">{PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}</span>
+          </div>
+        )}
+        {order.totalAmount !== undefined && (
+          <div className="flex justify-between text-gray-900 font-bold text-base pt-2 border-t border-gray-200">
+            <span>Total</span>
+            <span>{formatPrice(order.totalAmount)}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3 justify-center">
+        {order._id && (
+          <Link
+            to={`/mi-cuenta/pedidos/${order._id}`}
+            className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Ver mi pedido
+          </Link>
+        )}
+        <Link
+          to="/productos"
+          className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+        >
+          Seguir comprando
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default OrderConfirmation;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import {
+  formatPrice,
+  formatAttributes,
+  getShippingMethodLabel,
+  calculateCartTaxBreakdown
+} from '../../cart/utils/cartHelpers';
+import TaxBreakdown from '../../cart/components/TaxBreakdown';
+import { SHIPPING_METHODS } from '../../cart/types/cart.types';
+import { formatPickupWindow } from '../../pickup/utils/pickupHelpers';
+import { CHECKOUT_STEPS, CHECKOUT_ERROR_MESSAGES } from '../types/checkout.types';
+import { getPaymentMethodLabel } from '../utils/checkoutHelpers';
+
+/**
+ * @component OrderReview
+ * @description Revisión final de la orden antes de confirmarla
+ *
+ * PROPS:
+ * @param {Object} cart - Carrito completo
+ * @param {string} paymentMethod - Método de pago seleccionado
+ * @param {Function} onEditStep - Callback para volver a un paso (step)
+ * @param {Function} onPlaceOrder - Callback para confirmar la orden
+ * @param {boolean} submitting - Orden en proceso de envío
+ */
+const OrderReview = ({
+  cart,
+  paymentMethod,
+  onEditStep,
+  onPlaceOrder,
+  submitting = false
+}) => {
+  const [acceptedTerms, setAcceptedTerms] = useState(false);
+
+  const address = cart?.shippingAddress;
+  const pickup = cart?.shippingMethod === SHIPPING_METHODS.PICKUP ? cart?.pickup : null;
+  const items = cart?.items || [];
+  const taxBreakdown = cart ? calculateCartTaxBreakdown(cart) : null;
+
+  return (
+    <div className="space-y-6">
+      {/* Dirección o punto de recogida */}
+      <ReviewSection
+        title={pickup ? 'Punto de Recogida' : 'Dirección de Envío'}
+        onEdit={() => onEditStep(CHECKOUT_STEPS.ADDRESS)}
+      >
+        {pickup ? (
+          <div className="text-sm text-gray-600">
+            <p className="font-medium text-gray-900">{pickup.locationName}</p>
+            <p>{pickup.address}</p>
+            <p className="mt-1">Franja: {formatPickupWindow(pickup.window)}</p>
+            {address && (
+              <p className="mt-1">
+                Recoge: {address.firstName} {address.lastName} · {address.phone}
+              </p>
+            )}
+          </div>
+        ) : address && (
+          <div className="text-sm text-gray-600">
+            <p className="font-medium text-gray-900">
+              {address.firstName} {address.lastName}
+            </p>
+            <p>{address.street}</p>
+            <p>{address.city}, {address.state} {address.zipCode}</p>
+            <p>{address.country}</p>
+            <p className="mt-1">{address.phone} · {address.email}</p>
+          </div>
+        )}
+      </ReviewSection>
+
+      {/* Envío */}
+      <ReviewSection
+        title="Método de Envío"
+        onEdit={() => onEditStep(CHECKOUT_STEPS.SHIPPING)}
+      >
+        <p className="text-sm text-gray-600">
+          {getShippingMethodLabel(cart?.shippingMethod)}
+        </p>
+      </ReviewSection>
+
+      {/* Pago */}
+      <ReviewSection
+        title="Método de Pago"
+        onEdit={() => onEditStep(CHECKOUT_STEPS.PAYMENT)}
+      >
+        <p className="text-sm text-gray-600">
+          {getPaymentMethodLabel(paymentMethod)}
+        </p>
+      </ReviewSection>
+
+      {/* Productos */}
+      <ReviewSection title={`Productos (${items.length})`}>
+        <ul className="divide-y divide-gray-100">
+          {items.map((item, index) => (
+            <li
+              key={`${item.product._id}-${JSON.stringify(item.attributes)}`}
+              className="flex items-center gap-4 py-3"
+            >
+              <div className="w-14 h-14 bg-gray-100 rounded-md overflow-hidden flex-shrink-0">
+                {item.product.images?.[0]?.url && (
+                  <img
+                    src={item.product.images[0].url}
+                    alt={item.product.name}
+                    className="w-full h-full object-cover"
+                  />
+                )}
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-900 truncate">
+                  {item.product.name}
+                </p>
+                {item.attributes && Object.keys(item.attributes).length > 0 && (
+                  <p className="text-xs text-gray-500">
+                    {formatAttributes(item.attributes)}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {item.quantity} × {formatPrice(item.price)}
+                </p>
+                {taxBreakdown?.lines[index] && (
+                  <p className="text-xs text-gray-500">
+                    IVA {taxBreakdown.lines[index].rate}%: {formatPrice(taxBreakdown.lines[index].tax)}
+                    {taxBreakdown.pricesIncludeTax ? ' (incluido)' : ''}
+                  </p>
+                )}
+              </div>
+              <p className="font-semibold text-gray-900">
+                {formatPrice(item.price * item.quantity)}
+              </p>
+            </li>
+          ))}
+        </ul>
+      </ReviewSection>
+
+      {/* Impuestos */}
+      {taxBreakdown?.lines.length > 0 && (
+        <ReviewSection title="Impuestos">
+          <TaxBreakdown breakdown={taxBreakdown} />
+        </ReviewSection>
+      )}
+
+      {/* Términos y Confirmación */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+        <label className="flex items-start gap-3 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={acceptedTerms}
+            onChange={(e) => setAcceptedTerms(e.target.checked)}
+            disabled={submitting}
+            className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>
+            Acepto los términos y condiciones, la política de envíos y la política de devoluciones.
+          </span>
+        </label>
+
+        <button
+          type="button"
+          onClick={onPlaceOrder}
+          disabled={submitting || !acceptedTerms}
+          title={!acceptedTerms ? CHECKOUT_ERROR_MESSAGES.TERMS_NOT_ACCEPTED : undefined}
+          className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {submitting ? (
+            <span className="flex items-center justify-center gap-2">
+              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              Procesando pedido...
+            </span>
+          ) : (
+            'Confirmar Pedido'
+          )}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function ReviewSection({ title, onEdit, children }) {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold text-gray-900">{title}</h3>
+        {onEdit && (
+          <button
+            type="button"
+            onClick={onEdit}
+            className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+          >
+            Editar
+          </button>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+export default OrderReview;
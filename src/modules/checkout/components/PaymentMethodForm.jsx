@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_METHOD_DESCRIPTIONS
+} from '../types/checkout.types';
+
+/**
+ * @component PaymentMethodForm
+ * @description Selector de método de pago
+ *
+ * PROPS:
+ * @param {string} selectedMethod - Método seleccionado (PAYMENT_METHODS)
+ * @param {Function} onSelect - Callback al seleccionar método
+ * @param {boolean} loading - Estado de carga
+ */
+const PaymentMethodForm = ({
+  selectedMethod = null,
+  onSelect,
+  loading = false
+}) => {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-4">
+        Método de Pago
+      </h3>
+
+      <div className="space-y-3">
+        {Object.values(PAYMENT_METHODS).map((method) => {
+          const isSelected = selectedMethod === method;
+
+          return (
+            <button
+              key={method}
+              type="button"
+              onClick={() => onSelect(method)}
+              disabled={loading}
+              className={`w-full flex items-center gap-3 p-4 border-2 rounded-lg text-left transition-all ${
+                isSelected
+                  ? 'border-blue-600 bg-blue-50'
+                  : 'border-gray-200 hover:border-gray-300'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              <div className={`w-5 h-5 rounded-full border-2 flex items-center justify-center ${
+                isSelected ? 'border-blue-600' : 'border-gray-300'
+              }`}>
+                {isSelected && (
+                  <div className="w-3 h-3 bg-blue-600 rounded-full"></div>
+                )}
+              </div>
+              <div>
+                <p className="font-medium text-gray-900">
+                  {PAYMENT_METHOD_LABELS[method]}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {PAYMENT_METHOD_DESCRIPTIONS[method]}
+                </p>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentMethodForm;
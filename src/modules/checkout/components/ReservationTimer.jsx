@@ -0,0 +1,105 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useCountdown } from '../../promotions/hooks/useCountdown';
+import { RESERVATION_STATUS, RESERVATION_CONFIG } from '../types/checkout.types';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Cuenta regresiva de la reserva activa (montar con key={expiresAt})
+ */
+const ActiveReservation = ({ expiresAt }) => {
+  const { minutes, seconds, total } = useCountdown(expiresAt);
+  const isEnding = total <= RESERVATION_CONFIG.WARNING_SECONDS * 1000;
+
+  return (
+    <div
+      className={`mb-6 p-4 rounded-lg border text-sm flex items-center justify-between gap-3 ${
+        isEnding
+          ? 'bg-orange-50 border-orange-200 text-orange-800'
+          : 'bg-blue-50 border-blue-200 text-blue-800'
+      }`}
+      role="timer"
+      aria-live={isEnding ? 'polite' : 'off'}
+    >
+      <span>⏱️ Tus productos están reservados por</span>
+      <span className="font-mono font-bold text-lg">
+        {pad(minutes)}:{pad(seconds)}
+      </span>
+    </div>
+  );
+};
+
+/**
+ * @component ReservationTimer
+ * @description Estado de la reserva de stock durante el checkout
+ *
+ * PROPS:
+ * @param {Object} reservation - { status, expiresAt, shortages, renew } de useCheckout
+ */
+const ReservationTimer = ({ reservation }) => {
+  const { status, expiresAt, shortages = [], renew } = reservation || {};
+
+  switch (status) {
+    case RESERVATION_STATUS.RESERVING:
+      return (
+        <div className="mb-6 p-4 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-600">
+          Reservando tus productos...
+        </div>
+      );
+
+    case RESERVATION_STATUS.ACTIVE:
+      return <ActiveReservation key={expiresAt} expiresAt={expiresAt} />;
+
+    case RESERVATION_STATUS.EXPIRED:
+      return (
+        <div className="mb-6 p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700 flex items-center justify-between gap-3">
+          <span>Tu reserva venció y los productos quedaron disponibles para otros clientes.</span>
+          <button
+            type="button"
+            onClick={renew}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors whitespace-nowrap"
+          >
+            Reservar de nuevo
+          </button>
+        </div>
+      );
+
+    case RESERVATION_STATUS.FAILED:
+      if (shortages.length) {
+        return (
+          <div className="mb-6 p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700">
+            <p className="font-semibold mb-2">No hay stock suficiente para:</p>
+            <ul className="list-disc list-inside mb-3">
+              {shortages.map(shortage => (
+                <li key={shortage.productId}>
+                  {shortage.name}: pediste {shortage.requested}, disponibles {shortage.available}
+                </li>
+              ))}
+            </ul>
+            <Link to="/carrito" className="font-medium underline hover:text-red-800">
+              Ajustar mi carrito
+            </Link>
+          </div>
+        );
+      }
+
+      return (
+        <div className="mb-6 p-4 rounded-lg border border-yellow-200 bg-yellow-50 text-sm text-yellow-800 flex items-center justify-between gap-3">
+          <span>No pudimos reservar tus productos. Verificaremos el stock antes de confirmar el pago.</span>
+          <button
+            type="button"
+            onClick={renew}
+            className="px-4 py-2 border border-yellow-400 rounded-lg hover:bg-yellow-100 transition-colors whitespace-nowrap"
+          >
+            Reintentar
+          </button>
+        </div>
+      );
+
+    default:
+      return null;
+  }
+};
+
+export default ReservationTimer;
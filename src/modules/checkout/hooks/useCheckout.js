@@ -0,0 +1,388 @@
+import { useState, useCallback, useRef } from 'react';
+import { useCartContext } from '../../cart/context/CartContext';
+import { useCartActions } from '../../cart/hooks/useCartActions';
+import { formatValidationErrors } from '../../cart/schemas/cart.schema';
+import { ordersAPI } from '../../orders/api/orders.api';
+import { SHIPPING_METHODS } from '../../cart/types/cart.types';
+import { calculateSubtotal, isCartEmpty } from '../../cart/utils/cartHelpers';
+import { calculateShippingRate } from '../../cart/utils/shippingRates';
+import { buildPickupAddress, buildPickupSelection } from '../../pickup/utils/pickupHelpers';
+import { requiresOnlinePayment } from '../../payments/utils/paymentHelpers';
+import { validateCreateOrder, validatePaymentMethod } from '../schemas/checkout.schema';
+import {
+  CHECKOUT_STEPS,
+  CHECKOUT_ERROR_MESSAGES,
+  RESERVATION_STATUS
+} from '../types/checkout.types';
+import {
+  getNextStep,
+  getPreviousStep,
+  canAccessStep,
+  buildOrderPayload,
+  formatStockShortages
+} from '../utils/checkoutHelpers';
+import { useStockReservation } from './useStockReservation';
+
+/**
+ * @hook useCheckout
+ * @description Máquina de pasos del checkout
+ *
+ * FLUJO:
+ * address → shipping → payment → review → confirmation
+ *
+ * CARACTERÍSTICAS:
+ * - Dirección y método de envío se guardan en el carrito (cartAPI)
+ *   usando useCartActions, que valida con cart.schema
+ * - Recogida en tienda: el punto reemplaza la dirección y se salta
+ *   la elección de método de envío
+ * - Método de pago se mantiene localmente hasta confirmar
+ * - El stock del carrito queda reservado mientras dura el checkout
+ *   (useStockReservation) y se re-verifica antes de crear la orden y
+ *   antes de confirmar el pago en línea (verifyPaymentStock)
+ * - placeOrder envía el carrito de CartContext como orden (ordersAPI)
+ * - El carrito se vacía al crear la orden solo si no hay pago en línea;
+ *   con pago en línea se vacía con clearOrderedCart cuando se aprueba
+ *
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} Estado y acciones del checkout
+ *
+ * @example
+ * const {
+ *   currentStep,
+ *   goNext,
+ *   saveAddress,
+ *   placeOrder,
+ *   order
+ * } = useCheckout(toast.success, toast.error);
+ */
+export const useCheckout = (onSuccess, onError) => {
+  const context = useCartContext();
+  const cartActions = useCartActions(null, onError);
+
+  const [currentStep, setCurrentStep] = useState(CHECKOUT_STEPS.ADDRESS);
+  const [paymentMethod, setPaymentMethod] = useState(null);
+  const [order, setOrder] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const checkoutData = { paymentMethod, order };
+
+  // Evita vaciar el carrito dos veces (el contexto cambia tras vaciarlo)
+  const cartClearedRef = useRef(false);
+  // Reserva con la que se creó la orden (sus unidades cuentan al re-verificar)
+  const orderReservationIdRef = useRef(null);
+
+  const reservation = useStockReservation({
+    enabled: !order && !isCartEmpty(context.cart)
+  });
+  const { verifyStock, consume: consumeReservation } = reservation;
+
+  // ============================================================================
+  // HELPER: NOTIFICAR ERROR
+  // ============================================================================
+
+  const reportError = useCallback((message) => {
+    setError(message);
+    if (onError) onError(message);
+  }, [onError]);
+
+  // ============================================================================
+  // NAVEGACIÓN
+  // ============================================================================
+
+  /**
+   * Ir a un paso específico (solo si los anteriores están completos)
+   */
+  const goToStep = useCallback((step) => {
+    if (order) return false;
+
+    if (!canAccessStep(step, context.cart, { paymentMethod })) {
+      return false;
+    }
+
+    setError(null);
+    setCurrentStep(step);
+    return true;
+  }, [context.cart, paymentMethod, order]);
+
+  /**
+   * Avanzar al siguiente paso
+   */
+  const goNext = useCallback(() => {
+    const next = getNextStep(currentStep);
+    return next ? goToStep(next) : false;
+  }, [currentStep, goToStep]);
+
+  /**
+   * Volver al paso anterior
+   */
+  const goBack = useCallback(() => {
+    const previous = getPreviousStep(currentStep);
+    return previous ? goToStep(previous) : false;
+  }, [currentStep, goToStep]);
+
+  // ============================================================================
+  // PASO 1: DIRECCIÓN
+  // ============================================================================
+
+  /**
+   * Guardar dirección en el carrito y avanzar
+   * Validación: cart.schema -> updateShippingAddressSchema
+   */
+  const saveAddress = useCallback(async (addressData) => {
+    try {
+      const result = await cartActions.updateAddress(addressData);
+      if (!result) return false;
+
+      // Volver a envío a domicilio descarta el punto de recogida
+      if (context.cart?.shippingMethod === SHIPPING_METHODS.PICKUP) {
+        const items = context.cart.items || [];
+        const quote = calculateShippingRate({
+          destination: addressData,
+          items,
+          method: SHIPPING_METHODS.STANDARD,
+          subtotal: calculateSubtotal(items)
+        });
+
+        const shippingResult = await cartActions.updateShipping({
+          method: quote.method,
+          cost: quote.cost
+        });
+        if (!shippingResult) return false;
+      }
+
+      setError(null);
+      setCurrentStep(CHECKOUT_STEPS.SHIPPING);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [cartActions, context.cart]);
+
+  // ============================================================================
+  // PASO 2: MÉTODO DE ENVÍO
+  // ============================================================================
+
+  /**
+   * Guardar método de envío en el carrito
+   * Validación: cart.schema -> updateShippingMethodSchema
+   */
+  const saveShippingMethod = useCallback(async (shippingData) => {
+    try {
+      const result = await cartActions.updateShipping(shippingData);
+      return !!result;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [cartActions]);
+
+  /**
+   * Guardar recogida en tienda: la dirección de la orden es la del punto
+   * con los datos de quien recoge, y el método queda en PICKUP (sin costo)
+   *
+   * @param {Object} data - { location, window, contact }
+   */
+  const savePickup = useCallback(async ({ location, window, contact }) => {
+    try {
+      const addressResult = await cartActions.updateAddress(buildPickupAddress(location, contact));
+      if (!addressResult) return false;
+
+      const shippingResult = await cartActions.updateShipping({
+        method: SHIPPING_METHODS.PICKUP,
+        cost: 0,
+        pickup: buildPickupSelection(location, window)
+      });
+      if (!shippingResult) return false;
+
+      setError(null);
+      setCurrentStep(CHECKOUT_STEPS.PAYMENT);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [cartActions]);
+
+  // ============================================================================
+  // PASO 3: MÉTODO DE PAGO
+  // ============================================================================
+
+  /**
+   * Seleccionar método de pago
+   */
+  const selectPaymentMethod = useCallback(async (method) => {
+    try {
+      const validated = await validatePaymentMethod({ paymentMethod: method });
+      setPaymentMethod(validated.paymentMethod);
+      setError(null);
+      return true;
+    } catch (err) {
+      reportError(err.message);
+      return false;
+    }
+  }, [reportError]);
+
+  // ============================================================================
+  // PASO 4: CONFIRMAR ORDEN
+  // ============================================================================
+
+  /**
+   * Vaciar el carrito ya convertido en orden (una sola vez)
+   * Con pago en línea se llama cuando la pasarela aprueba el pago,
+   * así un rechazo o abandono no deja al cliente sin carrito
+   */
+  const clearOrderedCart = useCallback(async () => {
+    if (cartClearedRef.current) return;
+    cartClearedRef.current = true;
+    await context.clearCartItems();
+  }, [context]);
+
+  /**
+   * Enviar el carrito como orden
+   */
+  const placeOrder = useCallback(async () => {
+    if (submitting || order) return null;
+
+    if (reservation.status === RESERVATION_STATUS.EXPIRED) {
+      reportError(CHECKOUT_ERROR_MESSAGES.RESERVATION_EXPIRED);
+      return null;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      // Otro cliente pudo comprar las últimas unidades si la reserva no se logró
+      let shortages;
+      try {
+        shortages = await verifyStock(context.cart?.items);
+      } catch (err) {
+        console.error('[useCheckout] Error checking stock:', err);
+        reportError(CHECKOUT_ERROR_MESSAGES.STOCK_CHECK_FAILED);
+        return null;
+      }
+
+      if (shortages.length) {
+        reportError(formatStockShortages(shortages));
+        return null;
+      }
+
+      const payload = await validateCreateOrder(
+        buildOrderPayload(context.cart, {
+          paymentMethod,
+          reservationId: reservation.reservationId
+        })
+      );
+
+      const response = await ordersAPI.createOrder(payload);
+
+      if (!response?.success) {
+        reportError(response?.message || CHECKOUT_ERROR_MESSAGES.ORDER_FAILED);
+        return null;
+      }
+
+      orderReservationIdRef.current = reservation.reservationId;
+      consumeReservation();
+      setOrder(response.data);
+      setCurrentStep(CHECKOUT_STEPS.CONFIRMATION);
+
+      // Sin pago en línea el carrito ya fue convertido en orden
+      if (!requiresOnlinePayment(response.data?.paymentMethod || paymentMethod)) {
+        await clearOrderedCart();
+      }
+
+      if (onSuccess) onSuccess(response.message);
+      return response.data;
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        const errors = formatValidationErrors(err);
+        reportError(Object.values(errors)[0]);
+        return null;
+      }
+
+      console.error('[useCheckout] Error creating order:', err);
+      reportError(err.message || CHECKOUT_ERROR_MESSAGES.ORDER_FAILED);
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  }, [context, paymentMethod, submitting, order, reservation.status, reservation.reservationId, verifyStock, consumeReservation, clearOrderedCart, onSuccess, reportError]);
+
+  /**
+   * Re-verifica el stock de la orden justo antes de confirmar el pago en línea
+   * @returns {Promise<boolean>} true si se puede cobrar
+   */
+  const verifyPaymentStock = useCallback(async () => {
+    if (!order || submitting) return false;
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const shortages = await verifyStock(order.items, orderReservationIdRef.current);
+
+      if (shortages.length) {
+        reportError(formatStockShortages(shortages));
+        return false;
+      }
+      return true;
+    } catch (err) {
+      console.error('[useCheckout] Error checking stock before payment:', err);
+      reportError(CHECKOUT_ERROR_MESSAGES.STOCK_CHECK_FAILED);
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  }, [order, submitting, verifyStock, reportError]);
+
+  // ============================================================================
+  // RETURN
+  // ============================================================================
+
+  return {
+    // Estado
+    currentStep,
+    paymentMethod,
+    order,
+    submitting,
+    loading: cartActions.loading,
+    error: error || cartActions.error,
+
+    // Reserva de stock
+    reservation: {
+      status: reservation.status,
+      expiresAt: reservation.expiresAt,
+      shortages: reservation.shortages,
+      renew: reservation.renew
+    },
+
+    // Navegación
+    goToStep,
+    goNext,
+    goBack,
+    canAccessStep: (step) => canAccessStep(step, context.cart, checkoutData),
+
+    // Acciones
+    saveAddress,
+    saveShippingMethod,
+    savePickup,
+    selectPaymentMethod,
+    applyCoupon: cartActions.applyCoupon,
+    removeCoupon: cartActions.removeCoupon,
+    placeOrder,
+    verifyPaymentStock,
+    clearOrderedCart,
+
+    // Helpers
+    clearError: () => {
+      setError(null);
+      cartActions.clearError();
+    }
+  };
+};
+
+export default useCheckout;
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import * as cartAPI from '../../cart/api/cart.api';
+import { productsAPI } from '../../products/api/products.api';
+import { RESERVATION_STATUS } from '../types/checkout.types';
+import { getStockShortages } from '../utils/checkoutHelpers';
+
+/**
+ * @hook useStockReservation
+ * @description Reserva temporal del stock del carrito durante el checkout
+ *
+ * FLUJO:
+ * enabled → reserveStock → (expiresAt) → releaseStockReservation
+ *
+ * CARACTERÍSTICAS:
+ * - Reserva al habilitarse y libera al salir del checkout (también una
+ *   reserva que llega después de salir)
+ * - Al vencer libera la reserva y queda en EXPIRED hasta renew()
+ * - verifyStock re-consulta productsAPI.checkStock antes de confirmar el pago
+ * - consume() suelta la reserva sin liberarla (la orden ya la convirtió)
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Reservar mientras sea true
+ *
+ * @returns {Object} { status, reservationId, expiresAt, shortages, renew, verifyStock, consume }
+ *
+ * @example
+ * const reservation = useStockReservation({ enabled: !order });
+ */
+export const useStockReservation = ({ enabled = true } = {}) => {
+  const [status, setStatus] = useState(RESERVATION_STATUS.RESERVING);
+  const [reservation, setReservation] = useState(null);
+  const [shortages, setShortages] = useState([]);
+
+  // Reserva vigente para liberarla al desmontar sin depender del render
+  const reservationRef = useRef(null);
+  // false tras salir del checkout: una reserva que llega tarde se libera
+  const activeRef = useRef(false);
+
+  /**
+   * Pide la reserva al backend (las actualizaciones de estado van después del await)
+   */
+  const reserve = useCallback(async () => {
+    try {
+      const response = await cartAPI.reserveStock();
+
+      if (!response?.success) {
+        throw new Error(response?.message);
+      }
+
+      if (!activeRef.current) {
+        await cartAPI.releaseStockReservation().catch((err) => {
+          console.error('[useStockReservation] Error releasing late reservation:', err);
+        });
+        return null;
+      }
+
+      reservationRef.current = response.data;
+      setReservation(response.data);
+      setShortages([]);
+      setStatus(RESERVATION_STATUS.ACTIVE);
+      return response.data;
+    } catch (err) {
+      console.error('[useStockReservation] Error reserving stock:', err);
+      if (!activeRef.current) return null;
+
+      reservationRef.current = null;
+      setReservation(null);
+      setShortages(err?.data?.shortages || []);
+      setStatus(RESERVATION_STATUS.FAILED);
+      return null;
+    }
+  }, []);
+
+  const release = useCallback(async () => {
+    if (!reservationRef.current) return;
+    reservationRef.current = null;
+
+    try {
+      await cartAPI.releaseStockReservation();
+    } catch (err) {
+      // El backend también la libera al vencer
+      console.error('[useStockReservation] Error releasing reservation:', err);
+    }
+  }, []);
+
+  /**
+   * Reservar de nuevo (tras vencer o fallar)
+   */
+  const renew = useCallback(() => {
+    setStatus(RESERVATION_STATUS.RESERVING);
+    return reserve();
+  }, [reserve]);
+
+  /**
+   * La orden se creó con la reserva: ya no hay que liberarla
+   */
+  const consume = useCallback(() => {
+    reservationRef.current = null;
+    setReservation(null);
+    setStatus(RESERVATION_STATUS.IDLE);
+  }, []);
+
+  /**
+   * Verifica el stock de cada item (las unidades de la reserva cuentan como disponibles)
+   * @param {Array} items - Items del carrito o de la orden
+   * @param {string} reservationId - Reserva a descontar (default: la vigente)
+   * @returns {Promise<Array>} Faltantes (vacío si todo está disponible)
+   * @throws {Error} Si el servicio de stock no responde
+   */
+  const verifyStock = useCallback(async (items = [], reservationId = reservationRef.current?.reservationId || null) => {
+
+    const results = await Promise.all(items.map(item =>
+      productsAPI
+        .checkStock(item.product?._id || item.product, item.quantity, reservationId)
+        .catch(err => {
+          // 4xx: el backend respondió que no hay stock; lo demás es un fallo real
+          if (!err?.statusCode || err.statusCode >= 500) throw err;
+          return { success: false, data: err.data?.data || null };
+        })
+    ));
+
+    const found = getStockShortages(items, results);
+    setShortages(found);
+    return found;
+  }, []);
+
+  // ============================================================================
+  // RESERVAR AL ENTRAR / LIBERAR AL SALIR
+  // ============================================================================
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    activeRef.current = true;
+    reserve();
+    return () => {
+      activeRef.current = false;
+      release();
+    };
+  }, [enabled, reserve, release]);
+
+  // ============================================================================
+  // VENCIMIENTO
+  // ============================================================================
+
+  useEffect(() => {
+    if (!reservation?.expiresAt) return undefined;
+
+    const timer = setTimeout(() => {
+      release();
+      setReservation(null);
+      setStatus(RESERVATION_STATUS.EXPIRED);
+    }, Math.max(0, new Date(reservation.expiresAt).getTime() - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [reservation, release]);
+
+  return {
+    status: enabled ? status : RESERVATION_STATUS.IDLE,
+    reservationId: reservation?.reservationId || null,
+    expiresAt: reservation?.expiresAt || null,
+    shortages,
+    renew,
+    verifyStock,
+    consume
+  };
+};
+
+export default useStockReservation;
@@ -0,0 +1,424 @@
+// src/modules/checkout/pages/CheckoutPage.jsx
+import { useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { Lock } from 'lucide-react';
+import useCart from '../../cart/hooks/useCart';
+import ShippingForm from '../../cart/components/ShippingForm';
+import CouponForm from '../../cart/components/CouponForm';
+import CartSummary from '../../cart/components/CartSummary';
+import EmptyCart from '../../cart/components/EmptyCart';
+import { calculateShippingRate } from '../../cart/utils/shippingRates';
+import { SHIPPING_METHODS } from '../../cart/types/cart.types';
+import { formatPickupWindow } from '../../pickup/utils/pickupHelpers';
+import useAddressBook from '../../addresses/hooks/useAddressBook';
+import usePayment from '../../payments/hooks/usePayment';
+import PaymentProcessor from '../../payments/components/PaymentProcessor';
+import { PAYMENT_PROVIDERS } from '../../payments/types/payment.types';
+import { requiresOnlinePayment } from '../../payments/utils/paymentHelpers';
+import useCheckout from '../hooks/useCheckout';
+import CheckoutSteps from '../components/CheckoutSteps';
+import PaymentMethodForm from '../components/PaymentMethodForm';
+import OrderReview from '../components/OrderReview';
+import OrderConfirmation from '../components/OrderConfirmation';
+import ReservationTimer from '../components/ReservationTimer';
+import { CHECKOUT_STEPS, CHECKOUT_ERROR_MESSAGES } from '../types/checkout.types';
+
+/**
+ * @component CheckoutPage
+ * @description Checkout multi-paso
+ *
+ * PASOS:
+ * 1. Dirección de envío (ShippingForm + libreta de direcciones)
+ *    o punto y franja de recogida en tienda (PickupPointSelector)
+ * 2. Método de envío (ShippingForm); con recogida solo se muestra el resumen
+ * 3. Método de pago (PaymentMethodForm)
+ * 4. Revisión (OrderReview)
+ *    → Pago en pasarela (PaymentProcessor) si el método es en línea
+ * 5. Confirmación (OrderConfirmation)
+ *
+ * Mientras dura el checkout el stock queda reservado (ReservationTimer)
+ */
+export default function CheckoutPage() {
+  const { cart, loading, summary, isEmpty, shippingInfo } = useCart();
+
+  const {
+    currentStep,
+    paymentMethod,
+    order,
+    submitting,
+    loading: actionLoading,
+    error,
+    reservation,
+    goToStep,
+    goNext,
+    goBack,
+    canAccessStep,
+    saveAddress,
+    saveShippingMethod,
+    savePickup,
+    selectPaymentMethod,
+    applyCoupon,
+    removeCoupon,
+    placeOrder,
+    verifyPaymentStock,
+    clearOrderedCart
+  } = useCheckout(
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
+  );
+
+  const {
+    addresses: savedAddresses,
+    loading: addressesLoading,
+    saving: addressSaving,
+    createAddress
+  } = useAddressBook(
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
+  );
+
+  const {
+    order: paidOrder,
+    transaction,
+    provider: paymentProvider,
+    processing: paymentProcessing,
+    error: paymentError,
+    isApproved: paymentApproved,
+    pollingTimedOut,
+    startPayment,
+    confirmPayment,
+    cancelPayment,
+    retryPayment,
+    simulateWebhook
+  } = usePayment(
+    (msg) => toast.success(msg, { autoClose: 2000 }),
+    (err) => toast.error(err, { autoClose: 3000 })
+  );
+
+  const busy = loading || actionLoading || submitting || addressSaving;
+
+  // El carrito se vacía solo cuando la pasarela aprueba el pago
+  useEffect(() => {
+    if (paymentApproved) clearOrderedCart();
+  }, [paymentApproved, clearOrderedCart]);
+
+  /**
+   * Crear la orden y, si el método es en línea, iniciar el pago
+   */
+  const handlePlaceOrder = async () => {
+    const createdOrder = await placeOrder();
+    if (createdOrder && requiresOnlinePayment(createdOrder.paymentMethod)) {
+      await startPayment(createdOrder);
+    }
+  };
+
+  /**
+   * Re-verificar el stock antes de cobrar
+   */
+  const handleConfirmPayment = async (details) => {
+    if (!(await verifyPaymentStock())) return null;
+    return confirmPayment(details);
+  };
+
+  // ============================================================================
+  // RENDER: LOADING STATE
+  // ============================================================================
+
+  if (loading && !cart && !order) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+        <div className="w-16 h-16 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // RENDER: CONFIRMACIÓN
+  // ============================================================================
+
+  if (order) {
+    const awaitingPayment = requiresOnlinePayment(order.paymentMethod) && !paymentApproved;
+    // Hasta que startPayment responda no hay transacción ni error
+    const startingPayment = !transaction && !paymentError;
+
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+        <div className="container mx-auto px-4 py-8">
+          <CheckoutSteps currentStep={awaitingPayment ? CHECKOUT_STEPS.PAYMENT : CHECKOUT_STEPS.CONFIRMATION} />
+          {awaitingPayment ? (
+            <PaymentProcessor
+              order={order}
+              transaction={transaction}
+              isSandbox={paymentProvider === PAYMENT_PROVIDERS.SANDBOX}
+              processing={paymentProcessing || startingPayment || submitting}
+              pollingTimedOut={pollingTimedOut}
+              onConfirm={handleConfirmPayment}
+              onCancel={cancelPayment}
+              onRetry={retryPayment}
+              onSimulateWebhook={simulateWebhook}
+            />
+          ) : (
+            <OrderConfirmation order={paidOrder || order} />
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // RENDER: CARRITO VACÍO
+  // ============================================================================
+
+  if (isEmpty) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+        <div className="container mx-auto px-4 py-8">
+          <EmptyCart message={CHECKOUT_ERROR_MESSAGES.EMPTY_CART} />
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // RENDER: PASO ACTUAL
+  // ============================================================================
+
+  const renderStep = () => {
+    switch (currentStep) {
+      case CHECKOUT_STEPS.ADDRESS:
+        // Esperar la libreta para que ShippingForm precargue la predeterminada
+        if (addressesLoading) {
+          return (
+            <div className="flex justify-center py-12">
+              <div className="w-10 h-10 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          );
+        }
+
+        return (
+          <>
+            <ShippingForm
+              currentShipping={shippingInfo}
+              currentAddress={cart?.shippingAddress?.street ? cart.shippingAddress : null}
+              onAddressChange={saveAddress}
+              loading={busy}
+              showMethodSection={false}
+              savedAddresses={savedAddresses}
+              onSaveToAddressBook={createAddress}
+              items={cart?.items}
+              onPickupConfirm={savePickup}
+              onPickupError={(msg) => toast.error(msg, { autoClose: 3000 })}
+            />
+            {/* Dirección ya guardada en el carrito: permitir continuar sin editar */}
+            {cart?.shippingAddress?.street && (
+              <StepActions onNext={goNext} loading={busy} />
+            )}
+          </>
+        );
+
+      case CHECKOUT_STEPS.SHIPPING:
+        // Recogida en tienda: el punto se elige en el paso de dirección
+        if (shippingInfo.method === SHIPPING_METHODS.PICKUP) {
+          return (
+            <>
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-bold text-gray-900">
+                    Recoger en tienda
+                  </h3>
+                  <button
+                    onClick={() => goToStep(CHECKOUT_STEPS.ADDRESS)}
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                  >
+                    Cambiar
+                  </button>
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg">
+                  <p className="font-medium text-gray-900">{shippingInfo.pickup?.locationName}</p>
+                  <p className="text-sm text-gray-600 mt-1">{shippingInfo.pickup?.address}</p>
+                  <p className="text-sm text-gray-600 mt-2">
+                    {formatPickupWindow(shippingInfo.pickup?.window)}
+                  </p>
+                </div>
+              </div>
+              <StepActions
+                onBack={goBack}
+                onNext={() => goToStep(CHECKOUT_STEPS.PAYMENT)}
+                loading={busy}
+              />
+            </>
+          );
+        }
+
+        return (
+          <>
+            <ShippingForm
+              currentShipping={shippingInfo}
+              onMethodChange={saveShippingMethod}
+              loading={busy}
+              showAddressSection={false}
+              allowPickup={false}
+              destination={cart?.shippingAddress}
+              items={cart?.items}
+              subtotal={summary?.subtotal}
+            />
+            <StepActions
+              onBack={goBack}
+              onNext={async () => {
+                // Persistir el método mostrado por defecto, o recotizar si cambió
+                // la dirección o el carrito desde que se eligió
+                const quote = calculateShippingRate({
+                  destination: cart?.shippingAddress,
+                  items: cart?.items,
+                  method: shippingInfo.method,
+                  subtotal: summary?.subtotal
+                });
+
+                if (!quote.available) {
+                  toast.error(quote.reason);
+                  return;
+                }
+
+                if (!cart?.shippingMethod || cart.shippingCost !== quote.cost) {
+                  const saved = await saveShippingMethod({
+                    method: quote.method,
+                    cost: quote.cost
+                  });
+                  if (!saved) return;
+                }
+                goToStep(CHECKOUT_STEPS.PAYMENT);
+              }}
+              loading={busy}
+            />
+          </>
+        );
+
+      case CHECKOUT_STEPS.PAYMENT:
+        return (
+          <>
+            <PaymentMethodForm
+              selectedMethod={paymentMethod}
+              onSelect={selectPaymentMethod}
+              loading={busy}
+            />
+            <StepActions
+              onBack={goBack}
+              onNext={() => {
+                if (!paymentMethod) {
+                  toast.error(CHECKOUT_ERROR_MESSAGES.MISSING_PAYMENT_METHOD);
+                  return;
+                }
+                goNext();
+              }}
+              nextDisabled={!paymentMethod}
+              loading={busy}
+            />
+          </>
+        );
+
+      case CHECKOUT_STEPS.REVIEW:
+        return (
+          <>
+            <OrderReview
+              cart={cart}
+              paymentMethod={paymentMethod}
+              onEditStep={goToStep}
+              onPlaceOrder={handlePlaceOrder}
+              submitting={submitting}
+            />
+            <StepActions onBack={goBack} loading={busy} />
+          </>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+      <div className="container mx-auto px-4 py-8">
+
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl lg:text-4xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-3">
+            <Lock className="h-8 w-8 text-blue-600" />
+            Finalizar Compra
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Completa los pasos para confirmar tu pedido
+          </p>
+        </div>
+
+        <CheckoutSteps
+          currentStep={currentStep}
+          onStepClick={goToStep}
+          canAccessStep={canAccessStep}
+        />
+
+        <ReservationTimer reservation={reservation} />
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {/* Main Grid */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            {renderStep()}
+          </div>
+
+          {/* Sidebar */}
+          <div className="space-y-6">
+            <CouponForm
+              onApply={applyCoupon}
+              onRemove={removeCoupon}
+              cart={cart}
+              loading={busy}
+            />
+
+            <CartSummary
+              summary={summary}
+              cart={cart}
+              loading={busy}
+              showCheckoutButton={false}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function StepActions({ onBack, onNext, nextDisabled = false, loading = false }) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      {onBack ? (
+        <button
+          type="button"
+          onClick={onBack}
+          disabled={loading}
+          className="px-6 py-3 border border-gray-300 text-gray-700 dark:text-gray-200 rounded-lg font-medium hover:bg-gray-50 dark:hover:bg-slate-700 disabled:opacity-50 transition-colors"
+        >
+          Atrás
+        </button>
+      ) : <span />}
+      {onNext && (
+        <button
+          type="button"
+          onClick={onNext}
+          disabled={loading || nextDisabled}
+          className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          Continuar
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import * as Yup from 'yup';
+import { CART_LIMITS, SHIPPING_METHODS } from '../../cart/types/cart.types';
+import {
+  updateShippingAddressSchema,
+  pickupSchema,
+  updateShippingMethodSchema,
+  giftOptionsSchema,
+  updateNotesSchema
+} from '../../cart/schemas/cart.schema';
+import { PAYMENT_METHODS, CHECKOUT_ERROR_MESSAGES } from '../types/checkout.types';
+
+/**
+ * @module CheckoutSchemas
+ * @description Validaciones Yup para el checkout
+ *
+ * Dirección, método de envío, regalos y notas reutilizan cart.schema (sincronizado con backend)
+ * para que la orden pase exactamente las mismas reglas que el carrito.
+ */
+
+/**
+ * SCHEMA: Método de Pago
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const paymentMethodSchema = Yup.object({
+  paymentMethod: Yup.string()
+    .oneOf(Object.values(PAYMENT_METHODS), 'Método de pago inválido')
+    .required(CHECKOUT_ERROR_MESSAGES.MISSING_PAYMENT_METHOD)
+});
+
+/**
+ * SCHEMA: Crear Orden
+ *
+ * BACKEND: createOrderValidation (order.validation.js)
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const createOrderSchema = Yup.object({
+  items: Yup.array()
+    .of(
+      Yup.object({
+        productId: Yup.string().required('El ID del producto es requerido'),
+        quantity: Yup.number()
+          .integer('La cantidad debe ser un número entero')
+          .min(CART_LIMITS.MIN_QUANTITY, `La cantidad mínima es ${CART_LIMITS.MIN_QUANTITY}`)
+          .max(CART_LIMITS.MAX_QUANTITY, `La cantidad máxima es ${CART_LIMITS.MAX_QUANTITY}`)
+          .required('La cantidad es requerida'),
+        attributes: Yup.object().default({}),
+        price: Yup.number().min(0, 'El precio no puede ser negativo'),
+        giftOptions: giftOptionsSchema.nullable().default(null)
+      })
+    )
+    .min(1, CHECKOUT_ERROR_MESSAGES.EMPTY_CART)
+    .required(CHECKOUT_ERROR_MESSAGES.EMPTY_CART),
+
+  shippingAddress: updateShippingAddressSchema
+    .required(CHECKOUT_ERROR_MESSAGES.MISSING_ADDRESS),
+
+  shippingMethod: updateShippingMethodSchema.fields.method,
+
+  shippingCost: updateShippingMethodSchema.fields.cost,
+
+  pickup: pickupSchema
+    .nullable()
+    .default(null)
+    .when('shippingMethod', {
+      is: SHIPPING_METHODS.PICKUP,
+      then: (schema) => schema.required(CHECKOUT_ERROR_MESSAGES.MISSING_PICKUP)
+    }),
+
+  paymentMethod: paymentMethodSchema.fields.paymentMethod,
+
+  // Reserva de stock del checkout (el backend la convierte en la orden)
+  reservationId: Yup.string().nullable().default(null),
+
+  couponCode: Yup.string()
+    .trim()
+    .uppercase()
+    .max(CART_LIMITS.MAX_COUPON_LENGTH)
+    .nullable(),
+
+  // Cupones acumulados (COUPON_STACKING_RULES); couponCode es el primero
+  couponCodes: Yup.array()
+    .of(Yup.string().trim().uppercase().max(CART_LIMITS.MAX_COUPON_LENGTH))
+    .default([]),
+
+  // Notas para el equipo de despacho (se copian del carrito)
+  notes: updateNotesSchema.fields.notes
+});
+
+/**
+ * Valida método de pago
+ * @param {Object} data - { paymentMethod }
+ * @returns {Promise<Object>} Datos validados
+ * @throws {Yup.ValidationError} Si validación falla
+ */
+export const validatePaymentMethod = async (data) => {
+  return await paymentMethodSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Valida payload completo de la orden
+ * @param {Object} data - Payload generado por buildOrderPayload
+ * @returns {Promise<Object>} Datos validados
+ * @throws {Yup.ValidationError} Si validación falla
+ */
+export const validateCreateOrder = async (data) => {
+  return await createOrderSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+export default {
+  paymentMethodSchema,
+  createOrderSchema,
+  validatePaymentMethod,
+  validateCreateOrder
+};
@@ -0,0 +1,125 @@
+/**
+ * @module CheckoutTypes
+ * @description Constantes y enums para el flujo de checkout
+ *
+ * FLUJO:
+ * address → shipping → payment → review → confirmation
+ */
+
+/**
+ * PASOS DEL CHECKOUT
+ * El orden del array CHECKOUT_STEP_ORDER define la navegación
+ */
+export const CHECKOUT_STEPS = {
+  ADDRESS: 'address',
+  SHIPPING: 'shipping',
+  PAYMENT: 'payment',
+  REVIEW: 'review',
+  CONFIRMATION: 'confirmation'
+};
+
+/**
+ * ORDEN DE LOS PASOS
+ */
+export const CHECKOUT_STEP_ORDER = [
+  CHECKOUT_STEPS.ADDRESS,
+  CHECKOUT_STEPS.SHIPPING,
+  CHECKOUT_STEPS.PAYMENT,
+  CHECKOUT_STEPS.REVIEW,
+  CHECKOUT_STEPS.CONFIRMATION
+];
+
+/**
+ * LABELS DE LOS PASOS
+ */
+export const CHECKOUT_STEP_LABELS = {
+  [CHECKOUT_STEPS.ADDRESS]: 'Dirección',
+  [CHECKOUT_STEPS.SHIPPING]: 'Envío',
+  [CHECKOUT_STEPS.PAYMENT]: 'Pago',
+  [CHECKOUT_STEPS.REVIEW]: 'Revisión',
+  [CHECKOUT_STEPS.CONFIRMATION]: 'Confirmación'
+};
+
+/**
+ * MÉTODOS DE PAGO
+ * Enum sincronizado con order.model.js -> paymentMethod
+ */
+export const PAYMENT_METHODS = {
+  CREDIT_CARD: 'credit_card',
+  PSE: 'pse',
+  CASH_ON_DELIVERY: 'cash_on_delivery'
+};
+
+/**
+ * LABELS DE MÉTODOS DE PAGO
+ */
+export const PAYMENT_METHOD_LABELS = {
+  [PAYMENT_METHODS.CREDIT_CARD]: 'Tarjeta de crédito / débito',
+  [PAYMENT_METHODS.PSE]: 'PSE - Débito bancario',
+  [PAYMENT_METHODS.CASH_ON_DELIVERY]: 'Pago contra entrega'
+};
+
+/**
+ * DESCRIPCIONES DE MÉTODOS DE PAGO
+ */
+export const PAYMENT_METHOD_DESCRIPTIONS = {
+  [PAYMENT_METHODS.CREDIT_CARD]: 'Visa, Mastercard, American Express',
+  [PAYMENT_METHODS.PSE]: 'Paga directamente desde tu cuenta bancaria',
+  [PAYMENT_METHODS.CASH_ON_DELIVERY]: 'Paga en efectivo al recibir tu pedido'
+};
+
+/**
+ * ESTADOS DE LA RESERVA DE STOCK
+ * Al entrar al checkout se reservan las unidades del carrito por un tiempo limitado
+ */
+export const RESERVATION_STATUS = {
+  IDLE: 'idle',
+  RESERVING: 'reserving',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  FAILED: 'failed'
+};
+
+/**
+ * CONFIGURACIÓN DE LA RESERVA
+ * La duración la decide el backend (expiresAt)
+ */
+export const RESERVATION_CONFIG = {
+  WARNING_SECONDS: 120 // El contador se resalta en los últimos 2 minutos
+};
+
+/**
+ * MENSAJES DE ERROR ESTÁNDAR
+ */
+export const CHECKOUT_ERROR_MESSAGES = {
+  EMPTY_CART: 'Tu carrito está vacío',
+  MISSING_ADDRESS: 'Debes ingresar una dirección de envío',
+  MISSING_SHIPPING_METHOD: 'Debes seleccionar un método de envío',
+  MISSING_PICKUP: 'Debes seleccionar un punto y una franja de recogida',
+  MISSING_PAYMENT_METHOD: 'Debes seleccionar un método de pago',
+  TERMS_NOT_ACCEPTED: 'Debes aceptar los términos y condiciones',
+  ORDER_FAILED: 'No pudimos crear tu orden. Intenta nuevamente.',
+  RESERVATION_FAILED: 'No pudimos reservar tus productos',
+  RESERVATION_EXPIRED: 'Tu reserva venció. Reserva de nuevo para confirmar el pedido',
+  STOCK_CHECK_FAILED: 'No pudimos verificar el stock. Intenta nuevamente.'
+};
+
+/**
+ * MENSAJES DE ÉXITO ESTÁNDAR
+ */
+export const CHECKOUT_SUCCESS_MESSAGES = {
+  ORDER_CREATED: '¡Pedido realizado con éxito!'
+};
+
+export default {
+  CHECKOUT_STEPS,
+  CHECKOUT_STEP_ORDER,
+  CHECKOUT_STEP_LABELS,
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_METHOD_DESCRIPTIONS,
+  RESERVATION_STATUS,
+  RESERVATION_CONFIG,
+  CHECKOUT_ERROR_MESSAGES,
+  CHECKOUT_SUCCESS_MESSAGES
+};
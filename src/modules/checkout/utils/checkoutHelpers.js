@@ -0,0 +1,192 @@
+import {
+  CHECKOUT_STEPS,
+  CHECKOUT_STEP_ORDER,
+  PAYMENT_METHOD_LABELS
+} from '../types/checkout.types';
+import { SHIPPING_METHODS } from '../../cart/types/cart.types';
+import { isCartEmpty, isGiftItem } from '../../cart/utils/cartHelpers';
+import { getCartCoupons } from '../../cart/utils/couponEngine';
+
+/**
+ * @module CheckoutHelpers
+ * @description Funciones utilidad para el flujo de checkout
+ */
+
+// ============================================================================
+// NAVEGACIÓN ENTRE PASOS
+// ============================================================================
+
+/**
+ * Obtiene el índice de un paso
+ * @param {string} step - Paso (CHECKOUT_STEPS)
+ * @returns {number} Índice (0-based)
+ */
+export const getStepIndex = (step) => {
+  return CHECKOUT_STEP_ORDER.indexOf(step);
+};
+
+/**
+ * Obtiene el paso siguiente
+ * @param {string} step - Paso actual
+ * @returns {string|null} Paso siguiente
+ */
+export const getNextStep = (step) => {
+  const index = getStepIndex(step);
+  return CHECKOUT_STEP_ORDER[index + 1] || null;
+};
+
+/**
+ * Obtiene el paso anterior
+ * @param {string} step - Paso actual
+ * @returns {string|null} Paso anterior
+ */
+export const getPreviousStep = (step) => {
+  const index = getStepIndex(step);
+  return index > 0 ? CHECKOUT_STEP_ORDER[index - 1] : null;
+};
+
+/**
+ * Verifica si un paso está completo con los datos actuales
+ * @param {string} step - Paso a verificar
+ * @param {Object} cart - Carrito (CartContext)
+ * @param {Object} checkoutData - { paymentMethod }
+ * @returns {boolean}
+ */
+export const isStepComplete = (step, cart, checkoutData = {}) => {
+  switch (step) {
+    case CHECKOUT_STEPS.ADDRESS:
+      return !!cart?.shippingAddress?.street;
+    case CHECKOUT_STEPS.SHIPPING:
+      // La recogida en tienda necesita punto y franja
+      if (cart?.shippingMethod === SHIPPING_METHODS.PICKUP) {
+        return !!cart?.pickup?.locationId && !!cart?.pickup?.window;
+      }
+      return !!cart?.shippingMethod;
+    case CHECKOUT_STEPS.PAYMENT:
+      return !!checkoutData.paymentMethod;
+    case CHECKOUT_STEPS.REVIEW:
+      return !!checkoutData.order;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Obtiene el primer paso incompleto (para reanudar el checkout)
+ * @param {Object} cart - Carrito
+ * @param {Object} checkoutData - { paymentMethod }
+ * @returns {string} Paso
+ */
+export const getFirstIncompleteStep = (cart, checkoutData = {}) => {
+  return CHECKOUT_STEP_ORDER.find(step => !isStepComplete(step, cart, checkoutData))
+    || CHECKOUT_STEPS.CONFIRMATION;
+};
+
+/**
+ * Verifica si se puede acceder a un paso
+ * Solo se permite si todos los pasos anteriores están completos
+ * @param {string} step - Paso destino
+ * @param {Object} cart - Carrito
+ * @param {Object} checkoutData - { paymentMethod }
+ * @returns {boolean}
+ */
+export const canAccessStep = (step, cart, checkoutData = {}) => {
+  if (isCartEmpty(cart) && step !== CHECKOUT_STEPS.CONFIRMATION) return false;
+
+  const index = getStepIndex(step);
+  return CHECKOUT_STEP_ORDER
+    .slice(0, index)
+    .every(previous => isStepComplete(previous, cart, checkoutData));
+};
+
+// ============================================================================
+// ORDEN
+// ============================================================================
+
+/**
+ * Construye el payload de la orden a partir del carrito
+ * @param {Object} cart - Carrito completo (CartContext)
+ * @param {Object} checkoutData - { paymentMethod, reservationId }
+ * @returns {Object} Payload para ordersAPI.createOrder
+ */
+export const buildOrderPayload = (cart, checkoutData = {}) => {
+  return {
+    items: (cart?.items || []).map(item => ({
+      productId: item.product?._id || item.product,
+      quantity: item.quantity,
+      attributes: item.attributes || {},
+      price: item.price,
+      giftOptions: isGiftItem(item) ? item.giftOptions : null
+    })),
+    shippingAddress: cart?.shippingAddress || null,
+    shippingMethod: cart?.shippingMethod,
+    shippingCost: cart?.shippingCost || 0,
+    pickup: cart?.pickup || null,
+    paymentMethod: checkoutData.paymentMethod,
+    reservationId: checkoutData.reservationId || null,
+    couponCode: getCartCoupons(cart)[0]?.code || null,
+    couponCodes: getCartCoupons(cart).map(coupon => coupon.code),
+    notes: cart?.notes?.trim() || ''
+  };
+};
+
+// ============================================================================
+// STOCK
+// ============================================================================
+
+/**
+ * Items del carrito sin stock suficiente según productsAPI.checkStock
+ * @param {Array} items - Items del carrito
+ * @param {Array} results - Respuestas de checkStock en el mismo orden ({ data: { available, stock } })
+ * @returns {Array} [{ productId, name, requested, available }]
+ */
+export const getStockShortages = (items = [], results = []) => {
+  return items.reduce((shortages, item, index) => {
+    const stock = results[index]?.data;
+    if (results[index]?.success && stock?.available !== false) return shortages;
+
+    shortages.push({
+      productId: item.product?._id || item.product,
+      name: item.product?.name || item.productName || 'Producto',
+      requested: item.quantity,
+      available: typeof stock?.stock === 'number' ? stock.stock : 0
+    });
+    return shortages;
+  }, []);
+};
+
+/**
+ * Mensaje para los items sin stock
+ * @param {Array} shortages - getStockShortages
+ * @returns {string}
+ */
+export const formatStockShortages = (shortages = []) => {
+  const lines = shortages.map(({ name, requested, available }) =>
+    available > 0
+      ? `${name}: solo quedan ${available} (pediste ${requested})`
+      : `${name}: agotado`
+  );
+  return `Algunos productos ya no tienen stock suficiente. ${lines.join('; ')}`;
+};
+
+/**
+ * Obtiene label del método de pago
+ * @param {string} method - Método de pago
+ * @returns {string} Label
+ */
+export const getPaymentMethodLabel = (method) => {
+  return PAYMENT_METHOD_LABELS[method] || method;
+};
+
+export default {
+  getStepIndex,
+  getNextStep,
+  getPreviousStep,
+  isStepComplete,
+  getFirstIncompleteStep,
+  canAccessStep,
+  buildOrderPayload,
+  getStockShortages,
+  formatStockShortages,
+  getPaymentMethodLabel
+};
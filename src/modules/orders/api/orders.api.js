@@ -0,0 +1,118 @@
+// src/modules/orders/api/orders.api.js
+
+import axiosInstance from '../../../core/api/axiosInstance';
+
+/**
+ * @module ordersAPI
+ * @description API calls para órdenes del cliente
+ * 
+ * BASE_URL: /api/orders
+ * AUTH: Todas las rutas requieren authMiddleware (JWT)
+ * 
+ * IMPORTANTE: Todas las funciones retornan el formato exacto del backend:
+ * - { success, message?, data?, errors? }
+ */
+
+export const ordersAPI = {
+  /**
+   * @function createOrder
+   * @description Crear una orden a partir del carrito del usuario
+   * 
+   * @route POST /api/orders
+   * @access Private
+   * 
+   * @param {Object} orderData
+   * @param {Array} orderData.items - [{ productId, quantity, attributes, price, giftOptions? }]
+   *   giftOptions: { wrap, message, hidePrices } | null
+   * @param {Object} orderData.shippingAddress - Dirección validada (cart.schema)
+   * @param {string} orderData.shippingMethod - SHIPPING_METHODS
+   * @param {number} orderData.shippingCost - Costo del envío
+   * @param {string} orderData.paymentMethod - PAYMENT_METHODS
+   * @param {string} [orderData.reservationId] - Reserva de stock del checkout
+   * @param {string} [orderData.couponCode] - Cupón aplicado al carrito
+   * @param {string[]} [orderData.couponCodes] - Todos los cupones acumulados
+   * @param {string} [orderData.notes] - Notas del cliente para el despacho (max 500)
+   * 
+   * @returns {Promise<Object>} { success, message, data: Order }
+   * @throws {Object} { success: false, message, statusCode: 400 | 401 | 409 }
+   * 
+   * @example
+   * const response = await ordersAPI.createOrder({
+   *   items: [{ productId: '507f1f77bcf86cd799439011', quantity: 2, attributes: {} }],
+   *   shippingAddress: { firstName: 'Juan', ... },
+   *   shippingMethod: 'standard',
+   *   shippingCost: 5.99,
+   *   paymentMethod: 'cash_on_delivery'
+   * });
+   */
+  createOrder: async (orderData) => {
+    return await axiosInstance.post('/orders', orderData);
+  },
+
+  /**
+   * @function getMyOrders
+   * @description Obtener el historial de órdenes del usuario autenticado
+   * 
+   * @route GET /api/orders
+   * @access Private
+   * 
+   * @param {Object} [params]
+   * @param {number} [params.page=1]
+   * @param {number} [params.limit=10]
+   * @param {string} [params.status] - ORDER_STATUS
+   * 
+   * @returns {Promise<Object>} { success, data: Order[], pagination }
+   * @throws {Object} { success: false, message, statusCode: 401 }
+   * 
+   * @example
+   * const response = await ordersAPI.getMyOrders({ page: 1, limit: 10 });
+   */
+  getMyOrders: async (params = {}) => {
+    return await axiosInstance.get('/orders', { params });
+  },
+
+  /**
+   * @function getOrderById
+   * @description Obtener el detalle de una orden del usuario autenticado
+   * 
+   * @route GET /api/orders/:id
+   * @access Private (solo el dueño de la orden)
+   * 
+   * @param {string} orderId - MongoDB ObjectId
+   * 
+   * @returns {Promise<Object>} { success, data: Order }
+   * @throws {Object} { success: false, message, statusCode: 403 | 404 }
+   * 
+   * @example
+   * const response = await ordersAPI.getOrderById('507f1f77bcf86cd799439011');
+   */
+  getOrderById: async (orderId) => {
+    return await axiosInstance.get(`/orders/${orderId}`);
+  },
+
+  /**
+   * @function updatePaymentStatus
+   * @description Registrar el resultado de la pasarela de pago en la orden
+   * 
+   * @route PATCH /api/orders/:id/payment
+   * @access Private (solo el dueño de la orden)
+   * 
+   * @param {string} orderId - MongoDB ObjectId
+   * @param {Object} paymentData - { paymentStatus, provider, paymentId }
+   * 
+   * @returns {Promise<Object>} { success, message, data: Order }
+   * @throws {Object} { success: false, message, statusCode: 400 | 403 | 404 }
+   * 
+   * @example
+   * const response = await ordersAPI.updatePaymentStatus(orderId, {
+   *   paymentStatus: 'paid',
+   *   provider: 'sandbox',
+   *   paymentId: 'sbx_1700000000000_a1b2c3'
+   * });
+   */
+  updatePaymentStatus: async (orderId, paymentData) => {
+    return await axiosInstance.patch(`/orders/${orderId}/payment`, paymentData);
+  },
+};
+
+export default ordersAPI;
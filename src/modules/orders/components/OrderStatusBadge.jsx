@@ -0,0 +1,25 @@
+import React from 'react';
+import { getStatusConfig } from '../utils/orderHelpers';
+
+/**
+ * @component OrderStatusBadge
+ * @description Badge con el estado de la orden (ORDER_STATUS_CONFIG)
+ *
+ * PROPS:
+ * @param {string} status - ORDER_STATUS
+ * @param {string} className - Clases adicionales
+ */
+const OrderStatusBadge = ({ status, className = '' }) => {
+  const config = getStatusConfig(status);
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-bold border ${config.bg} ${config.text} ${config.border} ${className}`}
+    >
+      <span>{config.icon}</span>
+      {config.label}
+    </span>
+  );
+};
+
+export default OrderStatusBadge;
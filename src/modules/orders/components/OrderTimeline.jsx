@@ -0,0 +1,50 @@
+import React from 'react';
+import { getStatusConfig, getStatusLabel } from '../utils/orderHelpers';
+
+/**
+ * @component OrderTimeline
+ * @description Línea de tiempo con el statusHistory de la orden
+ *
+ * PROPS:
+ * @param {Array} history - order.statusHistory [{ status, timestamp, notes }]
+ */
+const OrderTimeline = ({ history = [] }) => {
+  if (!history.length) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Aún no hay movimientos registrados.
+      </p>
+    );
+  }
+
+  return (
+    <ol className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-2 space-y-6">
+      {history.map((entry, index) => {
+        const config = getStatusConfig(entry.status);
+
+        return (
+          <li key={`${entry.status}-${entry.timestamp || index}`} className="ml-6">
+            <span
+              className={`absolute -left-[9px] w-4 h-4 rounded-full bg-gradient-to-r ${config.gradient} ring-4 ring-white dark:ring-slate-800`}
+            ></span>
+            <p className="font-semibold text-gray-900 dark:text-white">
+              {config.icon} {getStatusLabel(entry.status)}
+            </p>
+            {entry.timestamp && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {new Date(entry.timestamp).toLocaleString('es-CO')}
+              </p>
+            )}
+            {entry.notes && (
+              <p className="text-sm text-gray-600 dark:text-gray-300 mt-2 italic">
+                "{entry.notes}"
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
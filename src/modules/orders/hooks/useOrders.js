@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ordersAPI } from '../api/orders.api';
+import { ORDERS_PAGINATION, ORDER_ERROR_MESSAGES } from '../types/order.types';
+
+/**
+ * @hook useMyOrders
+ * @description Historial de órdenes del usuario autenticado
+ * @param {Object} params - { page, limit, status }
+ * @returns {Object} { orders, pagination, loading, error, refetch }
+ */
+export const useMyOrders = ({
+  page = ORDERS_PAGINATION.DEFAULT_PAGE,
+  limit = ORDERS_PAGINATION.DEFAULT_LIMIT,
+  status = ''
+} = {}) => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await ordersAPI.getMyOrders({
+        page,
+        limit,
+        ...(status && { status })
+      });
+
+      if (response.success) {
+        setOrders(response.data || []);
+        setPagination(response.pagination || null);
+      } else {
+        setError(response.message || ORDER_ERROR_MESSAGES.FETCH_FAILED);
+        setOrders([]);
+      }
+    } catch (err) {
+      console.error('[useMyOrders] Error fetching orders:', err);
+      setError(err.message || ORDER_ERROR_MESSAGES.FETCH_FAILED);
+      setOrders([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, limit, status]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  return {
+    orders,
+    pagination,
+    loading,
+    error,
+    refetch: fetchOrders
+  };
+};
+
+/**
+ * @hook useOrderDetails
+ * @description Detalle de una orden del usuario autenticado
+ * @param {string} orderId - ID de la orden
+ * @returns {Object} { order, loading, error, refetch }
+ */
+export const useOrderDetails = (orderId) => {
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchOrder = useCallback(async () => {
+    if (!orderId) {
+      setError(ORDER_ERROR_MESSAGES.INVALID_ID);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await ordersAPI.getOrderById(orderId);
+
+      if (response.success && response.data) {
+        setOrder(response.data);
+      } else {
+        setError(response.message || ORDER_ERROR_MESSAGES.NOT_FOUND);
+        setOrder(null);
+      }
+    } catch (err) {
+      console.error('[useOrderDetails] Error fetching order:', err);
+      setError(
+        err.statusCode === 404 || err.statusCode === 403
+          ? ORDER_ERROR_MESSAGES.NOT_FOUND
+          : err.message || ORDER_ERROR_MESSAGES.FETCH_FAILED
+      );
+      setOrder(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    fetchOrder();
+  }, [fetchOrder]);
+
+  return {
+    order,
+    loading,
+    error,
+    refetch: fetchOrder
+  };
+};
+
+export default useMyOrders;
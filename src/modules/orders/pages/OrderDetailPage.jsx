@@ -0,0 +1,216 @@
+// src/modules/orders/pages/OrderDetailPage.jsx
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { useOrderDetails } from '../hooks/useOrders';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import OrderTimeline from '../components/OrderTimeline';
+import { PAYMENT_STATUS_LABELS } from '../types/order.types';
+import {
+  getOrderNumber,
+  formatOrderDate,
+  getItemName,
+  getItemImage,
+  getItemTotal
+} from '../utils/orderHelpers';
+import { formatPrice, formatAttributes, getShippingMethodLabel } from '../../cart/utils/cartHelpers';
+import { getPaymentMethodLabel } from '../../checkout/utils/checkoutHelpers';
+
+/**
+ * @component OrderDetailPage
+ * @description Detalle de un pedido del cliente (/mi-cuenta/pedidos/:id)
+ *
+ * Muestra items, totales, dirección de envío y el statusHistory
+ */
+export default function OrderDetailPage() {
+  const { id } = useParams();
+  const { order, loading, error } = useOrderDetails(id);
+
+  // ============================================================================
+  // RENDER: LOADING / ERROR
+  // ============================================================================
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="w-16 h-16 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="py-16 text-center">
+        <p className="text-xl font-bold text-gray-900 dark:text-white mb-4">
+          {error}
+        </p>
+        <Link
+          to="/mi-cuenta/pedidos"
+          className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+        >
+          Volver a mis pedidos
+        </Link>
+      </div>
+    );
+  }
+
+  const address = order.shippingAddress;
+
+  // ============================================================================
+  // RENDER: MAIN CONTENT
+  // ============================================================================
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <Link
+          to="/mi-cuenta/pedidos"
+          className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-700 font-medium mb-4"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          Volver a mis pedidos
+        </Link>
+
+        <div className="flex items-center justify-between flex-wrap gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Pedido #{getOrderNumber(order)}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              Realizado el {formatOrderDate(order.createdAt, true)}
+            </p>
+          </div>
+          <OrderStatusBadge status={order.status} className="text-sm px-4 py-2" />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+
+        {/* LEFT COLUMN */}
+        <div className="lg:col-span-2 space-y-6">
+
+          {/* Items */}
+          <Card title={`Productos (${order.items?.length || 0})`}>
+            <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+              {order.items?.map((item, index) => (
+                <li key={item._id || index} className="flex items-center gap-4 py-4">
+                  <div className="w-16 h-16 bg-gray-100 dark:bg-slate-700 rounded-lg overflow-hidden flex-shrink-0">
+                    {getItemImage(item) && (
+                      <img
+                        src={getItemImage(item)}
+                        alt={getItemName(item)}
+                        className="w-full h-full object-cover"
+                      />
+                    )}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 dark:text-white truncate">
+                      {getItemName(item)}
+                    </p>
+                    {item.attributes && Object.keys(item.attributes).length > 0 && (
+                      <p className="text-xs text-gray-500">
+                        {formatAttributes(item.attributes)}
+                      </p>
+                    )}
+                    <p className="text-sm text-gray-500">
+                      {item.quantity} × {formatPrice(Number(item.unitPrice || 0))}
+                    </p>
+                  </div>
+                  <p className="font-semibold text-gray-900 dark:text-white">
+                    {formatPrice(getItemTotal(item))}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </Card>
+
+          {/* Totales */}
+          <Card title="Resumen">
+            <div className="space-y-3 text-sm">
+              <SummaryRow label="Subtotal" value={formatPrice(Number(order.subtotal || 0))} />
+              <SummaryRow
+                label={`Envío${order.shippingMethod ? ` (${getShippingMethodLabel(order.shippingMethod)})` : ''}`}
+                value={formatPrice(Number(order.shippingCost || 0))}
+              />
+              {Number(order.discountAmount) > 0 && (
+                <SummaryRow
+                  label="Descuento"
+                  value={`-${formatPrice(Number(order.discountAmount))}`}
+                  className="text-green-600"
+                />
+              )}
+              <SummaryRow label="Impuestos" value={formatPrice(Number(order.taxAmount || 0))} />
+              <div className="pt-3 border-t border-gray-200 dark:border-gray-700">
+                <SummaryRow
+                  label="Total"
+                  value={formatPrice(Number(order.totalAmount || 0))}
+                  className="text-lg font-bold text-gray-900 dark:text-white"
+                />
+              </div>
+            </div>
+          </Card>
+        </div>
+
+        {/* RIGHT COLUMN */}
+        <div className="space-y-6">
+
+          {/* Dirección */}
+          {address && (
+            <Card title="Dirección de envío">
+              <div className="text-sm text-gray-600 dark:text-gray-300 space-y-1">
+                <p className="font-medium text-gray-900 dark:text-white">
+                  {address.firstName} {address.lastName}
+                </p>
+                <p>{address.street}</p>
+                <p>{address.city}, {address.state} {address.zipCode}</p>
+                {address.country && <p>{address.country}</p>}
+                {address.phone && <p className="pt-1">{address.phone}</p>}
+              </div>
+            </Card>
+          )}
+
+          {/* Pago */}
+          <Card title="Pago">
+            <div className="space-y-3 text-sm">
+              <SummaryRow
+                label="Método"
+                value={order.paymentMethod ? getPaymentMethodLabel(order.paymentMethod) : 'N/A'}
+              />
+              <SummaryRow
+                label="Estado"
+                value={PAYMENT_STATUS_LABELS[order.paymentStatus] || PAYMENT_STATUS_LABELS.pending}
+              />
+            </div>
+          </Card>
+
+          {/* Historial */}
+          <Card title="Seguimiento">
+            <OrderTimeline history={order.statusHistory || []} />
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function Card({ title, children }) {
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <h2 className="text-lg font-bold text-gray-900 dark:text-white mb-4">{title}</h2>
+      {children}
+    </div>
+  );
+}
+
+function SummaryRow({ label, value, className = 'text-gray-600 dark:text-gray-400' }) {
+  return (
+    <div className={`flex justify-between ${className}`}>
+      <span>{label}</span>
+      <span className="font-medium">{value}</span>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+// src/modules/orders/pages/OrdersPage.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Package, ChevronRight } from 'lucide-react';
+import { useMyOrders } from '../hooks/useOrders';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import { ORDER_STATUS, ORDER_STATUS_LABELS } from '../types/order.types';
+import { getOrderNumber, formatOrderDate } from '../utils/orderHelpers';
+import { formatPrice } from '../../cart/utils/cartHelpers';
+
+/**
+ * @component OrdersPage
+ * @description Historial de pedidos del cliente (/mi-cuenta/pedidos)
+ */
+export default function OrdersPage() {
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('');
+
+  const { orders, pagination, loading, error, refetch } = useMyOrders({ page, status });
+
+  const totalPages = pagination?.totalPages || pagination?.pages || 1;
+
+  const handleStatusChange = (value) => {
+    setStatus(value);
+    setPage(1);
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl lg:text-4xl font-bold text-gray-900 dark:text-white mb-2 flex items-center gap-3">
+          <Package className="h-8 w-8 text-blue-600" />
+          Mis Pedidos
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          Consulta el estado y el detalle de tus compras
+        </p>
+      </div>
+
+      {/* Filtro por estado */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        <FilterButton active={status === ''} onClick={() => handleStatusChange('')}>
+          Todos
+        </FilterButton>
+        {Object.values(ORDER_STATUS).map((value) => (
+          <FilterButton
+            key={value}
+            active={status === value}
+            onClick={() => handleStatusChange(value)}
+          >
+            {ORDER_STATUS_LABELS[value]}
+          </FilterButton>
+        ))}
+      </div>
+
+      {/* Contenido */}
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl border border-red-200 p-8 text-center">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button
+            onClick={refetch}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors"
+          >
+            Reintentar
+          </button>
+        </div>
+      ) : orders.length === 0 ? (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-12 text-center">
+          <Package className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">
+            {status ? 'No hay pedidos con este estado' : 'Aún no tienes pedidos'}
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            Cuando realices una compra la verás aquí.
+          </p>
+          <Link
+            to="/productos"
+            className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Explorar productos
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {orders.map((order) => (
+            <Link
+              key={order._id}
+              to={`/mi-cuenta/pedidos/${order._id}`}
+              className="flex items-center justify-between gap-4 p-5 bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 hover:border-blue-400 transition-colors"
+            >
+              <div className="min-w-0">
+                <div className="flex items-center gap-3 flex-wrap mb-1">
+                  <span className="font-bold text-gray-900 dark:text-white">
+                    Pedido #{getOrderNumber(order)}
+                  </span>
+                  <OrderStatusBadge status={order.status} />
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {formatOrderDate(order.createdAt)} · {order.items?.length || 0}{' '}
+                  {order.items?.length === 1 ? 'producto' : 'productos'}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-3">
+                <span className="font-bold text-gray-900 dark:text-white">
+                  {formatPrice(Number(order.totalAmount || 0))}
+                </span>
+                <ChevronRight className="h-5 w-5 text-gray-400" />
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {/* Paginación */}
+      {!loading && totalPages > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-8">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 dark:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50 dark:hover:bg-slate-700"
+          >
+            Anterior
+          </button>
+          <span className="text-sm text-gray-600 dark:text-gray-400">
+            Página {page} de {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 dark:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50 dark:hover:bg-slate-700"
+          >
+            Siguiente
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENT
+// ==============================================================================
+
+function FilterButton({ active, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+        active
+          ? 'bg-blue-600 text-white'
+          : 'bg-white dark:bg-slate-800 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-700 hover:border-blue-400'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,126 @@
+// src/modules/orders/types/order.types.js
+
+/**
+ * @module order.types
+ * @description Tipos, constantes y enums para órdenes
+ * Compartido entre la vista del cliente (mi-cuenta) y el panel admin
+ */
+
+/**
+ * Estados de la orden
+ */
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Labels de estados de la orden
+ */
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: 'Pendiente',
+  [ORDER_STATUS.PROCESSING]: 'Procesando',
+  [ORDER_STATUS.SHIPPED]: 'Enviado',
+  [ORDER_STATUS.DELIVERED]: 'Entregado',
+  [ORDER_STATUS.CANCELLED]: 'Cancelado'
+};
+
+/**
+ * Configuración visual y transiciones por estado
+ * nextStates: estados a los que el admin puede mover la orden
+ */
+export const ORDER_STATUS_CONFIG = {
+  [ORDER_STATUS.PENDING]: {
+    label: ORDER_STATUS_LABELS[ORDER_STATUS.PENDING],
+    icon: '⏳',
+    gradient: 'from-yellow-400 to-orange-500',
+    bg: 'bg-yellow-50 dark:bg-yellow-900/20',
+    text: 'text-yellow-700 dark:text-yellow-300',
+    border: 'border-yellow-200 dark:border-yellow-800',
+    nextStates: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED]
+  },
+  [ORDER_STATUS.PROCESSING]: {
+    label: ORDER_STATUS_LABELS[ORDER_STATUS.PROCESSING],
+    icon: '⚙️',
+    gradient: 'from-blue-400 to-indigo-500',
+    bg: 'bg-blue-50 dark:bg-blue-900/20',
+    text: 'text-blue-700 dark:text-blue-300',
+    border: 'border-blue-200 dark:border-blue-800',
+    nextStates: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED]
+  },
+  [ORDER_STATUS.SHIPPED]: {
+    label: ORDER_STATUS_LABELS[ORDER_STATUS.SHIPPED],
+    icon: '🚚',
+    gradient: 'from-purple-400 to-pink-500',
+    bg: 'bg-purple-50 dark:bg-purple-900/20',
+    text: 'text-purple-700 dark:text-purple-300',
+    border: 'border-purple-200 dark:border-purple-800',
+    nextStates: [ORDER_STATUS.DELIVERED]
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    label: ORDER_STATUS_LABELS[ORDER_STATUS.DELIVERED],
+    icon: '✅',
+    gradient: 'from-green-400 to-emerald-500',
+    bg: 'bg-green-50 dark:bg-green-900/20',
+    text: 'text-green-700 dark:text-green-300',
+    border: 'border-green-200 dark:border-green-800',
+    nextStates: []
+  },
+  [ORDER_STATUS.CANCELLED]: {
+    label: ORDER_STATUS_LABELS[ORDER_STATUS.CANCELLED],
+    icon: '❌',
+    gradient: 'from-red-400 to-rose-500',
+    bg: 'bg-red-50 dark:bg-red-900/20',
+    text: 'text-red-700 dark:text-red-300',
+    border: 'border-red-200 dark:border-red-800',
+    nextStates: []
+  }
+};
+
+/**
+ * Estados de pago
+ */
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed'
+};
+
+/**
+ * Labels de estados de pago
+ */
+export const PAYMENT_STATUS_LABELS = {
+  [PAYMENT_STATUS.PENDING]: '⏳ Pendiente',
+  [PAYMENT_STATUS.PAID]: '✅ Pagado',
+  [PAYMENT_STATUS.FAILED]: '❌ Rechazado'
+};
+
+/**
+ * Paginación del historial de pedidos del cliente
+ */
+export const ORDERS_PAGINATION = {
+  DEFAULT_PAGE: 1,
+  DEFAULT_LIMIT: 10
+};
+
+/**
+ * Mensajes de error
+ */
+export const ORDER_ERROR_MESSAGES = {
+  FETCH_FAILED: 'Error al cargar tus pedidos',
+  NOT_FOUND: 'Pedido no encontrado',
+  INVALID_ID: 'ID de pedido inválido'
+};
+
+export default {
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  ORDER_STATUS_CONFIG,
+  PAYMENT_STATUS,
+  PAYMENT_STATUS_LABELS,
+  ORDERS_PAGINATION,
+  ORDER_ERROR_MESSAGES
+};
@@ -0,0 +1,105 @@
+// src/modules/orders/utils/orderHelpers.js
+
+import {
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  ORDER_STATUS_CONFIG
+} from '../types/order.types';
+
+// ============================================================================
+// IDENTIFICACIÓN
+// ============================================================================
+
+/**
+ * Número visible de la orden (orderNumber o últimos 6 caracteres del _id)
+ * @param {Object} order - Orden
+ * @returns {string} Número de orden
+ */
+export const getOrderNumber = (order) => {
+  if (!order) return '';
+  return order.orderNumber || order._id?.slice(-6).toUpperCase() || '';
+};
+
+// ============================================================================
+// ESTADOS
+// ============================================================================
+
+/**
+ * Configuración visual de un estado (fallback: pendiente)
+ * @param {string} status - ORDER_STATUS
+ * @returns {Object} Configuración del estado
+ */
+export const getStatusConfig = (status) => {
+  return ORDER_STATUS_CONFIG[status] || ORDER_STATUS_CONFIG[ORDER_STATUS.PENDING];
+};
+
+/**
+ * Label de un estado
+ * @param {string} status - ORDER_STATUS
+ * @returns {string} Label
+ */
+export const getStatusLabel = (status) => {
+  return ORDER_STATUS_LABELS[status] || status;
+};
+
+// ============================================================================
+// ITEMS
+// ============================================================================
+
+/**
+ * Nombre del producto de un item (snapshot de la orden o producto poblado)
+ * @param {Object} item - Item de la orden
+ * @returns {string} Nombre
+ */
+export const getItemName = (item) => {
+  return item?.productName || item?.product?.name || 'Producto sin nombre';
+};
+
+/**
+ * Imagen del producto de un item
+ * @param {Object} item - Item de la orden
+ * @returns {string|null} URL
+ */
+export const getItemImage = (item) => {
+  return item?.productImage || item?.product?.images?.[0]?.url || null;
+};
+
+/**
+ * Total de un item (precio unitario × cantidad)
+ * @param {Object} item - Item de la orden
+ * @returns {number} Total
+ */
+export const getItemTotal = (item) => {
+  return Number(item?.unitPrice || 0) * Number(item?.quantity || 0);
+};
+
+// ============================================================================
+// FECHAS
+// ============================================================================
+
+/**
+ * Formatea la fecha de una orden
+ * @param {string|Date} date - Fecha
+ * @param {boolean} withTime - Incluir hora
+ * @returns {string} Fecha formateada
+ */
+export const formatOrderDate = (date, withTime = false) => {
+  if (!date) return '';
+
+  return new Date(date).toLocaleDateString('es-CO', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...(withTime && { hour: '2-digit', minute: '2-digit' })
+  });
+};
+
+export default {
+  getOrderNumber,
+  getStatusConfig,
+  getStatusLabel,
+  getItemName,
+  getItemImage,
+  getItemTotal,
+  formatOrderDate
+};
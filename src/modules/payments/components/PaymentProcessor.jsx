@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CreditCard, Clock, XCircle, FlaskConical } from 'lucide-react';
+import { formatPrice } from '../../cart/utils/cartHelpers';
+import { getPaymentMethodLabel } from '../../checkout/utils/checkoutHelpers';
+import { getOrderNumber } from '../../orders/utils/orderHelpers';
+import {
+  TRANSACTION_STATUS,
+  SANDBOX_OUTCOMES,
+  SANDBOX_OUTCOME_LABELS
+} from '../types/payment.types';
+import { getTransactionStatusLabel } from '../utils/paymentHelpers';
+
+/**
+ * @component PaymentProcessor
+ * @description Pago de una orden recién creada contra la pasarela activa
+ *
+ * En modo sandbox permite elegir el resultado (aprobado, rechazado, pendiente)
+ * y resolver los pagos pendientes como lo haría el webhook del gateway
+ *
+ * PROPS:
+ * @param {Object} order - Orden a pagar
+ * @param {Object} transaction - Transacción actual (usePayment)
+ * @param {boolean} isSandbox - Pasarela sandbox activa
+ * @param {boolean} processing - Estado de carga
+ * @param {boolean} pollingTimedOut - El polling se detuvo sin respuesta final
+ * @param {Function} onConfirm - Callback para confirmar ({ outcome } en sandbox)
+ * @param {Function} onCancel - Callback para cancelar el pago
+ * @param {Function} onRetry - Callback para reintentar con una nueva transacción
+ * @param {Function} onSimulateWebhook - Callback sandbox para resolver un pago pendiente
+ */
+const PaymentProcessor = ({
+  order,
+  transaction,
+  isSandbox = false,
+  processing = false,
+  pollingTimedOut = false,
+  onConfirm,
+  onCancel,
+  onRetry,
+  onSimulateWebhook
+}) => {
+  const [outcome, setOutcome] = useState(SANDBOX_OUTCOMES.APPROVED);
+
+  if (!order) return null;
+
+  const status = transaction?.status;
+  const isFailed = status === TRANSACTION_STATUS.DECLINED || status === TRANSACTION_STATUS.CANCELLED;
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white rounded-2xl border border-gray-200 p-8">
+      {/* Cabecera */}
+      <div className="flex items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Pago del pedido</h2>
+          <p className="text-sm text-gray-500">
+            #{getOrderNumber(order)} · {getPaymentMethodLabel(order.paymentMethod)}
+          </p>
+        </div>
+        <p className="text-2xl font-bold text-gray-900">{formatPrice(order.totalAmount)}</p>
+      </div>
+
+      {isSandbox && (
+        <div className="flex items-start gap-2 p-3 mb-6 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <FlaskConical className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <p>Modo sandbox: no se realiza ningún cargo real. Elige el resultado que quieres simular.</p>
+        </div>
+      )}
+
+      {/* Sin transacción (falló el inicio) */}
+      {!transaction && !processing && (
+        <div className="text-center py-6">
+          <p className="text-gray-600 mb-4">No pudimos iniciar el pago.</p>
+          <button
+            onClick={onRetry}
+            className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Reintentar
+          </button>
+        </div>
+      )}
+
+      {/* Transacción iniciada: confirmar */}
+      {(status === TRANSACTION_STATUS.CREATED || (!transaction && processing)) && (
+        <div className="space-y-4">
+          {isSandbox && (
+            <div className="space-y-2">
+              {Object.values(SANDBOX_OUTCOMES).map((option) => (
+                <label
+                  key={option}
+                  className={`flex items-center gap-3 p-3 border-2 rounded-lg cursor-pointer transition-all ${
+                    outcome === option ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="sandbox-outcome"
+                    value={option}
+                    checked={outcome === option}
+                    onChange={() => setOutcome(option)}
+                    disabled={processing}
+                    className="w-4 h-4 text-blue-600"
+                  />
+                  <span className="font-medium text-gray-900">{SANDBOX_OUTCOME_LABELS[option]}</span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={() => onConfirm(isSandbox ? { outcome } : {})}
+            disabled={processing || !transaction}
+            className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+          >
+            <CreditCard className="h-5 w-5" />
+            {processing ? 'Procesando...' : `Pagar ${formatPrice(order.totalAmount)}`}
+          </button>
+
+          {transaction && (
+            <button
+              onClick={onCancel}
+              disabled={processing}
+              className="w-full text-sm text-gray-600 hover:text-gray-900 font-medium disabled:opacity-50"
+            >
+              Cancelar pago
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Pendiente: polling */}
+      {status === TRANSACTION_STATUS.PENDING && (
+        <div className="text-center py-4">
+          <Clock className="h-12 w-12 text-yellow-500 mx-auto mb-3" />
+          <p className="font-semibold text-gray-900 mb-1">
+            {getTransactionStatusLabel(status)}
+          </p>
+          <p className="text-sm text-gray-600 mb-6">
+            {pollingTimedOut
+              ? 'Tu pago sigue en verificación. Puedes revisar el estado en tu pedido.'
+              : 'Estamos esperando la confirmación de la pasarela...'}
+          </p>
+
+          {isSandbox && !pollingTimedOut && (
+            <div className="flex flex-col sm:flex-row gap-3 justify-center mb-4">
+              <button
+                onClick={() => onSimulateWebhook(TRANSACTION_STATUS.APPROVED)}
+                className="px-4 py-2 border border-green-300 text-green-700 rounded-lg font-medium hover:bg-green-50 transition-colors"
+              >
+                Simular aprobación
+              </button>
+              <button
+                onClick={() => onSimulateWebhook(TRANSACTION_STATUS.DECLINED)}
+                className="px-4 py-2 border border-red-300 text-red-700 rounded-lg font-medium hover:bg-red-50 transition-colors"
+              >
+                Simular rechazo
+              </button>
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-3 justify-center">
+            <button
+              onClick={onCancel}
+              disabled={processing}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900 font-medium disabled:opacity-50"
+            >
+              Cancelar pago
+            </button>
+            <Link
+              to={`/mi-cuenta/pedidos/${order._id}`}
+              className="px-4 py-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Ver mi pedido
+            </Link>
+          </div>
+        </div>
+      )}
+
+      {/* Rechazado / cancelado */}
+      {isFailed && (
+        <div className="text-center py-4">
+          <XCircle className="h-12 w-12 text-red-500 mx-auto mb-3" />
+          <p className="font-semibold text-gray-900 mb-1">
+            Pago {getTransactionStatusLabel(status).toLowerCase()}
+          </p>
+          {transaction.message && (
+            <p className="text-sm text-gray-600 mb-6">{transaction.message}</p>
+          )}
+          <div className="flex flex-col sm:flex-row gap-3 justify-center">
+            <button
+              onClick={onRetry}
+              disabled={processing}
+              className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-300 transition-colors"
+            >
+              Reintentar pago
+            </button>
+            <Link
+              to={`/mi-cuenta/pedidos/${order._id}`}
+              className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+            >
+              Ver mi pedido
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentProcessor;
@@ -0,0 +1,261 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ordersAPI } from '../../orders/api/orders.api';
+import { getPaymentProvider } from '../providers';
+import {
+  TRANSACTION_STATUS,
+  PAYMENT_POLLING,
+  PAYMENT_ERROR_MESSAGES,
+  PAYMENT_SUCCESS_MESSAGES
+} from '../types/payment.types';
+import {
+  isFinalTransactionStatus,
+  toOrderPaymentStatus,
+  buildPaymentData
+} from '../utils/paymentHelpers';
+
+/**
+ * @hook usePayment
+ * @description Ciclo de pago de una orden contra la pasarela activa
+ *
+ * FLUJO:
+ * startPayment(order) → confirmPayment(details) → polling si queda pending
+ *
+ * CARACTERÍSTICAS:
+ * - La pasarela se resuelve con getPaymentProvider (env.PAYMENT_PROVIDER)
+ * - Cada estado final se registra en la orden (ordersAPI.updatePaymentStatus)
+ * - Polling cada PAYMENT_POLLING.INTERVAL_MS mientras la transacción esté pending
+ *
+ * @param {Function} onSuccess - Callback con mensaje de éxito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} Estado y acciones del pago
+ *
+ * @example
+ * const { transaction, startPayment, confirmPayment } = usePayment(toast.success, toast.error);
+ */
+export const usePayment = (onSuccess, onError) => {
+  const provider = getPaymentProvider();
+
+  const [order, setOrder] = useState(null);
+  const [transaction, setTransaction] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [pollingTimedOut, setPollingTimedOut] = useState(false);
+  const [error, setError] = useState(null);
+  const [pollTick, setPollTick] = useState(0);
+
+  const pollAttemptsRef = useRef(0);
+
+  // ============================================================================
+  // HELPER: NOTIFICAR ERROR
+  // ============================================================================
+
+  const reportError = useCallback((message) => {
+    setError(message);
+    if (onError) onError(message);
+  }, [onError]);
+
+  // ============================================================================
+  // HELPER: REGISTRAR EN LA ORDEN
+  // ============================================================================
+
+  /**
+   * Registra el estado final de la transacción en la orden
+   */
+  const syncOrder = useCallback(async (updatedTransaction) => {
+    try {
+      const response = await ordersAPI.updatePaymentStatus(updatedTransaction.orderId, {
+        paymentStatus: toOrderPaymentStatus(updatedTransaction.status),
+        provider: updatedTransaction.provider,
+        paymentId: updatedTransaction.id
+      });
+
+      if (response?.success && response.data) {
+        setOrder(response.data);
+      }
+    } catch (err) {
+      console.error('[usePayment] Error syncing order payment:', err);
+      reportError(PAYMENT_ERROR_MESSAGES.ORDER_SYNC_FAILED);
+    }
+  }, [reportError]);
+
+  /**
+   * Aplica una transacción actualizada y notifica el resultado
+   */
+  const applyTransaction = useCallback(async (updatedTransaction) => {
+    setTransaction(updatedTransaction);
+
+    if (!isFinalTransactionStatus(updatedTransaction.status)) {
+      if (updatedTransaction.status === TRANSACTION_STATUS.PENDING && onSuccess) {
+        onSuccess(PAYMENT_SUCCESS_MESSAGES.PENDING);
+      }
+      return;
+    }
+
+    await syncOrder(updatedTransaction);
+
+    if (updatedTransaction.status === TRANSACTION_STATUS.APPROVED) {
+      if (onSuccess) onSuccess(PAYMENT_SUCCESS_MESSAGES.APPROVED);
+    } else if (updatedTransaction.status === TRANSACTION_STATUS.DECLINED) {
+      reportError(PAYMENT_ERROR_MESSAGES.DECLINED);
+    } else if (onSuccess) {
+      onSuccess(PAYMENT_SUCCESS_MESSAGES.CANCELLED);
+    }
+  }, [syncOrder, onSuccess, reportError]);
+
+  // ============================================================================
+  // ACCIONES
+  // ============================================================================
+
+  /**
+   * Iniciar transacción para una orden recién creada
+   * @param {Object} orderToPay - Orden (ordersAPI.createOrder)
+   */
+  const startPayment = useCallback(async (orderToPay) => {
+    setProcessing(true);
+    setError(null);
+    setPollingTimedOut(false);
+    pollAttemptsRef.current = 0;
+
+    try {
+      setOrder(orderToPay);
+      const response = await provider.init(buildPaymentData(orderToPay));
+      setTransaction(response.data);
+      return response.data;
+    } catch (err) {
+      reportError(err.message || PAYMENT_ERROR_MESSAGES.INIT_FAILED);
+      return null;
+    } finally {
+      setProcessing(false);
+    }
+  }, [provider, reportError]);
+
+  /**
+   * Confirmar la transacción iniciada
+   * @param {Object} details - Datos para la pasarela (sandbox: { outcome })
+   */
+  const confirmPayment = useCallback(async (details = {}) => {
+    if (!transaction) return null;
+
+    setProcessing(true);
+    setError(null);
+
+    try {
+      const response = await provider.confirm(transaction.id, details);
+      await applyTransaction(response.data);
+      return response.data;
+    } catch (err) {
+      reportError(err.message || PAYMENT_ERROR_MESSAGES.CONFIRM_FAILED);
+      return null;
+    } finally {
+      setProcessing(false);
+    }
+  }, [provider, transaction, applyTransaction, reportError]);
+
+  /**
+   * Cancelar la transacción en curso
+   */
+  const cancelPayment = useCallback(async () => {
+    if (!transaction || isFinalTransactionStatus(transaction.status)) return null;
+
+    setProcessing(true);
+
+    try {
+      const response = await provider.cancel(transaction.id);
+      await applyTransaction(response.data);
+      return response.data;
+    } catch (err) {
+      reportError(err.message || PAYMENT_ERROR_MESSAGES.CANCEL_FAILED);
+      return null;
+    } finally {
+      setProcessing(false);
+    }
+  }, [provider, transaction, applyTransaction, reportError]);
+
+  /**
+   * Reintentar con una nueva transacción (tras rechazo o cancelación)
+   */
+  const retryPayment = useCallback(() => {
+    return order ? startPayment(order) : Promise.resolve(null);
+  }, [order, startPayment]);
+
+  /**
+   * SOLO SANDBOX: resolver un pago pendiente como lo haría el webhook
+   * @param {string} status - approved | declined
+   */
+  const simulateWebhook = useCallback(async (status) => {
+    if (!transaction || typeof provider.simulateWebhook !== 'function') return;
+
+    try {
+      await provider.simulateWebhook(transaction.id, status);
+      // El polling recoge el cambio en el siguiente ciclo
+    } catch (err) {
+      reportError(err.message);
+    }
+  }, [provider, transaction, reportError]);
+
+  // ============================================================================
+  // POLLING (transacciones pendientes)
+  // ============================================================================
+
+  useEffect(() => {
+    if (transaction?.status !== TRANSACTION_STATUS.PENDING) return undefined;
+
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      pollAttemptsRef.current += 1;
+
+      try {
+        const response = await provider.getStatus(transaction.id);
+        if (cancelled) return;
+
+        if (response.data.status !== transaction.status) {
+          await applyTransaction(response.data);
+        } else if (pollAttemptsRef.current >= PAYMENT_POLLING.MAX_ATTEMPTS) {
+          setPollingTimedOut(true);
+          if (onError) onError(PAYMENT_ERROR_MESSAGES.POLLING_TIMEOUT);
+        } else {
+          setPollTick(tick => tick + 1);
+        }
+      } catch (err) {
+        if (!cancelled) reportError(err.message);
+      }
+    }, PAYMENT_POLLING.INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, transaction, pollTick, applyTransaction, onError, reportError]);
+
+  // ============================================================================
+  // RETURN
+  // ============================================================================
+
+  const status = transaction?.status || null;
+
+  return {
+    // Estado
+    provider: provider.name,
+    order,
+    transaction,
+    status,
+    processing,
+    error,
+    isApproved: status === TRANSACTION_STATUS.APPROVED,
+    isPending: status === TRANSACTION_STATUS.PENDING && !pollingTimedOut,
+    pollingTimedOut,
+
+    // Acciones
+    startPayment,
+    confirmPayment,
+    cancelPayment,
+    retryPayment,
+    simulateWebhook,
+
+    // Helpers
+    clearError: () => setError(null)
+  };
+};
+
+export default usePayment;
@@ -0,0 +1,40 @@
+// src/modules/payments/providers/index.js
+
+import env from '../../../core/config/env';
+import { sandboxProvider } from './sandboxProvider';
+import { PAYMENT_PROVIDERS, PAYMENT_ERROR_MESSAGES } from '../types/payment.types';
+
+/**
+ * @module paymentProviders
+ * @description Registro de pasarelas de pago
+ *
+ * Para agregar una pasarela real: implementar la interfaz de
+ * paymentProvider.js con createPaymentProvider y registrarla aquí
+ */
+const providers = {
+  [PAYMENT_PROVIDERS.SANDBOX]: sandboxProvider
+};
+
+/**
+ * Obtiene una pasarela registrada
+ * @param {string} name - Nombre (default: env.PAYMENT_PROVIDER)
+ * @returns {Object} Pasarela
+ * @throws {Error} Si no está registrada
+ */
+export const getPaymentProvider = (name = env.PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`${PAYMENT_ERROR_MESSAGES.PROVIDER_NOT_FOUND}: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Indica si la pasarela activa es la sandbox
+ * @returns {boolean}
+ */
+export const isSandboxProvider = () => {
+  return getPaymentProvider().name === PAYMENT_PROVIDERS.SANDBOX;
+};
+
+export default getPaymentProvider;
@@ -0,0 +1,62 @@
+// src/modules/payments/providers/paymentProvider.js
+
+import { PAYMENT_ERROR_MESSAGES } from '../types/payment.types';
+
+/**
+ * @module paymentProvider
+ * @description Interfaz común de las pasarelas de pago
+ *
+ * Toda pasarela debe implementar estas funciones y responder con el mismo
+ * formato que el backend ({ success, message?, data }), lanzando
+ * { success: false, message, statusCode } como el interceptor de axios.
+ *
+ * - init(paymentData)            → data: Transaction (status: created)
+ *     paymentData: { orderId, amount, currency, method, customer }
+ * - confirm(transactionId, data) → data: Transaction (approved | declined | pending)
+ * - cancel(transactionId)        → data: Transaction (cancelled)
+ * - getStatus(transactionId)     → data: Transaction (estado actual, usado en polling)
+ *
+ * Transaction: { id, provider, orderId, amount, currency, method, status, message, createdAt, updatedAt }
+ */
+
+/**
+ * Funciones requeridas por la interfaz
+ */
+export const PROVIDER_METHODS = ['init', 'confirm', 'cancel', 'getStatus'];
+
+/**
+ * Crea una pasarela validando que implemente la interfaz
+ * @param {string} name - Identificador (PAYMENT_PROVIDERS)
+ * @param {Object} implementation - { init, confirm, cancel, getStatus, ...extras }
+ * @returns {Object} Pasarela inmutable
+ * @throws {Error} Si falta alguna función requerida
+ */
+export const createPaymentProvider = (name, implementation) => {
+  const missing = PROVIDER_METHODS.filter(
+    method => typeof implementation?.[method] !== 'function'
+  );
+
+  if (missing.length > 0) {
+    throw new Error(`${PAYMENT_ERROR_MESSAGES.INVALID_PROVIDER} (${name}: ${missing.join(', ')})`);
+  }
+
+  return Object.freeze({ name, ...implementation });
+};
+
+/**
+ * Error con el mismo formato que rechaza axiosInstance
+ * @param {string} message - Mensaje
+ * @param {number} statusCode - Código HTTP equivalente
+ * @returns {Object} Error
+ */
+export const createProviderError = (message, statusCode = 400) => ({
+  success: false,
+  message,
+  statusCode
+});
+
+export default {
+  PROVIDER_METHODS,
+  createPaymentProvider,
+  createProviderError
+};
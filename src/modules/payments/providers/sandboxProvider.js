@@ -0,0 +1,197 @@
+// src/modules/payments/providers/sandboxProvider.js
+
+import { createPaymentProvider, createProviderError } from './paymentProvider';
+import {
+  PAYMENT_PROVIDERS,
+  TRANSACTION_STATUS,
+  FINAL_TRANSACTION_STATUSES,
+  SANDBOX_OUTCOMES,
+  SANDBOX_CONFIG,
+  PAYMENT_ERROR_MESSAGES
+} from '../types/payment.types';
+import { BASE_CURRENCY } from '../../../shared/lib/money';
+
+/**
+ * @module sandboxProvider
+ * @description Pasarela falsa para probar el ciclo de compra sin gateway real
+ *
+ * - Las transacciones se guardan en localStorage (sobreviven a recargas)
+ * - confirm recibe { outcome } para forzar approved / declined / pending
+ * - Un pago pendiente se resuelve con simulateWebhook o, si nadie lo
+ *   resuelve, se aprueba solo tras SANDBOX_CONFIG.PENDING_RESOLVE_MS
+ */
+
+// ============================================================================
+// PERSISTENCIA
+// ============================================================================
+
+const readTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SANDBOX_CONFIG.STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeTransaction = (transaction) => {
+  const transactions = readTransactions();
+  transactions[transaction.id] = transaction;
+  localStorage.setItem(SANDBOX_CONFIG.STORAGE_KEY, JSON.stringify(transactions));
+  return transaction;
+};
+
+const getTransactionOrThrow = (transactionId) => {
+  const transaction = readTransactions()[transactionId];
+  if (!transaction) {
+    throw createProviderError(PAYMENT_ERROR_MESSAGES.TRANSACTION_NOT_FOUND, 404);
+  }
+  return transaction;
+};
+
+const updateTransaction = (transaction, changes) => {
+  return writeTransaction({
+    ...transaction,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const simulateLatency = () => new Promise(resolve => setTimeout(resolve, SANDBOX_CONFIG.LATENCY_MS));
+
+const generateTransactionId = () => `sbx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const OUTCOME_MESSAGES = {
+  [TRANSACTION_STATUS.APPROVED]: 'Pago aprobado (sandbox)',
+  [TRANSACTION_STATUS.DECLINED]: 'Fondos insuficientes (sandbox)',
+  [TRANSACTION_STATUS.PENDING]: 'Pago en verificación (sandbox)',
+  [TRANSACTION_STATUS.CANCELLED]: 'Pago cancelado (sandbox)'
+};
+
+// ============================================================================
+// PASARELA
+// ============================================================================
+
+export const sandboxProvider = createPaymentProvider(PAYMENT_PROVIDERS.SANDBOX, {
+  /**
+   * Iniciar transacción
+   */
+  init: async ({ orderId, amount, currency = BASE_CURRENCY, method, customer = null }) => {
+    await simulateLatency();
+
+    if (!amount || amount <= 0) {
+      throw createProviderError(PAYMENT_ERROR_MESSAGES.INVALID_AMOUNT);
+    }
+
+    const now = new Date().toISOString();
+    const transaction = writeTransaction({
+      id: generateTransactionId(),
+      provider: PAYMENT_PROVIDERS.SANDBOX,
+      orderId,
+      amount,
+      currency,
+      method,
+      customer,
+      status: TRANSACTION_STATUS.CREATED,
+      message: null,
+      resolveAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return { success: true, message: 'Transacción iniciada', data: transaction };
+  },
+
+  /**
+   * Confirmar transacción con el resultado elegido
+   */
+  confirm: async (transactionId, { outcome = SANDBOX_OUTCOMES.APPROVED } = {}) => {
+    await simulateLatency();
+
+    const transaction = getTransactionOrThrow(transactionId);
+    if (transaction.status !== TRANSACTION_STATUS.CREATED) {
+      throw createProviderError(PAYMENT_ERROR_MESSAGES.ALREADY_FINAL, 409);
+    }
+
+    const status = Object.values(SANDBOX_OUTCOMES).includes(outcome)
+      ? outcome
+      : SANDBOX_OUTCOMES.APPROVED;
+
+    const updated = updateTransaction(transaction, {
+      status,
+      message: OUTCOME_MESSAGES[status],
+      resolveAt: status === TRANSACTION_STATUS.PENDING
+        ? Date.now() + SANDBOX_CONFIG.PENDING_RESOLVE_MS
+        : null
+    });
+
+    return { success: true, message: updated.message, data: updated };
+  },
+
+  /**
+   * Cancelar transacción (solo created / pending)
+   */
+  cancel: async (transactionId) => {
+    await simulateLatency();
+
+    const transaction = getTransactionOrThrow(transactionId);
+    if (FINAL_TRANSACTION_STATUSES.includes(transaction.status)) {
+      throw createProviderError(PAYMENT_ERROR_MESSAGES.ALREADY_FINAL, 409);
+    }
+
+    const updated = updateTransaction(transaction, {
+      status: TRANSACTION_STATUS.CANCELLED,
+      message: OUTCOME_MESSAGES[TRANSACTION_STATUS.CANCELLED],
+      resolveAt: null
+    });
+
+    return { success: true, message: updated.message, data: updated };
+  },
+
+  /**
+   * Estado actual (equivalente a consultar el webhook del gateway)
+   */
+  getStatus: async (transactionId) => {
+    const transaction = getTransactionOrThrow(transactionId);
+
+    if (
+      transaction.status === TRANSACTION_STATUS.PENDING &&
+      transaction.resolveAt &&
+      Date.now() >= transaction.resolveAt
+    ) {
+      const resolved = updateTransaction(transaction, {
+        status: TRANSACTION_STATUS.APPROVED,
+        message: OUTCOME_MESSAGES[TRANSACTION_STATUS.APPROVED],
+        resolveAt: null
+      });
+      return { success: true, data: resolved };
+    }
+
+    return { success: true, data: transaction };
+  },
+
+  /**
+   * SOLO SANDBOX: resolver un pago pendiente como lo haría el webhook
+   * @param {string} transactionId - ID de la transacción
+   * @param {string} status - approved | declined
+   */
+  simulateWebhook: async (transactionId, status) => {
+    const transaction = getTransactionOrThrow(transactionId);
+    if (transaction.status !== TRANSACTION_STATUS.PENDING) {
+      throw createProviderError(PAYMENT_ERROR_MESSAGES.ALREADY_FINAL, 409);
+    }
+
+    const updated = updateTransaction(transaction, {
+      status,
+      message: OUTCOME_MESSAGES[status],
+      resolveAt: null
+    });
+
+    return { success: true, message: updated.message, data: updated };
+  }
+});
+
+export default sandboxProvider;
@@ -0,0 +1,123 @@
+// src/modules/payments/types/payment.types.js
+
+/**
+ * @module payment.types
+ * @description Constantes de pasarelas de pago
+ *
+ * FLUJO DE UNA TRANSACCIÓN:
+ * init (created) → confirm (approved | declined | pending) → getStatus (polling)
+ * cancel solo aplica a transacciones created / pending
+ */
+
+/**
+ * Pasarelas disponibles (env.PAYMENT_PROVIDER)
+ */
+export const PAYMENT_PROVIDERS = {
+  SANDBOX: 'sandbox'
+};
+
+/**
+ * Estados de una transacción
+ */
+export const TRANSACTION_STATUS = {
+  CREATED: 'created',
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Labels de estados de transacción
+ */
+export const TRANSACTION_STATUS_LABELS = {
+  [TRANSACTION_STATUS.CREATED]: 'Iniciada',
+  [TRANSACTION_STATUS.PENDING]: 'En verificación',
+  [TRANSACTION_STATUS.APPROVED]: 'Aprobada',
+  [TRANSACTION_STATUS.DECLINED]: 'Rechazada',
+  [TRANSACTION_STATUS.CANCELLED]: 'Cancelada'
+};
+
+/**
+ * Estados finales (detienen el polling)
+ */
+export const FINAL_TRANSACTION_STATUSES = [
+  TRANSACTION_STATUS.APPROVED,
+  TRANSACTION_STATUS.DECLINED,
+  TRANSACTION_STATUS.CANCELLED
+];
+
+/**
+ * Resultados que se pueden forzar en la pasarela sandbox
+ */
+export const SANDBOX_OUTCOMES = {
+  APPROVED: TRANSACTION_STATUS.APPROVED,
+  DECLINED: TRANSACTION_STATUS.DECLINED,
+  PENDING: TRANSACTION_STATUS.PENDING
+};
+
+/**
+ * Labels de resultados sandbox
+ */
+export const SANDBOX_OUTCOME_LABELS = {
+  [SANDBOX_OUTCOMES.APPROVED]: 'Aprobar pago',
+  [SANDBOX_OUTCOMES.DECLINED]: 'Rechazar pago',
+  [SANDBOX_OUTCOMES.PENDING]: 'Dejar pendiente'
+};
+
+/**
+ * Configuración de la pasarela sandbox
+ */
+export const SANDBOX_CONFIG = {
+  STORAGE_KEY: 'sandbox_payments',
+  LATENCY_MS: 800,
+  // Un pago pendiente se aprueba solo si nadie lo resuelve antes
+  PENDING_RESOLVE_MS: 10000
+};
+
+/**
+ * Polling del estado de una transacción pendiente
+ */
+export const PAYMENT_POLLING = {
+  INTERVAL_MS: 2000,
+  MAX_ATTEMPTS: 30
+};
+
+/**
+ * Mensajes de error
+ */
+export const PAYMENT_ERROR_MESSAGES = {
+  PROVIDER_NOT_FOUND: 'Pasarela de pago no disponible',
+  INVALID_PROVIDER: 'La pasarela de pago no implementa la interfaz requerida',
+  TRANSACTION_NOT_FOUND: 'Transacción no encontrada',
+  INVALID_AMOUNT: 'El monto a pagar es inválido',
+  ALREADY_FINAL: 'La transacción ya fue procesada',
+  DECLINED: 'Tu pago fue rechazado. Intenta con otro medio de pago.',
+  INIT_FAILED: 'No pudimos iniciar el pago',
+  CONFIRM_FAILED: 'No pudimos procesar el pago',
+  CANCEL_FAILED: 'No pudimos cancelar el pago',
+  POLLING_TIMEOUT: 'Tu pago sigue en verificación. Te avisaremos cuando se confirme.',
+  ORDER_SYNC_FAILED: 'El pago se procesó pero no pudimos actualizar tu pedido'
+};
+
+/**
+ * Mensajes de éxito
+ */
+export const PAYMENT_SUCCESS_MESSAGES = {
+  APPROVED: '¡Pago aprobado!',
+  PENDING: 'Tu pago está en verificación',
+  CANCELLED: 'Pago cancelado'
+};
+
+export default {
+  PAYMENT_PROVIDERS,
+  TRANSACTION_STATUS,
+  TRANSACTION_STATUS_LABELS,
+  FINAL_TRANSACTION_STATUSES,
+  SANDBOX_OUTCOMES,
+  SANDBOX_OUTCOME_LABELS,
+  SANDBOX_CONFIG,
+  PAYMENT_POLLING,
+  PAYMENT_ERROR_MESSAGES,
+  PAYMENT_SUCCESS_MESSAGES
+};
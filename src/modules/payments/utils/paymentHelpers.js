@@ -0,0 +1,95 @@
+// src/modules/payments/utils/paymentHelpers.js
+
+import { PAYMENT_METHODS } from '../../checkout/types/checkout.types';
+import { PAYMENT_STATUS } from '../../orders/types/order.types';
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_STATUS_LABELS,
+  FINAL_TRANSACTION_STATUSES
+} from '../types/payment.types';
+import { BASE_CURRENCY } from '../../../shared/lib/money';
+
+/**
+ * Métodos de pago que pasan por la pasarela
+ * (contra entrega se paga al recibir el pedido)
+ */
+const ONLINE_PAYMENT_METHODS = [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.PSE];
+
+// ============================================================================
+// MÉTODOS
+// ============================================================================
+
+/**
+ * Indica si el método de pago requiere pasarela
+ * @param {string} method - PAYMENT_METHODS
+ * @returns {boolean}
+ */
+export const requiresOnlinePayment = (method) => {
+  return ONLINE_PAYMENT_METHODS.includes(method);
+};
+
+// ============================================================================
+// ESTADOS
+// ============================================================================
+
+/**
+ * Indica si la transacción ya no cambiará de estado
+ * @param {string} status - TRANSACTION_STATUS
+ * @returns {boolean}
+ */
+export const isFinalTransactionStatus = (status) => {
+  return FINAL_TRANSACTION_STATUSES.includes(status);
+};
+
+/**
+ * Traduce el estado de la transacción al paymentStatus de la orden
+ * @param {string} status - TRANSACTION_STATUS
+ * @returns {string} PAYMENT_STATUS
+ */
+export const toOrderPaymentStatus = (status) => {
+  switch (status) {
+    case TRANSACTION_STATUS.APPROVED:
+      return PAYMENT_STATUS.PAID;
+    case TRANSACTION_STATUS.DECLINED:
+    case TRANSACTION_STATUS.CANCELLED:
+      return PAYMENT_STATUS.FAILED;
+    default:
+      return PAYMENT_STATUS.PENDING;
+  }
+};
+
+/**
+ * Obtiene label del estado de la transacción
+ * @param {string} status - TRANSACTION_STATUS
+ * @returns {string} Label
+ */
+export const getTransactionStatusLabel = (status) => {
+  return TRANSACTION_STATUS_LABELS[status] || status;
+};
+
+// ============================================================================
+// PAYLOADS
+// ============================================================================
+
+/**
+ * Construye los datos de inicio de pago a partir de la orden creada
+ * @param {Object} order - Orden (ordersAPI.createOrder)
+ * @returns {Object} paymentData para provider.init
+ */
+export const buildPaymentData = (order) => {
+  return {
+    orderId: order?._id,
+    amount: order?.totalAmount || 0,
+    currency: BASE_CURRENCY,
+    method: order?.paymentMethod,
+    customer: order?.customerInfo?.email || order?.shippingAddress?.email || null
+  };
+};
+
+export default {
+  requiresOnlinePayment,
+  isFinalTransactionStatus,
+  toOrderPaymentStatus,
+  getTransactionStatusLabel,
+  buildPaymentData
+};
@@ -0,0 +1,46 @@
+// src/modules/pickup/api/pickup.api.js
+
+import axiosInstance from '../../../core/api/axiosInstance';
+
+/**
+ * @module pickupAPI
+ * @description API calls para los puntos de recogida en tienda
+ *
+ * BASE_URL: /api/pickup-locations
+ * AUTH: Rutas públicas (el catálogo se muestra también a invitados)
+ *
+ * IMPORTANTE: Todas las funciones retornan el formato exacto del backend:
+ * - { success, message?, data? }
+ */
+
+export const pickupAPI = {
+  /**
+   * @function getLocations
+   * @description Obtener los puntos de recogida activos con su stock
+   *
+   * @route GET /api/pickup-locations
+   * @access Public
+   *
+   * @param {Object} params
+   * @param {string[]} params.productIds - Productos cuyo stock se quiere por punto
+   *
+   * @returns {Promise<Object>} { success, data: PickupLocation[] }
+   *
+   * PickupLocation: {
+   *   _id, name, street, city, state, zipCode, phone,
+   *   openingHours: { mon: [{ open: '09:00', close: '19:00' }], ..., sun: [] },
+   *   stock: { [productId]: number },
+   *   isActive
+   * }
+   *
+   * @example
+   * const response = await pickupAPI.getLocations({ productIds: ['64f...', '64a...'] });
+   */
+  getLocations: async ({ productIds = [] } = {}) => {
+    return await axiosInstance.get('/pickup-locations', {
+      params: productIds.length ? { products: productIds.join(',') } : {}
+    });
+  }
+};
+
+export default pickupAPI;
@@ -0,0 +1,243 @@
+import React, { useState, useMemo } from 'react';
+import { MapPin, Clock, Phone } from 'lucide-react';
+import usePickupLocations from '../hooks/usePickupLocations';
+import { PICKUP_ERROR_MESSAGES } from '../types/pickup.types';
+import {
+  formatOpeningHours,
+  getPickupWindows,
+  isSamePickupWindow
+} from '../utils/pickupHelpers';
+
+const CONTACT_FIELDS = [
+  { field: 'firstName', label: 'Nombre *', type: 'text', placeholder: 'Juan' },
+  { field: 'lastName', label: 'Apellido *', type: 'text', placeholder: 'Pérez' },
+  { field: 'email', label: 'Email *', type: 'email', placeholder: 'juan@ejemplo.com' },
+  { field: 'phone', label: 'Teléfono *', type: 'tel', placeholder: '+57 300 1234567' }
+];
+
+/**
+ * @component PickupPointSelector
+ * @description Selección de punto de recogida, franja y datos de quien recoge
+ *
+ * PROPS:
+ * @param {Array} items - Items del carrito (stock por punto)
+ * @param {Object} currentPickup - Recogida guardada en el carrito ({ locationId, window })
+ * @param {Object} initialContact - Datos de contacto precargados
+ * @param {Function} onConfirm - Callback ({ location, window, contact })
+ * @param {Function} onError - Callback con mensaje de error
+ * @param {boolean} loading - Estado de carga
+ */
+const PickupPointSelector = ({
+  items = [],
+  currentPickup = null,
+  initialContact = {},
+  onConfirm,
+  onError,
+  loading = false
+}) => {
+  const { locations, loading: locationsLoading } = usePickupLocations(items, onError);
+
+  const [selectedId, setSelectedId] = useState(currentPickup?.locationId || null);
+  const [selectedWindow, setSelectedWindow] = useState(currentPickup?.window || null);
+  const [contact, setContact] = useState({
+    firstName: initialContact.firstName || '',
+    lastName: initialContact.lastName || '',
+    email: initialContact.email || '',
+    phone: initialContact.phone || ''
+  });
+
+  const selectedLocation = locations.find(location => location._id === selectedId) || null;
+  const windows = useMemo(
+    () => (selectedLocation ? getPickupWindows(selectedLocation) : []),
+    [selectedLocation]
+  );
+  const [selectedDate, setSelectedDate] = useState(currentPickup?.window?.date || null);
+  const activeDay = windows.find(day => day.date === selectedDate) || windows[0];
+
+  // ============================================================================
+  // HANDLERS
+  // ============================================================================
+
+  const handleSelectLocation = (location) => {
+    setSelectedId(location._id);
+    setSelectedWindow(null);
+    setSelectedDate(null);
+  };
+
+  const handleConfirm = () => {
+    if (!selectedLocation) return onError?.(PICKUP_ERROR_MESSAGES.MISSING_LOCATION);
+    if (!selectedLocation.availability.available) return onError?.(PICKUP_ERROR_MESSAGES.OUT_OF_STOCK);
+    if (!selectedWindow) return onError?.(PICKUP_ERROR_MESSAGES.MISSING_WINDOW);
+    if (Object.values(contact).some(value => !value.trim())) {
+      return onError?.(PICKUP_ERROR_MESSAGES.MISSING_CONTACT);
+    }
+
+    onConfirm({ location: selectedLocation, window: selectedWindow, contact });
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  if (locationsLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!locations.length) {
+    return (
+      <p className="text-sm text-gray-600 p-4 bg-gray-50 rounded-lg">
+        {PICKUP_ERROR_MESSAGES.NO_LOCATIONS}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Puntos de recogida */}
+      <div className="space-y-3">
+        {locations.map(location => {
+          const isSelected = location._id === selectedId;
+          const { available, missing } = location.availability;
+
+          return (
+            <button
+              key={location._id}
+              type="button"
+              onClick={() => handleSelectLocation(location)}
+              disabled={loading}
+              className={`w-full text-left p-4 border-2 rounded-lg transition-all ${
+                isSelected ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <p className="font-medium text-gray-900">{location.name}</p>
+                  <p className="text-sm text-gray-600 flex items-center gap-1 mt-1">
+                    <MapPin className="w-4 h-4" />
+                    {location.street}, {location.city}
+                  </p>
+                  {location.phone && (
+                    <p className="text-sm text-gray-600 flex items-center gap-1">
+                      <Phone className="w-4 h-4" />
+                      {location.phone}
+                    </p>
+                  )}
+                  <div className="mt-2 text-xs text-gray-500 space-y-0.5">
+                    {formatOpeningHours(location).map(group => (
+                      <p key={group.days} className="flex items-center gap-1">
+                        <Clock className="w-3 h-3" />
+                        <span className="font-medium">{group.days}:</span> {group.hours}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+
+                <span className={`px-2 py-1 text-xs font-semibold rounded whitespace-nowrap ${
+                  available ? 'bg-green-100 text-green-700' : 'bg-orange-100 text-orange-700'
+                }`}>
+                  {available ? 'Todo disponible' : `${missing.length} sin stock`}
+                </span>
+              </div>
+
+              {isSelected && !available && (
+                <ul className="mt-3 text-xs text-orange-700 space-y-1">
+                  {missing.map(item => (
+                    <li key={item.productId}>
+                      {item.name || 'Producto'}: {item.stock} disponibles de {item.requested}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Franja de recogida */}
+      {selectedLocation && selectedLocation.availability.available && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">¿Cuándo pasas a recoger?</h4>
+
+          {windows.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Este punto no tiene franjas disponibles en los próximos días
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {windows.map(day => (
+                  <button
+                    key={day.date}
+                    type="button"
+                    onClick={() => setSelectedDate(day.date)}
+                    className={`px-3 py-1.5 rounded-full text-sm border transition-colors ${
+                      day.date === activeDay?.date
+                        ? 'border-blue-600 bg-blue-600 text-white'
+                        : 'border-gray-300 text-gray-700 hover:border-gray-400'
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                {activeDay?.slots.map(slot => (
+                  <button
+                    key={`${slot.date}-${slot.start}`}
+                    type="button"
+                    onClick={() => setSelectedWindow(slot)}
+                    className={`px-3 py-2 rounded-lg text-sm border-2 transition-colors ${
+                      isSamePickupWindow(slot, selectedWindow)
+                        ? 'border-blue-600 bg-blue-50 text-blue-700 font-medium'
+                        : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {slot.start} – {slot.end}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Quién recoge */}
+      {selectedWindow && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">¿Quién recoge el pedido?</h4>
+          <div className="grid grid-cols-2 gap-4">
+            {CONTACT_FIELDS.map(({ field, label, type, placeholder }) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                <input
+                  type={type}
+                  value={contact[field]}
+                  onChange={(e) => setContact(prev => ({ ...prev, [field]: e.target.value }))}
+                  disabled={loading}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={placeholder}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleConfirm}
+        disabled={loading || !selectedWindow}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+      >
+        {loading ? 'Guardando...' : 'Recoger aquí'}
+      </button>
+    </div>
+  );
+};
+
+export default PickupPointSelector;
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { pickupAPI } from '../api/pickup.api';
+import { PICKUP_ERROR_MESSAGES } from '../types/pickup.types';
+import { getLocationAvailability } from '../utils/pickupHelpers';
+
+/**
+ * @hook usePickupLocations
+ * @description Catálogo de puntos de recogida con el stock de los items del carrito
+ *
+ * CARACTERÍSTICAS:
+ * - Carga los puntos al montar y cuando cambian los productos del carrito
+ * - Cada punto incluye `availability` (getLocationAvailability)
+ * - Los puntos con stock completo aparecen primero
+ *
+ * @param {Array} items - Items del carrito
+ * @param {Function} onError - Callback con mensaje de error
+ *
+ * @returns {Object} { locations, loading, error, refetch }
+ *
+ * @example
+ * const { locations, loading } = usePickupLocations(cart.items, toast.error);
+ */
+export const usePickupLocations = (items = [], onError) => {
+  const [rawLocations, setRawLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // El callback puede cambiar en cada render: no debe disparar otra consulta
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  // Solo se vuelve a consultar si cambian los productos, no las cantidades
+  const productKey = [...new Set(items.map(item => item.product?._id || item.product))]
+    .sort()
+    .join(',');
+
+  const fetchLocations = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await pickupAPI.getLocations({
+        productIds: productKey ? productKey.split(',') : []
+      });
+
+      const data = response.success ? response.data || [] : [];
+      setRawLocations(data.filter(location => location.isActive !== false));
+    } catch (err) {
+      console.error('[usePickupLocations] Error fetching locations:', err);
+      const message = err.message || PICKUP_ERROR_MESSAGES.FETCH_FAILED;
+      setError(message);
+      setRawLocations([]);
+      if (onErrorRef.current) onErrorRef.current(message);
+    } finally {
+      setLoading(false);
+    }
+  }, [productKey]);
+
+  useEffect(() => {
+    fetchLocations();
+  }, [fetchLocations]);
+
+  const locations = useMemo(() => {
+    return rawLocations
+      .map(location => ({
+        ...location,
+        availability: getLocationAvailability(location, items)
+      }))
+      .sort((a, b) => Number(b.availability.available) - Number(a.availability.available));
+  }, [rawLocations, items]);
+
+  return {
+    locations,
+    loading,
+    error,
+    refetch: fetchLocations
+  };
+};
+
+export default usePickupLocations;
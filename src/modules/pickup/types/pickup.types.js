@@ -0,0 +1,63 @@
+// src/modules/pickup/types/pickup.types.js
+
+/**
+ * @module pickup.types
+ * @description Constantes de recogida en tienda (SHIPPING_METHODS.PICKUP)
+ *
+ * Cada punto de recogida tiene dirección, horario por día de la semana
+ * y stock propio; el cliente elige punto y franja de recogida
+ */
+
+/**
+ * Días de la semana en el orden de Date.getDay() (0 = domingo)
+ */
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Labels cortos de los días
+ */
+export const WEEKDAY_LABELS = {
+  mon: 'Lun',
+  tue: 'Mar',
+  wed: 'Mié',
+  thu: 'Jue',
+  fri: 'Vie',
+  sat: 'Sáb',
+  sun: 'Dom'
+};
+
+/**
+ * Franjas de recogida
+ */
+export const PICKUP_WINDOW_CONFIG = {
+  SLOT_MINUTES: 120,
+  MIN_LEAD_MINUTES: 120, // Tiempo de alistamiento del pedido
+  DAYS_AHEAD: 6
+};
+
+/**
+ * Mensajes de error
+ */
+export const PICKUP_ERROR_MESSAGES = {
+  FETCH_FAILED: 'Error al cargar los puntos de recogida',
+  NO_LOCATIONS: 'No hay puntos de recogida disponibles',
+  MISSING_LOCATION: 'Selecciona un punto de recogida',
+  MISSING_WINDOW: 'Selecciona una franja de recogida',
+  MISSING_CONTACT: 'Completa los datos de quien recoge el pedido',
+  OUT_OF_STOCK: 'Este punto no tiene stock de todos los productos de tu carrito'
+};
+
+/**
+ * Mensajes de éxito
+ */
+export const PICKUP_SUCCESS_MESSAGES = {
+  SAVED: 'Punto de recogida guardado'
+};
+
+export default {
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+  PICKUP_WINDOW_CONFIG,
+  PICKUP_ERROR_MESSAGES,
+  PICKUP_SUCCESS_MESSAGES
+};
@@ -0,0 +1,275 @@
+// src/modules/pickup/utils/pickupHelpers.js
+
+import {
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+  PICKUP_WINDOW_CONFIG
+} from '../types/pickup.types';
+
+/**
+ * @module pickupHelpers
+ * @description Horarios, franjas de recogida y stock por punto
+ *
+ * Las horas se manejan como 'HH:mm' en la hora local de la tienda
+ */
+
+// ============================================================================
+// HORAS Y FECHAS
+// ============================================================================
+
+/**
+ * Convierte 'HH:mm' a minutos desde medianoche
+ * @param {string} time - Hora
+ * @returns {number} Minutos
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Convierte minutos desde medianoche a 'HH:mm'
+ * @param {number} minutes - Minutos
+ * @returns {string} Hora
+ */
+export const fromMinutes = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Fecha local en formato 'YYYY-MM-DD'
+ * @param {Date} date - Fecha
+ * @returns {string} Fecha
+ */
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parsea 'YYYY-MM-DD' como fecha local (sin desfase de zona horaria)
+ * @param {string} dateKey - Fecha
+ * @returns {Date} Fecha
+ */
+export const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// ============================================================================
+// HORARIOS
+// ============================================================================
+
+/**
+ * Rangos de atención de un punto para una fecha
+ * @param {Object} location - Punto de recogida
+ * @param {Date} date - Fecha
+ * @returns {Array} [{ open, close }]
+ */
+export const getDayHours = (location, date) => {
+  return location?.openingHours?.[WEEKDAYS[date.getDay()]] || [];
+};
+
+/**
+ * Agrupa días consecutivos con el mismo horario para mostrar
+ * @param {Object} location - Punto de recogida
+ * @returns {Array} [{ days: 'Lun – Vie', hours: '09:00 – 19:00' }]
+ */
+export const formatOpeningHours = (location) => {
+  // Semana empezando en lunes
+  const week = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+  const groups = [];
+
+  week.forEach(day => {
+    const ranges = location?.openingHours?.[day] || [];
+    const hours = ranges.length
+      ? ranges.map(range => `${range.open} – ${range.close}`).join(', ')
+      : 'Cerrado';
+    const last = groups[groups.length - 1];
+
+    if (last && last.hours === hours) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, hours });
+    }
+  });
+
+  return groups.map(group => ({
+    days: group.from === group.to
+      ? WEEKDAY_LABELS[group.from]
+      : `${WEEKDAY_LABELS[group.from]} – ${WEEKDAY_LABELS[group.to]}`,
+    hours: group.hours
+  }));
+};
+
+// ============================================================================
+// FRANJAS DE RECOGIDA
+// ============================================================================
+
+/**
+ * Franjas disponibles de un punto en los próximos días
+ * Se descartan las franjas que empiezan antes del tiempo de alistamiento
+ *
+ * @param {Object} location - Punto de recogida
+ * @param {Date} now - Momento actual (default: ahora)
+ * @returns {Array} [{ date, label, slots: [{ date, start, end }] }] (solo días con franjas)
+ */
+export const getPickupWindows = (location, now = new Date()) => {
+  const { SLOT_MINUTES, MIN_LEAD_MINUTES, DAYS_AHEAD } = PICKUP_WINDOW_CONFIG;
+  const earliest = new Date(now.getTime() + MIN_LEAD_MINUTES * 60 * 1000);
+  const days = [];
+
+  for (let offset = 0; offset <= DAYS_AHEAD; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const dateKey = toDateKey(date);
+    const slots = [];
+
+    getDayHours(location, date).forEach(range => {
+      const close = toMinutes(range.close);
+
+      for (let start = toMinutes(range.open); start < close; start += SLOT_MINUTES) {
+        const slotStart = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, start);
+        if (slotStart < earliest) continue;
+
+        slots.push({
+          date: dateKey,
+          start: fromMinutes(start),
+          end: fromMinutes(Math.min(start + SLOT_MINUTES, close))
+        });
+      }
+    });
+
+    if (slots.length) {
+      days.push({
+        date: dateKey,
+        label: offset === 0 ? 'Hoy' : offset === 1 ? 'Mañana' : formatPickupDate(dateKey),
+        slots
+      });
+    }
+  }
+
+  return days;
+};
+
+/**
+ * Formatea una fecha de recogida ('YYYY-MM-DD')
+ * @param {string} dateKey - Fecha
+ * @returns {string} "mar 21 oct"
+ */
+export const formatPickupDate = (dateKey) => {
+  return fromDateKey(dateKey).toLocaleDateString('es-CO', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  });
+};
+
+/**
+ * Formatea una franja de recogida
+ * @param {Object} window - { date, start, end }
+ * @returns {string} "mar 21 oct, 10:00 – 12:00"
+ */
+export const formatPickupWindow = (window) => {
+  if (!window?.date) return '';
+  return `${formatPickupDate(window.date)}, ${window.start} – ${window.end}`;
+};
+
+/**
+ * Compara dos franjas
+ * @returns {boolean}
+ */
+export const isSamePickupWindow = (a, b) => {
+  return !!a && !!b && a.date === b.date && a.start === b.start;
+};
+
+// ============================================================================
+// STOCK POR PUNTO
+// ============================================================================
+
+/**
+ * Verifica si un punto tiene stock de los items del carrito
+ * Sin información de stock (location.stock ausente) no se bloquea la selección
+ *
+ * @param {Object} location - Punto de recogida
+ * @param {Array} items - Items del carrito
+ * @returns {Object} { available, missing: [{ productId, name, requested, stock }] }
+ */
+export const getLocationAvailability = (location, items = []) => {
+  if (!location?.stock) return { available: true, missing: [] };
+
+  const requested = items.reduce((acc, item) => {
+    const productId = item.product?._id || item.product;
+    acc[productId] = {
+      name: item.product?.name,
+      quantity: (acc[productId]?.quantity || 0) + item.quantity
+    };
+    return acc;
+  }, {});
+
+  const missing = Object.entries(requested)
+    .filter(([productId, { quantity }]) => (location.stock[productId] ?? 0) < quantity)
+    .map(([productId, { name, quantity }]) => ({
+      productId,
+      name,
+      requested: quantity,
+      stock: location.stock[productId] ?? 0
+    }));
+
+  return { available: missing.length === 0, missing };
+};
+
+// ============================================================================
+// CARRITO
+// ============================================================================
+
+/**
+ * Dirección de la orden para recogida: datos de contacto del cliente
+ * con la dirección del punto (cart.schema -> updateShippingAddressSchema)
+ *
+ * @param {Object} location - Punto de recogida
+ * @param {Object} contact - { firstName, lastName, email, phone }
+ * @returns {Object} Dirección de envío
+ */
+export const buildPickupAddress = (location, contact) => ({
+  firstName: contact.firstName,
+  lastName: contact.lastName,
+  email: contact.email,
+  phone: contact.phone,
+  street: location.street,
+  city: location.city,
+  state: location.state,
+  zipCode: location.zipCode,
+  country: location.country || 'Colombia',
+  isDefault: false
+});
+
+/**
+ * Datos de recogida que se guardan en el carrito y la orden
+ * @param {Object} location - Punto de recogida
+ * @param {Object} window - { date, start, end }
+ * @returns {Object} { locationId, locationName, address, window }
+ */
+export const buildPickupSelection = (location, window) => ({
+  locationId: location._id,
+  locationName: location.name,
+  address: `${location.street}, ${location.city}`,
+  window: { date: window.date, start: window.start, end: window.end }
+});
+
+export default {
+  toMinutes,
+  fromMinutes,
+  toDateKey,
+  fromDateKey,
+  getDayHours,
+  formatOpeningHours,
+  getPickupWindows,
+  formatPickupDate,
+  formatPickupWindow,
+  isSamePickupWindow,
+  getLocationAvailability,
+  buildPickupAddress,
+  buildPickupSelection
+};
@@ -121,10 +121,12 @@ export const productsAPI = {
   /**
    * @function checkStock
    * @description Verificar disponibilidad de stock
+   * Con reservationId, las unidades reservadas por ese checkout cuentan como disponibles
    */
-  checkStock: async (productId, quantity) => {
+  checkStock: async (productId, quantity, reservationId = null) => {
     return await axiosInstance.post(`/products/check-stock/${productId}`, {
       quantity,
+      ...(reservationId ? { reservationId } : {}),
     });
   },
 
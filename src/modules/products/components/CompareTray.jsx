@@ -0,0 +1,96 @@
+import { Link, useLocation } from 'react-router-dom';
+import { Scale, X } from 'lucide-react';
+import { useCompare } from '../hooks/useCompare';
+import { getPrimaryImage } from '../utils/productHelpers';
+import { formatPrice } from '../utils/priceHelpers';
+
+/**
+ * CompareTray - Bandeja fija del comparador
+ *
+ * Aparece en la parte inferior mientras haya productos para comparar
+ * (se oculta en la propia página /comparar). Muestra un hueco por cada
+ * lugar libre hasta el máximo y habilita "Comparar" desde 2 productos
+ */
+export function CompareTray() {
+  const { items, count, maxItems, removeFromCompare, clearCompare } = useCompare();
+  const { pathname } = useLocation();
+
+  if (!count || pathname.startsWith('/comparar')) return null;
+
+  const emptySlots = Math.max(maxItems - count, 0);
+  const canCompare = count >= 2;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 bg-white/95 dark:bg-gray-900/95 backdrop-blur border-t border-gray-200 dark:border-gray-700 shadow-2xl">
+      <div className="container mx-auto px-4 py-3 flex flex-col md:flex-row md:items-center gap-3">
+        <div className="flex items-center gap-2 text-sm font-semibold text-gray-900 dark:text-white md:w-40">
+          <Scale className="h-5 w-5 text-blue-600" />
+          <span>Comparar ({count}/{maxItems})</span>
+        </div>
+
+        <div className="flex-1 grid grid-cols-4 gap-2">
+          {items.map(product => (
+            <div
+              key={product._id}
+              className="relative flex items-center gap-2 p-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800"
+            >
+              <img
+                src={getPrimaryImage(product)}
+                alt={product.name}
+                className="h-10 w-10 rounded object-cover flex-shrink-0"
+              />
+              <div className="min-w-0 hidden sm:block">
+                <p className="text-xs font-medium text-gray-900 dark:text-white truncate">
+                  {product.name}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {formatPrice(product.price)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => removeFromCompare(product._id)}
+                className="absolute -top-2 -right-2 h-5 w-5 rounded-full bg-gray-700 text-white flex items-center justify-center hover:bg-red-600"
+                title="Quitar del comparador"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </div>
+          ))}
+
+          {Array.from({ length: emptySlots }, (_, index) => (
+            <div
+              key={`empty-${index}`}
+              className="hidden sm:flex items-center justify-center p-2 rounded-lg border-2 border-dashed border-gray-200 dark:border-gray-700 text-xs text-gray-400"
+            >
+              Agrega un producto
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={clearCompare}
+            className="px-3 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-red-600"
+          >
+            Limpiar
+          </button>
+          <Link
+            to="/comparar"
+            aria-disabled={!canCompare}
+            onClick={(e) => { if (!canCompare) e.preventDefault(); }}
+            title={canCompare ? 'Ver la comparación' : 'Agrega al menos 2 productos'}
+            className={`px-5 py-2 rounded-lg text-sm font-semibold text-white transition-colors ${
+              canCompare ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-400 cursor-not-allowed'
+            }`}
+          >
+            Comparar
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CompareTray;
@@ -8,7 +8,7 @@ import { useProducts } from "../contexts/ProductsContext";
 
 // Componente ProductCard (importar el real)
 import { ProductCard } from "./ProductCard";
-import { addToCart } from "../../cart/api/cart.api";
+import { useProductCart } from '../hooks/useProductCart';
 import { useProductWishlist } from '../hooks/useProductWishlist';
 
 export function FeaturedProducts() {
@@ -21,6 +21,7 @@ export function FeaturedProducts() {
   });
 
 const { toggleProductWishlist, isProductInWishlist, isInWishlist } = useProductWishlist();
+const { addProductToCart } = useProductCart();
 
 
   if (loading) {
@@ -113,7 +114,7 @@ const { toggleProductWishlist, isProductInWishlist, isInWishlist } = useProductW
               <ProductCard
                 product={product}
                 showWishlistButton={true}
-                onAddToCart={ () => addToCart ({ productId: product._id, quantity: 1 }) }
+                onAddToCart={() => addProductToCart(product, 1)}
                 onToggleWishlist={() => toggleProductWishlist (product) }
                 isInWishlist={isProductInWishlist(product._id)}
               />
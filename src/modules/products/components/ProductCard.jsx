@@ -11,16 +11,21 @@ import {
   Shield,
   Sparkles,
   TrendingUp,
+  Scale,
+  Check,
 } from "lucide-react";
 import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
 
 // ✅ HOOKS INTEGRADOS
 import { useAuth } from "../../../core/hooks/useAuth";
 import { useProductCart } from "../hooks/useProductCart"; // ✅ NUEVO
 import { useProductWishlist } from "../hooks/useProductWishlist"; // ✅ NUEVO
+import { useCompare } from "../hooks/useCompare";
 
 // Utilidades
 import { formatPrice, calculateDiscountPercentage } from "../utils/priceHelpers";
+import { getTaxLabel } from "../../../shared/lib/tax";
 import { 
   isNewProduct, 
   isLowStock, 
@@ -32,6 +37,7 @@ export function ProductCard({
   product,
   className = "",
   showWishlistButton = true,
+  showCompareButton = true,
   variant = "default",
   onAddToCart, // Callback opcional (si quieres override)
   onToggleWishlist, // Callback opcional
@@ -46,6 +52,7 @@ export function ProductCard({
     isProductInWishlist, 
     loading: wishlistLoading 
   } = useProductWishlist();
+  const { isInCompare, toggleCompare, maxItems } = useCompare();
 
   const [isImageLoaded, setIsImageLoaded] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
@@ -55,6 +62,8 @@ export function ProductCard({
     ? isInWishlistProp 
     : isProductInWishlist(product._id);
 
+  const isComparing = isInCompare(product._id);
+
   // ============================================================================
   // HANDLERS
   // ============================================================================
@@ -90,6 +99,15 @@ export function ProductCard({
     await toggleProductWishlist(product);
   };
 
+  const handleToggleCompare = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!toggleCompare(product)) {
+      toast.error(`Puedes comparar hasta ${maxItems} productos`);
+    }
+  };
+
   // ============================================================================
   // COMPUTED VALUES
   // ============================================================================
@@ -282,6 +300,9 @@ export function ProductCard({
                       </span>
                     )}
                   </div>
+                  <p className="text-xs text-muted-foreground">
+                    {getTaxLabel(product)}
+                  </p>
 
                   {discountPercentage > 0 && (
                     <div className="text-xs font-bold text-green-600 flex items-center space-x-1">
@@ -326,6 +347,24 @@ export function ProductCard({
               )}
             </button>
 
+            {/* Compare Toggle */}
+            {showCompareButton && (
+              <button
+                type="button"
+                onClick={handleToggleCompare}
+                aria-pressed={isComparing}
+                className={`w-full py-2 rounded-xl text-sm font-semibold border-2 transition-colors duration-300 flex items-center justify-center space-x-2 ${
+                  isComparing
+                    ? "border-primary bg-primary/10 text-primary"
+                    : "border-border/50 text-muted-foreground hover:border-primary/40 hover:text-foreground"
+                }`}
+                title={isComparing ? "Quitar del comparador" : "Agregar al comparador"}
+              >
+                {isComparing ? <Check className="h-4 w-4" /> : <Scale className="h-4 w-4" />}
+                <span>{isComparing ? "Comparando" : "Comparar"}</span>
+              </button>
+            )}
+
             {available && product.stock > 0 && (
               <div className="text-xs text-center text-muted-foreground">
                 {product.stock > 10 ? (
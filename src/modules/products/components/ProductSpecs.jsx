@@ -1,4 +1,15 @@
 import { Check, Package, Ruler, Weight, Palette, Layers } from 'lucide-react';
+import { getProductSpecs } from '../utils/productHelpers';
+
+const SPEC_ICONS = {
+  brand: Package,
+  sku: Layers,
+  color: Palette,
+  size: Ruler,
+  material: Layers,
+  weight: Weight,
+  dimensions: Ruler
+};
 
 /**
  * ProductSpecs - Componente de especificaciones del producto
@@ -9,87 +20,10 @@ import { Check, Package, Ruler, Weight, Palette, Layers } from 'lucide-react';
 export function ProductSpecs({ product, className = '' }) {
   if (!product) return null;
 
-  const { attributes, brand, sku } = product;
-
-  // Organizar especificaciones en grupos
-  const specs = [];
-
-  // Información básica
-  if (brand) {
-    specs.push({ icon: Package, label: 'Marca', value: brand });
-  }
-
-  if (sku) {
-    specs.push({ icon: Layers, label: 'SKU', value: sku });
-  }
-
-  // Atributos del producto
-  if (attributes) {
-    // Color
-    if (attributes.color && attributes.color.length > 0) {
-      specs.push({ 
-        icon: Palette, 
-        label: 'Color', 
-        value: Array.isArray(attributes.color) ? attributes.color.join(', ') : attributes.color 
-      });
-    }
-
-    // Tamaño
-    if (attributes.size && attributes.size.length > 0) {
-      specs.push({ 
-        icon: Ruler, 
-        label: 'Tamaño', 
-        value: Array.isArray(attributes.size) ? attributes.size.join(', ') : attributes.size 
-      });
-    }
-
-    // Material
-    if (attributes.material && attributes.material.length > 0) {
-      specs.push({ 
-        icon: Layers, 
-        label: 'Material', 
-        value: Array.isArray(attributes.material) ? attributes.material.join(', ') : attributes.material 
-      });
-    }
-
-    // Peso
-    if (attributes.weight) {
-      specs.push({ 
-        icon: Weight, 
-        label: 'Peso', 
-        value: attributes.weight 
-      });
-    }
-
-    // Dimensiones
-    if (attributes.dimensions) {
-      const { length, width, height, unit = 'cm' } = attributes.dimensions;
-      if (length && width && height) {
-        specs.push({ 
-          icon: Ruler, 
-          label: 'Dimensiones', 
-          value: `${length} x ${width} x ${height} ${unit}` 
-        });
-      }
-    }
-
-    // Otros atributos personalizados
-    Object.entries(attributes).forEach(([key, value]) => {
-      // Saltar los que ya procesamos
-      if (['color', 'size', 'material', 'weight', 'dimensions'].includes(key)) {
-        return;
-      }
-
-      // Solo agregar si tiene valor
-      if (value && (Array.isArray(value) ? value.length > 0 : true)) {
-        specs.push({
-          icon: Check,
-          label: key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1'),
-          value: Array.isArray(value) ? value.join(', ') : value.toString()
-        });
-      }
-    });
-  }
+  const specs = getProductSpecs(product).map(spec => ({
+    ...spec,
+    icon: SPEC_ICONS[spec.key] || Check
+  }));
 
   if (specs.length === 0) {
     return (
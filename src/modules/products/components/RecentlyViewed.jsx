@@ -0,0 +1,115 @@
+import { useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Clock, Eye, X } from 'lucide-react';
+import { useRecentlyViewed } from '../hooks/useRecentlyViewed';
+import { getPrimaryImage } from '../utils/productHelpers';
+import { formatPrice } from '../utils/priceHelpers';
+
+/**
+ * RecentlyViewed - Carrusel "Vistos recientemente"
+ *
+ * No se muestra si el historial está vacío (o solo contiene excludeId)
+ *
+ * @param {string} excludeId - Producto a omitir (el del detalle abierto)
+ * @param {string} title - Título de la sección
+ * @param {string} className - Clases del contenedor
+ */
+export function RecentlyViewed({
+  excludeId = null,
+  title = 'Vistos recientemente',
+  className = ''
+}) {
+  const { items, removeFromHistory, clearHistory } = useRecentlyViewed();
+  const trackRef = useRef(null);
+
+  const products = items.filter(item => item._id !== excludeId);
+  if (!products.length) return null;
+
+  const scroll = (direction) => {
+    const track = trackRef.current;
+    if (track) track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' });
+  };
+
+  return (
+    <section className={`bg-white dark:bg-slate-800 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm p-6 ${className}`}>
+      <div className="flex items-center justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <Clock className="h-6 w-6 text-blue-600" />
+          {title}
+        </h2>
+
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={clearHistory}
+            className="text-sm text-gray-500 dark:text-gray-400 hover:text-red-600 mr-2"
+          >
+            Borrar historial
+          </button>
+          <button
+            type="button"
+            onClick={() => scroll(-1)}
+            className="h-9 w-9 rounded-full border border-gray-200 dark:border-gray-600 flex items-center justify-center text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-slate-700"
+            aria-label="Anteriores"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => scroll(1)}
+            className="h-9 w-9 rounded-full border border-gray-200 dark:border-gray-600 flex items-center justify-center text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-slate-700"
+            aria-label="Siguientes"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={trackRef}
+        className="flex gap-4 overflow-x-auto snap-x snap-mandatory scroll-smooth pb-2"
+      >
+        {products.map(product => (
+          <div
+            key={product._id}
+            className="group relative flex-shrink-0 w-40 sm:w-48 snap-start"
+          >
+            <button
+              type="button"
+              onClick={() => removeFromHistory(product._id)}
+              className="absolute top-2 right-2 z-10 h-6 w-6 rounded-full bg-white/90 text-gray-600 shadow flex items-center justify-center opacity-0 group-hover:opacity-100 hover:text-red-600 transition-opacity"
+              title="Quitar del historial"
+            >
+              <X className="h-3.5 w-3.5" />
+            </button>
+
+            <Link to={`/productos/${product.slug}`} className="block">
+              <div className="bg-gray-100 dark:bg-slate-700 rounded-xl overflow-hidden aspect-square mb-3 group-hover:shadow-lg transition-shadow">
+                {getPrimaryImage(product) ? (
+                  <img
+                    src={getPrimaryImage(product)}
+                    alt={product.name}
+                    loading="lazy"
+                    className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
+                  />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center text-gray-400">
+                    <Eye className="h-8 w-8" />
+                  </div>
+                )}
+              </div>
+              <h3 className="font-semibold text-gray-900 dark:text-white text-sm line-clamp-2 group-hover:text-blue-600">
+                {product.name}
+              </h3>
+              <p className="text-base font-bold text-gray-900 dark:text-white mt-1">
+                {formatPrice(product.price)}
+              </p>
+            </Link>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default RecentlyViewed;
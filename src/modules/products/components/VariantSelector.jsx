@@ -0,0 +1,79 @@
+import {
+  getVariantOptions,
+  isVariantOptionAvailable
+} from '../utils/productHelpers';
+import { VARIANT_ATTRIBUTE_LABELS } from '../types/product.types';
+
+/**
+ * VariantSelector - Selector de talla / color / material del detalle de producto
+ *
+ * Cada valor se evalúa contra el resto de la selección: las combinaciones
+ * sin variante activa o sin stock aparecen atenuadas y tachadas. Elegir una
+ * de ellas salta a la primera variante disponible con ese valor
+ *
+ * @param {Object} product - Producto con variants
+ * @param {Object} selection - Atributos elegidos { size, color, material }
+ * @param {Function} onSelect - (key, value) => void
+ * @param {Object|null} variant - Variante que corresponde a la selección
+ */
+export function VariantSelector({ product, selection = {}, onSelect, variant = null }) {
+  const options = getVariantOptions(product);
+  const keys = Object.keys(options);
+
+  if (!keys.length) return null;
+
+  return (
+    <div className="space-y-4">
+      {keys.map(key => (
+        <div key={key}>
+          <p className="font-semibold text-gray-900 dark:text-white mb-2">
+            {VARIANT_ATTRIBUTE_LABELS[key] || key}:
+            {selection[key] && (
+              <span className="ml-2 font-normal text-gray-600 dark:text-gray-300">
+                {selection[key]}
+              </span>
+            )}
+          </p>
+
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={VARIANT_ATTRIBUTE_LABELS[key] || key}>
+            {options[key].map(value => {
+              const isSelected = selection[key] === value;
+              const isAvailable = isVariantOptionAvailable(product, selection, key, value);
+
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  role="radio"
+                  aria-checked={isSelected}
+                  onClick={() => onSelect(key, value)}
+                  title={isAvailable ? value : `${value} (no disponible en esta combinación)`}
+                  className={`px-4 py-2 rounded-lg border-2 text-sm font-medium transition-colors ${
+                    isSelected
+                      ? 'border-blue-600 bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-400'
+                      : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-gray-400'
+                  } ${isAvailable ? '' : 'opacity-40 line-through'}`}
+                >
+                  {value}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {!variant && (
+        <p className="text-sm text-orange-600">
+          Esta combinación no está disponible
+        </p>
+      )}
+      {variant?.sku && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          SKU: {variant.sku}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default VariantSelector;
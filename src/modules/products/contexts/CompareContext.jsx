@@ -0,0 +1,93 @@
+import { useState, useCallback, useMemo } from 'react';
+import { CompareContext } from './compare.context';
+import { PRODUCT_COMPARE_CONFIG } from '../types/product.types';
+import {
+  loadCompareItems,
+  storeCompareItems,
+  isInCompareList,
+  addCompareItem,
+  removeCompareItem
+} from '../utils/productCompare';
+import { publish, TAB_SYNC_EVENTS } from '../../../core/sync/tabSync';
+import { useTabSync } from '../../../core/hooks/useTabSync';
+
+/**
+ * @context CompareContext
+ * @description Bandeja del comparador de productos
+ *
+ * - Persistida en localStorage (con o sin sesión) y compartida entre pestañas
+ * - Hasta PRODUCT_COMPARE_CONFIG.MAX_ITEMS productos
+ * - La usan ProductCard (botón "Comparar"), CompareTray y la página /comparar
+ *   a través de useCompare (hooks/useCompare)
+ */
+
+export const CompareProvider = ({ children }) => {
+  const [items, setItems] = useState(loadCompareItems);
+
+  /**
+   * Aplica un cambio a la bandeja, la guarda y avisa a las otras pestañas
+   */
+  const updateItems = useCallback((updater) => {
+    const next = updater(items);
+    if (next === items) return;
+
+    setItems(storeCompareItems(next));
+    publish(TAB_SYNC_EVENTS.COMPARE_UPDATED, { items: next });
+  }, [items]);
+
+  useTabSync([TAB_SYNC_EVENTS.COMPARE_UPDATED], ({ items: incoming }) => {
+    setItems(Array.isArray(incoming) ? incoming : []);
+  });
+
+  const isFull = items.length >= PRODUCT_COMPARE_CONFIG.MAX_ITEMS;
+
+  const isInCompare = useCallback((productId) => {
+    return isInCompareList(items, productId);
+  }, [items]);
+
+  /**
+   * Agrega o quita un producto de la bandeja
+   * @param {Object} product
+   * @returns {boolean} false si no se pudo agregar porque la bandeja está llena
+   */
+  const toggleCompare = useCallback((product) => {
+    if (!product?._id) return false;
+
+    if (isInCompareList(items, product._id)) {
+      updateItems(current => removeCompareItem(current, product._id));
+      return true;
+    }
+
+    if (isFull) return false;
+
+    updateItems(current => addCompareItem(current, product));
+    return true;
+  }, [items, isFull, updateItems]);
+
+  const removeFromCompare = useCallback((productId) => {
+    updateItems(current => removeCompareItem(current, productId));
+  }, [updateItems]);
+
+  const clearCompare = useCallback(() => {
+    updateItems(current => (current.length ? [] : current));
+  }, [updateItems]);
+
+  const value = useMemo(() => ({
+    items,
+    count: items.length,
+    maxItems: PRODUCT_COMPARE_CONFIG.MAX_ITEMS,
+    isFull,
+    isInCompare,
+    toggleCompare,
+    removeFromCompare,
+    clearCompare
+  }), [items, isFull, isInCompare, toggleCompare, removeFromCompare, clearCompare]);
+
+  return (
+    <CompareContext.Provider value={value}>
+      {children}
+    </CompareContext.Provider>
+  );
+};
+
+export default CompareProvider;
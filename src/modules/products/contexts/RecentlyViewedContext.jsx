@@ -0,0 +1,84 @@
+import { useState, useCallback, useMemo } from 'react';
+import { RecentlyViewedContext } from './recentlyViewed.context';
+import { useAuth } from '../../../core/providers/AuthProvider';
+import {
+  loadRecentlyViewed,
+  storeRecentlyViewed,
+  addRecentlyViewed,
+  removeRecentlyViewed
+} from '../utils/recentlyViewed';
+import { publish, TAB_SYNC_EVENTS } from '../../../core/sync/tabSync';
+import { useTabSync } from '../../../core/hooks/useTabSync';
+
+/**
+ * @context RecentlyViewedContext
+ * @description Historial "Vistos recientemente"
+ *
+ * - ProductoDetalle registra cada producto abierto (trackProduct)
+ * - Un historial por usuario con sesión; sin sesión se usa el de 'guest'
+ * - localStorage es la fuente de verdad: el historial se vuelve a leer
+ *   al cambiar de usuario o cuando otra pestaña lo modifica
+ * - Los componentes lo leen con useRecentlyViewed (hooks/useRecentlyViewed)
+ */
+
+export const RecentlyViewedProvider = ({ children }) => {
+  const { user } = useAuth();
+  const ownerId = user?._id || null;
+
+  // Historial leído del storage junto con su dueño
+  const [history, setHistory] = useState(() => ({
+    ownerId,
+    items: loadRecentlyViewed(ownerId)
+  }));
+
+  // Cambió el usuario: volver a leer su historial durante el render
+  if (history.ownerId !== ownerId) {
+    setHistory({ ownerId, items: loadRecentlyViewed(ownerId) });
+  }
+
+  const items = history.items;
+
+  const updateItems = useCallback((updater) => {
+    const next = storeRecentlyViewed(ownerId, updater(loadRecentlyViewed(ownerId)));
+    setHistory({ ownerId, items: next });
+    publish(TAB_SYNC_EVENTS.RECENTLY_VIEWED_UPDATED, { ownerId });
+  }, [ownerId]);
+
+  useTabSync([TAB_SYNC_EVENTS.RECENTLY_VIEWED_UPDATED], ({ ownerId: changedOwner }) => {
+    if ((changedOwner || null) === ownerId) {
+      setHistory({ ownerId, items: loadRecentlyViewed(ownerId) });
+    }
+  });
+
+  /**
+   * Registra un producto visto (sube al inicio si ya estaba)
+   * @param {Object} product
+   */
+  const trackProduct = useCallback((product) => {
+    if (!product?._id) return;
+    updateItems(current => addRecentlyViewed(current, product));
+  }, [updateItems]);
+
+  const removeFromHistory = useCallback((productId) => {
+    updateItems(current => removeRecentlyViewed(current, productId));
+  }, [updateItems]);
+
+  const clearHistory = useCallback(() => {
+    updateItems(() => []);
+  }, [updateItems]);
+
+  const value = useMemo(() => ({
+    items,
+    trackProduct,
+    removeFromHistory,
+    clearHistory
+  }), [items, trackProduct, removeFromHistory, clearHistory]);
+
+  return (
+    <RecentlyViewedContext.Provider value={value}>
+      {children}
+    </RecentlyViewedContext.Provider>
+  );
+};
+
+export default RecentlyViewedProvider;
@@ -0,0 +1,8 @@
+import { createContext } from 'react';
+
+/**
+ * Contexto de la bandeja del comparador (lo provee CompareProvider)
+ */
+export const CompareContext = createContext(null);
+
+export default CompareContext;
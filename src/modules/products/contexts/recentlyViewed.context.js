@@ -0,0 +1,8 @@
+import { createContext } from 'react';
+
+/**
+ * Contexto del historial "Vistos recientemente" (lo provee RecentlyViewedProvider)
+ */
+export const RecentlyViewedContext = createContext(null);
+
+export default RecentlyViewedContext;
@@ -0,0 +1,21 @@
+import { useContext } from 'react';
+import { CompareContext } from '../contexts/compare.context';
+
+/**
+ * @hook useCompare
+ * @description Bandeja del comparador de productos (CompareProvider)
+ *
+ * @returns {Object} { items, count, maxItems, isFull, isInCompare, toggleCompare, removeFromCompare, clearCompare }
+ *
+ * @example
+ * const { isInCompare, toggleCompare } = useCompare();
+ */
+export const useCompare = () => {
+  const context = useContext(CompareContext);
+  if (!context) {
+    throw new Error('useCompare debe ser usado dentro de CompareProvider');
+  }
+  return context;
+};
+
+export default useCompare;
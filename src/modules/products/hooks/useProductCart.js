@@ -4,14 +4,16 @@ import { useState, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { useCartContext } from '../../cart/context/CartContext';
-import { useAuth } from '../../../core/hooks/useAuth';
+import { useAuth } from '../../../core/providers/AuthProvider';
+import { areAttributesEqual } from '../../cart/utils/cartHelpers';
+import { normalizeAttributes } from '../../cart/utils/guestCart';
 
 /**
  * @hook useProductCart
  * @description Hook para agregar productos al carrito desde cualquier componente
  * 
  * CARACTERÍSTICAS:
- * - Verifica autenticación
+ * - Funciona sin sesión (carrito anónimo en CartContext)
  * - Validación de stock
  * - Notificaciones toast
  * - Redirección opcional
@@ -19,26 +21,43 @@ import { useAuth } from '../../../core/hooks/useAuth';
  */
 export const useProductCart = () => {
   const navigate = useNavigate();
-  const { isAuthenticated } = useAuth();
   const { addItem, cart, loading: cartLoading } = useCartContext();
+  const { isAuthenticated } = useAuth();
   const [isAdding, setIsAdding] = useState(false);
 
   /**
-   * Verifica si un producto está en el carrito
+   * Busca el item del producto en el carrito
+   * Con atributos (variante) solo coincide el item de esa combinación
    */
-  const isProductInCart = useCallback((productId) => {
-    if (!cart || !cart.items) return false;
-    return cart.items.some(item => item.product._id === productId);
+  const findItem = useCallback((productId, attributes) => {
+    if (!cart || !cart.items) return null;
+    return cart.items.find(item =>
+      item.product._id === productId &&
+      (!attributes || areAttributesEqual(
+        normalizeAttributes(item.attributes),
+        normalizeAttributes(attributes)
+      ))
+    ) || null;
   }, [cart]);
 
+  /**
+   * Verifica si un producto está en el carrito
+   * @param {string} productId
+   * @param {Object} [attributes] - Atributos de la variante
+   */
+  const isProductInCart = useCallback((productId, attributes) => {
+    return Boolean(findItem(productId, attributes));
+  }, [findItem]);
+
   /**
    * Obtiene la cantidad de un producto en el carrito
+   * @param {string} productId
+   * @param {Object} [attributes] - Atributos de la variante
    */
-  const getProductQuantity = useCallback((productId) => {
-    if (!cart || !cart.items) return 0;
-    const item = cart.items.find(item => item.product._id === productId);
+  const getProductQuantity = useCallback((productId, attributes) => {
+    const item = findItem(productId, attributes);
     return item ? item.quantity : 0;
-  }, [cart]);
+  }, [findItem]);
 
   /**
    * Agregar producto al carrito
@@ -55,16 +74,6 @@ export const useProductCart = () => {
       onError
     } = options;
 
-    // Verificar autenticación
-    if (!isAuthenticated) {
-      toast.error('Debes iniciar sesión para agregar productos al carrito', {
-        duration: 3000,
-        position: 'bottom-right'
-      });
-      navigate('/auth/login', { state: { from: window.location.pathname } });
-      return null;
-    }
-
     // Validar producto
     const productId = product._id || product;
     if (!productId) {
@@ -97,7 +106,9 @@ export const useProductCart = () => {
       const result = await addItem({
         productId,
         quantity,
-        attributes
+        attributes,
+        // Snapshot para el carrito anónimo (CartContext lo descarta con sesión)
+        product: typeof product === 'object' ? product : undefined
       });
 
       if (result?.success) {
@@ -120,6 +131,12 @@ export const useProductCart = () => {
         return result;
       }
 
+      // Con sesión, CartContext ya revirtió el cambio optimista y mostró el error
+      if (!result && isAuthenticated) {
+        if (onError) onError(new Error('Error al agregar al carrito'));
+        return null;
+      }
+
       throw new Error(result?.message || 'Error al agregar al carrito');
     } catch (error) {
       const errorMessage = error.response?.data?.message || error.message;
@@ -139,20 +156,28 @@ export const useProductCart = () => {
     } finally {
       setIsAdding(false);
     }
-  }, [isAuthenticated, navigate, addItem]);
+  }, [navigate, addItem, isAuthenticated]);
 
   /**
    * Incrementar cantidad de un producto ya en el carrito
+   * addItem suma la cantidad al item existente, por eso se envía solo el delta
+   * @param {Object} product - Producto completo o solo ID
+   * @param {Object} attributes - Atributos de la variante (default: {})
+   * @param {number} delta - Unidades a sumar (default: 1)
    */
-  const incrementQuantity = useCallback(async (product) => {
+  const incrementQuantity = useCallback(async (product, attributes = {}, delta = 1) => {
     const productId = product._id || product;
-    const currentQuantity = getProductQuantity(productId);
+    const currentQuantity = getProductQuantity(productId, attributes);
 
-    if (currentQuantity === 0) {
-      return addProductToCart(product, 1);
+    if (product.trackQuantity && currentQuantity + delta > product.stock) {
+      toast.error(`Solo hay ${product.stock} unidades disponibles`, {
+        duration: 3000,
+        position: 'bottom-right'
+      });
+      return null;
     }
 
-    return addProductToCart(product, currentQuantity + 1, {}, {
+    return addProductToCart(product, delta, attributes, {
       showToast: true
     });
   }, [addProductToCart, getProductQuantity]);
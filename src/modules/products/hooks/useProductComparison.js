@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { productsAPI } from '../api/products.api';
+import { useCompare } from './useCompare';
+import { buildComparisonRows } from '../utils/productCompare';
+
+/**
+ * @hook useProductComparison
+ * @description Datos de la página /comparar
+ *
+ * CARACTERÍSTICAS:
+ * - Vuelve a consultar cada producto de la bandeja (precio y stock al día)
+ * - Si la consulta falla, usa la copia guardada en la bandeja
+ * - Arma las filas de la tabla con buildComparisonRows
+ *
+ * @returns {Object} { products, rows, loading, ...acciones de la bandeja }
+ */
+export const useProductComparison = () => {
+  const compare = useCompare();
+  const { items } = compare;
+
+  // { [productId]: producto actualizado | null si falló }
+  const [fetched, setFetched] = useState({});
+  // IDs ya pedidos (evita repetir consultas en curso)
+  const requestedRef = useRef(new Set());
+
+  const fetchProducts = useCallback(async (pending) => {
+    pending.forEach(item => requestedRef.current.add(item._id));
+
+    const results = await Promise.allSettled(
+      pending.map(item => productsAPI.getProductBySlug(item.slug || item._id))
+    );
+
+    setFetched(prev => {
+      const next = { ...prev };
+      pending.forEach((item, index) => {
+        const result = results[index];
+        next[item._id] = result.status === 'fulfilled' && result.value?.success
+          ? result.value.data
+          : null;
+      });
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    const pending = items.filter(item => !requestedRef.current.has(item._id));
+    if (pending.length) fetchProducts(pending);
+  }, [items, fetchProducts]);
+
+  const products = useMemo(
+    () => items.map(item => fetched[item._id] || item),
+    [items, fetched]
+  );
+
+  const rows = useMemo(() => buildComparisonRows(products), [products]);
+
+  const loading = items.some(item => !(item._id in fetched));
+
+  return {
+    ...compare,
+    products,
+    rows,
+    loading
+  };
+};
+
+export default useProductComparison;
@@ -0,0 +1,325 @@
+// src/modules/products/hooks/useProductImport.js
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useAdmin } from '../../admin/hooks/useAdmin';
+import {
+  readSpreadsheetFile,
+  writeSpreadsheet,
+  downloadBlob
+} from '../../../shared/lib/spreadsheet';
+import { PRODUCT_IMPORT_CONFIG } from '../types/product.types';
+import {
+  guessColumnMapping,
+  getMissingRequiredColumns,
+  validateImportRows,
+  buildCatalogRows,
+  getImportFileKey,
+  loadImportProgress,
+  saveImportProgress
+} from '../utils/productImport';
+
+/**
+ * @hook useProductImport
+ * @description Carga masiva del catálogo (panel admin)
+ *
+ * CARACTERÍSTICAS:
+ * - Lee CSV / XLSX y propone el mapeo de columnas
+ * - validate() es la simulación: valida cada fila sin crear productos
+ * - startImport() crea los válidos por lotes con adminAPI.createProduct;
+ *   pause() detiene al terminar el producto en curso
+ * - El progreso se guarda por archivo: al recargarlo se reanuda
+ * - exportCatalog() descarga el catálogo actual en el mismo formato
+ *
+ * @returns {Object} Estado del archivo, simulación, progreso y acciones
+ */
+export const useProductImport = () => {
+  const { createProduct, getProducts, getCategories } = useAdmin();
+
+  const [categories, setCategories] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [fileKey, setFileKey] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMappingState] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState({ created: {}, failed: {} });
+  const [reading, setReading] = useState(false);
+  const [validating, setValidating] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Se consulta entre producto y producto para pausar
+  const pausedRef = useRef(false);
+
+  const loadCategories = useCallback(async () => {
+    await getCategories(
+      (data) => setCategories(Array.isArray(data) ? data : (data.categories || [])),
+      (err) => console.error('Error cargando categorías:', err)
+    );
+  }, [getCategories]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  // ============================================================================
+  // ARCHIVO Y MAPEO
+  // ============================================================================
+
+  /**
+   * Lee el archivo elegido y restaura su progreso si ya se importó en parte
+   * @param {File} file
+   */
+  const loadFile = useCallback(async (file) => {
+    if (!file) return;
+
+    setReading(true);
+    setError(null);
+    setPreview(null);
+
+    try {
+      const [headerRow = [], ...dataRows] = await readSpreadsheetFile(file);
+
+      if (!dataRows.length) {
+        throw new Error('El archivo no tiene filas de productos');
+      }
+      if (dataRows.length > PRODUCT_IMPORT_CONFIG.MAX_ROWS) {
+        throw new Error(`El archivo supera el máximo de ${PRODUCT_IMPORT_CONFIG.MAX_ROWS} filas`);
+      }
+
+      const key = getImportFileKey(file);
+      setFileName(file.name);
+      setFileKey(key);
+      setHeaders(headerRow.map(String));
+      setRows(dataRows);
+      setMappingState(guessColumnMapping(headerRow));
+      setProgress(loadImportProgress(key));
+    } catch (err) {
+      console.error('[useProductImport] Error reading file:', err);
+      setError(err.message || 'No se pudo leer el archivo');
+    } finally {
+      setReading(false);
+    }
+  }, []);
+
+  /**
+   * Asigna una columna del archivo a un campo (null = no importar)
+   * Cambiar el mapeo invalida la simulación anterior
+   */
+  const setColumn = useCallback((field, columnIndex) => {
+    setMappingState(prev => {
+      const next = { ...prev };
+      if (columnIndex === null || columnIndex === undefined) delete next[field];
+      else next[field] = columnIndex;
+      return next;
+    });
+    setPreview(null);
+  }, []);
+
+  const missingColumns = useMemo(() => getMissingRequiredColumns(mapping), [mapping]);
+
+  // ============================================================================
+  // SIMULACIÓN
+  // ============================================================================
+
+  const validate = useCallback(async () => {
+    setValidating(true);
+    try {
+      setPreview(await validateImportRows(rows, mapping, categories));
+    } finally {
+      setValidating(false);
+    }
+  }, [rows, mapping, categories]);
+
+  const summary = useMemo(() => {
+    const results = preview || [];
+    const created = results.filter(r => progress.created[r.rowNumber]).length;
+    const valid = results.filter(r => r.valid).length;
+
+    return {
+      total: results.length,
+      valid,
+      invalid: results.length - valid,
+      created,
+      failed: results.filter(r => progress.failed[r.rowNumber]).length,
+      pending: results.filter(r => r.valid && !progress.created[r.rowNumber]).length
+    };
+  }, [preview, progress]);
+
+  // ============================================================================
+  // IMPORTACIÓN POR LOTES
+  // ============================================================================
+
+  const startImport = useCallback(async () => {
+    if (!preview || importing) return;
+
+    const pending = preview.filter(r => r.valid && !progress.created[r.rowNumber]);
+    if (!pending.length) return;
+
+    pausedRef.current = false;
+    setImporting(true);
+
+    // Copia local: cada resultado se guarda al instante por si se cierra la pestaña
+    let current = {
+      created: { ...progress.created },
+      failed: { ...progress.failed }
+    };
+
+    const record = (rowNumber, result) => {
+      const created = { ...current.created };
+      const failed = { ...current.failed };
+
+      if (result.success) {
+        created[rowNumber] = result.id;
+        delete failed[rowNumber];
+      } else {
+        failed[rowNumber] = result.error;
+      }
+
+      current = { created, failed };
+      saveImportProgress(fileKey, current);
+      setProgress(current);
+    };
+
+    try {
+      for (let start = 0; start < pending.length; start += PRODUCT_IMPORT_CONFIG.BATCH_SIZE) {
+        const batch = pending.slice(start, start + PRODUCT_IMPORT_CONFIG.BATCH_SIZE);
+
+        for (const row of batch) {
+          if (pausedRef.current) return;
+
+          const result = await createProduct(row.product);
+          record(row.rowNumber, {
+            success: Boolean(result?.success),
+            id: result?.data?._id || true,
+            error: result?.error || 'Error al crear el producto'
+          });
+        }
+      }
+    } finally {
+      setImporting(false);
+    }
+  }, [preview, importing, progress, fileKey, createProduct]);
+
+  const pause = useCallback(() => {
+    pausedRef.current = true;
+  }, []);
+
+  /**
+   * Olvida el progreso del archivo (para importarlo de nuevo desde cero)
+   */
+  const resetProgress = useCallback(() => {
+    saveImportProgress(fileKey, null);
+    setProgress({ created: {}, failed: {} });
+  }, [fileKey]);
+
+  // ============================================================================
+  // EXPORTACIÓN
+  // ============================================================================
+
+  /**
+   * Descarga todo el catálogo (página por página)
+   *
+   * Se avanza con pagination.pages / total cuando el backend los envía;
+   * si no, se sigue pidiendo hasta recibir una página vacía
+   *
+   * @param {string} format - SPREADSHEET_FORMATS
+   */
+  const exportCatalog = useCallback(async (format) => {
+    setExporting(true);
+    setError(null);
+
+    try {
+      const pageSize = PRODUCT_IMPORT_CONFIG.EXPORT_PAGE_SIZE;
+      const products = [];
+      const seenIds = new Set();
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        let batch = [];
+        let pagination = null;
+
+        const result = await getProducts(
+          { page, limit: pageSize },
+          (items, pageInfo) => {
+            batch = Array.isArray(items) ? items : [];
+            pagination = pageInfo;
+          }
+        );
+        if (!result?.success) throw new Error(result?.error || 'No se pudo exportar el catálogo');
+
+        // Un backend que ignora `page` devolvería la misma página sin fin
+        const fresh = batch.filter(product => !seenIds.has(product._id));
+        fresh.forEach(product => seenIds.add(product._id));
+        products.push(...fresh);
+
+        if (pagination?.pages) {
+          hasMore = page < pagination.pages;
+        } else if (pagination?.total !== undefined) {
+          hasMore = products.length < pagination.total && fresh.length > 0;
+        } else {
+          hasMore = fresh.length > 0;
+        }
+        page += 1;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(
+        await writeSpreadsheet(buildCatalogRows(products, categories), format),
+        `catalogo-${date}.${format}`
+      );
+      return products.length;
+    } catch (err) {
+      console.error('[useProductImport] Error exporting catalog:', err);
+      setError(err.message);
+      return 0;
+    } finally {
+      setExporting(false);
+    }
+  }, [getProducts, categories]);
+
+  /**
+   * Descarga un archivo vacío con los encabezados de importación
+   * @param {string} format - SPREADSHEET_FORMATS
+   */
+  const downloadTemplate = useCallback(async (format) => {
+    downloadBlob(await writeSpreadsheet(buildCatalogRows([], categories), format), `plantilla-productos.${format}`);
+  }, [categories]);
+
+  return {
+    // Archivo
+    fileName,
+    headers,
+    rows,
+    mapping,
+    missingColumns,
+    loadFile,
+    setColumn,
+
+    // Simulación
+    preview,
+    summary,
+    validate,
+
+    // Importación
+    progress,
+    startImport,
+    pause,
+    resetProgress,
+
+    // Exportación
+    exportCatalog,
+    downloadTemplate,
+
+    // Estado
+    reading,
+    validating,
+    importing,
+    exporting,
+    error
+  };
+};
+
+export default useProductImport;
@@ -0,0 +1,21 @@
+import { useContext } from 'react';
+import { RecentlyViewedContext } from '../contexts/recentlyViewed.context';
+
+/**
+ * @hook useRecentlyViewed
+ * @description Historial "Vistos recientemente" del usuario (RecentlyViewedProvider)
+ *
+ * @returns {Object} { items, trackProduct, removeFromHistory, clearHistory }
+ *
+ * @example
+ * const { items, trackProduct } = useRecentlyViewed();
+ */
+export const useRecentlyViewed = () => {
+  const context = useContext(RecentlyViewedContext);
+  if (!context) {
+    throw new Error('useRecentlyViewed debe ser usado dentro de RecentlyViewedProvider');
+  }
+  return context;
+};
+
+export default useRecentlyViewed;
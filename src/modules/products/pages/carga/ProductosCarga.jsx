@@ -1,3 +1,328 @@
-export default function Loading() {
-  return null
+// src/modules/products/pages/carga/ProductosCarga.jsx
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import useProductImport from '../../hooks/useProductImport';
+import { PRODUCT_IMPORT_COLUMNS, PRODUCT_IMPORT_CONFIG } from '../../types/product.types';
+import { SPREADSHEET_FORMATS } from '../../../../shared/lib/spreadsheet';
+import { formatPrice } from '../../../../shared/lib/money';
+
+/**
+ * @component ProductosCarga
+ * @description Importación / exportación masiva del catálogo (panel admin)
+ *
+ * PASOS:
+ * 1. Cargar un CSV o XLSX (o descargar la plantilla / el catálogo actual)
+ * 2. Revisar el mapeo de columnas
+ * 3. Simular: cada fila se valida con productSchema, sin crear nada
+ * 4. Importar los válidos por lotes; se puede pausar y reanudar
+ *    (también tras recargar la página, volviendo a elegir el mismo archivo)
+ */
+export default function ProductosCarga() {
+  const {
+    fileName,
+    headers,
+    rows,
+    mapping,
+    missingColumns,
+    loadFile,
+    setColumn,
+    preview,
+    summary,
+    validate,
+    progress,
+    startImport,
+    pause,
+    resetProgress,
+    exportCatalog,
+    downloadTemplate,
+    reading,
+    validating,
+    importing,
+    exporting,
+    error
+  } = useProductImport();
+
+  const [onlyErrors, setOnlyErrors] = useState(false);
+
+  const handleReset = () => {
+    if (!window.confirm('¿Olvidar el progreso de este archivo? Las filas ya creadas se volverían a enviar.')) return;
+    resetProgress();
+  };
+
+  const visibleRows = (preview || []).filter(row =>
+    !onlyErrors || !row.valid || progress.failed[row.rowNumber]
+  );
+  const importedPercent = summary.valid ? Math.round((summary.created / summary.valid) * 100) : 0;
+
+  return (
+    <div className="p-6 space-y-6">
+
+      {/* Header */}
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Carga masiva de productos
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Importa productos desde CSV o Excel, o exporta el catálogo actual
+          </p>
+        </div>
+        <Link
+          to="/admin/products"
+          className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+        >
+          ← Volver a productos
+        </Link>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {/* Exportar */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Exportar</h2>
+        <div className="flex flex-wrap gap-3">
+          {Object.values(SPREADSHEET_FORMATS).map(format => (
+            <button
+              key={format}
+              onClick={() => exportCatalog(format)}
+              disabled={exporting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {exporting ? 'Exportando...' : `Catálogo (.${format})`}
+            </button>
+          ))}
+          {Object.values(SPREADSHEET_FORMATS).map(format => (
+            <button
+              key={`template-${format}`}
+              onClick={() => downloadTemplate(format)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+            >
+              Plantilla vacía (.{format})
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+          Las categorías, imágenes y etiquetas van separadas por "{PRODUCT_IMPORT_CONFIG.LIST_SEPARATOR}".
+          Las categorías se escriben por slug o nombre.
+        </p>
+      </div>
+
+      {/* 1. Archivo */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">1. Archivo</h2>
+        <input
+          type="file"
+          accept=".csv,.xlsx"
+          disabled={reading || importing}
+          onChange={(e) => {
+            loadFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+          className="block text-sm text-gray-700 dark:text-gray-300"
+        />
+        {reading && <p className="text-sm text-gray-500 mt-2">Leyendo archivo...</p>}
+        {fileName && !reading && (
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            <strong>{fileName}</strong>: {rows.length} filas
+            {Object.keys(progress.created).length > 0 && (
+              <span className="ml-2 text-green-600">
+                ({Object.keys(progress.created).length} ya importadas en una sesión anterior)
+              </span>
+            )}
+          </p>
+        )}
+      </div>
+
+      {/* 2. Mapeo */}
+      {headers.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">2. Columnas</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {PRODUCT_IMPORT_COLUMNS.map(column => (
+              <label key={column.key} className="block">
+                <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {column.label}{column.required && <span className="text-red-500"> *</span>}
+                </span>
+                <select
+                  value={mapping[column.key] ?? ''}
+                  onChange={(e) => setColumn(column.key, e.target.value === '' ? null : Number(e.target.value))}
+                  disabled={importing}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  <option value="">— No importar —</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Columna ${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {missingColumns.length > 0 && (
+            <p className="text-sm text-red-600 mt-4">
+              Faltan columnas obligatorias: {missingColumns.map(c => c.label).join(', ')}
+            </p>
+          )}
+
+          <button
+            onClick={validate}
+            disabled={validating || importing || missingColumns.length > 0}
+            className="mt-4 px-6 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg font-medium disabled:opacity-50"
+          >
+            {validating ? 'Validando...' : 'Simular importación'}
+          </button>
+        </div>
+      )}
+
+      {/* 3. Simulación e importación */}
+      {preview && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">3. Revisión</h2>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <StatCard label="Filas" value={summary.total} icon="📄" color="blue" />
+            <StatCard label="Válidas" value={summary.valid} icon="✅" color="green" />
+            <StatCard label="Con errores" value={summary.invalid} icon="⚠️" color="yellow" />
+            <StatCard label="Importadas" value={summary.created} icon="📦" color="purple" />
+          </div>
+
+          {/* Progreso */}
+          <div className="mb-6">
+            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400 mb-1">
+              <span>{summary.created} de {summary.valid} productos válidos importados</span>
+              <span>{importedPercent}%</span>
+            </div>
+            <div className="w-full h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div className="h-full bg-green-500 transition-all" style={{ width: `${importedPercent}%` }} />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mb-6">
+            {importing ? (
+              <button
+                onClick={pause}
+                className="px-6 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 font-medium"
+              >
+                ⏸️ Pausar
+              </button>
+            ) : (
+              <button
+                onClick={startImport}
+                disabled={summary.pending === 0}
+                className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium disabled:opacity-50"
+              >
+                {summary.created > 0 ? `Reanudar (${summary.pending} pendientes)` : `Importar ${summary.pending} productos`}
+              </button>
+            )}
+            {summary.created > 0 && !importing && (
+              <button
+                onClick={handleReset}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+              >
+                Reiniciar progreso
+              </button>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 ml-auto">
+              <input
+                type="checkbox"
+                checked={onlyErrors}
+                onChange={(e) => setOnlyErrors(e.target.checked)}
+              />
+              Solo filas con errores
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-4 py-3 text-left font-semibold text-gray-700 dark:text-gray-300">Fila</th>
+                  <th className="px-4 py-3 text-left font-semibold text-gray-700 dark:text-gray-300">Producto</th>
+                  <th className="px-4 py-3 text-left font-semibold text-gray-700 dark:text-gray-300">SKU</th>
+                  <th className="px-4 py-3 text-left font-semibold text-gray-700 dark:text-gray-300">Precio</th>
+                  <th className="px-4 py-3 text-left font-semibold text-gray-700 dark:text-gray-300">Resultado</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {visibleRows.map(row => (
+                  <ImportRow
+                    key={row.rowNumber}
+                    row={row}
+                    created={Boolean(progress.created[row.rowNumber])}
+                    failure={progress.failed[row.rowNumber]}
+                  />
+                ))}
+              </tbody>
+            </table>
+            {visibleRows.length === 0 && (
+              <p className="text-center text-gray-500 py-6">No hay filas con errores 🎉</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function ImportRow({ row, created, failure }) {
+  const { product } = row;
+
+  let result;
+  if (created) {
+    result = <span className="text-green-600 font-medium">✓ Importado</span>;
+  } else if (!row.valid) {
+    result = (
+      <ul className="text-red-600 space-y-1">
+        {row.errors.map((err, index) => (
+          <li key={index}>
+            {err.field && <strong>{err.field}: </strong>}{err.message}
+          </li>
+        ))}
+      </ul>
+    );
+  } else if (failure) {
+    result = <span className="text-red-600">Error al crear: {failure}</span>;
+  } else {
+    result = <span className="text-blue-600">Listo para importar</span>;
+  }
+
+  return (
+    <tr className={!row.valid || failure ? 'bg-red-50/50 dark:bg-red-900/10' : ''}>
+      <td className="px-4 py-3 text-gray-500">{row.rowNumber}</td>
+      <td className="px-4 py-3 text-gray-900 dark:text-white">{product.name || '—'}</td>
+      <td className="px-4 py-3 font-mono text-gray-700 dark:text-gray-300">{product.sku || '—'}</td>
+      <td className="px-4 py-3 text-gray-700 dark:text-gray-300">
+        {Number.isFinite(product.price) ? formatPrice(product.price) : '—'}
+      </td>
+      <td className="px-4 py-3">{result}</td>
+    </tr>
+  );
+}
+
+function StatCard({ label, value, icon, color }) {
+  const colors = {
+    blue: 'from-blue-500 to-blue-600',
+    green: 'from-green-500 to-green-600',
+    yellow: 'from-yellow-500 to-yellow-600',
+    purple: 'from-purple-500 to-purple-600'
+  };
+
+  return (
+    <div className="text-center p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
+      <div className={`w-12 h-12 mx-auto mb-2 rounded-full bg-gradient-to-br ${colors[color]} flex items-center justify-center text-2xl`}>
+        {icon}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">{label}</p>
+      <p className="text-xl font-bold text-gray-900 dark:text-white">{value}</p>
+    </div>
+  );
 }
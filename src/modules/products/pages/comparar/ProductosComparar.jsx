@@ -0,0 +1,213 @@
+// src/modules/products/pages/comparar/ProductosComparar.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Scale, X, Highlighter, ArrowLeft } from 'lucide-react';
+import useProductComparison from '../../hooks/useProductComparison';
+import { getPrimaryImage } from '../../utils/productHelpers';
+
+/**
+ * Títulos de los grupos de filas (buildComparisonRows)
+ */
+const GROUP_LABELS = {
+  summary: 'Resumen',
+  attributes: 'Atributos',
+  specs: 'Especificaciones'
+};
+
+/**
+ * @component ProductsComparePage
+ * @description Página /comparar: tabla lado a lado de los productos de la bandeja
+ *
+ * - Precio, calificación y disponibilidad actuales, atributos y especificaciones
+ * - "Resaltar diferencias" marca las filas cuyos valores no coinciden
+ */
+export default function ProductsComparePage() {
+  const {
+    products,
+    rows,
+    loading,
+    count,
+    removeFromCompare,
+    clearCompare
+  } = useProductComparison();
+
+  const [highlightDifferences, setHighlightDifferences] = useState(false);
+
+  const differencesCount = rows.filter(row => row.differs).length;
+
+  // ============================================================================
+  // RENDER: VACÍO
+  // ============================================================================
+
+  if (count < 2) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+        <div className="container mx-auto px-4 py-8">
+          <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
+            <Scale className="h-16 w-16 text-gray-300 mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+              {count ? 'Agrega otro producto para comparar' : 'No tienes productos para comparar'}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
+              Usa el botón "Comparar" de cada producto para agregarlo (hasta 4)
+            </p>
+            <Link
+              to="/productos"
+              className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+            >
+              Ver productos
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // RENDER: TABLA
+  // ============================================================================
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-900 dark:to-slate-800">
+      <div className="container mx-auto px-4 py-8">
+
+        {/* Header */}
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <Link
+              to="/productos"
+              className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline mb-2"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Seguir comprando
+            </Link>
+            <h1 className="text-3xl lg:text-4xl font-bold text-gray-900 dark:text-white flex items-center gap-3">
+              <Scale className="h-8 w-8 text-blue-600" />
+              Comparar productos
+            </h1>
+            {loading && (
+              <p className="text-sm text-gray-500 mt-1">Actualizando precios y stock...</p>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <label className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-white dark:bg-slate-800 border border-gray-200 dark:border-gray-700 cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-200">
+              <input
+                type="checkbox"
+                checked={highlightDifferences}
+                onChange={(e) => setHighlightDifferences(e.target.checked)}
+                className="rounded text-blue-600"
+              />
+              <Highlighter className="h-4 w-4" />
+              Resaltar diferencias ({differencesCount})
+            </label>
+            <button
+              type="button"
+              onClick={clearCompare}
+              className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-red-600"
+            >
+              Limpiar
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+          <table className="w-full min-w-[640px] text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th className="w-40 p-4" />
+                {products.map(product => (
+                  <ProductHeader
+                    key={product._id}
+                    product={product}
+                    onRemove={() => removeFromCompare(product._id)}
+                  />
+                ))}
+              </tr>
+            </thead>
+
+            <tbody>
+              {Object.keys(GROUP_LABELS).map(group => {
+                const groupRows = rows.filter(row => row.group === group);
+                if (!groupRows.length) return null;
+
+                return [
+                  <tr key={group} className="bg-gray-50 dark:bg-slate-900/40">
+                    <th
+                      colSpan={products.length + 1}
+                      className="px-4 py-2 text-left text-xs font-bold uppercase tracking-wider text-gray-500"
+                    >
+                      {GROUP_LABELS[group]}
+                    </th>
+                  </tr>,
+                  ...groupRows.map(row => (
+                    <CompareRow
+                      key={row.key}
+                      row={row}
+                      highlight={highlightDifferences && row.differs}
+                    />
+                  ))
+                ];
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ==============================================================================
+// HELPER COMPONENTS
+// ==============================================================================
+
+function ProductHeader({ product, onRemove }) {
+  return (
+    <th className="p-4 align-top text-left font-normal">
+      <div className="relative">
+        <button
+          type="button"
+          onClick={onRemove}
+          className="absolute top-0 right-0 h-7 w-7 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 flex items-center justify-center hover:bg-red-100 hover:text-red-600"
+          title="Quitar del comparador"
+        >
+          <X className="h-4 w-4" />
+        </button>
+        <Link to={`/productos/${product.slug}`} className="block group">
+          <div className="w-28 h-28 bg-gray-100 rounded-lg overflow-hidden mb-3">
+            <img
+              src={getPrimaryImage(product)}
+              alt={product.name}
+              className="w-full h-full object-cover"
+            />
+          </div>
+          <p className="font-semibold text-gray-900 dark:text-white group-hover:text-blue-600 line-clamp-2 pr-8">
+            {product.name}
+          </p>
+        </Link>
+      </div>
+    </th>
+  );
+}
+
+function CompareRow({ row, highlight }) {
+  return (
+    <tr
+      className={`border-b border-gray-100 dark:border-gray-700 ${
+        highlight ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''
+      }`}
+    >
+      <th className="p-4 text-left font-medium text-gray-500 dark:text-gray-400">
+        {row.label}
+      </th>
+      {row.values.map((value, index) => (
+        <td
+          key={index}
+          className={`p-4 text-gray-900 dark:text-white ${highlight ? 'font-semibold' : ''}`}
+        >
+          {value ?? <span className="text-gray-400">—</span>}
+        </td>
+      ))}
+    </tr>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
 import {
   Heart,
@@ -21,6 +21,7 @@ import { useProductCart } from "../../hooks/useProductCart";
 import { useProductWishlist } from "../../hooks/useProductWishlist";
 
 import { formatPrice } from "../../utils/priceHelpers";
+import { getTaxLabel } from "../../../../shared/lib/tax";
 import {
   isProductAvailable,
   isLowStock,
@@ -29,10 +30,21 @@ import {
   getAvailabilityText,
   isNewProduct,
   getAverageRating,
+  getActiveVariants,
+  isVariantAvailable,
+  findVariantByAttributes,
+  getDefaultVariantSelection,
+  selectVariantOption,
+  pickVariantAttributes,
+  applyVariantToProduct,
 } from "../../utils/productHelpers";
 
 import { ProductSpecs } from "../../components/ProductSpecs";
 import { ProductReviews } from "../../components/ProductReviews";
+import { VariantSelector } from "../../components/VariantSelector";
+import { RecentlyViewed } from "../../components/RecentlyViewed";
+import { useRecentlyViewed } from "../../hooks/useRecentlyViewed";
+import { ProductAlerts } from "../../../alerts/components/ProductAlerts";
 
 /**
  * ✅ CORRECCIÓN: Página de detalle optimizada sin doble fetch
@@ -58,6 +70,8 @@ export default function ProductoDetalle() {
     loading: wishlistLoading,
   } = useProductWishlist();
 
+  const { trackProduct } = useRecentlyViewed();
+
   // ============================================================================
   // STATE
   // ============================================================================
@@ -68,6 +82,8 @@ export default function ProductoDetalle() {
   const [selectedImageIndex, setSelectedImageIndex] = useState(0);
   const [relatedProducts, setRelatedProducts] = useState([]);
   const [loadingRelated, setLoadingRelated] = useState(false);
+  // null = primera variante disponible
+  const [selectedAttributes, setSelectedAttributes] = useState(null);
 
   // ✅ PROTECCIÓN: Ref para evitar doble fetch
   const fetchInProgressRef = useRef(false);
@@ -77,18 +93,52 @@ export default function ProductoDetalle() {
   // ============================================================================
   // COMPUTED
   // ============================================================================
-  const inWishlist = product ? isProductInWishlist(product._id) : false;
-  const inCart = product ? isProductInCart(product._id) : false;
-  const cartQuantity = product ? getProductQuantity(product._id) : 0;
+  // Variante elegida: precio, stock e imágenes salen de ella (displayProduct)
+  const hasVariants = getActiveVariants(product).length > 0;
+  const selection = useMemo(
+    () =>
+      selectedAttributes ??
+      (hasVariants ? getDefaultVariantSelection(product) : {}),
+    [product, hasVariants, selectedAttributes]
+  );
+  const selectedVariant = useMemo(
+    () => (hasVariants ? findVariantByAttributes(product, selection) : null),
+    [product, hasVariants, selection]
+  );
+  const displayProduct = useMemo(
+    () => applyVariantToProduct(product, selectedVariant),
+    [product, selectedVariant]
+  );
+  const cartAttributes = useMemo(
+    () => (selectedVariant ? pickVariantAttributes(selectedVariant) : undefined),
+    [selectedVariant]
+  );
 
-  const primaryImage = product ? getPrimaryImage(product) : null;
-  const availabilityStatus = product ? getAvailabilityStatus(product) : null;
+  const inWishlist = product ? isProductInWishlist(product._id) : false;
+  const inCart = product ? isProductInCart(product._id, cartAttributes) : false;
+  const cartQuantity = product
+    ? getProductQuantity(product._id, cartAttributes)
+    : 0;
+
+  const galleryImages = displayProduct?.images || [];
+  const primaryImage = product
+    ? galleryImages[selectedImageIndex]?.url || getPrimaryImage(displayProduct)
+    : null;
+  // Combinación sin variante: no se puede comprar aunque el producto tenga stock
+  const availabilityStatus = product
+    ? hasVariants && !selectedVariant
+      ? "unavailable"
+      : getAvailabilityStatus(displayProduct)
+    : null;
   const availabilityText = availabilityStatus
     ? getAvailabilityText(availabilityStatus)
     : "";
   const averageRating = product ? getAverageRating(product) : 0;
-  const isAvailable = product ? isProductAvailable(product) : false;
-  const isLow = product ? isLowStock(product) : false;
+  const isAvailable = product
+    ? isProductAvailable(displayProduct) &&
+      (!hasVariants || isVariantAvailable(product, selectedVariant))
+    : false;
+  const isLow = product ? isLowStock(displayProduct) : false;
   const isNew = product ? isNewProduct(product) : false;
 
   // ============================================================================
@@ -151,6 +201,8 @@ export default function ProductoDetalle() {
           }
 
           setProduct(prod);
+          setSelectedAttributes(null);
+          setSelectedImageIndex(0);
           setError(null);
 
           // Cargar relacionados SOLO si hay ID válido
@@ -211,6 +263,11 @@ export default function ProductoDetalle() {
     };
   }, [slug]); // ✅ SOLO slug como dependencia
 
+  // Registrar en "Vistos recientemente"
+  useEffect(() => {
+    if (product) trackProduct(product);
+  }, [product, trackProduct]);
+
   // ============================================================================
   // FETCH RELACIONADOS - ✅ OPTIMIZADO
   // ============================================================================
@@ -274,26 +331,36 @@ export default function ProductoDetalle() {
   }, [product, toggleProductWishlist]);
 
   const handleAddToCart = useCallback(async () => {
-    if (!product) return;
+    if (!displayProduct) return;
 
     if (inCart) {
-      await incrementQuantity(product);
+      await incrementQuantity(displayProduct, cartAttributes, quantity);
     } else {
-      await addProductToCart(product, quantity);
+      // Con variantes, el item del carrito es producto + atributos de la variante
+      await addProductToCart(displayProduct, quantity, cartAttributes);
     }
-  }, [product, inCart, quantity, addProductToCart, incrementQuantity]);
+  }, [displayProduct, inCart, quantity, cartAttributes, addProductToCart, incrementQuantity]);
+
+  const handleSelectVariant = useCallback(
+    (key, value) => {
+      setSelectedAttributes(selectVariantOption(product, selection, key, value));
+      setSelectedImageIndex(0);
+      setQuantity(1);
+    },
+    [product, selection]
+  );
 
   const handleQuantityChange = useCallback(
     (newQty) => {
       if (newQty < 1) return;
-      if (product?.trackQuantity && newQty > product.stock) {
-        setQuantity(product.stock);
-        toast.warning(`Solo hay ${product.stock} unidades disponibles`);
+      if (displayProduct?.trackQuantity && newQty > displayProduct.stock) {
+        setQuantity(displayProduct.stock);
+        toast.warning(`Solo hay ${displayProduct.stock} unidades disponibles`);
         return;
       }
       setQuantity(newQty);
     },
-    [product]
+    [displayProduct]
   );
 
   const handleRetry = useCallback(() => {
@@ -427,13 +494,13 @@ export default function ProductoDetalle() {
                       ✨ Nuevo
                     </span>
                   )}
-                  {product.comparePrice &&
-                    product.comparePrice > product.price && (
+                  {displayProduct.comparePrice &&
+                    displayProduct.comparePrice > displayProduct.price && (
                       <span className="inline-flex bg-red-500 text-white px-3 py-1 rounded-full text-xs font-bold">
                         -
                         {Math.round(
-                          ((product.comparePrice - product.price) /
-                            product.comparePrice) *
+                          ((displayProduct.comparePrice - displayProduct.price) /
+                            displayProduct.comparePrice) *
                             100
                         )}
                         %
@@ -463,9 +530,9 @@ export default function ProductoDetalle() {
                 </button>
               </div>
 
-              {product.images && product.images.length > 1 && (
+              {galleryImages.length > 1 && (
                 <div className="grid grid-cols-4 gap-3">
-                  {product.images.map((img, idx) => (
+                  {galleryImages.map((img, idx) => (
                     <button
                       key={idx}
                       onClick={() => setSelectedImageIndex(idx)}
@@ -523,24 +590,36 @@ export default function ProductoDetalle() {
               <div className="space-y-2">
                 <div className="flex items-baseline gap-3">
                   <span className="text-4xl font-bold text-gray-900 dark:text-white">
-                    {formatPrice(product.price)}
+                    {formatPrice(displayProduct.price)}
                   </span>
-                  {product.comparePrice &&
-                    product.comparePrice > product.price && (
+                  {displayProduct.comparePrice &&
+                    displayProduct.comparePrice > displayProduct.price && (
                       <span className="text-xl text-gray-500 line-through">
-                        {formatPrice(product.comparePrice)}
+                        {formatPrice(displayProduct.comparePrice)}
                       </span>
                     )}
                 </div>
-                {product.comparePrice &&
-                  product.comparePrice > product.price && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {getTaxLabel(product)}
+                </p>
+                {displayProduct.comparePrice &&
+                  displayProduct.comparePrice > displayProduct.price && (
                     <p className="text-sm text-green-600 font-semibold">
                       Ahorras{" "}
-                      {formatPrice(product.comparePrice - product.price)}
+                      {formatPrice(displayProduct.comparePrice - displayProduct.price)}
                     </p>
                   )}
               </div>
 
+              {hasVariants && (
+                <VariantSelector
+                  product={product}
+                  selection={selection}
+                  variant={selectedVariant}
+                  onSelect={handleSelectVariant}
+                />
+              )}
+
               <div
                 className={`p-4 rounded-xl ${
                   availabilityStatus === "available"
@@ -561,9 +640,9 @@ export default function ProductoDetalle() {
                 >
                   {availabilityText}
                 </p>
-                {product.trackQuantity && (
+                {displayProduct.trackQuantity && (
                   <p className="text-sm mt-1 opacity-75">
-                    {product.stock} unidades disponibles
+                    {displayProduct.stock} unidades disponibles
                   </p>
                 )}
               </div>
@@ -635,6 +714,16 @@ export default function ProductoDetalle() {
                 </div>
               )}
 
+              {/* Agotado: "avísame cuando vuelva"; siempre: alerta de precio */}
+              <ProductAlerts
+                key={selectedVariant?.sku || "product"}
+                product={displayProduct}
+                variantSku={selectedVariant?.sku}
+                canNotifyRestock={!isAvailable && availabilityStatus !== "unavailable"}
+                onSuccess={toast.success}
+                onError={toast.error}
+              />
+
               <div className="space-y-3 pt-4 border-t border-gray-200 dark:border-gray-700">
                 {isAvailable && (
                   <div className="flex items-center gap-3 text-gray-700 dark:text-gray-300">
@@ -735,6 +824,8 @@ export default function ProductoDetalle() {
             )}
           </div>
         )}
+
+        <RecentlyViewed excludeId={product._id} className="mt-8" />
       </div>
     </main>
   );
@@ -7,6 +7,7 @@
  */
 
 import * as yup from 'yup';
+import { TAX_CLASSES } from '../../../shared/lib/tax';
 
 /**
  * Schema de imagen de producto
@@ -189,6 +190,12 @@ export const productSchema = yup.object({
       return value <= this.parent.price;
     }),
 
+  // Vacío: se usa la clase de IVA de la categoría (shared/lib/tax)
+  taxClass: yup
+    .string()
+    .nullable()
+    .oneOf([...Object.values(TAX_CLASSES), null], 'Clase de IVA inválida'),
+
   // ============================================
   // INVENTARIO Y SKU
   // ============================================
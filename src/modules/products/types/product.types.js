@@ -285,4 +285,77 @@ export const CACHE_CONFIG = {
   PRODUCTS_TTL: 5 * 60 * 1000, // 5 minutos
   FEATURED_TTL: 10 * 60 * 1000, // 10 minutos
   CATEGORIES_TTL: 30 * 60 * 1000 // 30 minutos
-};
\ No newline at end of file
+};
+
+/**
+ * Atributos que definen una variante (variant.attributes), en orden de selección
+ */
+export const VARIANT_ATTRIBUTES = ['size', 'color', 'material'];
+
+/**
+ * Etiquetas de los atributos de variante
+ */
+export const VARIANT_ATTRIBUTE_LABELS = {
+  size: 'Talla',
+  color: 'Color',
+  material: 'Material'
+};
+
+/**
+ * Comparador de productos (bandeja persistida en localStorage)
+ */
+export const PRODUCT_COMPARE_CONFIG = {
+  MAX_ITEMS: 4,
+  STORAGE_KEY: 'product_compare'
+};
+
+/**
+ * Historial "Vistos recientemente" (localStorage, uno por usuario o 'guest')
+ */
+export const RECENTLY_VIEWED_CONFIG = {
+  MAX_ITEMS: 12,
+  STORAGE_KEY: 'product_recently_viewed'
+};
+
+/**
+ * Columnas de la importación / exportación masiva del catálogo
+ * (el encabezado del archivo exportado es `label`; al importar también
+ * se reconocen `key` y `aliases`)
+ *
+ * type: text | number | integer | boolean | list (valores separados por LIST_SEPARATOR)
+ */
+export const PRODUCT_IMPORT_COLUMNS = [
+  { key: 'name', label: 'Nombre', type: 'text', required: true, aliases: ['producto', 'titulo'] },
+  { key: 'sku', label: 'SKU', type: 'text', required: true, aliases: ['referencia', 'codigo'] },
+  { key: 'slug', label: 'Slug', type: 'text', aliases: ['url'] },
+  { key: 'description', label: 'Descripción', type: 'text', required: true, aliases: ['descripcion'] },
+  { key: 'shortDescription', label: 'Descripción corta', type: 'text', aliases: ['resumen'] },
+  { key: 'price', label: 'Precio', type: 'number', required: true, aliases: ['precio venta'] },
+  { key: 'comparePrice', label: 'Precio anterior', type: 'number', aliases: ['precio comparacion', 'precio antes'] },
+  { key: 'costPrice', label: 'Costo', type: 'number', aliases: ['precio costo'] },
+  { key: 'stock', label: 'Stock', type: 'integer', required: true, aliases: ['inventario', 'cantidad'] },
+  { key: 'trackQuantity', label: 'Controlar stock', type: 'boolean' },
+  { key: 'allowBackorder', label: 'Permitir pre-orden', type: 'boolean', aliases: ['preorden'] },
+  { key: 'lowStockThreshold', label: 'Umbral stock bajo', type: 'integer' },
+  { key: 'categories', label: 'Categorías', type: 'list', required: true, aliases: ['categorias', 'categoria'] },
+  { key: 'mainCategory', label: 'Categoría principal', type: 'text', aliases: ['categoria principal'] },
+  { key: 'images', label: 'Imágenes', type: 'list', required: true, aliases: ['imagenes', 'imagen', 'fotos'] },
+  { key: 'tags', label: 'Etiquetas', type: 'list', aliases: ['tags'] },
+  { key: 'brand', label: 'Marca', type: 'text' },
+  { key: 'taxClass', label: 'Clase de IVA', type: 'text', aliases: ['iva'] },
+  { key: 'status', label: 'Estado', type: 'text' },
+  { key: 'visibility', label: 'Visibilidad', type: 'text' },
+  { key: 'isFeatured', label: 'Destacado', type: 'boolean' },
+  { key: 'isPublished', label: 'Publicado', type: 'boolean' }
+];
+
+/**
+ * Configuración de la importación masiva
+ */
+export const PRODUCT_IMPORT_CONFIG = {
+  BATCH_SIZE: 10,
+  MAX_ROWS: 2000,
+  LIST_SEPARATOR: '|',
+  EXPORT_PAGE_SIZE: 100,
+  PROGRESS_STORAGE_KEY: 'product_import_progress'
+};
@@ -1,22 +1,22 @@
 /**
  * @module priceHelpers
  * @description Utilidades para formateo y cálculo de precios
+ * Formato y redondeo delegados a shared/lib/money
  */
 
+import { formatMoney, roundMoney } from '../../../shared/lib/money';
+import { TAX_RATES, DEFAULT_TAX_CLASS } from '../../../shared/lib/tax';
+
+// Tarifa general de IVA como fracción (0.19); por producto usar shared/lib/tax
+const DEFAULT_TAX_RATE = TAX_RATES[DEFAULT_TAX_CLASS] / 100;
+
 /**
- * Formatea precio en pesos colombianos
+ * Formatea precio en pesos colombianos (shared/lib/money)
  * @param {number} price
  * @returns {string}
  */
 export const formatPrice = (price) => {
-  if (price === null || price === undefined) return 'N/A';
-  
-  return new Intl.NumberFormat('es-CO', {
-    style: 'currency',
-    currency: 'COP',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(price);
+  return formatMoney(price, { fallback: 'N/A' });
 };
 
 /**
@@ -25,14 +25,7 @@ export const formatPrice = (price) => {
  * @returns {string}
  */
 export const formatPriceWithDecimals = (price) => {
-  if (price === null || price === undefined) return 'N/A';
-  
-  return new Intl.NumberFormat('es-CO', {
-    style: 'currency',
-    currency: 'COP',
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  }).format(price);
+  return formatMoney(price, { decimals: 2, fallback: 'N/A' });
 };
 
 /**
@@ -41,32 +34,27 @@ export const formatPriceWithDecimals = (price) => {
  * @returns {string}
  */
 export const formatPriceNumber = (price) => {
-  if (price === null || price === undefined) return '0';
-  
-  return new Intl.NumberFormat('es-CO', {
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(price);
+  return formatMoney(price, { symbol: false, fallback: '0' });
 };
 
 /**
  * Calcula el precio con IVA
  * @param {number} price
- * @param {number} taxRate - Tasa de impuesto (default 19%)
+ * @param {number} taxRate - Tasa como fracción (default: IVA general)
  * @returns {number}
  */
-export const calculatePriceWithTax = (price, taxRate = 0.19) => {
-  return parseFloat((price * (1 + taxRate)).toFixed(2));
+export const calculatePriceWithTax = (price, taxRate = DEFAULT_TAX_RATE) => {
+  return roundMoney(price * (1 + taxRate));
 };
 
 /**
  * Calcula el IVA
  * @param {number} price
- * @param {number} taxRate
+ * @param {number} taxRate - Tasa como fracción (default: IVA general)
  * @returns {number}
  */
-export const calculateTax = (price, taxRate = 0.19) => {
-  return parseFloat((price * taxRate).toFixed(2));
+export const calculateTax = (price, taxRate = DEFAULT_TAX_RATE) => {
+  return roundMoney(price * taxRate);
 };
 
 /**
@@ -76,7 +64,7 @@ export const calculateTax = (price, taxRate = 0.19) => {
  * @returns {number}
  */
 export const calculateTotal = (price, quantity) => {
-  return parseFloat((price * quantity).toFixed(2));
+  return roundMoney(price * quantity);
 };
 
 /**
@@ -98,7 +86,7 @@ export const calculateDiscountPercentage = (originalPrice, discountedPrice) => {
  */
 export const applyDiscount = (price, discountPercent) => {
   const discount = (price * discountPercent) / 100;
-  return parseFloat((price - discount).toFixed(2));
+  return roundMoney(price - discount);
 };
 
 /**
@@ -130,7 +118,7 @@ export const comparePrices = (price1, price2) => {
  */
 export const calculateSavings = (comparePrice, currentPrice) => {
   if (!comparePrice || comparePrice <= currentPrice) return 0;
-  return parseFloat((comparePrice - currentPrice).toFixed(2));
+  return roundMoney(comparePrice - currentPrice);
 };
 
 /**
@@ -180,12 +168,12 @@ export const roundToMultiple = (price, multiple = 100) => {
  */
 export const calculateInstallment = (price, months, interestRate = 0) => {
   if (interestRate === 0) {
-    return parseFloat((price / months).toFixed(2));
+    return roundMoney(price / months);
   }
   
   const monthlyRate = interestRate / 100;
   const factor = Math.pow(1 + monthlyRate, months);
   const installment = (price * monthlyRate * factor) / (factor - 1);
   
-  return parseFloat(installment.toFixed(2));
+  return roundMoney(installment);
 };
\ No newline at end of file
@@ -0,0 +1,207 @@
+import { PRODUCT_COMPARE_CONFIG } from '../types/product.types';
+import {
+  getAvailabilityStatus,
+  getAvailabilityText,
+  getProductSpecs
+} from './productHelpers';
+import { formatPrice } from './priceHelpers';
+
+/**
+ * @module ProductCompare
+ * @description Comparador de productos: bandeja persistida y tabla comparativa
+ *
+ * - La bandeja guarda hasta PRODUCT_COMPARE_CONFIG.MAX_ITEMS productos en
+ *   localStorage (una copia reducida de cada uno, para pintarla sin pedir nada)
+ * - La página /comparar vuelve a consultar cada producto; la copia solo se usa
+ *   si la consulta falla
+ * - Las filas de la tabla salen de getProductSpecs, igual que ProductSpecs
+ */
+
+/**
+ * Atributos que se agrupan aparte de las especificaciones
+ */
+const COMPARE_ATTRIBUTE_KEYS = ['size', 'color', 'material', 'dimensions'];
+
+// ============================================================================
+// PERSISTENCIA
+// ============================================================================
+
+/**
+ * Lee la bandeja guardada
+ * @returns {Array} Productos (copia reducida)
+ */
+export const loadCompareItems = () => {
+  try {
+    const stored = localStorage.getItem(PRODUCT_COMPARE_CONFIG.STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.slice(0, PRODUCT_COMPARE_CONFIG.MAX_ITEMS) : [];
+  } catch (error) {
+    console.error('[ProductCompare] Error loading items:', error);
+    return [];
+  }
+};
+
+/**
+ * Guarda la bandeja
+ * @param {Array} items
+ * @returns {Array} Items guardados
+ */
+export const storeCompareItems = (items) => {
+  try {
+    localStorage.setItem(PRODUCT_COMPARE_CONFIG.STORAGE_KEY, JSON.stringify(items));
+  } catch (error) {
+    console.error('[ProductCompare] Error saving items:', error);
+  }
+  return items;
+};
+
+// ============================================================================
+// OPERACIONES (puras: retornan una lista nueva)
+// ============================================================================
+
+/**
+ * Copia reducida del producto con lo que usan la bandeja y la tabla
+ * @param {Object} product
+ * @returns {Object}
+ */
+export const toCompareSnapshot = (product) => ({
+  _id: product._id,
+  name: product.name,
+  slug: product.slug,
+  images: product.images || [],
+  price: product.price,
+  comparePrice: product.comparePrice,
+  stock: product.stock,
+  lowStockThreshold: product.lowStockThreshold,
+  allowBackorder: product.allowBackorder,
+  trackQuantity: product.trackQuantity,
+  rating: product.rating,
+  brand: product.brand,
+  sku: product.sku,
+  attributes: product.attributes,
+  mainCategory: product.mainCategory
+});
+
+/**
+ * @param {Array} items
+ * @param {string} productId
+ * @returns {boolean}
+ */
+export const isInCompareList = (items, productId) => {
+  return items.some(item => item._id === productId);
+};
+
+/**
+ * Agrega un producto al final de la bandeja
+ * Si ya está o la bandeja está llena, retorna la misma lista
+ *
+ * @param {Array} items
+ * @param {Object} product
+ * @returns {Array}
+ */
+export const addCompareItem = (items, product) => {
+  if (isInCompareList(items, product._id)) return items;
+  if (items.length >= PRODUCT_COMPARE_CONFIG.MAX_ITEMS) return items;
+  return [...items, toCompareSnapshot(product)];
+};
+
+/**
+ * @param {Array} items
+ * @param {string} productId
+ * @returns {Array}
+ */
+export const removeCompareItem = (items, productId) => {
+  return items.filter(item => item._id !== productId);
+};
+
+// ============================================================================
+// TABLA COMPARATIVA
+// ============================================================================
+
+const formatRating = (product) => {
+  const average = product.rating?.average;
+  const count = product.rating?.count || 0;
+  if (!average || !count) return null;
+  return `${average.toFixed(1)} / 5 (${count} ${count === 1 ? 'reseña' : 'reseñas'})`;
+};
+
+/**
+ * Texto comparable: sin mayúsculas ni espacios extra
+ */
+const normalizeValue = (value) => {
+  return value === null || value === undefined
+    ? ''
+    : String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Filas de la tabla comparativa
+ *
+ * Grupos: resumen (precio, calificación, disponibilidad), atributos
+ * (talla, color, material, dimensiones) y especificaciones (marca, SKU,
+ * peso y atributos personalizados). Una fila aparece si al menos un
+ * producto tiene valor; los demás quedan en null
+ *
+ * @param {Array} products
+ * @returns {Array} [{ key, label, group, values, differs }]
+ *   differs es true si los valores no son todos iguales (con 2+ productos)
+ */
+export const buildComparisonRows = (products = []) => {
+  const rows = [
+    {
+      key: 'price',
+      label: 'Precio',
+      group: 'summary',
+      values: products.map(product => formatPrice(product.price))
+    },
+    {
+      key: 'rating',
+      label: 'Calificación',
+      group: 'summary',
+      values: products.map(formatRating)
+    },
+    {
+      key: 'availability',
+      label: 'Disponibilidad',
+      group: 'summary',
+      values: products.map(product => getAvailabilityText(getAvailabilityStatus(product)))
+    }
+  ];
+
+  // Una fila por especificación, en el orden en que aparecen
+  const specRows = new Map();
+  products.forEach((product, index) => {
+    getProductSpecs(product).forEach(spec => {
+      if (!specRows.has(spec.key)) {
+        specRows.set(spec.key, {
+          key: spec.key,
+          label: spec.label,
+          group: COMPARE_ATTRIBUTE_KEYS.includes(spec.key) ? 'attributes' : 'specs',
+          values: products.map(() => null)
+        });
+      }
+      specRows.get(spec.key).values[index] = spec.value;
+    });
+  });
+
+  const specList = [...specRows.values()];
+  rows.push(
+    ...specList.filter(row => row.group === 'attributes'),
+    ...specList.filter(row => row.group === 'specs')
+  );
+
+  return rows.map(row => ({
+    ...row,
+    differs: products.length > 1 && new Set(row.values.map(normalizeValue)).size > 1
+  }));
+};
+
+export default {
+  loadCompareItems,
+  storeCompareItems,
+  toCompareSnapshot,
+  isInCompareList,
+  addCompareItem,
+  removeCompareItem,
+  buildComparisonRows
+};
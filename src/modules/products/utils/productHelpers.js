@@ -3,6 +3,9 @@
  * @description Utilidades para manejo de productos
  */
 
+import { roundMoney } from '../../../shared/lib/money';
+import { VARIANT_ATTRIBUTES } from '../types/product.types';
+
 /**
  * Calcula el porcentaje de descuento
  * @param {number} comparePrice
@@ -192,6 +195,139 @@ export const findVariantBySku = (product, sku) => {
   return product.variants.find(v => v.sku === sku) || null;
 };
 
+/**
+ * Verifica si una variante se puede comprar (activa y con stock o pre-orden)
+ * @param {Object} product - Producto dueño de la variante
+ * @param {Object} variant
+ * @returns {boolean}
+ */
+export const isVariantAvailable = (product, variant) => {
+  if (!variant || variant.isActive !== true) return false;
+  if (!product?.trackQuantity || product.allowBackorder) return true;
+  return variant.stock > 0;
+};
+
+/**
+ * Valores posibles de cada atributo según las variantes activas
+ * @param {Object} product
+ * @returns {Object} { size: ['S', 'M'], color: ['Rojo'] } (solo atributos con valores)
+ */
+export const getVariantOptions = (product) => {
+  return getActiveVariants(product).reduce((options, variant) => {
+    VARIANT_ATTRIBUTES.forEach(key => {
+      const value = variant.attributes?.[key];
+      if (!value) return;
+      if (!options[key]) options[key] = [];
+      if (!options[key].includes(value)) options[key].push(value);
+    });
+    return options;
+  }, {});
+};
+
+/**
+ * Verifica si una variante coincide con los atributos seleccionados
+ * (los atributos sin seleccionar no se comparan)
+ * @param {Object} variant
+ * @param {Object} selection - { size, color, material }
+ * @returns {boolean}
+ */
+const matchesSelection = (variant, selection = {}) => {
+  return Object.entries(selection).every(
+    ([key, value]) => !value || variant.attributes?.[key] === value
+  );
+};
+
+/**
+ * Atributos de la variante que se envían al carrito
+ * @param {Object} variant
+ * @returns {Object} { size, color, material } (sin vacíos)
+ */
+export const pickVariantAttributes = (variant) => {
+  return VARIANT_ATTRIBUTES.reduce((attributes, key) => {
+    if (variant?.attributes?.[key]) attributes[key] = variant.attributes[key];
+    return attributes;
+  }, {});
+};
+
+/**
+ * Encuentra la variante activa que corresponde a una combinación completa
+ * @param {Object} product
+ * @param {Object} selection - { size, color, material }
+ * @returns {Object|null} Variante (null si falta elegir algún atributo)
+ */
+export const findVariantByAttributes = (product, selection = {}) => {
+  const keys = Object.keys(getVariantOptions(product));
+  if (!keys.length || keys.some(key => !selection[key])) return null;
+
+  return getActiveVariants(product).find(variant => matchesSelection(variant, selection)) || null;
+};
+
+/**
+ * Verifica si un valor de atributo se puede combinar con el resto de la selección
+ * @param {Object} product
+ * @param {Object} selection - Selección actual
+ * @param {string} key - Atributo (size, color, material)
+ * @param {string} value - Valor a evaluar
+ * @returns {boolean}
+ */
+export const isVariantOptionAvailable = (product, selection, key, value) => {
+  const candidate = { ...selection, [key]: value };
+  return getActiveVariants(product).some(variant =>
+    matchesSelection(variant, candidate) && isVariantAvailable(product, variant)
+  );
+};
+
+/**
+ * Selección por defecto: la primera variante disponible
+ * @param {Object} product
+ * @returns {Object} Atributos de la variante ({} si no hay)
+ */
+export const getDefaultVariantSelection = (product) => {
+  const variant = getActiveVariants(product).find(v => isVariantAvailable(product, v));
+  return variant ? pickVariantAttributes(variant) : {};
+};
+
+/**
+ * Nueva selección al elegir un valor: si la combinación no existe con stock,
+ * salta a la primera variante disponible que tenga ese valor
+ * @param {Object} product
+ * @param {Object} selection - Selección actual
+ * @param {string} key - Atributo elegido
+ * @param {string} value - Valor elegido
+ * @returns {Object} Selección resultante
+ */
+export const selectVariantOption = (product, selection, key, value) => {
+  const candidate = { ...selection, [key]: value };
+  if (isVariantOptionAvailable(product, selection, key, value)) return candidate;
+
+  const fallback = getActiveVariants(product).find(variant =>
+    variant.attributes?.[key] === value && isVariantAvailable(product, variant)
+  );
+  return fallback ? pickVariantAttributes(fallback) : candidate;
+};
+
+/**
+ * Producto con precio, stock e imágenes de la variante elegida,
+ * para usarlo con los helpers de disponibilidad y en el carrito
+ * @param {Object} product
+ * @param {Object|null} variant
+ * @returns {Object} Producto (el mismo si no hay variante)
+ */
+export const applyVariantToProduct = (product, variant) => {
+  if (!product || !variant) return product;
+
+  return {
+    ...product,
+    price: variant.price ?? product.price,
+    comparePrice: variant.comparePrice ?? product.comparePrice,
+    stock: variant.stock ?? product.stock,
+    images: variant.images?.length
+      ? variant.images.map((url, index) => ({ url, isPrimary: index === 0 }))
+      : product.images,
+    variantSku: variant.sku
+  };
+};
+
 /**
  * Calcula el precio total con descuento
  * @param {number} price
@@ -199,7 +335,7 @@ export const findVariantBySku = (product, sku) => {
  * @returns {number}
  */
 export const calculateTotalPrice = (price, quantity) => {
-  return parseFloat((price * quantity).toFixed(2));
+  return roundMoney(price * quantity);
 };
 
 /**
@@ -226,4 +362,58 @@ export const generateSlug = (text) => {
 export const getProductTags = (product) => {
   if (!product || !product.tags) return [];
   return product.tags.filter(Boolean);
-};
\ No newline at end of file
+};
+/**
+ * Especificaciones legibles del producto (las que muestra ProductSpecs)
+ * Marca, SKU, color, talla, material, peso, dimensiones y los demás
+ * atributos personalizados, en ese orden
+ *
+ * @param {Object} product
+ * @returns {Array} [{ key, label, value }] solo los que tienen valor
+ */
+export const getProductSpecs = (product) => {
+  if (!product) return [];
+
+  const { attributes, brand, sku } = product;
+  const specs = [];
+  const toText = (value) => Array.isArray(value) ? value.join(', ') : value.toString();
+  const hasValue = (value) => Boolean(value) && (Array.isArray(value) ? value.length > 0 : true);
+
+  if (brand) specs.push({ key: 'brand', label: 'Marca', value: brand });
+  if (sku) specs.push({ key: 'sku', label: 'SKU', value: sku });
+
+  if (!attributes) return specs;
+
+  if (hasValue(attributes.color)) {
+    specs.push({ key: 'color', label: 'Color', value: toText(attributes.color) });
+  }
+  if (hasValue(attributes.size)) {
+    specs.push({ key: 'size', label: 'Tamaño', value: toText(attributes.size) });
+  }
+  if (hasValue(attributes.material)) {
+    specs.push({ key: 'material', label: 'Material', value: toText(attributes.material) });
+  }
+  if (attributes.weight) {
+    specs.push({ key: 'weight', label: 'Peso', value: attributes.weight });
+  }
+  if (attributes.dimensions) {
+    const { length, width, height, unit = 'cm' } = attributes.dimensions;
+    if (length && width && height) {
+      specs.push({ key: 'dimensions', label: 'Dimensiones', value: `${length} x ${width} x ${height} ${unit}` });
+    }
+  }
+
+  // Otros atributos personalizados
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (['color', 'size', 'material', 'weight', 'dimensions'].includes(key)) return;
+    if (!hasValue(value)) return;
+
+    specs.push({
+      key,
+      label: key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1'),
+      value: toText(value)
+    });
+  });
+
+  return specs;
+};
@@ -0,0 +1,355 @@
+import { productSchema } from '../schemas/product.schema';
+import {
+  PRODUCT_IMPORT_COLUMNS,
+  PRODUCT_IMPORT_CONFIG
+} from '../types/product.types';
+import { generateSlug } from './productHelpers';
+
+/**
+ * @module ProductImport
+ * @description Importación / exportación masiva del catálogo (CSV o XLSX)
+ *
+ * FLUJO:
+ * archivo → mapeo de columnas → simulación (productSchema por fila)
+ *         → creación por lotes con adminAPI.createProduct (reanudable)
+ *
+ * - Las listas (categorías, imágenes, etiquetas) van separadas por "|"
+ * - Las categorías se escriben por slug o nombre; se convierten a IDs
+ * - El progreso se guarda por archivo en localStorage: al volver a cargar
+ *   el mismo archivo, las filas ya creadas se omiten
+ * - La exportación usa las mismas columnas, así el archivo se puede re-importar
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const TRUE_VALUES = ['si', 'true', '1', 'x', 'yes'];
+const FALSE_VALUES = ['no', 'false', '0'];
+
+/**
+ * Texto comparable: minúsculas, sin tildes ni espacios extra
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeHeader = (text) => {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+};
+
+// ============================================================================
+// MAPEO DE COLUMNAS
+// ============================================================================
+
+/**
+ * Propone qué columna del archivo corresponde a cada campo
+ * @param {Array<string>} headers - Primera fila del archivo
+ * @returns {Object} { [campo]: índice de columna }
+ */
+export const guessColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+
+  return PRODUCT_IMPORT_COLUMNS.reduce((mapping, column) => {
+    const candidates = [column.key, column.label, ...(column.aliases || [])].map(normalizeHeader);
+    const index = normalized.findIndex(header => candidates.includes(header));
+    if (index >= 0) mapping[column.key] = index;
+    return mapping;
+  }, {});
+};
+
+/**
+ * Campos obligatorios sin columna asignada
+ * @param {Object} mapping
+ * @returns {Array} Columnas (PRODUCT_IMPORT_COLUMNS) faltantes
+ */
+export const getMissingRequiredColumns = (mapping = {}) => {
+  return PRODUCT_IMPORT_COLUMNS.filter(column => column.required && mapping[column.key] === undefined);
+};
+
+// ============================================================================
+// CONVERSIÓN DE CELDAS
+// ============================================================================
+
+/**
+ * Número escrito a mano ("$ 129.900", "1.234,50", "99.9")
+ * @param {string|number} value
+ * @returns {number|undefined} NaN si no es un número (lo rechaza el schema)
+ */
+export const parseNumberCell = (value) => {
+  if (typeof value === 'number') return value;
+
+  let text = String(value ?? '').replace(/[$\s]/g, '');
+  if (!text) return undefined;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma >= 0 && lastDot >= 0) {
+    // El último separador es el decimal
+    text = lastComma > lastDot
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (lastComma >= 0) {
+    text = text.replace(',', '.');
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    // "129.900": separador de miles
+    text = text.replace(/\./g, '');
+  }
+
+  return Number(text);
+};
+
+/**
+ * Convierte una celda según el tipo de la columna
+ * @param {string|number} value
+ * @param {string} type - text | number | integer | boolean | list
+ * @returns {*} Valor (undefined si la celda está vacía)
+ */
+export const parseCell = (value, type) => {
+  const text = String(value ?? '').trim();
+  if (text === '') return undefined;
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return parseNumberCell(value);
+    case 'boolean': {
+      const normalized = normalizeHeader(text);
+      if (TRUE_VALUES.includes(normalized)) return true;
+      if (FALSE_VALUES.includes(normalized)) return false;
+      return text;
+    }
+    case 'list':
+      return text
+        .split(PRODUCT_IMPORT_CONFIG.LIST_SEPARATOR)
+        .map(item => item.trim())
+        .filter(Boolean);
+    default:
+      return text;
+  }
+};
+
+/**
+ * Busca el ID de una categoría por ID, slug o nombre
+ * @param {string} value
+ * @param {Array} categories - Categorías del catálogo
+ * @returns {string|null}
+ */
+export const resolveCategoryId = (value, categories = []) => {
+  if (OBJECT_ID_PATTERN.test(value)) return value;
+
+  const wanted = normalizeHeader(value);
+  const category = categories.find(c =>
+    normalizeHeader(c.slug) === wanted || normalizeHeader(c.name) === wanted
+  );
+  return category?._id || null;
+};
+
+// ============================================================================
+// FILA → PRODUCTO
+// ============================================================================
+
+/**
+ * Arma el producto de una fila del archivo
+ * @param {Array} row - Celdas de la fila
+ * @param {Object} mapping - { [campo]: índice de columna }
+ * @param {Array} categories - Categorías del catálogo
+ * @returns {{ product: Object, errors: Array }} Errores de conversión (categorías desconocidas)
+ */
+export const rowToProduct = (row = [], mapping = {}, categories = []) => {
+  const product = {};
+  const errors = [];
+
+  PRODUCT_IMPORT_COLUMNS.forEach(column => {
+    const index = mapping[column.key];
+    if (index === undefined) return;
+
+    const value = parseCell(row[index], column.type);
+    if (value !== undefined) product[column.key] = value;
+  });
+
+  if (product.sku) product.sku = product.sku.toUpperCase();
+  product.slug = product.slug ? product.slug.toLowerCase() : generateSlug(product.name || '');
+
+  if (product.tags) product.tags = product.tags.map(tag => tag.toLowerCase());
+
+  if (product.images) {
+    product.images = product.images.map((url, index) => ({
+      url,
+      altText: product.name || '',
+      isPrimary: index === 0,
+      order: index
+    }));
+  }
+
+  if (product.categories) {
+    product.categories = product.categories.map(value => {
+      const id = resolveCategoryId(value, categories);
+      if (!id) errors.push({ field: 'categories', message: `Categoría no encontrada: "${value}"` });
+      return id;
+    }).filter(Boolean);
+  }
+
+  if (product.mainCategory) {
+    const id = resolveCategoryId(product.mainCategory, categories);
+    if (!id) errors.push({ field: 'mainCategory', message: `Categoría no encontrada: "${product.mainCategory}"` });
+    product.mainCategory = id || undefined;
+  }
+  if (!product.mainCategory && product.categories?.length) {
+    product.mainCategory = product.categories[0];
+  }
+
+  return { product, errors };
+};
+
+/**
+ * Simulación: convierte y valida cada fila con productSchema sin crear nada
+ *
+ * @param {Array<Array>} rows - Filas de datos (sin encabezado)
+ * @param {Object} mapping - { [campo]: índice de columna }
+ * @param {Array} categories - Categorías del catálogo
+ * @returns {Promise<Array>} [{ rowNumber, product, errors, valid }]
+ *   rowNumber es la fila en el archivo (el encabezado es la 1)
+ */
+export const validateImportRows = async (rows = [], mapping = {}, categories = []) => {
+  const seen = { sku: new Map(), slug: new Map() };
+
+  return Promise.all(rows.map(async (row, index) => {
+    const rowNumber = index + 2;
+    const { product, errors } = rowToProduct(row, mapping, categories);
+
+    // Duplicados dentro del mismo archivo (antes del await, en orden de fila)
+    ['sku', 'slug'].forEach(field => {
+      const value = product[field];
+      if (!value) return;
+      if (seen[field].has(value)) {
+        errors.push({ field, message: `${field.toUpperCase()} repetido (fila ${seen[field].get(value)})` });
+      } else {
+        seen[field].set(value, rowNumber);
+      }
+    });
+
+    try {
+      await productSchema.validate(product, { abortEarly: false });
+    } catch (err) {
+      (err.inner?.length ? err.inner : [err]).forEach(issue => {
+        errors.push({ field: issue.path, message: issue.message });
+      });
+    }
+
+    return { rowNumber, product, errors, valid: errors.length === 0 };
+  }));
+};
+
+// ============================================================================
+// EXPORTACIÓN
+// ============================================================================
+
+/**
+ * Filas del catálogo en el formato de importación (la primera es el encabezado)
+ * @param {Array} products - Productos del catálogo
+ * @param {Array} categories - Categorías (para exportar slugs en lugar de IDs)
+ * @returns {Array<Array>}
+ */
+export const buildCatalogRows = (products = [], categories = []) => {
+  const separator = ` ${PRODUCT_IMPORT_CONFIG.LIST_SEPARATOR} `;
+  const categorySlug = (category) => {
+    const id = category?._id || category;
+    return categories.find(c => c._id === id)?.slug || category?.slug || id;
+  };
+
+  const toCell = (product, column) => {
+    const value = product[column.key];
+    if (value === null || value === undefined) return '';
+
+    switch (column.key) {
+      case 'categories':
+        return value.map(categorySlug).join(separator);
+      case 'mainCategory':
+        return categorySlug(value);
+      case 'images':
+        return [...value]
+          .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary) || (a.order || 0) - (b.order || 0))
+          .map(image => image.url)
+          .join(separator);
+      default:
+        if (column.type === 'list') return value.join(separator);
+        if (column.type === 'boolean') return value ? 'si' : 'no';
+        return value;
+    }
+  };
+
+  return [
+    PRODUCT_IMPORT_COLUMNS.map(column => column.label),
+    ...products.map(product => PRODUCT_IMPORT_COLUMNS.map(column => toCell(product, column)))
+  ];
+};
+
+// ============================================================================
+// PROGRESO (REANUDAR)
+// ============================================================================
+
+/**
+ * Identificador del archivo para reanudar su importación
+ * @param {File} file
+ * @returns {string}
+ */
+export const getImportFileKey = (file) => {
+  return `${file?.name}:${file?.size}:${file?.lastModified}`;
+};
+
+const readAllProgress = () => {
+  try {
+    const stored = localStorage.getItem(PRODUCT_IMPORT_CONFIG.PROGRESS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('[ProductImport] Error loading progress:', error);
+    return {};
+  }
+};
+
+/**
+ * Progreso guardado de un archivo
+ * @param {string} fileKey
+ * @returns {{ created: Object, failed: Object }} { [rowNumber]: productId | mensaje }
+ */
+export const loadImportProgress = (fileKey) => {
+  const progress = readAllProgress()[fileKey];
+  return {
+    created: progress?.created || {},
+    failed: progress?.failed || {}
+  };
+};
+
+/**
+ * Guarda el progreso de un archivo (null lo borra)
+ * @param {string} fileKey
+ * @param {Object|null} progress
+ */
+export const saveImportProgress = (fileKey, progress) => {
+  const all = readAllProgress();
+  if (progress) all[fileKey] = { ...progress, updatedAt: new Date().toISOString() };
+  else delete all[fileKey];
+
+  try {
+    localStorage.setItem(PRODUCT_IMPORT_CONFIG.PROGRESS_STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    console.error('[ProductImport] Error saving progress:', error);
+  }
+};
+
+export default {
+  normalizeHeader,
+  guessColumnMapping,
+  getMissingRequiredColumns,
+  parseNumberCell,
+  parseCell,
+  resolveCategoryId,
+  rowToProduct,
+  validateImportRows,
+  buildCatalogRows,
+  getImportFileKey,
+  loadImportProgress,
+  saveImportProgress
+};
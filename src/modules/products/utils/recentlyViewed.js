@@ -0,0 +1,102 @@
+import { RECENTLY_VIEWED_CONFIG } from '../types/product.types';
+
+/**
+ * @module RecentlyViewed
+ * @description Historial "Vistos recientemente", persistido en localStorage
+ *
+ * - Un historial por usuario (o 'guest' sin sesión)
+ * - El más reciente primero; un producto visto de nuevo sube al inicio
+ * - Se guarda una copia reducida del producto para pintar el carrusel sin pedir nada
+ */
+
+// ============================================================================
+// PERSISTENCIA
+// ============================================================================
+
+/**
+ * Clave de storage del dueño del historial
+ * @param {string} ownerId - ID del usuario (null sin sesión)
+ * @returns {string} Clave
+ */
+const getStorageKey = (ownerId) => {
+  return `${RECENTLY_VIEWED_CONFIG.STORAGE_KEY}:${ownerId || 'guest'}`;
+};
+
+/**
+ * Lee el historial guardado
+ * @param {string} ownerId - ID del usuario (null sin sesión)
+ * @returns {Array} Productos vistos
+ */
+export const loadRecentlyViewed = (ownerId) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(ownerId));
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[RecentlyViewed] Error loading history:', error);
+    return [];
+  }
+};
+
+/**
+ * Guarda el historial (una lista vacía lo borra)
+ * @param {string} ownerId - ID del usuario (null sin sesión)
+ * @param {Array} items - Productos vistos
+ * @returns {Array} Productos vistos
+ */
+export const storeRecentlyViewed = (ownerId, items) => {
+  try {
+    if (items.length) {
+      localStorage.setItem(getStorageKey(ownerId), JSON.stringify(items));
+    } else {
+      localStorage.removeItem(getStorageKey(ownerId));
+    }
+  } catch (error) {
+    console.error('[RecentlyViewed] Error saving history:', error);
+  }
+  return items;
+};
+
+// ============================================================================
+// OPERACIONES (puras: retornan una lista nueva)
+// ============================================================================
+
+/**
+ * Registra un producto como visto
+ * @param {Array} items - Historial actual
+ * @param {Object} product - Producto del detalle
+ * @returns {Array} Historial actualizado (máximo RECENTLY_VIEWED_CONFIG.MAX_ITEMS)
+ */
+export const addRecentlyViewed = (items, product) => {
+  const viewed = {
+    _id: product._id,
+    name: product.name,
+    slug: product.slug,
+    images: product.images || [],
+    price: product.price,
+    comparePrice: product.comparePrice,
+    viewedAt: new Date().toISOString()
+  };
+
+  return [
+    viewed,
+    ...items.filter(item => item._id !== product._id)
+  ].slice(0, RECENTLY_VIEWED_CONFIG.MAX_ITEMS);
+};
+
+/**
+ * Quita un producto del historial
+ * @param {Array} items - Historial actual
+ * @param {string} productId - ID del producto
+ * @returns {Array} Historial actualizado
+ */
+export const removeRecentlyViewed = (items, productId) => {
+  return items.filter(item => item._id !== productId);
+};
+
+export default {
+  loadRecentlyViewed,
+  storeRecentlyViewed,
+  addRecentlyViewed,
+  removeRecentlyViewed
+};
@@ -0,0 +1,48 @@
+// src/modules/promotions/api/promotions.api.js
+
+import axiosInstance from '../../../core/api/axiosInstance';
+
+/**
+ * @module promotionsAPI
+ * @description API calls para promociones y ventas flash
+ *
+ * BASE_URL: /api/promotions
+ * AUTH: Rutas públicas (la gestión está en adminAPI -> /admin/promotions)
+ *
+ * IMPORTANTE: Todas las funciones retornan el formato exacto del backend:
+ * - { success, message?, data? }
+ */
+
+export const promotionsAPI = {
+  /**
+   * @function getPromotions
+   * @description Obtener las promociones en curso y las próximas
+   *
+   * @route GET /api/promotions
+   * @access Public
+   *
+   * @param {Object} params
+   * @param {number} params.upcomingDays - Días hacia adelante de las programadas
+   *
+   * @returns {Promise<Object>} { success, data: Promotion[] }
+   *
+   * Promotion: {
+   *   _id, name, description,
+   *   startsAt, endsAt, isActive,
+   *   discountType, discountValue,         // PROMOTION_DISCOUNT_TYPES
+   *   categories: Category[],
+   *   products: Product[],                 // Incluye los de las categorías
+   *   banner: { title, subtitle, imageUrl, color }
+   * }
+   *
+   * @example
+   * const response = await promotionsAPI.getPromotions({ upcomingDays: 30 });
+   */
+  getPromotions: async ({ upcomingDays } = {}) => {
+    return await axiosInstance.get('/promotions', {
+      params: upcomingDays ? { upcomingDays } : {}
+    });
+  }
+};
+
+export default promotionsAPI;
@@ -0,0 +1,57 @@
+import { Badge } from '../../../shared/components/ui/badge';
+import { PromotionCountdown } from './PromotionCountdown';
+import { PROMOTION_BANNER_COLORS } from '../types/promotion.types';
+import { formatPromotionDiscount } from '../utils/promotionHelpers';
+
+/**
+ * @component PromotionBanner
+ * @description Banner de una promoción con su cuenta regresiva
+ *
+ * PROPS:
+ * @param {Object} promotion - Promoción
+ * @param {boolean} upcoming - La promoción aún no empieza (cuenta hasta el inicio)
+ * @param {Function} onExpire - Callback cuando la cuenta llega a cero
+ */
+export function PromotionBanner({ promotion, upcoming = false, onExpire }) {
+  const banner = promotion.banner || {};
+  const gradient = PROMOTION_BANNER_COLORS[banner.color] || PROMOTION_BANNER_COLORS.red;
+
+  return (
+    <div className={`bg-gradient-to-r ${gradient} rounded-2xl p-6 lg:p-8 text-white text-center relative overflow-hidden`}>
+      {banner.imageUrl && (
+        <img
+          src={banner.imageUrl}
+          alt=""
+          className="absolute inset-0 w-full h-full object-cover opacity-20"
+        />
+      )}
+      <div className="absolute inset-0 bg-black/10"></div>
+      <div className="relative z-10">
+        <div className="flex justify-center gap-2 mb-3">
+          <Badge variant="secondary" className="bg-white/20 text-white border-0">
+            {upcoming ? '⏰ Próximamente' : '🔥 En curso'}
+          </Badge>
+          <Badge variant="secondary" className="bg-white/20 text-white border-0 font-bold">
+            {formatPromotionDiscount(promotion)}
+          </Badge>
+        </div>
+        <h2 className="text-2xl lg:text-3xl font-bold mb-2">
+          {banner.title || promotion.name}
+        </h2>
+        {(banner.subtitle || promotion.description) && (
+          <p className="text-lg opacity-90 mb-4">
+            {banner.subtitle || promotion.description}
+          </p>
+        )}
+        <PromotionCountdown
+          key={upcoming ? promotion.startsAt : promotion.endsAt}
+          target={upcoming ? promotion.startsAt : promotion.endsAt}
+          label={upcoming ? 'Empieza en' : 'Termina en'}
+          onExpire={onExpire}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default PromotionBanner;
@@ -0,0 +1,49 @@
+import { useCountdown } from '../hooks/useCountdown';
+
+/**
+ * @component PromotionCountdown
+ * @description Cuenta regresiva de una promoción (días, horas, minutos, segundos)
+ *
+ * PROPS:
+ * @param {Date|string} target - Fecha en que termina (o empieza) la promoción
+ * @param {string} label - Texto sobre el contador ("Termina en", "Empieza en")
+ * @param {Function} onExpire - Callback al llegar a cero
+ * @param {boolean} compact - Versión en una línea
+ */
+export function PromotionCountdown({ target, label, onExpire, compact = false }) {
+  const { days, hours, minutes, seconds } = useCountdown(target, onExpire);
+
+  const units = [
+    ...(days > 0 ? [{ value: days, unit: 'd' }] : []),
+    { value: hours, unit: 'h' },
+    { value: minutes, unit: 'm' },
+    { value: seconds, unit: 's' }
+  ];
+
+  if (compact) {
+    return (
+      <p className="text-sm font-medium">
+        {label}{' '}
+        <span className="font-mono font-bold">
+          {units.map(({ value, unit }) => `${String(value).padStart(2, '0')}${unit}`).join(' ')}
+        </span>
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      {label && <p className="text-lg opacity-90 mb-4">{label}:</p>}
+      <div className="flex justify-center space-x-4 text-2xl font-mono font-bold">
+        {units.map(({ value, unit }) => (
+          <div key={unit} className="bg-white/20 rounded-lg px-4 py-2 backdrop-blur-sm">
+            {String(value).padStart(2, '0')}
+            <span className="text-sm font-normal ml-1">{unit}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PromotionCountdown;
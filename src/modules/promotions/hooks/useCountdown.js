@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef } from 'react';
+import { PROMOTION_CONFIG } from '../types/promotion.types';
+import { getTimeRemaining } from '../utils/promotionHelpers';
+
+/**
+ * @hook useCountdown
+ * @description Cuenta regresiva real hasta una fecha
+ *
+ * CARACTERÍSTICAS:
+ * - Se recalcula contra el reloj en cada tick (no acumula desfase)
+ * - Se detiene al llegar a cero y llama a onExpire una sola vez
+ * - Si cambia la fecha objetivo, montar de nuevo el componente (key)
+ *
+ * @param {Date|string} target - Fecha objetivo
+ * @param {Function} onExpire - Callback al terminar
+ *
+ * @returns {Object} { days, hours, minutes, seconds, total, expired }
+ *
+ * @example
+ * const { hours, minutes, seconds } = useCountdown(promotion.endsAt, refresh);
+ */
+export const useCountdown = (target, onExpire) => {
+  const [remaining, setRemaining] = useState(() => getTimeRemaining(target));
+
+  const onExpireRef = useRef(onExpire);
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  });
+
+  useEffect(() => {
+    if (getTimeRemaining(target).total === 0) return undefined;
+
+    const timer = setInterval(() => {
+      const next = getTimeRemaining(target);
+      setRemaining(next);
+
+      if (next.total === 0) {
+        clearInterval(timer);
+        if (onExpireRef.current) onExpireRef.current();
+      }
+    }, PROMOTION_CONFIG.COUNTDOWN_TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [target]);
+
+  return {
+    ...remaining,
+    expired: remaining.total === 0
+  };
+};
+
+export default useCountdown;
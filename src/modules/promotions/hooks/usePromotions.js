@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { promotionsAPI } from '../api/promotions.api';
+import { PROMOTION_CONFIG, PROMOTION_ERROR_MESSAGES } from '../types/promotion.types';
+import { splitPromotions, getNextPromotionChange } from '../utils/promotionHelpers';
+
+/**
+ * @hook usePromotions
+ * @description Promociones en curso y próximas para la página de Ofertas
+ *
+ * CARACTERÍSTICAS:
+ * - Carga las promociones al montar
+ * - Cuando una promoción empieza o termina pasa de lista sin recargar la página
+ *
+ * @returns {Object} { active, upcoming, loading, error, refetch }
+ *
+ * @example
+ * const { active, upcoming, loading } = usePromotions();
+ */
+export const usePromotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  const fetchPromotions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await promotionsAPI.getPromotions({
+        upcomingDays: PROMOTION_CONFIG.UPCOMING_DAYS
+      });
+
+      setPromotions(response.success ? response.data || [] : []);
+      setNow(new Date());
+    } catch (err) {
+      console.error('[usePromotions] Error fetching promotions:', err);
+      setError(err.message || PROMOTION_ERROR_MESSAGES.FETCH_FAILED);
+      setPromotions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  // Reclasifica en el siguiente inicio/fin de alguna promoción
+  useEffect(() => {
+    const nextChange = getNextPromotionChange(promotions, now);
+    if (!nextChange) return undefined;
+
+    // setTimeout no admite esperas mayores a ~24,8 días
+    const delay = Math.min(nextChange.getTime() - Date.now(), 2 ** 31 - 1);
+    const timer = setTimeout(() => setNow(new Date()), Math.max(0, delay) + 50);
+
+    return () => clearTimeout(timer);
+  }, [promotions, now]);
+
+  const { active, upcoming } = useMemo(() => splitPromotions(promotions, now), [promotions, now]);
+
+  return {
+    active,
+    upcoming,
+    loading,
+    error,
+    refetch: fetchPromotions
+  };
+};
+
+export default usePromotions;
@@ -0,0 +1,109 @@
+import * as Yup from 'yup';
+import {
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_BANNER_COLORS,
+  PROMOTION_CONFIG
+} from '../types/promotion.types';
+
+/**
+ * @module PromotionSchemas
+ * @description Validaciones Yup del programador de promociones (panel admin)
+ *
+ * SINCRONIZADO CON:
+ * - promotion.validation.js (Joi) -> createPromotionValidation
+ */
+
+/**
+ * SCHEMA: Banner de la promoción
+ */
+export const promotionBannerSchema = Yup.object({
+  title: Yup.string()
+    .trim()
+    .max(PROMOTION_CONFIG.MAX_NAME_LENGTH, `El título no puede exceder ${PROMOTION_CONFIG.MAX_NAME_LENGTH} caracteres`)
+    .default(''),
+  subtitle: Yup.string()
+    .trim()
+    .max(PROMOTION_CONFIG.MAX_BANNER_TEXT_LENGTH, `El subtítulo no puede exceder ${PROMOTION_CONFIG.MAX_BANNER_TEXT_LENGTH} caracteres`)
+    .default(''),
+  imageUrl: Yup.string()
+    .trim()
+    .url('URL de imagen inválida')
+    .default(''),
+  color: Yup.string()
+    .oneOf(Object.keys(PROMOTION_BANNER_COLORS), 'Color inválido')
+    .default('red')
+});
+
+/**
+ * SCHEMA: Crear / Actualizar Promoción
+ *
+ * BACKEND: createPromotionValidation (promotion.validation.js)
+ *
+ * @type {Yup.ObjectSchema}
+ */
+export const promotionSchema = Yup.object({
+  name: Yup.string()
+    .required('El nombre es requerido')
+    .trim()
+    .max(PROMOTION_CONFIG.MAX_NAME_LENGTH, `El nombre no puede exceder ${PROMOTION_CONFIG.MAX_NAME_LENGTH} caracteres`),
+
+  description: Yup.string()
+    .trim()
+    .max(PROMOTION_CONFIG.MAX_BANNER_TEXT_LENGTH, `La descripción no puede exceder ${PROMOTION_CONFIG.MAX_BANNER_TEXT_LENGTH} caracteres`)
+    .default(''),
+
+  startsAt: Yup.date()
+    .typeError('Fecha de inicio inválida')
+    .required('La fecha de inicio es requerida'),
+
+  endsAt: Yup.date()
+    .typeError('Fecha de fin inválida')
+    .required('La fecha de fin es requerida')
+    .min(Yup.ref('startsAt'), 'La promoción debe terminar después de empezar'),
+
+  discountType: Yup.string()
+    .oneOf(Object.values(PROMOTION_DISCOUNT_TYPES), 'Tipo de descuento inválido')
+    .required('El tipo de descuento es requerido'),
+
+  discountValue: Yup.number()
+    .typeError('El descuento debe ser un número')
+    .moreThan(0, 'El descuento debe ser mayor a 0')
+    .when('discountType', {
+      is: PROMOTION_DISCOUNT_TYPES.PERCENTAGE,
+      then: (schema) => schema.max(99, 'El porcentaje no puede superar 99'),
+      otherwise: (schema) => schema
+    })
+    .required('El descuento es requerido'),
+
+  products: Yup.array()
+    .of(Yup.string())
+    .default([])
+    .test(
+      'has-targets',
+      'Selecciona al menos un producto o una categoría',
+      function (products) {
+        return Boolean(products?.length || this.parent.categories?.length);
+      }
+    ),
+
+  categories: Yup.array().of(Yup.string()).default([]),
+
+  banner: promotionBannerSchema,
+
+  isActive: Yup.boolean().default(true)
+});
+
+/**
+ * Valida una promoción antes de guardarla
+ * @param {Object} data - Datos del formulario
+ * @returns {Promise<Object>} Datos validados
+ */
+export const validatePromotion = async (data) => {
+  return await promotionSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+export default {
+  promotionBannerSchema,
+  promotionSchema,
+  validatePromotion
+};
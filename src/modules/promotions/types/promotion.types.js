@@ -0,0 +1,75 @@
+// src/modules/promotions/types/promotion.types.js
+
+/**
+ * @module promotion.types
+ * @description Constantes de promociones y ventas flash
+ *
+ * Una promoción tiene una ventana de inicio/fin, un descuento sobre
+ * productos o categorías y un banner para la página de Ofertas
+ */
+
+/**
+ * Estado de una promoción según su ventana (se calcula en el cliente)
+ */
+export const PROMOTION_STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  INACTIVE: 'inactive'
+};
+
+/**
+ * Labels de estado
+ */
+export const PROMOTION_STATUS_LABELS = {
+  [PROMOTION_STATUS.SCHEDULED]: 'Programada',
+  [PROMOTION_STATUS.ACTIVE]: 'En curso',
+  [PROMOTION_STATUS.ENDED]: 'Finalizada',
+  [PROMOTION_STATUS.INACTIVE]: 'Pausada'
+};
+
+/**
+ * Tipos de descuento
+ * Enum sincronizado con promotion.model.js -> discountType
+ */
+export const PROMOTION_DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+/**
+ * Colores del banner (gradientes de Tailwind)
+ */
+export const PROMOTION_BANNER_COLORS = {
+  red: 'from-red-500 to-orange-500',
+  purple: 'from-primary to-purple-600',
+  blue: 'from-blue-600 to-cyan-500',
+  green: 'from-green-600 to-emerald-400',
+  dark: 'from-gray-900 to-gray-700'
+};
+
+/**
+ * Configuración
+ */
+export const PROMOTION_CONFIG = {
+  COUNTDOWN_TICK_MS: 1000,
+  UPCOMING_DAYS: 30, // Próximas promociones que se anuncian
+  MAX_NAME_LENGTH: 80,
+  MAX_BANNER_TEXT_LENGTH: 160
+};
+
+/**
+ * Mensajes de error
+ */
+export const PROMOTION_ERROR_MESSAGES = {
+  FETCH_FAILED: 'Error al cargar las ofertas'
+};
+
+export default {
+  PROMOTION_STATUS,
+  PROMOTION_STATUS_LABELS,
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_BANNER_COLORS,
+  PROMOTION_CONFIG,
+  PROMOTION_ERROR_MESSAGES
+};
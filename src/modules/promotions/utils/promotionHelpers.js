@@ -0,0 +1,154 @@
+// src/modules/promotions/utils/promotionHelpers.js
+
+import {
+  PROMOTION_STATUS,
+  PROMOTION_DISCOUNT_TYPES
+} from '../types/promotion.types';
+import { formatMoney, roundMoney, toAmount } from '../../../shared/lib/money';
+
+/**
+ * @module promotionHelpers
+ * @description Estado, cuenta regresiva y precios de las promociones
+ *
+ * El precio final lo calcula el backend al agregar al carrito;
+ * aquí solo se calcula para mostrarlo en la página de Ofertas
+ */
+
+// ============================================================================
+// ESTADO
+// ============================================================================
+
+/**
+ * Estado de una promoción en un momento dado
+ * @param {Object} promotion - Promoción
+ * @param {Date} now - Momento actual
+ * @returns {string} PROMOTION_STATUS
+ */
+export const getPromotionStatus = (promotion, now = new Date()) => {
+  if (!promotion || promotion.isActive === false) return PROMOTION_STATUS.INACTIVE;
+  if (new Date(promotion.startsAt) > now) return PROMOTION_STATUS.SCHEDULED;
+  if (new Date(promotion.endsAt) <= now) return PROMOTION_STATUS.ENDED;
+  return PROMOTION_STATUS.ACTIVE;
+};
+
+/**
+ * Separa las promociones en curso y las próximas, ordenadas por fecha
+ * (las en curso por fin más cercano; las próximas por inicio más cercano)
+ *
+ * @param {Array} promotions - Promociones
+ * @param {Date} now - Momento actual
+ * @returns {{ active: Array, upcoming: Array }}
+ */
+export const splitPromotions = (promotions = [], now = new Date()) => {
+  const byDate = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+  return {
+    active: promotions
+      .filter(promotion => getPromotionStatus(promotion, now) === PROMOTION_STATUS.ACTIVE)
+      .sort(byDate('endsAt')),
+    upcoming: promotions
+      .filter(promotion => getPromotionStatus(promotion, now) === PROMOTION_STATUS.SCHEDULED)
+      .sort(byDate('startsAt'))
+  };
+};
+
+/**
+ * Próximo momento en que alguna promoción empieza o termina
+ * @param {Array} promotions - Promociones
+ * @param {Date} now - Momento actual
+ * @returns {Date|null}
+ */
+export const getNextPromotionChange = (promotions = [], now = new Date()) => {
+  const times = promotions
+    .flatMap(promotion => [promotion.startsAt, promotion.endsAt])
+    .map(date => new Date(date).getTime())
+    .filter(time => time > now.getTime());
+
+  return times.length ? new Date(Math.min(...times)) : null;
+};
+
+// ============================================================================
+// CUENTA REGRESIVA
+// ============================================================================
+
+/**
+ * Tiempo restante hasta una fecha
+ * @param {Date|string} target - Fecha objetivo (si no es válida, el tiempo es 0)
+ * @param {Date} now - Momento actual
+ * @returns {{ total: number, days: number, hours: number, minutes: number, seconds: number }}
+ */
+export const getTimeRemaining = (target, now = new Date()) => {
+  const time = new Date(target).getTime();
+  const total = Number.isNaN(time) ? 0 : Math.max(0, time - now.getTime());
+  const seconds = Math.floor(total / 1000);
+
+  return {
+    total,
+    days: Math.floor(seconds / 86400),
+    hours: Math.floor((seconds % 86400) / 3600),
+    minutes: Math.floor((seconds % 3600) / 60),
+    seconds: seconds % 60
+  };
+};
+
+// ============================================================================
+// PRECIOS
+// ============================================================================
+
+/**
+ * Precio del producto con el descuento de la promoción
+ * @param {Object} product - Producto
+ * @param {Object} promotion - Promoción
+ * @returns {number} Precio promocional
+ */
+export const getPromotionPrice = (product, promotion) => {
+  const price = toAmount(product?.price);
+  const value = toAmount(promotion?.discountValue);
+
+  const discount = promotion?.discountType === PROMOTION_DISCOUNT_TYPES.FIXED
+    ? value
+    : (price * Math.min(value, 100)) / 100;
+
+  return roundMoney(Math.max(0, price - discount));
+};
+
+/**
+ * Producto con el precio de la promoción, listo para ProductCard:
+ * el precio anterior queda como comparePrice
+ *
+ * @param {Object} product - Producto
+ * @param {Object} promotion - Promoción
+ * @returns {Object} Producto con price/comparePrice promocionales
+ */
+export const applyPromotionToProduct = (product, promotion) => {
+  const promotionPrice = getPromotionPrice(product, promotion);
+
+  return {
+    ...product,
+    price: promotionPrice,
+    comparePrice: Math.max(toAmount(product.comparePrice), toAmount(product.price)),
+    promotionId: promotion._id
+  };
+};
+
+/**
+ * Texto corto del descuento ("-20%", "-$ 50.000")
+ * @param {Object} promotion - Promoción
+ * @returns {string}
+ */
+export const formatPromotionDiscount = (promotion) => {
+  if (promotion?.discountType === PROMOTION_DISCOUNT_TYPES.FIXED) {
+    return `-${formatMoney(promotion.discountValue)}`;
+  }
+  return `-${promotion?.discountValue || 0}%`;
+};
+
+export default {
+  getPromotionStatus,
+  splitPromotions,
+  getNextPromotionChange,
+  getTimeRemaining,
+  getPromotionPrice,
+  applyPromotionToProduct,
+  formatPromotionDiscount
+};
@@ -1,4 +1,5 @@
 import React from 'react';
+import { RecentlyViewed } from '../../products/components/RecentlyViewed';
 
 /**
  * @component WishlistEmptyState
@@ -9,13 +10,15 @@ import React from 'react';
  * @param {string} actionText - Texto del botón
  * @param {Function} onAction - Callback del botón
  * @param {string} icon - Tipo de ícono ('heart', 'empty', 'search')
+ * @param {boolean} showRecentlyViewed - Mostrar el carrusel "Vistos recientemente"
  */
 const WishlistEmptyState = ({
   title = 'Tu lista de deseos está vacía',
   message = 'Explora nuestros productos y guarda tus favoritos aquí',
   actionText = 'Explorar productos',
   onAction,
-  icon = 'heart'
+  icon = 'heart',
+  showRecentlyViewed = true
 }) => {
   const renderIcon = () => {
     switch (icon) {
@@ -119,6 +122,10 @@ const WishlistEmptyState = ({
           </ul>
         </div>
       </div>
+
+      {showRecentlyViewed && (
+        <RecentlyViewed className="w-full max-w-5xl mt-12" />
+      )}
     </div>
   );
 };
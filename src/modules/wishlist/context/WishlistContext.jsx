@@ -12,6 +12,9 @@ import {
   isWishlistEmpty,
   getItemCount as calculateItemCount,
 } from "../utils/wishlistHelpers";
+import { useAuth } from "../../../core/providers/AuthProvider";
+import { publish, TAB_SYNC_EVENTS } from "../../../core/sync/tabSync";
+import { useTabSync } from "../../../core/hooks/useTabSync";
 
 const WishlistContext = createContext(null);
 
@@ -20,6 +23,8 @@ const WISHLIST_CACHE_CONFIG = {
 };
 
 export const WishlistProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+
   // ============================================================================
   // STATE
   // ============================================================================
@@ -61,6 +66,15 @@ export const WishlistProvider = ({ children }) => {
     });
   }, []);
 
+  /**
+   * Aplica la wishlist devuelta por una mutación y la publica a otras pestañas
+   */
+  const commitWishlist = useCallback((data) => {
+    setWishlist(data);
+    updateCache(data);
+    publish(TAB_SYNC_EVENTS.WISHLIST_UPDATED, { wishlist: data });
+  }, [updateCache]);
+
   // ============================================================================
   // CORE ACTIONS
   // ============================================================================
@@ -133,65 +147,44 @@ export const WishlistProvider = ({ children }) => {
     [isCacheValid, updateCache, cache.data, wishlist]
   );
 
- const addItem = useCallback(
-  async (itemData) => {
-    try {
-      setLoading(true);
-      setError(null);
+  const addItem = useCallback(
+    async (itemData) => {
+      try {
+        setLoading(true);
+        setError(null);
 
-<<<<<<< Updated upstream
         const response = await wishlistAPI.addItem(itemData);
 
-        if (response?.data && mountedRef.current) {
-          setWishlist(response.data);
-          updateCache(response.data);
+        // Si el backend devuelve la wishlist en 'data' se usa esa; si no, la respuesta
+        const updatedWishlist = response?.data || response;
+
+        if (mountedRef.current) {
+          commitWishlist(updatedWishlist);
           return response;
         }
 
         return null;
       } catch (err) {
         console.error("[WishlistContext] Error adding item:", err);
+        const errorMsg = err.response?.data?.message || "Error al agregar producto";
+
+        if (err.response?.status === 500 && errorMsg.includes("ya está en tu lista")) {
+          // Si el error es solo que ya existe, refrescamos para sincronizar
+          fetchWishlist(true);
+        }
+
         if (mountedRef.current) {
-          setError(err.response?.data?.message || "Error al agregar producto");
+          setError(errorMsg);
         }
         return null;
       } finally {
         if (mountedRef.current) {
           setLoading(false);
         }
-=======
-      const response = await wishlistAPI.addItem(itemData);
-      
-      // EXPLICACIÓN: Si tu API devuelve { success: true, data: { items: [...] } }
-      // response ya es ese objeto. 
-      // Si el backend devuelve la wishlist en la propiedad 'data':
-      const updatedWishlist = response?.data || response;
-
-      if (mountedRef.current) {
-        setWishlist(updatedWishlist);
-        updateCache(updatedWishlist);
-        return response;
->>>>>>> Stashed changes
-      }
-    } catch (err) {
-      // Manejo del error 500 que vimos en los logs
-      const errorMsg = err.response?.data?.message || "Error al agregar producto";
-      
-      if (err.response?.status === 500 && errorMsg.includes("ya está en tu lista")) {
-        // Si el error es solo que ya existe, refrescamos para sincronizar
-        fetchWishlist(true); 
       }
-
-      if (mountedRef.current) {
-        setError(errorMsg);
-      }
-      return null;
-    } finally {
-      if (mountedRef.current) setLoading(false);
-    }
-  },
-  [updateCache, fetchWishlist] // Añadir fetchWishlist a las dependencias
-);
+    },
+    [commitWishlist, fetchWishlist]
+  );
 
   const removeItem = useCallback(
     async (productId) => {
@@ -202,8 +195,7 @@ export const WishlistProvider = ({ children }) => {
         const response = await wishlistAPI.removeItem(productId);
 
         if (response?.data && mountedRef.current) {
-          setWishlist(response.data);
-          updateCache(response.data);
+          commitWishlist(response.data);
           return response;
         }
 
@@ -220,7 +212,7 @@ export const WishlistProvider = ({ children }) => {
         }
       }
     },
-    [updateCache]
+    [commitWishlist]
   );
 
   const clearWishlistItems = useCallback(async () => {
@@ -231,8 +223,7 @@ export const WishlistProvider = ({ children }) => {
       const response = await wishlistAPI.clearWishlist();
 
       if (response?.data && mountedRef.current) {
-        setWishlist(response.data);
-        updateCache(response.data);
+        commitWishlist(response.data);
         return response;
       }
 
@@ -248,7 +239,7 @@ export const WishlistProvider = ({ children }) => {
         setLoading(false);
       }
     }
-  }, [updateCache]);
+  }, [commitWishlist]);
 
   const checkProduct = useCallback(async (productId) => {
     try {
@@ -266,7 +257,10 @@ export const WishlistProvider = ({ children }) => {
         setError(null);
 
         const response = await wishlistAPI.moveToCart(productIds);
-        await fetchWishlist(true);
+        const updatedWishlist = await fetchWishlist(true);
+        if (updatedWishlist) {
+          publish(TAB_SYNC_EVENTS.WISHLIST_UPDATED, { wishlist: updatedWishlist });
+        }
 
         return response?.data ?? null;
       } catch (err) {
@@ -325,6 +319,34 @@ export const WishlistProvider = ({ children }) => {
     };
   }, []); // ✅ ARRAY VACÍO - Solo al montar
 
+  // ============================================================================
+  // REACT TO AUTH CHANGES (login / logout en esta u otra pestaña)
+  // ============================================================================
+  const prevAuthenticatedRef = useRef(isAuthenticated);
+
+  useEffect(() => {
+    if (prevAuthenticatedRef.current === isAuthenticated) return;
+    prevAuthenticatedRef.current = isAuthenticated;
+
+    clearCache();
+
+    if (isAuthenticated) {
+      fetchWishlist(true);
+    } else {
+      setWishlist(null);
+    }
+  }, [isAuthenticated, fetchWishlist, clearCache]); // ✅ El guard deja pasar solo cambios de auth
+
+  // ============================================================================
+  // SYNC: MUTACIONES DE OTRAS PESTAÑAS
+  // ============================================================================
+  useTabSync([TAB_SYNC_EVENTS.WISHLIST_UPDATED], ({ wishlist: incoming }) => {
+    if (!isAuthenticated) return;
+
+    setWishlist(incoming);
+    updateCache(incoming);
+  });
+
   // ============================================================================
   // COMPUTED
   // ============================================================================
@@ -5,6 +5,8 @@
  * Alineado con lógica del backend wishlist.service.js
  */
 
+import { formatMoney } from '../../../shared/lib/money';
+
 /**
  * Verifica si la wishlist está vacía
  * 
@@ -114,8 +116,8 @@ export const getItemsWithPriceDrop = (wishlist) => {
 export const formatPriceChange = (item) => {
   if (!item.priceChanged || !item.priceDifference) return '';
   
-  const sign = item.priceDifference > 0 ? '+' : '';
-  return `${sign}$${Math.abs(item.priceDifference).toFixed(2)}`;
+  const sign = item.priceDifference > 0 ? '+' : '-';
+  return `${sign}${formatMoney(Math.abs(item.priceDifference))}`;
 };
 
 /**
@@ -138,21 +140,13 @@ export const formatPriceChangePercentage = (item) => {
 };
 
 /**
- * Formatea precio con moneda
+ * Formatea precio con moneda (shared/lib/money)
  * 
- * @param {number} amount - Monto
- * @param {string} currency - Código de moneda
+ * @param {number} amount - Monto en pesos
  * @returns {string}
  */
-export const formatPrice = (amount, currency = 'USD') => {
-  if (typeof amount !== 'number') return '$0.00';
-  
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  }).format(amount);
+export const formatPrice = (amount) => {
+  return formatMoney(amount);
 };
 
 /**
@@ -20,6 +20,8 @@ import { ThemeToggle } from "./theme-toggle";
 import { useCart } from "../../../modules/cart/hooks/useCart";
 import  useWishlist  from "../../../modules/wishlist/hooks/useWishlist";
 import useSearch from "../../../modules/search/hooks/useSearch";
+import { useAuth } from "../../../core/hooks/useAuth";
+import UserAvatar from "../../../modules/account/components/UserAvatar";
 
 /**
  * @component Header
@@ -57,6 +59,9 @@ export default function Header() {
     loading: wishlistLoading,
   } = useWishlist();
 
+  // 👤 AUTH
+  const { user, isAuthenticated } = useAuth();
+
   // 🔍 SEARCH
   const {
     suggestions,
@@ -402,16 +407,31 @@ export default function Header() {
               {/* AUTH BUTTONS - Desktop */}
               {/* ============================================== */}
               <div className="hidden md:flex items-center space-x-2 ml-2">
-                <Link to="/auth/login">
-                  <button className="px-4 py-2 text-sm font-medium text-muted-foreground hover:text-primary transition-colors duration-300">
-                    Iniciar Sesión
-                  </button>
-                </Link>
-                <Link to="/auth/register">
-                  <button className="px-6 py-2 bg-gradient-to-r from-primary to-accent text-white rounded-full font-semibold hover:shadow-xl transition-all duration-300 hover:scale-105 text-sm">
-                    Registro
-                  </button>
-                </Link>
+                {isAuthenticated ? (
+                  <Link
+                    to="/mi-cuenta"
+                    className="flex items-center gap-2 px-2 py-1 rounded-full hover:bg-primary/10 transition-colors duration-300"
+                    title="Mi cuenta"
+                  >
+                    <UserAvatar user={user} className="h-9 w-9 text-sm" />
+                    <span className="hidden xl:block text-sm font-medium text-foreground">
+                      {user?.profile?.firstName || "Mi cuenta"}
+                    </span>
+                  </Link>
+                ) : (
+                  <>
+                    <Link to="/auth/login">
+                      <button className="px-4 py-2 text-sm font-medium text-muted-foreground hover:text-primary transition-colors duration-300">
+                        Iniciar Sesión
+                      </button>
+                    </Link>
+                    <Link to="/auth/register">
+                      <button className="px-6 py-2 bg-gradient-to-r from-primary to-accent text-white rounded-full font-semibold hover:shadow-xl transition-all duration-300 hover:scale-105 text-sm">
+                        Registro
+                      </button>
+                    </Link>
+                  </>
+                )}
               </div>
 
               {/* ============================================== */}
@@ -524,24 +544,37 @@ export default function Header() {
 
               {/* Auth Buttons - Mobile */}
               <div className="space-y-3">
-                <Link
-                  to="/auth/login"
-                  onClick={() => setIsMenuOpen(false)}
-                  className="block"
-                >
-                  <button className="w-full px-6 py-3 border-2 border-primary text-primary rounded-full font-semibold hover:bg-primary hover:text-white transition-all duration-300">
-                    Iniciar Sesión
-                  </button>
-                </Link>
-                <Link
-                  to="/auth/register"
-                  onClick={() => setIsMenuOpen(false)}
-                  className="block"
-                >
-                  <button className="w-full px-6 py-3 bg-gradient-to-r from-primary to-accent text-white rounded-full font-semibold hover:shadow-xl transition-all duration-300">
-                    Crear Cuenta
-                  </button>
-                </Link>
+                {isAuthenticated ? (
+                  <Link
+                    to="/mi-cuenta"
+                    onClick={() => setIsMenuOpen(false)}
+                    className="flex items-center justify-center gap-3 w-full px-6 py-3 border-2 border-primary text-primary rounded-full font-semibold hover:bg-primary hover:text-white transition-all duration-300"
+                  >
+                    <UserAvatar user={user} className="h-7 w-7 text-xs" />
+                    Mi Cuenta
+                  </Link>
+                ) : (
+                  <>
+                    <Link
+                      to="/auth/login"
+                      onClick={() => setIsMenuOpen(false)}
+                      className="block"
+                    >
+                      <button className="w-full px-6 py-3 border-2 border-primary text-primary rounded-full font-semibold hover:bg-primary hover:text-white transition-all duration-300">
+                        Iniciar Sesión
+                      </button>
+                    </Link>
+                    <Link
+                      to="/auth/register"
+                      onClick={() => setIsMenuOpen(false)}
+                      className="block"
+                    >
+                      <button className="w-full px-6 py-3 bg-gradient-to-r from-primary to-accent text-white rounded-full font-semibold hover:shadow-xl transition-all duration-300">
+                        Crear Cuenta
+                      </button>
+                    </Link>
+                  </>
+                )}
               </div>
 
               {/* Additional Info */}
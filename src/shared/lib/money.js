@@ -0,0 +1,177 @@
+// shared/lib/money.js
+import env from '../../core/config/env';
+
+/**
+ * @module money
+ * @description Formateo y redondeo de montos para toda la aplicación
+ *
+ * - El backend maneja todos los montos en pesos colombianos (BASE_CURRENCY)
+ * - COP no usa decimales: los montos se redondean a pesos enteros
+ * - La moneda mostrada se configura con env.DISPLAY_CURRENCY + DISPLAY_CURRENCY_RATE;
+ *   solo cambia la presentación
+ *
+ * USO:
+ * formatPrice(129900)          // "$ 129.900"
+ * roundMoney(1234.56)          // 1235
+ * formatMoneyNumber(129900)    // "129.900"
+ */
+
+/**
+ * Moneda de los montos del backend
+ */
+export const BASE_CURRENCY = 'COP';
+
+/**
+ * Reglas por moneda: decimales usados al redondear y mostrar
+ */
+export const CURRENCY_CONFIG = {
+  COP: { decimals: 0, label: 'Peso colombiano' },
+  USD: { decimals: 2, label: 'Dólar estadounidense' },
+  EUR: { decimals: 2, label: 'Euro' }
+};
+
+/**
+ * Locale de formateo (separadores de miles y decimales)
+ */
+export const MONEY_LOCALE = env.LOCALE;
+
+// ============================================================================
+// MONEDA MOSTRADA
+// ============================================================================
+
+const resolveCurrency = (code) => {
+  const upper = String(code || '').toUpperCase();
+  return CURRENCY_CONFIG[upper] ? upper : BASE_CURRENCY;
+};
+
+const displayCurrency = resolveCurrency(env.DISPLAY_CURRENCY);
+const displayRate = displayCurrency === BASE_CURRENCY ? 1 : env.DISPLAY_CURRENCY_RATE;
+
+/**
+ * Moneda en la que se muestran los precios
+ * @returns {{ currency: string, rate: number }}
+ */
+export const getDisplayCurrency = () => ({
+  currency: displayCurrency,
+  rate: displayRate
+});
+
+// ============================================================================
+// NÚMEROS Y REDONDEO
+// ============================================================================
+
+/**
+ * Convierte un valor (número o string) a número finito
+ * @param {*} value - Valor a convertir
+ * @returns {number} Número (0 si no es válido)
+ */
+export const toAmount = (value) => {
+  const parsed = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Redondea un monto a los decimales de la moneda (COP: pesos enteros)
+ * @param {number} amount - Monto
+ * @param {string} currency - Moneda (default: BASE_CURRENCY)
+ * @returns {number} Monto redondeado
+ */
+export const roundMoney = (amount, currency = BASE_CURRENCY) => {
+  const { decimals } = CURRENCY_CONFIG[resolveCurrency(currency)];
+  const factor = 10 ** decimals;
+  return Math.round((toAmount(amount) + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Convierte un monto en pesos a la moneda mostrada
+ * @param {number} amount - Monto en BASE_CURRENCY
+ * @returns {number} Monto en la moneda mostrada, redondeado
+ */
+export const toDisplayAmount = (amount) => {
+  return roundMoney(toAmount(amount) / displayRate, displayCurrency);
+};
+
+// ============================================================================
+// FORMATEO
+// ============================================================================
+
+const formatters = new Map();
+
+const getFormatter = (currency, withSymbol, decimals) => {
+  const key = `${currency}|${withSymbol}|${decimals}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(MONEY_LOCALE, {
+      ...(withSymbol ? { style: 'currency', currency } : {}),
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }));
+  }
+
+  return formatters.get(key);
+};
+
+/**
+ * Formatea un monto del backend en la moneda mostrada
+ *
+ * @param {number|string} amount - Monto en BASE_CURRENCY
+ * @param {Object} options
+ * @param {boolean} options.symbol - Incluir símbolo de moneda (default: true)
+ * @param {number} options.decimals - Forzar decimales (default: los de la moneda)
+ * @param {string} options.fallback - Texto si el monto no existe (default: formatea 0)
+ * @returns {string} Monto formateado
+ */
+export const formatMoney = (amount, options = {}) => {
+  const { symbol = true, decimals, fallback } = options;
+
+  if ((amount === null || amount === undefined || amount === '') && fallback !== undefined) {
+    return fallback;
+  }
+
+  const currencyDecimals = CURRENCY_CONFIG[displayCurrency].decimals;
+  const digits = decimals ?? currencyDecimals;
+
+  return getFormatter(displayCurrency, symbol, digits).format(toDisplayAmount(amount));
+};
+
+/**
+ * Formatea un precio con símbolo (nombre usado en toda la app)
+ * @param {number|string} amount - Monto en BASE_CURRENCY
+ * @returns {string} Precio formateado
+ */
+export const formatPrice = (amount) => formatMoney(amount);
+
+/**
+ * Formatea un monto sin símbolo de moneda
+ * @param {number|string} amount - Monto en BASE_CURRENCY
+ * @returns {string} Número formateado
+ */
+export const formatMoneyNumber = (amount) => formatMoney(amount, { symbol: false });
+
+/**
+ * Formatea un monto en forma compacta para ejes y tarjetas ($ 1,2 M)
+ * @param {number|string} amount - Monto en BASE_CURRENCY
+ * @returns {string} Monto compacto
+ */
+export const formatMoneyCompact = (amount) => {
+  return new Intl.NumberFormat(MONEY_LOCALE, {
+    style: 'currency',
+    currency: displayCurrency,
+    notation: 'compact',
+    maximumFractionDigits: 1
+  }).format(toDisplayAmount(amount));
+};
+
+export default {
+  BASE_CURRENCY,
+  CURRENCY_CONFIG,
+  MONEY_LOCALE,
+  getDisplayCurrency,
+  toAmount,
+  roundMoney,
+  toDisplayAmount,
+  formatMoney,
+  formatPrice,
+  formatMoneyNumber,
+  formatMoneyCompact
+};
@@ -0,0 +1,249 @@
+// shared/lib/spreadsheet.js
+
+import ExcelJS from 'exceljs';
+
+/**
+ * @module spreadsheet
+ * @description Lectura y escritura de hojas de cálculo (CSV y XLSX) en el navegador
+ *
+ * - Las filas son arreglos de celdas (string o number); la primera suele ser el encabezado
+ * - CSV: separador "," o ";" (detectado), comillas dobles y saltos de línea dentro de celdas
+ * - XLSX: solo la primera hoja, sin estilos (de las fórmulas se toma el resultado).
+ *   Se lee y escribe con exceljs
+ *
+ * USO:
+ * const rows = await readSpreadsheetFile(file);
+ * downloadBlob(await writeXLSX(rows), 'catalogo.xlsx');
+ */
+
+export const SPREADSHEET_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Detecta el separador mirando la primera línea (Excel en español usa ";")
+ * @param {string} text
+ * @returns {string} "," o ";"
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Convierte texto CSV en filas
+ * @param {string} text - Contenido del archivo
+ * @param {string} delimiter - Separador (se detecta si se omite)
+ * @returns {Array<Array<string>>} Filas (sin filas vacías)
+ */
+export const parseCSV = (text, delimiter) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => String(value).trim() !== ''));
+};
+
+/**
+ * Convierte filas en texto CSV (con BOM para que Excel respete las tildes)
+ * @param {Array<Array>} rows
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export const toCSV = (rows = [], delimiter = ',') => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return '\uFEFF' + rows.map(row => row.map(escape).join(delimiter)).join('\r\n');
+};
+
+// ============================================================================
+// XLSX (exceljs)
+// ============================================================================
+
+/**
+ * Valor de una celda de exceljs como string o number
+ * (texto enriquecido, fórmulas, hipervínculos, fechas y booleanos incluidos)
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'string') return value;
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return toCellValue(value.result);
+  if ('text' in value) return toCellValue(value.text);
+  if ('error' in value) return value.error;
+
+  return '';
+};
+
+/**
+ * Lee la primera hoja de un archivo XLSX
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<Array<string|number>>>} Filas
+ * @throws {Error} Si el archivo no es un XLSX válido
+ */
+export const readXLSX = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    console.error('[spreadsheet] Error reading XLSX:', error);
+    throw new Error('El archivo no es un XLSX válido');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('El archivo no tiene hojas');
+
+  const rows = [];
+  sheet.eachRow((row) => {
+    // row.values empieza en el índice 1 (columna A) y tiene huecos en las celdas vacías
+    rows.push(Array.from(row.values.slice(1), toCellValue));
+  });
+
+  return rows.filter(r => r.some(value => String(value).trim() !== ''));
+};
+
+/**
+ * Genera un XLSX de una hoja
+ * @param {Array<Array>} rows - Filas (los números se guardan como números)
+ * @param {string} sheetName - Nombre de la hoja
+ * @returns {Promise<Blob>}
+ */
+export const writeXLSX = async (rows = [], sheetName = 'Hoja1') => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  rows.forEach(row => {
+    sheet.addRow(row.map(value => (value === '' || value === undefined ? null : value)));
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: MIME_TYPES.xlsx });
+};
+
+// ============================================================================
+// ARCHIVOS
+// ============================================================================
+
+/**
+ * Formato según la extensión del archivo
+ * @param {string} fileName
+ * @returns {string|null} SPREADSHEET_FORMATS o null si no es soportado
+ */
+export const getSpreadsheetFormat = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return Object.values(SPREADSHEET_FORMATS).includes(extension) ? extension : null;
+};
+
+/**
+ * Lee un archivo CSV o XLSX elegido por el usuario
+ * @param {File} file
+ * @returns {Promise<Array<Array>>} Filas
+ * @throws {Error} Si el formato no es soportado
+ */
+export const readSpreadsheetFile = async (file) => {
+  const format = getSpreadsheetFormat(file?.name);
+
+  if (format === SPREADSHEET_FORMATS.CSV) return parseCSV(await file.text());
+  if (format === SPREADSHEET_FORMATS.XLSX) return readXLSX(await file.arrayBuffer());
+
+  throw new Error('Formato no soportado. Usa un archivo .csv o .xlsx');
+};
+
+/**
+ * Genera el archivo de las filas en el formato pedido
+ * @param {Array<Array>} rows
+ * @param {string} format - SPREADSHEET_FORMATS
+ * @returns {Promise<Blob>}
+ */
+export const writeSpreadsheet = async (rows, format = SPREADSHEET_FORMATS.CSV) => {
+  return format === SPREADSHEET_FORMATS.XLSX
+    ? writeXLSX(rows)
+    : new Blob([toCSV(rows)], { type: MIME_TYPES.csv });
+};
+
+/**
+ * Descarga un Blob con el nombre indicado
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  SPREADSHEET_FORMATS,
+  parseCSV,
+  toCSV,
+  readXLSX,
+  writeXLSX,
+  getSpreadsheetFormat,
+  readSpreadsheetFile,
+  writeSpreadsheet,
+  downloadBlob
+};
@@ -0,0 +1,306 @@
+// shared/lib/tax.js
+import env from '../../core/config/env';
+import { roundMoney, toAmount } from './money';
+
+/**
+ * @module tax
+ * @description Reglas de IVA (Colombia) para precios de producto y carrito
+ *
+ * - Cada producto tiene una clase de IVA: general (19%), reducida (5%),
+ *   exenta (0%, con derecho a descuento) o excluida (no causa IVA)
+ * - La clase se resuelve por producto (product.taxClass), luego por categoría
+ *   (category.taxClass o reglas configuradas por slug/ID) y por último DEFAULT_TAX_CLASS
+ * - env.PRICES_INCLUDE_TAX indica si los precios del catálogo ya incluyen IVA:
+ *   si lo incluyen, el impuesto se desglosa sin cambiar el total
+ *
+ * USO:
+ * getPriceWithTax(product)            // 119000 (price 100000, IVA 19%)
+ * calculateCartTax(cart.items)        // { lines, groups, tax, base, ... }
+ * configureTaxRules({ categories: { alimentos: TAX_CLASSES.EXCLUDED } })
+ */
+
+/**
+ * Clases de IVA
+ */
+export const TAX_CLASSES = {
+  GENERAL: 'general',
+  REDUCED: 'reduced',
+  EXEMPT: 'exempt',
+  EXCLUDED: 'excluded'
+};
+
+/**
+ * Tarifa por clase (%)
+ */
+export const TAX_RATES = {
+  [TAX_CLASSES.GENERAL]: 19,
+  [TAX_CLASSES.REDUCED]: 5,
+  [TAX_CLASSES.EXEMPT]: 0,
+  [TAX_CLASSES.EXCLUDED]: 0
+};
+
+/**
+ * Labels para desglose y formularios
+ */
+export const TAX_CLASS_LABELS = {
+  [TAX_CLASSES.GENERAL]: 'IVA 19%',
+  [TAX_CLASSES.REDUCED]: 'IVA 5%',
+  [TAX_CLASSES.EXEMPT]: 'Exento de IVA',
+  [TAX_CLASSES.EXCLUDED]: 'Excluido de IVA'
+};
+
+/**
+ * Clase usada cuando ni el producto ni su categoría definen una
+ */
+export const DEFAULT_TAX_CLASS = TAX_CLASSES.GENERAL;
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+let taxConfig = {
+  pricesIncludeTax: env.PRICES_INCLUDE_TAX,
+  shippingTaxClass: TAX_CLASSES.GENERAL,
+  categories: {}
+};
+
+const isTaxClass = (value) => Object.values(TAX_CLASSES).includes(value);
+
+/**
+ * Configuración vigente
+ * @returns {{ pricesIncludeTax: boolean, shippingTaxClass: string, categories: Object }}
+ */
+export const getTaxConfig = () => ({ ...taxConfig, categories: { ...taxConfig.categories } });
+
+/**
+ * Actualiza las reglas de IVA (se combinan con las actuales)
+ *
+ * @param {Object} rules
+ * @param {boolean} rules.pricesIncludeTax - Los precios del catálogo incluyen IVA
+ * @param {string} rules.shippingTaxClass - Clase de IVA del envío
+ * @param {Object} rules.categories - Clase por slug o ID de categoría
+ */
+export const configureTaxRules = (rules = {}) => {
+  const categories = Object.fromEntries(
+    Object.entries(rules.categories || {}).filter(([, taxClass]) => isTaxClass(taxClass))
+  );
+
+  taxConfig = {
+    pricesIncludeTax: rules.pricesIncludeTax ?? taxConfig.pricesIncludeTax,
+    shippingTaxClass: isTaxClass(rules.shippingTaxClass)
+      ? rules.shippingTaxClass
+      : taxConfig.shippingTaxClass,
+    categories: { ...taxConfig.categories, ...categories }
+  };
+};
+
+/**
+ * Registra la clase de IVA de categorías cargadas del backend (category.taxClass),
+ * para resolver productos que solo traen el ID o slug de su categoría
+ * @param {Array} categories - Categorías
+ */
+export const registerCategoryTaxClasses = (categories = []) => {
+  const rules = {};
+
+  categories.forEach(category => {
+    if (!isTaxClass(category?.taxClass)) return;
+    if (category._id) rules[category._id] = category.taxClass;
+    if (category.slug) rules[category.slug] = category.taxClass;
+  });
+
+  configureTaxRules({ categories: rules });
+};
+
+// ============================================================================
+// RESOLUCIÓN DE REGLAS
+// ============================================================================
+
+/**
+ * Clase de IVA definida para una categoría (objeto poblado o ID)
+ */
+const getCategoryTaxClass = (category) => {
+  if (!category) return null;
+
+  if (typeof category === 'object') {
+    if (isTaxClass(category.taxClass)) return category.taxClass;
+    return taxConfig.categories[category.slug] || taxConfig.categories[category._id] || null;
+  }
+
+  return taxConfig.categories[category] || null;
+};
+
+/**
+ * Resuelve la clase de IVA de un producto
+ * Prioridad: producto → categoría principal → otras categorías → DEFAULT_TAX_CLASS
+ *
+ * @param {Object} product - Producto (o snapshot del item del carrito)
+ * @returns {string} Clase de IVA (TAX_CLASSES)
+ */
+export const resolveTaxClass = (product) => {
+  if (!product) return DEFAULT_TAX_CLASS;
+  if (isTaxClass(product.taxClass)) return product.taxClass;
+
+  const fromMain = getCategoryTaxClass(product.mainCategory);
+  if (fromMain) return fromMain;
+
+  for (const category of product.categories || []) {
+    const fromCategory = getCategoryTaxClass(category);
+    if (fromCategory) return fromCategory;
+  }
+
+  return DEFAULT_TAX_CLASS;
+};
+
+/**
+ * Tarifa de IVA (%) de un producto
+ * @param {Object} product - Producto
+ * @returns {number} Tarifa
+ */
+export const getTaxRate = (product) => TAX_RATES[resolveTaxClass(product)];
+
+/**
+ * Texto corto para mostrar junto al precio
+ * @param {Object} product - Producto
+ * @returns {string} "IVA incluido", "+ IVA 19%", "Excluido de IVA"...
+ */
+export const getTaxLabel = (product) => {
+  const taxClass = resolveTaxClass(product);
+
+  if (TAX_RATES[taxClass] === 0) return TAX_CLASS_LABELS[taxClass];
+  return taxConfig.pricesIncludeTax ? 'IVA incluido' : `+ ${TAX_CLASS_LABELS[taxClass]}`;
+};
+
+// ============================================================================
+// CÁLCULOS
+// ============================================================================
+
+/**
+ * Separa un monto en base e impuesto según la configuración de precios
+ *
+ * @param {number} amount - Monto tal como se muestra
+ * @param {number} rate - Tarifa (%)
+ * @returns {{ base: number, tax: number, gross: number }} gross = base + tax
+ */
+export const splitTax = (amount, rate) => {
+  const value = toAmount(amount);
+
+  if (taxConfig.pricesIncludeTax) {
+    const base = roundMoney(value / (1 + rate / 100));
+    return { base, tax: roundMoney(value - base), gross: roundMoney(value) };
+  }
+
+  const tax = roundMoney((value * rate) / 100);
+  return { base: roundMoney(value), tax, gross: roundMoney(value + tax) };
+};
+
+/**
+ * Precio del producto con IVA
+ * @param {Object} product - Producto
+ * @param {number} price - Precio a usar (default: product.price)
+ * @returns {number} Precio con IVA
+ */
+export const getPriceWithTax = (product, price = product?.price) => {
+  return splitTax(price, getTaxRate(product)).gross;
+};
+
+/**
+ * Precio del producto sin IVA
+ * @param {Object} product - Producto
+ * @param {number} price - Precio a usar (default: product.price)
+ * @returns {number} Precio sin IVA
+ */
+export const getPriceWithoutTax = (product, price = product?.price) => {
+  return splitTax(price, getTaxRate(product)).base;
+};
+
+/**
+ * Calcula el IVA del carrito línea por línea
+ *
+ * El descuento de cupón se reparte entre las líneas en proporción a su valor
+ * (o según `lineDiscounts` si los cupones solo aplican a algunos productos),
+ * y el envío se grava con la clase configurada (shippingTaxClass)
+ *
+ * @param {Array} items - Items del carrito ({ product, quantity, price })
+ * @param {Object} options
+ * @param {number} options.discount - Descuento de cupón sobre productos
+ * @param {Array<number>} options.lineDiscounts - Descuento por item (reemplaza el reparto proporcional)
+ * @param {number} options.shipping - Costo de envío ya descontado
+ * @returns {Object} { lines, groups, base, tax, pricesIncludeTax }
+ */
+export const calculateCartTax = (items = [], options = {}) => {
+  const { discount = 0, lineDiscounts = null, shipping = 0 } = options;
+  const subtotal = items.reduce((sum, item) => sum + toAmount(item.price) * item.quantity, 0);
+  const discountRatio = subtotal > 0 ? Math.min(1, toAmount(discount) / subtotal) : 0;
+
+  const lines = items.map((item, index) => {
+    const taxClass = resolveTaxClass(item.product);
+    const rate = TAX_RATES[taxClass];
+    const gross = toAmount(item.price) * item.quantity;
+    const amount = lineDiscounts
+      ? Math.max(0, gross - toAmount(lineDiscounts[index]))
+      : gross * (1 - discountRatio);
+
+    return {
+      productId: item.product?._id,
+      name: item.product?.name,
+      quantity: item.quantity,
+      taxClass,
+      rate,
+      ...splitTax(amount, rate)
+    };
+  });
+
+  if (toAmount(shipping) > 0) {
+    const taxClass = taxConfig.shippingTaxClass;
+    const rate = TAX_RATES[taxClass];
+
+    lines.push({
+      productId: null,
+      name: 'Envío',
+      quantity: 1,
+      taxClass,
+      rate,
+      isShipping: true,
+      ...splitTax(shipping, rate)
+    });
+  }
+
+  const groups = Object.values(TAX_CLASSES)
+    .map(taxClass => {
+      const classLines = lines.filter(line => line.taxClass === taxClass);
+      return {
+        taxClass,
+        label: TAX_CLASS_LABELS[taxClass],
+        rate: TAX_RATES[taxClass],
+        base: classLines.reduce((sum, line) => sum + line.base, 0),
+        tax: classLines.reduce((sum, line) => sum + line.tax, 0),
+        lineCount: classLines.length
+      };
+    })
+    .filter(group => group.lineCount > 0);
+
+  return {
+    lines,
+    groups,
+    base: lines.reduce((sum, line) => sum + line.base, 0),
+    tax: lines.reduce((sum, line) => sum + line.tax, 0),
+    pricesIncludeTax: taxConfig.pricesIncludeTax
+  };
+};
+
+export default {
+  TAX_CLASSES,
+  TAX_RATES,
+  TAX_CLASS_LABELS,
+  DEFAULT_TAX_CLASS,
+  getTaxConfig,
+  configureTaxRules,
+  registerCategoryTaxClasses,
+  resolveTaxClass,
+  getTaxRate,
+  getTaxLabel,
+  splitTax,
+  getPriceWithTax,
+  getPriceWithoutTax,
+  calculateCartTax
+};
@@ -6,18 +6,8 @@ export function cn(...inputs) {
   return twMerge(clsx(inputs))
 }
 
-export function formatPrice(price) {
-  if (typeof price !== 'number') {
-    price = parseFloat(price) || 0;
-  }
-  
-  return new Intl.NumberFormat("es-CO", {
-    style: "currency",
-    currency: "COP",
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(price)
-}
+// Formato de montos centralizado en ./money
+export { formatPrice } from "./money"
 
 export function slugify(text) {
   return text 
@@ -50,4 +40,17 @@ export function truncateText(text, maxLength = 100) {
   if (!text) return '';
   if (text.length <= maxLength) return text;
   return text.substring(0, maxLength) + '...';
-}
\ No newline at end of file
+}
+
+/**
+ * Convierte una fecha al valor de <input type="datetime-local"> (hora local)
+ * @param {Date|string} date - Fecha
+ * @returns {string} 'YYYY-MM-DDTHH:mm' o '' si no hay fecha o no es válida
+ */
+export function toDateTimeLocal(date) {
+  if (!date) return '';
+  const value = new Date(date);
+  if (isNaN(value.getTime())) return '';
+  const offset = value.getTimezoneOffset() * 60000;
+  return new Date(value.getTime() - offset).toISOString().slice(0, 16);
+}